@@ -23,6 +23,49 @@ const tasks = {
 			sourceFiles: getCKEditor5SourceFiles(),
 			packagePaths: getCKEditor5PackagePaths(),
 			corePackagePath: 'packages/ckeditor5-core',
+			allowConflicts: process.argv.includes( '--allow-conflicts' ),
+			conflictsReportPath: getOptionValue( '--conflicts-report' ),
+			incremental: process.argv.includes( '--incremental' ),
+			logger
+		} );
+	},
+
+	/**
+	 * Prints the translation coverage of all packages and languages.
+	 *
+	 * Pass `--languages=<codes>` (comma-separated) to check only selected languages, `--min-coverage=<percents>` to fail
+	 * when the coverage of any package and language is lower, and `--json=<path>` or `--html=<path>` to save the report.
+	 */
+	coverage() {
+		const createCoverageReport = require( '../lib/translations/createcoveragereport' );
+		const logger = require( '@ckeditor/ckeditor5-dev-utils' ).logger();
+		const languages = getOptionValue( '--languages' );
+		const minCoverage = getMinCoverage();
+
+		createCoverageReport( {
+			sourceFiles: getCKEditor5SourceFiles(),
+			packagePaths: getCKEditor5PackagePaths(),
+			languages: languages ? languages.split( ',' ) : undefined,
+			minCoverage,
+			jsonReportPath: getOptionValue( '--json' ),
+			htmlReportPath: getOptionValue( '--html' ),
+			logger
+		} );
+	},
+
+	/**
+	 * Validates translation files of all packages.
+	 *
+	 * Pass `--languages=<codes>` (comma-separated) to validate only selected languages.
+	 */
+	lint() {
+		const lintTranslations = require( '../lib/translations/linttranslations' );
+		const logger = require( '@ckeditor/ckeditor5-dev-utils' ).logger();
+		const languages = getOptionValue( '--languages' );
+
+		lintTranslations( {
+			packagePaths: getCKEditor5PackagePaths(),
+			languages: languages ? languages.split( ',' ) : undefined,
 			logger
 		} );
 	},
@@ -30,6 +73,9 @@ const tasks = {
 	/**
 	 * Uploads translation messages on the Transifex server.
 	 *
+	 * The Transifex project can be specified using the `--organization=<name>` and `--project=<name>` options.
+	 * Pass `--dry-run` to only print the summary of changes and `--diff=<path>` to save it as JSON.
+	 *
 	 * @returns {Promise}
 	 */
 	upload() {
@@ -37,12 +83,18 @@ const tasks = {
 		const getToken = require( './../lib/translations/gettoken' );
 
 		return getToken()
-			.then( credentials => uploadTranslations( credentials ) );
+			.then( credentials => {
+				return uploadTranslations( Object.assign( credentials, getTransifexProjectOptions() ), getDryRunOptions() );
+			} )
+			.then( saveTranslationsDiff );
 	},
 
 	/**
 	 * Download translations from the Transifex server.
 	 *
+	 * The Transifex project can be specified using the `--organization=<name>` and `--project=<name>` options.
+	 * Pass `--dry-run` to only print the summary of changes and `--diff=<path>` to save it as JSON.
+	 *
 	 * @returns {Promise}
 	 */
 	download() {
@@ -50,7 +102,10 @@ const tasks = {
 		const getToken = require( './../lib/translations/gettoken' );
 
 		return getToken()
-			.then( credentials => downloadTranslations( credentials ) );
+			.then( credentials => {
+				return downloadTranslations( Object.assign( credentials, getTransifexProjectOptions() ), getDryRunOptions() );
+			} )
+			.then( saveTranslationsDiff );
 	}
 };
 
@@ -64,11 +119,71 @@ if ( !task || !tasks[ task ] ) {
 
 tasks[ task ]();
 
+// Returns the Transifex organization and project passed as `--organization=<name>` and `--project=<name>` options.
+function getTransifexProjectOptions() {
+	const options = {};
+	const organizationName = getOptionValue( '--organization' );
+	const projectName = getOptionValue( '--project' );
+
+	if ( organizationName ) {
+		options.organizationName = organizationName;
+	}
+
+	if ( projectName ) {
+		options.projectName = projectName;
+	}
+
+	return options;
+}
+
+function getDryRunOptions() {
+	return { dryRun: process.argv.includes( '--dry-run' ) };
+}
+
+// Saves the machine-readable diff returned in the dry-run mode when the `--diff=<path>` option is passed.
+function saveTranslationsDiff( translationsDiff ) {
+	const pathToDiff = getOptionValue( '--diff' );
+
+	if ( !translationsDiff || !pathToDiff ) {
+		return;
+	}
+
+	const fs = require( 'fs-extra' );
+
+	fs.outputFileSync( pathToDiff, JSON.stringify( translationsDiff, null, 2 ) + '\n' );
+}
+
+// Returns a value of the `--name=value` option passed to the script.
+function getOptionValue( optionName ) {
+	const option = process.argv.find( arg => arg.startsWith( optionName + '=' ) );
+
+	return option ? option.slice( optionName.length + 1 ) : undefined;
+}
+
+// Returns the value of the `--min-coverage=<percents>` option. Throws an error when the value is not a number,
+// otherwise the coverage could not be compared with it and the check would always pass.
+function getMinCoverage() {
+	const minCoverage = getOptionValue( '--min-coverage' );
+
+	if ( minCoverage === undefined ) {
+		return 0;
+	}
+
+	if ( !/^\d+(\.\d+)?$/.test( minCoverage ) ) {
+		throw new Error( `The "--min-coverage" option must be a number (got "${ minCoverage }").` );
+	}
+
+	return Number( minCoverage );
+}
+
+// Returns JS and TS (also JSX) source files of all packages. TypeScript declaration files do not contain `t()` calls.
 function getCKEditor5SourceFiles() {
 	const glob = require( 'glob' );
-	const srcPaths = [ process.cwd(), 'packages', '*', 'src', '**', '*.js' ].join( '/' );
+	const srcPaths = [ process.cwd(), 'packages', '*', 'src', '**', '*.{js,jsx,ts,tsx}' ].join( '/' );
 
-	return glob.sync( srcPaths ).filter( srcPath => !srcPath.match( /packages\/[^/]+\/src\/lib\// ) );
+	return glob.sync( srcPaths )
+		.filter( srcPath => !srcPath.match( /packages\/[^/]+\/src\/lib\// ) )
+		.filter( srcPath => !srcPath.endsWith( '.d.ts' ) );
 }
 
 function getCKEditor5PackagePaths() {
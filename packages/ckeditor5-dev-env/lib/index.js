@@ -32,38 +32,114 @@ const tasks = {
 
 	/**
 	 * Collects messages to translate (from `t()` calls) and stores them in the `ckeditor5/build/.transifex` directory.
+	 *
+	 * @returns {Object} Names of packages which POT files were added, updated, left unchanged or removed.
 	 */
 	createPotFiles( ...args ) {
 		const createPotFiles = require( './translations/createpotfiles' );
 
-		createPotFiles( ...args );
+		return createPotFiles( ...args );
+	},
+
+	/**
+	 * Creates a translation coverage report (packages × languages) and throws an error when the coverage
+	 * is below the specified minimum.
+	 *
+	 * @returns {CoverageReport}
+	 */
+	createCoverageReport( ...args ) {
+		const createCoverageReport = require( './translations/createcoveragereport' );
+
+		return createCoverageReport( ...args );
+	},
+
+	/**
+	 * Validates translation files (`lang/translations/*.po`) of packages and throws an error when any problem is found
+	 * (e.g. an invalid `Plural-Forms` header, a wrong number of translation forms or mismatched placeholders).
+	 */
+	lintTranslations( ...args ) {
+		const lintTranslations = require( './translations/linttranslations' );
+
+		return lintTranslations( ...args );
 	},
 
 	/**
 	 * Uploads messages to translate on the Transifex server.
 	 *
-	 * @returns {Promise}
+	 * When the `service` option is specified, messages are uploaded using the given translation platform service
+	 * (e.g. the one created by `lib/translations/filesystem-service.js`) and the Transifex token is not requested.
+	 *
+	 * In the dry-run mode, nothing is written. The summary of new, changed and removed messages is printed instead.
+	 *
+	 * @param {Object} [options]
+	 * @param {TranslationPlatformService} [options.service] A translation platform service.
+	 * @param {String} [options.organizationName='ckeditor'] The organization slug of the Transifex project.
+	 * @param {String} [options.projectName='ckeditor5'] The Transifex project slug.
+	 * @param {Boolean} [options.dryRun=false] Whether to only compare messages instead of writing them.
+	 * @returns {Promise.<TranslationsDiff|undefined>} The per-package, per-language diff in the dry-run mode.
 	 */
-	uploadPotFiles() {
+	uploadPotFiles( { service, organizationName, projectName, dryRun = false } = {} ) {
 		const uploadPotFiles = require( './translations/upload' );
+
+		if ( service ) {
+			return uploadPotFiles( {}, { service, dryRun } );
+		}
+
 		const getToken = require( './translations/gettoken' );
 
 		return getToken()
-			.then( credentials => uploadPotFiles( credentials ) );
+			.then( credentials => {
+				const config = getTransifexConfig( credentials, { organizationName, projectName } );
+
+				return uploadPotFiles( config, { dryRun } );
+			} );
 	},
 
 	/**
 	 * Download translations from the Transifex server.
 	 *
-	 * @returns {Promise}
+	 * When the `service` option is specified, translations are downloaded using the given translation platform service
+	 * (e.g. the one created by `lib/translations/filesystem-service.js`) and the Transifex token is not requested.
+	 *
+	 * In the dry-run mode, nothing is written. The summary of new, changed and removed messages is printed instead.
+	 *
+	 * @param {Object} [options]
+	 * @param {TranslationPlatformService} [options.service] A translation platform service.
+	 * @param {String} [options.organizationName='ckeditor'] The organization slug of the Transifex project.
+	 * @param {String} [options.projectName='ckeditor5'] The Transifex project slug.
+	 * @param {Boolean} [options.dryRun=false] Whether to only compare messages instead of writing them.
+	 * @returns {Promise.<TranslationsDiff|undefined>} The per-package, per-language diff in the dry-run mode.
 	 */
-	downloadTranslations() {
+	downloadTranslations( { service, organizationName, projectName, dryRun = false } = {} ) {
 		const downloadTranslations = require( './translations/download' );
+
+		if ( service ) {
+			return downloadTranslations( {}, { service, dryRun } );
+		}
+
 		const getToken = require( './translations/gettoken' );
 
 		return getToken()
-			.then( credentials => downloadTranslations( credentials ) );
+			.then( credentials => {
+				const config = getTransifexConfig( credentials, { organizationName, projectName } );
+
+				return downloadTranslations( config, { dryRun } );
+			} );
 	}
 };
 
+// Merges the Transifex credentials with the project options that were specified.
+// Omitted options are not added, so the Transifex service uses its defaults.
+function getTransifexConfig( credentials, projectOptions ) {
+	const config = Object.assign( {}, credentials );
+
+	for ( const optionName of Object.keys( projectOptions ) ) {
+		if ( projectOptions[ optionName ] ) {
+			config[ optionName ] = projectOptions[ optionName ];
+		}
+	}
+
+	return config;
+}
+
 module.exports = tasks;
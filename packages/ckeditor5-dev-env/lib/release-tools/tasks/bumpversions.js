@@ -14,7 +14,9 @@ const executeOnPackages = require( '../utils/executeonpackages' );
 const { getChangesForVersion } = require( '../utils/changelog' );
 const getPackageJson = require( '../utils/getpackagejson' );
 const getPackagesToRelease = require( '../utils/getpackagestorelease' );
+const getReleaseConfig = require( '../utils/getreleaseconfig' );
 const getSubRepositoriesPaths = require( '../utils/getsubrepositoriespaths' );
+const saveReleaseSummary = require( '../utils/savereleasesummary' );
 const updateDependenciesVersions = require( '../utils/updatedependenciesversions' );
 const validatePackageToRelease = require( '../utils/validatepackagetorelease' );
 
@@ -36,13 +38,17 @@ const BREAK_RELEASE_MESSAGE = 'You aborted updating versions. Why? Oh why?!';
  * @param {Boolean} [options.dryRun=false] If set on true, all changes will be printed on the screen. Changes produced by commands like
  * `npm version` will be reverted. Every called command will be displayed.
  * @param {Boolean} [options.skipMainRepository=false] If set on true, package found in "cwd" will be skipped.
- * @returns {Promise}
+ * @param {ReleaseConfig|String} [options.releaseConfig] The configuration of the non-interactive release (or a path to a file
+ * that exports it). If specified, updating versions will be confirmed automatically (if `autoConfirm` is set) and the summary
+ * will be saved in the `summaryFile` file (under the "bumpVersions" key). See `getReleaseConfig()`.
+ * @returns {Promise.<BumpVersionsSummary|undefined>}
  */
 module.exports = function bumpVersions( options ) {
 	const cwd = process.cwd();
 	const log = logger();
 
 	const dryRun = Boolean( options.dryRun );
+	const releaseConfig = getReleaseConfig( options.releaseConfig );
 
 	const pathsCollection = getSubRepositoriesPaths( {
 		cwd: options.cwd,
@@ -66,11 +72,13 @@ module.exports = function bumpVersions( options ) {
 		.then( packages => getLatestChangesForPackagesThatWillBeReleased( packages ) )
 		.then( packages => validateRepositories( packages ) )
 		.then( packages => bumpVersion( packages ) )
-		.then( () => {
+		.then( packages => {
 			process.chdir( cwd );
 
 			logProcess( `Finished updating versions of ${ chalk.underline( pathsCollection.matched.size ) } package(s).` );
 			logDryRun( 'Because of the DRY RUN mode, nothing has been changed. All changes were reverted.' );
+
+			return createSummary( packages );
 		} )
 		.catch( err => {
 			process.chdir( cwd );
@@ -111,7 +119,7 @@ module.exports = function bumpVersions( options ) {
 	function confirmUpdate( packages ) {
 		logProcess( 'Should we continue?' );
 
-		return cli.confirmUpdatingVersions( packages )
+		return cli.confirmUpdatingVersions( packages, { autoConfirm: releaseConfig.autoConfirm } )
 			.then( isConfirmed => {
 				if ( !isConfirmed ) {
 					throw new Error( BREAK_RELEASE_MESSAGE );
@@ -307,6 +315,28 @@ module.exports = function bumpVersions( options ) {
 		} ).then( () => packages );
 	}
 
+	// Creates the summary of updated versions and saves it if the summary file was specified.
+	//
+	// @params {Map.<String, ReleaseDetails>} packages
+	// @returns {BumpVersionsSummary}
+	function createSummary( packages ) {
+		const summary = {
+			dryRun,
+			packages: [ ...packages ].map( ( [ packageName, { previousVersion, version } ] ) => ( {
+				name: packageName,
+				previousVersion,
+				version,
+				tag: `v${ version }`
+			} ) )
+		};
+
+		if ( releaseConfig.summaryFile ) {
+			saveReleaseSummary( releaseConfig.summaryFile, 'bumpVersions', summary );
+		}
+
+		return summary;
+	}
+
 	function exec( command ) {
 		if ( dryRun ) {
 			log.info( `⚠️  ${ chalk.grey( 'Execute:' ) } "${ chalk.cyan( command ) }" in "${ chalk.grey.italic( process.cwd() ) }".` );
@@ -325,3 +355,12 @@ module.exports = function bumpVersions( options ) {
 		}
 	}
 };
+
+/**
+ * @typedef {Object} BumpVersionsSummary
+ *
+ * @property {Boolean} dryRun Whether the task was called in the DRY RUN mode (all changes were reverted).
+ *
+ * @property {Array.<Object>} packages Packages which versions were updated. Each item contains the `name`, `previousVersion`,
+ * `version` and `tag` (created in the Git repository) properties.
+ */
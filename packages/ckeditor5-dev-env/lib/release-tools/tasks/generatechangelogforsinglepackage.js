@@ -13,6 +13,7 @@ const versionUtils = require( '../utils/versions' );
 const changelogUtils = require( '../utils/changelog' );
 const displayCommits = require( '../utils/displaycommits' );
 const getPackageJson = require( '../utils/getpackagejson' );
+const getReleaseConfig = require( '../utils/getreleaseconfig' );
 const getNewReleaseType = require( '../utils/getnewreleasetype' );
 const generateChangelogFromCommits = require( '../utils/generatechangelogfromcommits' );
 const transformCommitForSubRepositoryFactory = require( '../utils/transform-commit/transformcommitforsubrepositoryfactory' );
@@ -50,11 +51,21 @@ const VALID_SEMVER_INCREMENT_LEVEL = [
  * @param {Boolean} [options.useExplicitBreakingChangeGroups] If set on `true`, notes from parsed commits will be grouped as
  * "MINOR BREAKING CHANGES" and "MAJOR BREAKING CHANGES'. If set on `false` (by default), all breaking changes notes will be treated
  * as "BREAKING CHANGES".
+ * @param {Array.<CommitTypeDefinition>|String} [options.commitTypes] Definitions of the commit types (their visibility, changelog
+ * sections, the order of sections and the version bump) or a path to a JSON or JS file that exports them.
+ * See `transformCommitUtils#getCommitTypesConfig()`.
+ * @param {String} [options.commitConvention='ckeditor'] The commit message convention: "ckeditor" (e.g. "Feature: Added the toolbar.")
+ * or "conventional" (Conventional Commits, e.g. "feat(ui)!: added the toolbar"). It also defines the default commit types.
+ * @param {String|null} [options.preReleaseId=null] The pre-release identifier (e.g. "alpha", "beta" or "rc"). If specified,
+ * the tool will suggest a pre-release version (e.g. "20.0.0-beta.1") and internal releases will bump the pre-release version too.
+ * @param {ReleaseConfig|String} [options.releaseConfig] The configuration of the non-interactive release (or a path to a file
+ * that exports it). If specified, the tool will not ask about new versions. See `getReleaseConfig()`.
  * @returns {Promise}
  */
 module.exports = function generateChangelogForSinglePackage( options = {} ) {
 	const log = logger();
 	const packageJson = getPackageJson();
+	const releaseConfig = getReleaseConfig( options.releaseConfig );
 	const indentLevel = options.indentLevel || 0;
 	const indent = ' '.repeat( indentLevel * cli.INDENT_SIZE );
 
@@ -76,7 +87,7 @@ module.exports = function generateChangelogForSinglePackage( options = {} ) {
 	// in order to update versions of the dependencies.
 	if ( isInternalRelease ) {
 		if ( VALID_SEMVER_INCREMENT_LEVEL.includes( newVersion ) ) {
-			promise = promise.then( () => semver.inc( packageJson.version, newVersion ) );
+			promise = promise.then( () => bumpVersion( newVersion ) );
 		} else if ( semver.valid( newVersion ) ) {
 			promise = promise.then( () => newVersion );
 		} else {
@@ -88,17 +99,31 @@ module.exports = function generateChangelogForSinglePackage( options = {} ) {
 		const transformCommitFunction = transformCommitForSubRepositoryFactory( {
 			treatMajorAsMinorBreakingChange: options.disableMajorBump,
 			returnInvalidCommit: true,
-			useExplicitBreakingChangeGroups: !!options.useExplicitBreakingChangeGroups
+			useExplicitBreakingChangeGroups: !!options.useExplicitBreakingChangeGroups,
+			commitTypes: options.commitTypes,
+			commitConvention: options.commitConvention
 		} );
 
 		promise = promise
-			.then( () => getNewReleaseType( transformCommitFunction, { tagName } ) )
+			.then( () => getNewReleaseType( transformCommitFunction, {
+				tagName,
+				commitTypes: options.commitTypes,
+				commitConvention: options.commitConvention
+			} ) )
 			.then( result => {
-				displayCommits( result.commits, { indentLevel: indentLevel + 1 } );
+				displayCommits( result.commits, {
+					indentLevel: indentLevel + 1,
+					commitTypes: options.commitTypes,
+					commitConvention: options.commitConvention
+				} );
 
 				const releaseTypeOrVersion = semver.valid( newVersion ) ? newVersion : result.releaseType;
 
-				return cli.provideVersion( packageJson.version, releaseTypeOrVersion, { indentLevel } );
+				return cli.provideVersion( packageJson.version, releaseTypeOrVersion, {
+					indentLevel,
+					preReleaseId: options.preReleaseId,
+					versionStrategy: releaseConfig.versionStrategy
+				} );
 			} );
 	}
 
@@ -111,7 +136,7 @@ module.exports = function generateChangelogForSinglePackage( options = {} ) {
 			// If the user provided "internal" as a new version, we treat it as a "patch" bump.
 			if ( version === 'internal' ) {
 				isInternalRelease = true;
-				version = semver.inc( packageJson.version, 'patch' );
+				version = bumpVersion( 'patch' );
 			}
 
 			const changelogOptions = {
@@ -122,9 +147,13 @@ module.exports = function generateChangelogForSinglePackage( options = {} ) {
 				newTagName: 'v' + version,
 				transformCommit: transformCommitForSubRepositoryFactory( {
 					treatMajorAsMinorBreakingChange: options.disableMajorBump,
-					useExplicitBreakingChangeGroups: !!options.useExplicitBreakingChangeGroups
+					useExplicitBreakingChangeGroups: !!options.useExplicitBreakingChangeGroups,
+					commitTypes: options.commitTypes,
+					commitConvention: options.commitConvention
 				} ),
-				skipLinks: !!options.skipLinks
+				skipLinks: !!options.skipLinks,
+				commitTypes: options.commitTypes,
+				commitConvention: options.commitConvention
 			};
 
 			return generateChangelogFromCommits( changelogOptions )
@@ -139,4 +168,16 @@ module.exports = function generateChangelogForSinglePackage( options = {} ) {
 					return Promise.resolve( version );
 				} );
 		} );
+
+	// Increases the version of the package. If the pre-release identifier was specified, the pre-release version is returned.
+	//
+	// @param {String} releaseType
+	// @returns {String}
+	function bumpVersion( releaseType ) {
+		if ( options.preReleaseId ) {
+			return versionUtils.getNextPreRelease( packageJson.version, releaseType, options.preReleaseId );
+		}
+
+		return semver.inc( packageJson.version, releaseType );
+	}
 };
@@ -17,6 +17,7 @@ const displaySkippedPackages = require( '../utils/displayskippedpackages' );
 const displayGeneratedChangelogs = require( '../utils/displaygeneratedchangelogs' );
 const executeOnPackages = require( '../utils/executeonpackages' );
 const getPackageJson = require( '../utils/getpackagejson' );
+const getReleaseConfig = require( '../utils/getreleaseconfig' );
 const getSubPackagesPaths = require( '../utils/getsubpackagespaths' );
 const generateChangelogFromCommits = require( '../utils/generatechangelogfromcommits' );
 const transformCommitForSubPackageFactory = require( '../utils/transform-commit/transformcommitforsubpackagefactory' );
@@ -28,11 +29,21 @@ const transformCommitForSubPackageFactory = require( '../utils/transform-commit/
  * @param {String} options.cwd Current working directory (packages) from which all paths will be resolved.
  * @param {String} options.packages Where to look for other packages.
  * @param {Array.<String>} options.skipPackages Name of packages which won't be touched.
+ * @param {Array.<CommitTypeDefinition>|String} [options.commitTypes] Definitions of the commit types (their visibility, changelog
+ * sections, the order of sections and the version bump) or a path to a JSON or JS file that exports them.
+ * See `transformCommitUtils#getCommitTypesConfig()`.
+ * @param {String} [options.commitConvention='ckeditor'] The commit message convention: "ckeditor" (e.g. "Feature: Added the toolbar.")
+ * or "conventional" (Conventional Commits, e.g. "feat(ui)!: added the toolbar"). It also defines the default commit types.
+ * @param {String|null} [options.preReleaseId=null] The pre-release identifier (e.g. "alpha", "beta" or "rc"). If specified,
+ * the tool will suggest pre-release versions (e.g. "20.0.0-beta.1").
+ * @param {ReleaseConfig|String} [options.releaseConfig] The configuration of the non-interactive release (or a path to a file
+ * that exports it). If specified, the tool will not ask about new versions. See `getReleaseConfig()`.
  * @returns {Promise}
  */
 module.exports = function generateChangelogForSubPackages( options ) {
 	const log = logger();
 	const cwd = process.cwd();
+	const releaseConfig = getReleaseConfig( options.releaseConfig );
 
 	const pathsCollection = getSubPackagesPaths( {
 		cwd: options.cwd,
@@ -80,16 +91,28 @@ module.exports = function generateChangelogForSubPackages( options ) {
 		log.info( '\n' + chalk.bold.blue( `Generating changelog for "${ dependencyName }"...` ) );
 
 		const transformCommitFunction = transformCommitForSubPackageFactory( {
-			returnInvalidCommit: true
+			returnInvalidCommit: true,
+			commitTypes: options.commitTypes,
+			commitConvention: options.commitConvention
 		} );
 
-		return getNewReleaseType( transformCommitFunction, { tagName } )
+		return getNewReleaseType( transformCommitFunction, {
+			tagName,
+			commitTypes: options.commitTypes,
+			commitConvention: options.commitConvention
+		} )
 			.then( result => {
-				displayCommits( result.commits );
+				displayCommits( result.commits, {
+					commitTypes: options.commitTypes,
+					commitConvention: options.commitConvention
+				} );
 
 				const newReleaseType = result.releaseType !== 'skip' ? result.releaseType : null;
 
-				return cli.provideVersion( packageJson.version, newReleaseType );
+				return cli.provideVersion( packageJson.version, newReleaseType, {
+					preReleaseId: options.preReleaseId,
+					versionStrategy: releaseConfig.versionStrategy
+				} );
 			} )
 			.then( version => {
 				if ( version === 'skip' ) {
@@ -103,7 +126,9 @@ module.exports = function generateChangelogForSubPackages( options ) {
 
 				if ( version === 'internal' ) {
 					isInternalRelease = true;
-					version = semver.inc( packageJson.version, 'patch' );
+					version = options.preReleaseId ?
+						versionUtils.getNextPreRelease( packageJson.version, 'patch', options.preReleaseId ) :
+						semver.inc( packageJson.version, 'patch' );
 				}
 
 				const changelogOptions = {
@@ -111,7 +136,12 @@ module.exports = function generateChangelogForSubPackages( options ) {
 					tagName,
 					isInternalRelease,
 					newTagName: packageJson.name + '@' + version,
-					transformCommit: transformCommitForSubPackageFactory()
+					transformCommit: transformCommitForSubPackageFactory( {
+						commitTypes: options.commitTypes,
+						commitConvention: options.commitConvention
+					} ),
+					commitTypes: options.commitTypes,
+					commitConvention: options.commitConvention
 				};
 
 				return generateChangelogFromCommits( changelogOptions )
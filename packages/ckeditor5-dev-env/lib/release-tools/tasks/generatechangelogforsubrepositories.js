@@ -16,6 +16,7 @@ const executeOnPackages = require( '../utils/executeonpackages' );
 const generateChangelogForSinglePackage = require( './generatechangelogforsinglepackage' );
 const getNewReleaseType = require( '../utils/getnewreleasetype' );
 const getPackageJson = require( '../utils/getpackagejson' );
+const getReleaseConfig = require( '../utils/getreleaseconfig' );
 const getSubRepositoriesPaths = require( '../utils/getsubrepositoriespaths' );
 const transformCommitForSubRepositoryFactory = require( '../utils/transform-commit/transformcommitforsubrepositoryfactory' );
 const versionUtils = require( '../utils/versions' );
@@ -29,11 +30,21 @@ const versionUtils = require( '../utils/versions' );
  * @param {String} [options.scope] Package names have to match to specified glob pattern.
  * @param {Array.<String>} [options.skipPackages=[]] Name of packages which won't be touched.
  * @param {Boolean} [options.skipMainRepository=false] If set on true, package found in "cwd" will be skipped.
+ * @param {Array.<CommitTypeDefinition>|String} [options.commitTypes] Definitions of the commit types (their visibility, changelog
+ * sections, the order of sections and the version bump) or a path to a JSON or JS file that exports them.
+ * See `transformCommitUtils#getCommitTypesConfig()`.
+ * @param {String} [options.commitConvention='ckeditor'] The commit message convention: "ckeditor" (e.g. "Feature: Added the toolbar.")
+ * or "conventional" (Conventional Commits, e.g. "feat(ui)!: added the toolbar"). It also defines the default commit types.
+ * @param {String|null} [options.preReleaseId=null] The pre-release identifier (e.g. "alpha", "beta" or "rc"). If specified,
+ * the tool will suggest pre-release versions (e.g. "20.0.0-beta.1").
+ * @param {ReleaseConfig|String} [options.releaseConfig] The configuration of the non-interactive release (or a path to a file
+ * that exports it). If specified, the tool will not ask any question. See `getReleaseConfig()`.
  * @returns {Promise.<SummaryChangelogResponse>}
  */
 module.exports = function generateChangelogForSubRepositories( options ) {
 	const log = logger();
 	const cwd = process.cwd();
+	const releaseConfig = getReleaseConfig( options.releaseConfig );
 
 	const pathsCollection = getSubRepositoriesPaths( {
 		cwd: options.cwd,
@@ -95,7 +106,9 @@ module.exports = function generateChangelogForSubRepositories( options ) {
 
 		const packagesCommit = new Map();
 		const transformCommitFunction = transformCommitForSubRepositoryFactory( {
-			useExplicitBreakingChangeGroups: true
+			useExplicitBreakingChangeGroups: true,
+			commitTypes: options.commitTypes,
+			commitConvention: options.commitConvention
 		} );
 
 		return executeOnPackages( pathsCollection.matched, repositoryPath => {
@@ -109,7 +122,11 @@ module.exports = function generateChangelogForSubRepositories( options ) {
 				tagName = 'v' + tagName;
 			}
 
-			return getNewReleaseType( transformCommitFunction, { tagName } )
+			return getNewReleaseType( transformCommitFunction, {
+				tagName,
+				commitTypes: options.commitTypes,
+				commitConvention: options.commitConvention
+			} )
 				.then( result => {
 					packagesCommit.set( packageJson.name, new Set( result.commits ) );
 				} );
@@ -133,7 +150,12 @@ module.exports = function generateChangelogForSubRepositories( options ) {
 				hasMajorBreakingChanges = true;
 
 				log.info( `\n${ ' '.repeat( cli.INDENT_SIZE ) }${ chalk.bold( `Commits in "${ chalk.underline( packageName ) }"...` ) }` );
-				displayCommits( majorBreakingChangesCommits, { attachLinkToCommit: true, indentLevel: 2 } );
+				displayCommits( majorBreakingChangesCommits, {
+					attachLinkToCommit: true,
+					indentLevel: 2,
+					commitTypes: options.commitTypes,
+					commitConvention: options.commitConvention
+				} );
 			}
 		}
 
@@ -144,7 +166,10 @@ module.exports = function generateChangelogForSubRepositories( options ) {
 			) );
 		}
 
-		return cli.confirmMajorBreakingChangeRelease( hasMajorBreakingChanges, { indentLevel: 1 } )
+		return cli.confirmMajorBreakingChangeRelease( hasMajorBreakingChanges, {
+			indentLevel: 1,
+			autoConfirm: releaseConfig.autoConfirm
+		} )
 			.then( result => {
 				willBeMajorBump = result;
 			} );
@@ -177,7 +202,11 @@ module.exports = function generateChangelogForSubRepositories( options ) {
 		// An empty line increases the readability.
 		console.log( '' );
 
-		return cli.provideNewMajorReleaseVersion( highestVersion, packageHighestVersion, { indentLevel: 1 } )
+		return cli.provideNewMajorReleaseVersion( highestVersion, packageHighestVersion, {
+			indentLevel: 1,
+			preReleaseId: options.preReleaseId,
+			versionStrategy: releaseConfig.versionStrategy
+		} )
 			.then( version => {
 				nextVersion = version;
 			} );
@@ -198,7 +227,11 @@ module.exports = function generateChangelogForSubRepositories( options ) {
 				newVersion: nextVersion,
 				disableMajorBump: !willBeMajorBump,
 				indentLevel: 1,
-				useExplicitBreakingChangeGroups: true
+				useExplicitBreakingChangeGroups: true,
+				commitTypes: options.commitTypes,
+				commitConvention: options.commitConvention,
+				preReleaseId: options.preReleaseId,
+				releaseConfig: options.releaseConfig
 			};
 
 			return generateChangelogForSinglePackage( changelogOptions )
@@ -259,7 +292,11 @@ module.exports = function generateChangelogForSubRepositories( options ) {
 				newVersion,
 				isInternalRelease: true,
 				indentLevel: 1,
-				useExplicitBreakingChangeGroups: true
+				useExplicitBreakingChangeGroups: true,
+				commitTypes: options.commitTypes,
+				commitConvention: options.commitConvention,
+				preReleaseId: options.preReleaseId,
+				releaseConfig: options.releaseConfig
 			};
 
 			return generateChangelogForSinglePackage( changelogOptions )
@@ -18,6 +18,7 @@ const displayGeneratedChangelogs = require( '../utils/displaygeneratedchangelogs
 const executeOnPackages = require( '../utils/executeonpackages' );
 const generateChangelogFromCommits = require( '../utils/generatechangelogfromcommits' );
 const getPackageJson = require( '../utils/getpackagejson' );
+const getReleaseConfig = require( '../utils/getreleaseconfig' );
 const getNewReleaseType = require( '../utils/getnewreleasetype' );
 const getSubRepositoriesPaths = require( '../utils/getsubrepositoriespaths' );
 const transformCommitFunctionFactory = require( '../utils/transform-commit/transformcommitforsubrepositoryfactory' );
@@ -45,10 +46,20 @@ const bumpTypesPriority = {
  * @param {String} [options.scope=null] Package names have to match to specified glob pattern.
  * @param {String|null} [options.version=null] If specified, this version will be used as proposed
  * during generating a changelog for a package.
+ * @param {Array.<CommitTypeDefinition>|String} [options.commitTypes] Definitions of the commit types (their visibility, changelog
+ * sections, the order of sections and the version bump) or a path to a JSON or JS file that exports them.
+ * See `transformCommitUtils#getCommitTypesConfig()`.
+ * @param {String} [options.commitConvention='ckeditor'] The commit message convention: "ckeditor" (e.g. "Feature: Added the toolbar.")
+ * or "conventional" (Conventional Commits, e.g. "feat(ui)!: added the toolbar"). It also defines the default commit types.
+ * @param {String|null} [options.preReleaseId=null] The pre-release identifier (e.g. "alpha", "beta" or "rc"). If specified,
+ * the tool will suggest pre-release versions (e.g. "20.0.0-beta.1").
+ * @param {ReleaseConfig|String} [options.releaseConfig] The configuration of the non-interactive release (or a path to a file
+ * that exports it). If specified, the tool will not ask about new versions. See `getReleaseConfig()`.
  */
 module.exports = function generateSummaryChangelog( options ) {
 	const log = logger();
 	const cwd = process.cwd();
+	const releaseConfig = getReleaseConfig( options.releaseConfig );
 
 	const indent = ' '.repeat( cliUtils.INDENT_SIZE );
 	const pathsCollection = getSubRepositoriesPaths( {
@@ -101,14 +112,24 @@ module.exports = function generateSummaryChangelog( options ) {
 		}
 
 		const transformCommitFunction = transformCommitFunctionFactory( {
-			returnInvalidCommit: true
+			returnInvalidCommit: true,
+			commitTypes: options.commitTypes,
+			commitConvention: options.commitConvention
 		} );
 
-		return getNewReleaseType( transformCommitFunction, { tagName } )
+		return getNewReleaseType( transformCommitFunction, {
+			tagName,
+			commitTypes: options.commitTypes,
+			commitConvention: options.commitConvention
+		} )
 			.then( result => {
 				suggestedBumpFromCommits = result.releaseType === 'internal' ? 'skip' : result.releaseType;
 
-				displayCommits( result.commits, { indentLevel: 2 } );
+				displayCommits( result.commits, {
+					indentLevel: 2,
+					commitTypes: options.commitTypes,
+					commitConvention: options.commitConvention
+				} );
 
 				const suggestedBumpFromDependencies = getSuggestedBumpVersionType( dependencies );
 				const commitsWeight = bumpTypesPriority[ suggestedBumpFromCommits ];
@@ -124,7 +145,11 @@ module.exports = function generateSummaryChangelog( options ) {
 					newReleaseType = suggestedBumpFromDependencies;
 				}
 
-				return cliUtils.provideVersion( packageJson.version, newReleaseType, { disableInternalVersion: true } );
+				return cliUtils.provideVersion( packageJson.version, newReleaseType, {
+					disableInternalVersion: true,
+					preReleaseId: options.preReleaseId,
+					versionStrategy: releaseConfig.versionStrategy
+				} );
 			} )
 			.then( version => {
 				if ( version === 'skip' ) {
@@ -150,7 +175,12 @@ module.exports = function generateSummaryChangelog( options ) {
 						additionalNotes,
 						currentTag: 'v' + version,
 						previousTag: tagName,
-						transformCommit: transformCommitFunctionFactory(),
+						transformCommit: transformCommitFunctionFactory( {
+							commitTypes: options.commitTypes,
+							commitConvention: options.commitConvention
+						} ),
+						commitTypes: options.commitTypes,
+						commitConvention: options.commitConvention,
 						isInternalRelease: false,
 						doNotSave: true
 					} );
@@ -8,20 +8,25 @@
 const fs = require( 'fs' );
 const path = require( 'path' );
 const chalk = require( 'chalk' );
+const semver = require( 'semver' );
 const { tools, logger } = require( '@ckeditor/ckeditor5-dev-utils' );
 const parseGithubUrl = require( 'parse-github-url' );
 const cli = require( '../utils/cli' );
 const createGithubRelease = require( '../utils/creategithubrelease' );
+const createReleaseJournal = require( '../utils/createreleasejournal' );
 const displaySkippedPackages = require( '../utils/displayskippedpackages' );
 const executeOnPackages = require( '../utils/executeonpackages' );
 const { getChangesForVersion } = require( '../utils/changelog' );
 const getPackageJson = require( '../utils/getpackagejson' );
+const getReleaseConfig = require( '../utils/getreleaseconfig' );
 const getSubRepositoriesPaths = require( '../utils/getsubrepositoriespaths' );
+const saveReleaseSummary = require( '../utils/savereleasesummary' );
 const GitHubApi = require( '@octokit/rest' );
 
 const PACKAGE_JSON_TEMPLATE_PATH = require.resolve( '../templates/release-package.json' );
 const BREAK_RELEASE_MESSAGE = 'You aborted publishing the release. Why? Oh why?!';
 const NO_RELEASE_MESSAGE = 'No changes for publishing. Why? Oh why?!';
+const RESUMED_RELEASE_COMPLETED_MESSAGE = 'All steps of the resumed release have been completed.';
 const AUTH_REQUIRED = 'You must be logged to execute this command.';
 
 // That files will be copied from source to the temporary directory and will be released too.
@@ -66,6 +71,16 @@ const additionalFiles = [
  *		        dryRun: process.argv.includes( '--dry-run' )
  *	} );
  *
+ * Pre-release versions (e.g. "20.0.0-beta.1") are published on NPM under the dist-tag equal to the pre-release identifier
+ * (e.g. "beta") instead of "latest", so `npm install <package>` still installs the latest stable version. The tag can be changed
+ * using the `options.npmTag` option. Releases created on GitHub are marked as pre-releases.
+ *
+ * The task saves completed steps ("published", "pushed" and "released" or "packed" in the DRY RUN mode) and the step that failed
+ * for each package in the release journal (see `createReleaseJournal()`). If the release breaks, it can be resumed using
+ * the `options.resume` option. Then, the completed steps are skipped and the failed ones are retried. The journal file is removed
+ * when all steps have been completed, also when the resumed release finds nothing left to do. In the DRY RUN mode, the journal
+ * is not saved.
+ *
  * Pushes are done at the end of the whole process because of Continues Integration. We need to publish all
  * packages on NPM before starting the CI testing. If we won't do it, CI will fail because it won't be able
  * to install packages which versions will match to specified in `package.json`.
@@ -88,12 +103,26 @@ const additionalFiles = [
  * will publish an empty directory. All properties copied from original package's "package.json" file will be overwritten by fields
  * specified in this option.
  * @param {Boolean} [options.skipMainRepository=false] If set on true, package found in "cwd" will be skipped.
- * @returns {Promise}
+ * @param {String} [options.npmTag] The dist-tag under which packages will be published on NPM. By default, it is the pre-release
+ * identifier for pre-release versions (or "next" if the identifier is a number) and "latest" for other versions.
+ * @param {ReleaseConfig|String} [options.releaseConfig] The configuration of the non-interactive release (or a path to a file
+ * that exports it). If specified, services are taken from the configuration, the GitHub token is read from the environment variable,
+ * the release is confirmed automatically (if `autoConfirm` is set) and the summary is saved in the `summaryFile` file
+ * (under the "releaseSubRepositories" key). See `getReleaseConfig()`.
+ * @param {Boolean} [options.resume=false] If set on true, steps completed by the previous release (saved in the journal file)
+ * will be skipped.
+ * @param {String} [options.journalFile='<cwd>/.release-journal.json'] A path to the release journal file.
+ * @returns {Promise.<ReleaseSummary|undefined>}
  */
 module.exports = function releaseSubRepositories( options ) {
 	const cwd = process.cwd();
 	const log = logger();
 	const dryRun = Boolean( options.dryRun );
+	const releaseConfig = getReleaseConfig( options.releaseConfig );
+	const journalFile = path.resolve( options.journalFile || path.join( options.cwd, '.release-journal.json' ) );
+
+	// The step of publishing on NPM. In the DRY RUN mode, packages are packed instead of being published.
+	const npmStep = dryRun ? 'packed' : 'published';
 	const emptyReleases = Array.isArray( options.emptyReleases ) ? options.emptyReleases : [ options.emptyReleases ].filter( Boolean );
 
 	const pathsCollection = getSubRepositoriesPaths( {
@@ -127,10 +156,22 @@ module.exports = function releaseSubRepositories( options ) {
 	// List of all details required for releasing packages.
 	const packages = new Map();
 
+	// What has been published on NPM, pushed to the remote and released on GitHub.
+	const summary = {
+		dryRun,
+		npm: [],
+		pushed: [],
+		github: []
+	};
+
 	let releaseOptions;
 
+	// The journal of completed steps. See `createReleaseJournal()`.
+	let journal;
+
 	return configureRelease()
 		.then( _releaseOptions => saveReleaseOptions( _releaseOptions ) )
+		.then( () => prepareJournal() )
 		.then( () => authCheck() )
 		.then( () => preparePackagesToRelease() )
 		.then( () => filterPackagesToReleaseOnNpm() )
@@ -147,10 +188,27 @@ module.exports = function releaseSubRepositories( options ) {
 
 			logProcess( `Finished releasing ${ chalk.underline( releasedPackages.size ) } package(s).` );
 			logDryRun( 'Because of the DRY RUN mode, nothing has been changed. All changes were reverted.' );
+
+			removeJournal();
+
+			if ( releaseConfig.summaryFile ) {
+				saveReleaseSummary( releaseConfig.summaryFile, 'releaseSubRepositories', summary );
+			}
+
+			return summary;
 		} )
 		.catch( err => {
 			process.chdir( cwd );
 
+			// The journal of the completed release is removed, so the next release is not resumed from it.
+			if ( err instanceof Error && err.message === RESUMED_RELEASE_COMPLETED_MESSAGE ) {
+				logProcess( 'All steps of the resumed release have already been completed. There is nothing to release.' );
+
+				journal.remove();
+
+				return summary;
+			}
+
 			if ( err instanceof Error ) {
 				let message;
 
@@ -184,7 +242,7 @@ module.exports = function releaseSubRepositories( options ) {
 	function configureRelease() {
 		logProcess( 'Configuring the release...' );
 
-		return cli.configureReleaseOptions();
+		return cli.configureReleaseOptions( releaseConfig );
 	}
 
 	// Saves the options provided by a user.
@@ -206,6 +264,34 @@ module.exports = function releaseSubRepositories( options ) {
 		}
 	}
 
+	// Creates the release journal. If the release should be resumed, the journal contains steps completed by the previous release.
+	function prepareJournal() {
+		journal = createReleaseJournal( { journalFile, resume: options.resume, dryRun } );
+
+		if ( !options.resume ) {
+			return;
+		}
+
+		if ( journal.isResumed ) {
+			logProcess( `Resuming the release saved in "${ chalk.underline( journalFile ) }"...` );
+		} else {
+			logProcess( 'The journal of the previous release is empty. Starting a new release...' );
+		}
+	}
+
+	// Removes the journal file when all steps of the release have been completed. Otherwise, the journal is kept,
+	// so the failed steps can be retried using the `resume` option.
+	function removeJournal() {
+		if ( journal.hasFailures() ) {
+			logProcess( 'Some steps of the release failed. They can be retried using the "resume" option.' );
+			logProcess( `The release journal has been saved in "${ chalk.underline( journalFile ) }".` );
+
+			return;
+		}
+
+		journal.remove();
+	}
+
 	// Checks whether to a user is logged to npm.
 	//
 	// @returns {Promise}
@@ -249,7 +335,9 @@ module.exports = function releaseSubRepositories( options ) {
 			const packageJson = getPackageJson( repositoryPath );
 			const releaseDetails = {
 				version: packageJson.version,
-				changes: getChangesForVersion( packageJson.version, repositoryPath )
+				changes: getChangesForVersion( packageJson.version, repositoryPath ),
+				isPreRelease: Boolean( semver.prerelease( packageJson.version ) ),
+				npmTag: getNpmTag( packageJson.version )
 			};
 
 			packages.set( packageJson.name, releaseDetails );
@@ -286,7 +374,15 @@ module.exports = function releaseSubRepositories( options ) {
 
 			log.info( `\nChecking "${ chalk.underline( packageJson.name ) }"...` );
 
-			const npmVersion = getVersionFromNpm( packageJson.name );
+			if ( journal.hasCompleted( packageJson.name, releaseDetails.version, npmStep ) ) {
+				log.info( '❌  Already released (according to the release journal).' );
+
+				releaseDetails.shouldReleaseOnNpm = false;
+
+				return Promise.resolve();
+			}
+
+			const npmVersion = getVersionFromNpm( packageJson.name, releaseDetails.npmTag );
 
 			logDryRun( `Versions: package.json: "${ releaseDetails.version }", npm: "${ npmVersion || 'initial release' }".` );
 
@@ -304,12 +400,16 @@ module.exports = function releaseSubRepositories( options ) {
 			return Promise.resolve();
 		} );
 
-		// Checks whether specified `packageName` has been published on npm.
+		// Checks whether specified `packageName` has been published on npm under the `npmTag` dist-tag.
 		// If so, returns its version. Otherwise returns `null` which means that
-		// this package will be published for the first time.
-		function getVersionFromNpm( packageName ) {
+		// this package will be published for the first time (under the tag).
+		function getVersionFromNpm( packageName, npmTag ) {
 			try {
-				return exec( `npm show ${ packageName } version` ).trim();
+				if ( npmTag === 'latest' ) {
+					return exec( `npm show ${ packageName } version` ).trim();
+				}
+
+				return exec( `npm show ${ packageName } dist-tags.${ npmTag }` ).trim() || null;
 			} catch ( err ) {
 				const errorAsArray = err.message.split( '\n' ).slice( 0, 2 );
 
@@ -344,7 +444,15 @@ module.exports = function releaseSubRepositories( options ) {
 
 			log.info( `\nChecking "${ chalk.underline( packageJson.name ) }"...` );
 
-			return getLastRelease( releaseDetails.repositoryOwner, releaseDetails.repositoryName )
+			if ( journal.hasCompleted( packageJson.name, releaseDetails.version, 'released' ) ) {
+				log.info( '❌  Already released (according to the release journal).' );
+
+				releaseDetails.shouldReleaseOnGithub = false;
+
+				return Promise.resolve();
+			}
+
+			return getLastRelease( releaseDetails )
 				.then( ( { data } ) => {
 					// It can be `null` if there is no releases on GitHub.
 					let githubVersion = data.tag_name;
@@ -373,16 +481,23 @@ module.exports = function releaseSubRepositories( options ) {
 				} );
 		} );
 
-		function getLastRelease( repositoryOwner, repositoryName ) {
+		function getLastRelease( releaseDetails ) {
 			const requestParams = {
-				owner: repositoryOwner,
-				repo: repositoryName
+				owner: releaseDetails.repositoryOwner,
+				repo: releaseDetails.repositoryName
 			};
 
-			return github.repos.getLatestRelease( requestParams )
+			// The "latest release" does not include pre-releases. Hence, for a pre-release version,
+			// the release is looked up by its tag.
+			const request = releaseDetails.isPreRelease ?
+				github.repos.getReleaseByTag( Object.assign( { tag: `v${ releaseDetails.version }` }, requestParams ) ) :
+				github.repos.getLatestRelease( requestParams );
+
+			return request
 				.catch( err => {
 					// If the "last release" returned the 404 error page, it means that this release
 					// will be the first one for specified `repositoryOwner/repositoryName` package.
+					// For a pre-release version, it means that the release has not been created yet.
 					if ( err.status == 404 ) {
 						return Promise.resolve( {
 							data: {
@@ -403,12 +518,17 @@ module.exports = function releaseSubRepositories( options ) {
 	function confirmRelease() {
 		// No packages for releasing...
 		if ( !releasesOnNpm.size && !releasesOnGithub.size ) {
+			// ...because the previous release completed all steps, but it broke before removing the journal.
+			if ( journal.isResumed && !journal.hasFailures() ) {
+				throw new Error( RESUMED_RELEASE_COMPLETED_MESSAGE );
+			}
+
 			throw new Error( NO_RELEASE_MESSAGE );
 		}
 
 		logProcess( 'Should we continue?' );
 
-		return cli.confirmPublishing( packages )
+		return cli.confirmPublishing( packages, { autoConfirm: releaseConfig.autoConfirm } )
 			.then( isConfirmed => {
 				if ( !isConfirmed ) {
 					throw new Error( BREAK_RELEASE_MESSAGE );
@@ -500,29 +620,44 @@ module.exports = function releaseSubRepositories( options ) {
 			process.chdir( repositoryPath );
 
 			const packageJson = getPackageJson( repositoryPath );
+			const releaseDetails = packages.get( packageJson.name );
 
 			log.info( `\nPublishing "${ chalk.underline( packageJson.name ) }" as "v${ packageJson.version }"...` );
 			logDryRun( 'Do not panic. DRY RUN mode is active. An archive with the release will be created instead.' );
 
 			const repositoryRealPath = emptyReleasesOnNpm.get( repositoryPath ) || repositoryPath;
 
-			if ( dryRun ) {
-				const archiveName = packageJson.name.replace( '@', '' ).replace( '/', '-' ) + `-${ packageJson.version }.tgz`;
+			try {
+				if ( dryRun ) {
+					const archiveName = packageJson.name.replace( '@', '' ).replace( '/', '-' ) + `-${ packageJson.version }.tgz`;
+
+					exec( 'npm pack' );
 
-				exec( 'npm pack' );
+					// Move created archive from temporary directory because the directory will be removed automatically.
+					if ( emptyReleasesOnNpm.has( repositoryPath ) ) {
+						exec( `mv ${ path.join( repositoryPath, archiveName ) } ${ path.resolve( repositoryRealPath ) }` );
+					}
+
+					// Mark created archive as a file to remove.
+					filesToRemove.add( path.join( repositoryRealPath, archiveName ) );
+				} else {
+					const tagOption = releaseDetails.npmTag !== 'latest' ? ` --tag ${ releaseDetails.npmTag }` : '';
 
-				// Move created archive from temporary directory because the directory will be removed automatically.
-				if ( emptyReleasesOnNpm.has( repositoryPath ) ) {
-					exec( `mv ${ path.join( repositoryPath, archiveName ) } ${ path.resolve( repositoryRealPath ) }` );
+					exec( `npm publish --access=public${ tagOption }` );
 				}
+			} catch ( err ) {
+				journal.markFailed( packageJson.name, packageJson.version, npmStep, err );
 
-				// Mark created archive as a file to remove.
-				filesToRemove.add( path.join( repositoryRealPath, archiveName ) );
-			} else {
-				exec( 'npm publish --access=public' );
+				throw err;
 			}
 
+			journal.markCompleted( packageJson.name, packageJson.version, npmStep );
 			releasedPackages.add( repositoryRealPath );
+			summary.npm.push( {
+				name: packageJson.name,
+				version: packageJson.version,
+				tag: releaseDetails.npmTag
+			} );
 		} );
 	}
 
@@ -541,12 +676,31 @@ module.exports = function releaseSubRepositories( options ) {
 
 			log.info( `\nPushing "${ chalk.underline( packageJson.name ) }" package...` );
 
+			if ( journal.hasCompleted( packageJson.name, releaseDetails.version, 'pushed' ) ) {
+				log.info( 'Already pushed (according to the release journal). Skipping that package.' );
+
+				return Promise.resolve();
+			}
+
 			if ( dryRun ) {
 				logDryRun( `Command: "git push origin master v${ releaseDetails.version }" would be executed.` );
 			} else {
-				exec( `git push origin master v${ releaseDetails.version }` );
+				try {
+					exec( `git push origin master v${ releaseDetails.version }` );
+				} catch ( err ) {
+					journal.markFailed( packageJson.name, releaseDetails.version, 'pushed', err );
+
+					throw err;
+				}
 			}
 
+			journal.markCompleted( packageJson.name, releaseDetails.version, 'pushed' );
+
+			summary.pushed.push( {
+				name: packageJson.name,
+				tag: `v${ releaseDetails.version }`
+			} );
+
 			return Promise.resolve();
 		} );
 	}
@@ -575,6 +729,9 @@ module.exports = function releaseSubRepositories( options ) {
 			logDryRun( `Created release will be available under: ${ chalk.underline( url ) }` );
 
 			if ( dryRun ) {
+				journal.markCompleted( packageJson.name, releaseDetails.version, 'released' );
+				summary.github.push( { name: packageJson.name, version: releaseDetails.version, url } );
+
 				return Promise.resolve();
 			}
 
@@ -582,19 +739,24 @@ module.exports = function releaseSubRepositories( options ) {
 				repositoryOwner: releaseDetails.repositoryOwner,
 				repositoryName: releaseDetails.repositoryName,
 				version: `v${ releaseDetails.version }`,
-				description: releaseDetails.changes
+				description: releaseDetails.changes,
+				isPreRelease: releaseDetails.isPreRelease
 			};
 
 			return createGithubRelease( releaseOptions.token, githubReleaseOptions )
 				.then(
 					() => {
+						journal.markCompleted( packageJson.name, releaseDetails.version, 'released' );
 						releasedPackages.add( repositoryPath );
+						summary.github.push( { name: packageJson.name, version: releaseDetails.version, url } );
 
 						log.info( `Created the release: ${ chalk.green( url ) }` );
 
 						return Promise.resolve();
 					},
 					err => {
+						journal.markFailed( packageJson.name, releaseDetails.version, 'released', err );
+
 						log.info( 'Cannot create a release on GitHub. Skipping that package.' );
 						log.error( err );
 
@@ -632,7 +794,7 @@ module.exports = function releaseSubRepositories( options ) {
 
 		logProcess( 'Removing archives created by "npm pack" command...' );
 
-		return cli.confirmRemovingFiles()
+		return cli.confirmRemovingFiles( { autoConfirm: releaseConfig.autoConfirm } )
 			.then( shouldRemove => {
 				process.chdir( cwd );
 
@@ -649,6 +811,24 @@ module.exports = function releaseSubRepositories( options ) {
 			} );
 	}
 
+	// Returns the dist-tag under which the specified version should be published on NPM.
+	//
+	// @param {String} version
+	// @returns {String}
+	function getNpmTag( version ) {
+		if ( options.npmTag ) {
+			return options.npmTag;
+		}
+
+		const preRelease = semver.prerelease( version );
+
+		if ( !preRelease ) {
+			return 'latest';
+		}
+
+		return typeof preRelease[ 0 ] === 'string' ? preRelease[ 0 ] : 'next';
+	}
+
 	function exec( command ) {
 		if ( dryRun ) {
 			log.info( `⚠️  ${ chalk.grey( 'Execute:' ) } "${ chalk.cyan( command ) }" in "${ chalk.grey.italic( process.cwd() ) }".` );
@@ -667,3 +847,15 @@ module.exports = function releaseSubRepositories( options ) {
 		}
 	}
 };
+
+/**
+ * @typedef {Object} ReleaseSummary
+ *
+ * @property {Boolean} dryRun Whether the task was called in the DRY RUN mode (nothing was published).
+ *
+ * @property {Array.<Object>} npm Packages published on NPM. Each item contains the `name`, `version` and `tag` (dist-tag) properties.
+ *
+ * @property {Array.<Object>} pushed Packages pushed to the remote. Each item contains the `name` and `tag` properties.
+ *
+ * @property {Array.<Object>} github Releases created on GitHub. Each item contains the `name`, `version` and `url` properties.
+ */
@@ -8,6 +8,7 @@
 const inquirer = require( 'inquirer' );
 const semver = require( 'semver' );
 const chalk = require( 'chalk' );
+const versions = require( './versions' );
 
 const QUESTION_MARK = chalk.cyan( '?' );
 
@@ -28,9 +29,15 @@ const cli = {
 	 * Asks a user for a confirmation for updating and tagging versions of the packages.
 	 *
 	 * @param {Map} packages Packages to release.
+	 * @param {Object} [options={}]
+	 * @param {Boolean} [options.autoConfirm=false] If set on true, the question will not be asked and the update will be confirmed.
 	 * @returns {Promise.<Boolean>}
 	 */
-	confirmUpdatingVersions( packages ) {
+	confirmUpdatingVersions( packages, options = {} ) {
+		if ( options.autoConfirm ) {
+			return Promise.resolve( true );
+		}
+
 		let message = 'Packages and their old and new versions:\n';
 
 		for ( const packageName of Array.from( packages.keys() ).sort() ) {
@@ -56,9 +63,15 @@ const cli = {
 	 * Asks a user for a confirmation for publishing changes.
 	 *
 	 * @param {Map} packages Packages to release.
+	 * @param {Object} [options={}]
+	 * @param {Boolean} [options.autoConfirm=false] If set on true, the question will not be asked and publishing will be confirmed.
 	 * @returns {Promise.<Boolean>}
 	 */
-	confirmPublishing( packages ) {
+	confirmPublishing( packages, options = {} ) {
+		if ( options.autoConfirm ) {
+			return Promise.resolve( true );
+		}
+
 		let message = 'Services where the release will be created:\n';
 
 		for ( const packageName of Array.from( packages.keys() ).sort() ) {
@@ -69,7 +82,9 @@ const cli = {
 			const services = [];
 
 			if ( packageDetails.shouldReleaseOnNpm ) {
-				services.push( 'NPM' );
+				const isLatestTag = !packageDetails.npmTag || packageDetails.npmTag === 'latest';
+
+				services.push( isLatestTag ? 'NPM' : `NPM (tag: ${ packageDetails.npmTag })` );
 			}
 
 			if ( packageDetails.shouldReleaseOnGithub ) {
@@ -105,9 +120,15 @@ const cli = {
 	/**
 	 * Asks a user for a confirmation for removing archives created by `npm pack` command.
 	 *
+	 * @param {Object} [options={}]
+	 * @param {Boolean} [options.autoConfirm=false] If set on true, the question will not be asked and archives will be removed.
 	 * @returns {Promise.<Boolean>}
 	 */
-	confirmRemovingFiles() {
+	confirmRemovingFiles( options = {} ) {
+		if ( options.autoConfirm ) {
+			return Promise.resolve( true );
+		}
+
 		const confirmQuestion = {
 			message: 'Remove created archives?',
 			type: 'confirm',
@@ -127,12 +148,31 @@ const cli = {
 	 * @param {Object} [options]
 	 * @param {Boolean} [options.disableInternalVersion=false] Whether to "internal" version is enabled.
 	 * @param {Number} [options.indentLevel=0] The indent level.
+	 * @param {String|null} [options.preReleaseId=null] If specified (e.g. "alpha", "beta" or "rc"), a pre-release version
+	 * will be suggested, e.g. "20.0.0-beta.1" for the "major" bump of "19.2.0" or "20.0.0-beta.2" for "20.0.0-beta.1".
+	 * @param {String|null} [options.versionStrategy=null] If specified, the question will not be asked. "suggested" returns
+	 * the suggested version. A version (e.g. "20.0.0") is returned unless "skip" or "internal" is suggested. It must be higher
+	 * than the current version of the package.
 	 * @returns {Promise.<String>}
 	 */
 	provideVersion( packageVersion, releaseTypeOrNewVersion, options = {} ) {
 		const indentLevel = options.indentLevel || 0;
 		const suggestedVersion = getSuggestedVersion();
 
+		if ( options.versionStrategy ) {
+			if ( options.versionStrategy === 'suggested' || suggestedVersion === 'skip' || suggestedVersion === 'internal' ) {
+				return Promise.resolve( suggestedVersion );
+			}
+
+			if ( !semver.valid( options.versionStrategy ) || !semver.gt( options.versionStrategy, packageVersion ) ) {
+				return Promise.reject( new Error(
+					`The new version ("${ options.versionStrategy }") must be higher than the current version ("${ packageVersion }").`
+				) );
+			}
+
+			return Promise.resolve( options.versionStrategy );
+		}
+
 		let message = 'Type the new version, "skip" or "internal"';
 
 		if ( options.disableInternalVersion ) {
@@ -179,13 +219,17 @@ const cli = {
 				return options.disableInternalVersion ? 'skip' : 'internal';
 			}
 
-			if ( semver.prerelease( packageVersion ) ) {
+			if ( semver.prerelease( packageVersion ) && !options.preReleaseId ) {
 				releaseTypeOrNewVersion = 'prerelease';
 			}
 
 			// If package's version is below the '1.0.0', bump the 'minor' instead of 'major'
 			if ( releaseTypeOrNewVersion === 'major' && semver.gt( '1.0.0', packageVersion ) ) {
-				return semver.inc( packageVersion, 'minor' );
+				releaseTypeOrNewVersion = 'minor';
+			}
+
+			if ( options.preReleaseId ) {
+				return versions.getNextPreRelease( packageVersion, releaseTypeOrNewVersion, options.preReleaseId );
 			}
 
 			return semver.inc( packageVersion, releaseTypeOrNewVersion );
@@ -199,12 +243,32 @@ const cli = {
 	 * @param {String} foundPackage
 	 * @param {Object} [options={}]
 	 * @param {Number} [options.indentLevel=0] The indent level.
+	 * @param {String|null} [options.preReleaseId=null] If specified (e.g. "beta"), a pre-release of the next major version
+	 * will be suggested.
+	 * @param {String|null} [options.versionStrategy=null] If specified, the question will not be asked. "suggested" returns
+	 * the suggested version. Otherwise, the specified version is returned if it is higher than the current highest version.
 	 * @returns {Promise.<String>}
 	 */
 	provideNewMajorReleaseVersion( version, foundPackage, options = {} ) {
-		const newVersion = semver.inc( version, 'major' );
+		const newVersion = options.preReleaseId ?
+			versions.getNextPreRelease( version, 'major', options.preReleaseId ) :
+			semver.inc( version, 'major' );
 		const indentLevel = options.indentLevel || 0;
 
+		if ( options.versionStrategy === 'suggested' ) {
+			return Promise.resolve( newVersion );
+		}
+
+		if ( options.versionStrategy ) {
+			if ( !semver.valid( options.versionStrategy ) || !semver.gt( options.versionStrategy, version ) ) {
+				return Promise.reject( new Error(
+					`The new version ("${ options.versionStrategy }") must be higher than "${ version }" found in "${ foundPackage }".`
+				) );
+			}
+
+			return Promise.resolve( options.versionStrategy );
+		}
+
 		const versionQuestion = {
 			type: 'input',
 			name: 'version',
@@ -233,9 +297,24 @@ const cli = {
 	/**
 	 * Asks a user for providing the GitHub token.
 	 *
+	 * @param {Object} [options={}]
+	 * @param {String|null} [options.tokenVariable=null] If specified, the question will not be asked and the token will be read
+	 * from the environment variable.
 	 * @returns {Promise.<String>}
 	 */
-	provideToken() {
+	provideToken( options = {} ) {
+		if ( options.tokenVariable ) {
+			const token = process.env[ options.tokenVariable ];
+
+			if ( !token ) {
+				return Promise.reject( new Error(
+					`The GitHub token must be provided as the "${ options.tokenVariable }" environment variable.`
+				) );
+			}
+
+			return Promise.resolve( token );
+		}
+
 		const tokenQuestion = {
 			type: 'password',
 			name: 'token',
@@ -254,9 +333,14 @@ const cli = {
 	 *
 	 * If the user choices a GitHub, required token also has to be provided.
 	 *
+	 * @param {Object} [releaseConfig={}]
+	 * @param {Array.<String>} [releaseConfig.services] If specified, the question will not be asked and packages will be released
+	 * in the specified services ("npm" and/or "GitHub").
+	 * @param {String} [releaseConfig.tokenVariable] The name of the environment variable that contains the GitHub token.
+	 * See `cli.provideToken()`.
 	 * @returns {Promise.<Object>}
 	 */
-	configureReleaseOptions() {
+	configureReleaseOptions( releaseConfig = {} ) {
 		const options = {};
 
 		const servicesQuestion = {
@@ -273,7 +357,11 @@ const cli = {
 			]
 		};
 
-		return inquirer.prompt( [ servicesQuestion ] )
+		const servicesPromise = releaseConfig.services ?
+			Promise.resolve( { services: releaseConfig.services } ) :
+			inquirer.prompt( [ servicesQuestion ] );
+
+		return servicesPromise
 			.then( answers => {
 				options.npm = answers.services.includes( 'npm' );
 				options.github = answers.services.includes( 'GitHub' );
@@ -282,7 +370,7 @@ const cli = {
 					return options;
 				}
 
-				return cli.provideToken()
+				return cli.provideToken( { tokenVariable: releaseConfig.tokenVariable } )
 					.then( token => {
 						options.token = token;
 
@@ -297,9 +385,15 @@ const cli = {
 	 * @param {Boolean} haveMajorBreakingChangeCommits Whether the answer for the question should be "Yes".
 	 * @param {Object} [options={}]
 	 * @param {Number} [options.indentLevel=0] The indent level.
+	 * @param {Boolean} [options.autoConfirm=false] If set on true, the question will not be asked
+	 * and `haveMajorBreakingChangeCommits` will be returned.
 	 * @returns {Promise.<Boolean>}
 	 */
 	confirmMajorBreakingChangeRelease( haveMajorBreakingChangeCommits, options = {} ) {
+		if ( options.autoConfirm ) {
+			return Promise.resolve( haveMajorBreakingChangeCommits );
+		}
+
 		const indentLevel = options.indentLevel || 0;
 		const confirmQuestion = {
 			message: [
@@ -0,0 +1,178 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const fs = require( 'fs' );
+
+/**
+ * Creates a journal of the release. The journal stores steps completed for each package ("packed", "published", "pushed"
+ * and "released") and the step that failed. It is saved in the file after every change, so if the release breaks,
+ * the file describes what has already been done and the next release can be resumed.
+ *
+ * The journal file has the following structure:
+ *
+ *		{
+ *			"dryRun": false,
+ *			"packages": {
+ *				"@ckeditor/ckeditor5-engine": {
+ *					"version": "20.0.0",
+ *					"steps": [ "published", "pushed" ],
+ *					"failedStep": "released",
+ *					"error": "Bad credentials"
+ *				}
+ *			}
+ *		}
+ *
+ * Steps completed for a package are taken into account only if the package is released in the same version.
+ *
+ * In the DRY RUN mode, the journal is kept in memory only, so the file of a real release is neither created nor modified.
+ * Journal files created in the DRY RUN mode by older versions of the tool are not used by a real release.
+ *
+ * @param {Object} options
+ * @param {String} options.journalFile A path to the journal file.
+ * @param {Boolean} [options.resume=false] Whether to read steps completed by the previous release from the journal file.
+ * If not set, a new journal is created.
+ * @param {Boolean} [options.dryRun=false] Whether the release is called in the DRY RUN mode.
+ * @returns {ReleaseJournal}
+ */
+module.exports = function createReleaseJournal( { journalFile, resume = false, dryRun = false } ) {
+	const journal = {
+		dryRun,
+		packages: readPackages()
+	};
+
+	return {
+		/**
+		 * Whether the previous release has been resumed, i.e. the journal file contained steps of the previous release.
+		 *
+		 * @type {Boolean}
+		 */
+		isResumed: Object.keys( journal.packages ).length > 0,
+
+		/**
+		 * Checks whether the step has been completed for the package in the specified version.
+		 *
+		 * @param {String} packageName
+		 * @param {String} version
+		 * @param {String} step
+		 * @returns {Boolean}
+		 */
+		hasCompleted( packageName, version, step ) {
+			const packageEntry = journal.packages[ packageName ];
+
+			return Boolean( packageEntry && packageEntry.version === version && packageEntry.steps.includes( step ) );
+		},
+
+		/**
+		 * Marks the step as completed and saves the journal.
+		 *
+		 * @param {String} packageName
+		 * @param {String} version
+		 * @param {String} step
+		 */
+		markCompleted( packageName, version, step ) {
+			const packageEntry = getPackageEntry( packageName, version );
+
+			if ( !packageEntry.steps.includes( step ) ) {
+				packageEntry.steps.push( step );
+			}
+
+			if ( packageEntry.failedStep === step ) {
+				delete packageEntry.failedStep;
+				delete packageEntry.error;
+			}
+
+			save();
+		},
+
+		/**
+		 * Marks the step as failed and saves the journal.
+		 *
+		 * @param {String} packageName
+		 * @param {String} version
+		 * @param {String} step
+		 * @param {Error|String} error
+		 */
+		markFailed( packageName, version, step, error ) {
+			const packageEntry = getPackageEntry( packageName, version );
+
+			packageEntry.failedStep = step;
+			packageEntry.error = error instanceof Error ? error.message : String( error );
+
+			save();
+		},
+
+		/**
+		 * Checks whether any step of the release has failed.
+		 *
+		 * @returns {Boolean}
+		 */
+		hasFailures() {
+			return Object.values( journal.packages ).some( packageEntry => Boolean( packageEntry.failedStep ) );
+		},
+
+		/**
+		 * Removes the journal file, e.g. when the release has been completed and there is nothing to resume.
+		 */
+		remove() {
+			if ( !dryRun && fs.existsSync( journalFile ) ) {
+				fs.unlinkSync( journalFile );
+			}
+		}
+	};
+
+	// Returns packages saved in the journal file if the release should be resumed. The DRY RUN mode never resumes
+	// because nothing has been published.
+	//
+	// @returns {Object}
+	function readPackages() {
+		if ( !resume || dryRun || !fs.existsSync( journalFile ) ) {
+			return {};
+		}
+
+		const previousJournal = JSON.parse( fs.readFileSync( journalFile, 'utf-8' ) );
+
+		if ( Boolean( previousJournal.dryRun ) !== dryRun ) {
+			return {};
+		}
+
+		return previousJournal.packages || {};
+	}
+
+	// Returns the journal entry for the package. Steps saved for other versions of the package are discarded.
+	//
+	// @param {String} packageName
+	// @param {String} version
+	// @returns {Object}
+	function getPackageEntry( packageName, version ) {
+		const packageEntry = journal.packages[ packageName ];
+
+		if ( !packageEntry || packageEntry.version !== version ) {
+			journal.packages[ packageName ] = { version, steps: [] };
+		}
+
+		return journal.packages[ packageName ];
+	}
+
+	function save() {
+		if ( dryRun ) {
+			return;
+		}
+
+		fs.writeFileSync( journalFile, JSON.stringify( journal, null, 2 ) + '\n', 'utf-8' );
+	}
+};
+
+/**
+ * @typedef {Object} ReleaseJournal
+ *
+ * @property {Boolean} isResumed Whether the journal contains steps of the previous release.
+ * @property {Function} hasCompleted Checks whether the step (`packageName`, `version`, `step`) has been completed.
+ * @property {Function} markCompleted Marks the step (`packageName`, `version`, `step`) as completed.
+ * @property {Function} markFailed Marks the step (`packageName`, `version`, `step`, `error`) as failed.
+ * @property {Function} hasFailures Checks whether any step has failed.
+ * @property {Function} remove Removes the journal file.
+ */
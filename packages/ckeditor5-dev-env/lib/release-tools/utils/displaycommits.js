@@ -15,12 +15,16 @@ const { INDENT_SIZE, COMMIT_INDENT_SIZE } = require( './cli' );
  * @param {Object} [options={}]
  * @param {Boolean} [options.attachLinkToCommit=false] Whether to attach a link to parsed commit.
  * @param {Number} [options.indentLevel=1] The indent level.
+ * @param {Array.<CommitTypeDefinition>|String} [options.commitTypes] Definitions of the commit types or a path to a file
+ * that exports them. See `transformCommitUtils#getCommitTypesConfig()`.
+ * @param {String} [options.commitConvention='ckeditor'] The commit message convention which defines the default commit types.
  */
 module.exports = function displayCommits( commits, options = {} ) {
 	const log = logger();
 
 	const attachLinkToCommit = options.attachLinkToCommit || false;
 	const indentLevel = options.indentLevel || 1;
+	const { availableCommitTypes } = utils.getCommitTypesConfig( options.commitTypes, options.commitConvention );
 
 	const listIndent = ' '.repeat( INDENT_SIZE * indentLevel );
 	const listEntriesIndent = ' '.repeat( INDENT_SIZE * indentLevel + COMMIT_INDENT_SIZE );
@@ -30,8 +34,8 @@ module.exports = function displayCommits( commits, options = {} ) {
 	}
 
 	for ( const singleCommit of commits ) {
-		const hasCorrectType = utils.availableCommitTypes.has( singleCommit.rawType );
-		const isCommitIncluded = utils.availableCommitTypes.get( singleCommit.rawType );
+		const hasCorrectType = availableCommitTypes.has( singleCommit.rawType );
+		const isCommitIncluded = availableCommitTypes.get( singleCommit.rawType );
 
 		let logMessage = `${ listIndent }* ${ chalk.yellow( singleCommit.hash ) } "${ utils.truncate( singleCommit.header, 100 ) }" `;
 
@@ -6,12 +6,13 @@
 'use strict';
 
 const fs = require( 'fs' );
+const semver = require( 'semver' );
 const conventionalChangelog = require( 'conventional-changelog' );
 const changelogUtils = require( './changelog' );
 const getWriterOptions = require( './transform-commit/getwriteroptions' );
-const parserOptions = require( './transform-commit/parser-options' );
+const getParserOptions = require( './transform-commit/getparseroptions' );
 const { stream, logger } = require( '@ckeditor/ckeditor5-dev-utils' );
-const { additionalCommitNotes } = require( './transform-commit/transform-commit-utils' );
+const { getCommitTypesConfig } = require( './transform-commit/transform-commit-utils' );
 const cli = require( './cli' );
 
 const UPDATED_TRANSLATION_COMMIT = '* Updated translations.';
@@ -21,7 +22,8 @@ const UPDATED_TRANSLATION_COMMIT = '* Updated translations.';
  * it in the changelog file.
  *
  * @param {Object} options
- * @param {String} options.version A version for generated changelog.
+ * @param {String} options.version A version for generated changelog. The header of a pre-release version (e.g. "20.0.0-beta.1")
+ * is marked as "(pre-release)".
  * @param {Function} options.transformCommit A function which transforms commits.
  * @param {String|null} options.tagName Name of the last created tag for the repository.
  * @param {String} options.newTagName Name of the tag for current version.
@@ -30,6 +32,10 @@ const UPDATED_TRANSLATION_COMMIT = '* Updated translations.';
  * instead of saved in CHANGELOG file.
  * @param {Boolean} [options.additionalNotes=false] If set on `true, each category will contain additional description.
  * See: `/packages/ckeditor5-dev-env/lib/release-tools/utils/transform-commit/transform-commit-utils.js#additionalCommitNotes`
+ * @param {Array.<CommitTypeDefinition>|String} [options.commitTypes] Definitions of the commit types or a path to a file
+ * that exports them. They define the order of sections and their additional descriptions.
+ * @param {String} [options.commitConvention='ckeditor'] The commit message convention ("ckeditor" or "conventional").
+ * See `getParserOptions()`.
  * @param {Boolean} [options.skipLinks=false] If set on true, links to release or commits will be omitted.
  * @param {Number} [options.indentLevel=0] The indent level. This function could be used inside another (bigger) script. If we would like to
  * display indents logs, we need to increase/decrease indent level manually.
@@ -52,13 +58,14 @@ module.exports = function generateChangelogFromCommits( options ) {
 			currentTag: options.newTagName,
 			previousTag: options.tagName,
 			isInternalRelease: Boolean( options.isInternalRelease ),
+			isPreRelease: Boolean( semver.prerelease( options.version ) ),
 			additionalNotes: {},
 			skipCommitsLink: Boolean( options.skipLinks ),
 			skipCompareLink: Boolean( options.skipLinks )
 		};
 
 		if ( options.additionalNotes ) {
-			context.additionalNotes = additionalCommitNotes;
+			context.additionalNotes = getCommitTypesConfig( options.commitTypes, options.commitConvention ).additionalCommitNotes;
 		}
 
 		const gitRawCommitsOpts = {
@@ -67,7 +74,8 @@ module.exports = function generateChangelogFromCommits( options ) {
 			firstParent: true
 		};
 
-		const writerOptions = getWriterOptions( options.transformCommit );
+		const parserOptions = getParserOptions( options.commitConvention );
+		const writerOptions = getWriterOptions( options.transformCommit, options.commitTypes, options.commitConvention );
 
 		/* istanbul ignore next */
 		if ( process.env.DEBUG ) {
@@ -9,8 +9,8 @@ const conventionalCommitsParser = require( 'conventional-commits-parser' );
 const conventionalCommitsFilter = require( 'conventional-commits-filter' );
 const gitRawCommits = require( 'git-raw-commits' );
 const concat = require( 'concat-stream' );
-const parserOptions = require( './transform-commit/parser-options' );
-const { availableCommitTypes } = require( './transform-commit/transform-commit-utils' );
+const getParserOptions = require( './transform-commit/getparseroptions' );
+const { getCommitTypesConfig } = require( './transform-commit/transform-commit-utils' );
 const getPackageJson = require( './getpackagejson' );
 
 /**
@@ -23,9 +23,16 @@ const getPackageJson = require( './getpackagejson' );
  * @param {Function} transformCommit
  * @param {Object} options
  * @param {String|null} options.tagName Name of the last created tag for the repository.
+ * @param {Array.<CommitTypeDefinition>|String} [options.commitTypes] Definitions of the commit types or a path to a file
+ * that exports them. They define which commits are public and how they bump the version.
+ * @param {String} [options.commitConvention='ckeditor'] The commit message convention ("ckeditor" or "conventional").
+ * See `getParserOptions()`.
  * @returns {Promise.<Object>}
  */
 module.exports = function getNewReleaseType( transformCommit, options = {} ) {
+	const parserOptions = getParserOptions( options.commitConvention );
+	const { availableCommitTypes, releaseTypes } = getCommitTypesConfig( options.commitTypes, options.commitConvention );
+
 	const gitRawCommitsOpts = {
 		format: '%B%n-hash-%n%H',
 		from: options.tagName,
@@ -80,27 +87,34 @@ module.exports = function getNewReleaseType( transformCommit, options = {} ) {
 			return 'internal';
 		}
 
-		let newFeatures = false;
-		let minorBreakingChanges = false;
+		let minorBump = false;
 
 		for ( const commit of publicCommits ) {
 			for ( const note of commit.notes ) {
-				if ( note.title === 'MAJOR BREAKING CHANGES' ) {
+				// Without explicit breaking change groups (see `transformCommitForSubRepositoryFactory()`),
+				// all breaking changes are grouped as "BREAKING CHANGES".
+				if ( note.title === 'MAJOR BREAKING CHANGES' || note.title === 'BREAKING CHANGES' ) {
 					return 'major';
 				}
 
 				if ( note.title === 'MINOR BREAKING CHANGES' ) {
-					minorBreakingChanges = true;
+					minorBump = true;
 				}
 			}
 
-			if ( commit.rawType === 'Feature' ) {
-				newFeatures = true;
+			const commitReleaseType = releaseTypes.get( commit.rawType );
+
+			if ( commitReleaseType === 'major' ) {
+				return 'major';
+			}
+
+			if ( commitReleaseType === 'minor' ) {
+				minorBump = true;
 			}
 		}
 
-		// Repository has new features or minor breaking changes.
-		if ( minorBreakingChanges || newFeatures ) {
+		// Repository has new features (or other commits that bump the minor version) or minor breaking changes.
+		if ( minorBump ) {
 			return 'minor';
 		}
 
@@ -0,0 +1,68 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const path = require( 'path' );
+const semver = require( 'semver' );
+
+const AVAILABLE_SERVICES = [ 'npm', 'GitHub' ];
+
+const defaultReleaseConfig = {
+	versionStrategy: 'suggested',
+	autoConfirm: false,
+	services: AVAILABLE_SERVICES,
+	tokenVariable: 'GITHUB_TOKEN',
+	summaryFile: null
+};
+
+/**
+ * Returns the configuration of the non-interactive release. When the configuration is specified, the release tasks
+ * do not ask any question but use the answers defined in the configuration. Missing options are filled with the default values.
+ *
+ * If the configuration is not specified, an empty object is returned which means that the release is interactive.
+ *
+ * @param {ReleaseConfig|String|null} [releaseConfig] The configuration or a path (relative to the current working directory)
+ * to a JSON or JS file that exports it.
+ * @returns {ReleaseConfig|Object}
+ */
+module.exports = function getReleaseConfig( releaseConfig ) {
+	if ( !releaseConfig ) {
+		return {};
+	}
+
+	if ( typeof releaseConfig === 'string' ) {
+		releaseConfig = require( path.resolve( releaseConfig ) );
+	}
+
+	const config = Object.assign( {}, defaultReleaseConfig, releaseConfig );
+
+	if ( config.versionStrategy !== 'suggested' && !semver.valid( config.versionStrategy ) ) {
+		throw new Error( `The "versionStrategy" release option must be "suggested" or a valid version ("${ config.versionStrategy }").` );
+	}
+
+	if ( !Array.isArray( config.services ) || config.services.some( service => !AVAILABLE_SERVICES.includes( service ) ) ) {
+		throw new Error( 'The "services" release option must be an array containing "npm" and/or "GitHub".' );
+	}
+
+	return config;
+};
+
+/**
+ * @typedef {Object} ReleaseConfig
+ *
+ * @property {String} [versionStrategy='suggested'] How new versions are chosen: "suggested" uses versions suggested by the tool
+ * (based on commits). A version (e.g. "20.0.0") is used for all packages that will be released.
+ *
+ * @property {Boolean} [autoConfirm=false] Whether all confirmations (e.g. updating versions or publishing packages)
+ * should be accepted automatically.
+ *
+ * @property {Array.<String>} [services=[ 'npm', 'GitHub' ]] Services where packages will be released.
+ *
+ * @property {String} [tokenVariable='GITHUB_TOKEN'] The name of the environment variable that contains the GitHub token.
+ *
+ * @property {String|null} [summaryFile=null] A path to the JSON file where the summary of the release will be saved.
+ * Each task saves its summary under its own key, so a single file describes the whole release.
+ */
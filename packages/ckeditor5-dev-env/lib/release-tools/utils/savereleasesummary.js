@@ -0,0 +1,25 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const fs = require( 'fs' );
+const path = require( 'path' );
+
+/**
+ * Saves the summary of a release task in the JSON file. Summaries of other tasks saved in the file are preserved.
+ *
+ * @param {String} summaryFile A path to the summary file (relative to the current working directory).
+ * @param {String} taskName The key under which the summary will be saved, e.g. "bumpVersions".
+ * @param {Object} summary
+ */
+module.exports = function saveReleaseSummary( summaryFile, taskName, summary ) {
+	const summaryPath = path.resolve( summaryFile );
+	const releaseSummary = fs.existsSync( summaryPath ) ? JSON.parse( fs.readFileSync( summaryPath, 'utf-8' ) ) : {};
+
+	releaseSummary[ taskName ] = summary;
+
+	fs.writeFileSync( summaryPath, JSON.stringify( releaseSummary, null, 2 ) + '\n', 'utf-8' );
+};
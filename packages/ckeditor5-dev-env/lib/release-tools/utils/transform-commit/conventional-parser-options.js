@@ -0,0 +1,28 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+// Options for parsing commits that follow the Conventional Commits specification (https://www.conventionalcommits.org),
+// e.g. "feat(ui)!: Added the toolbar.".
+module.exports = {
+	mergePattern: /^Merge .*$/,
+	headerPattern: /^(\w*)(?:\(([^)]*)\))?!?: (.*)$/,
+	// The "!" marker is treated as the "BREAKING CHANGE" note which text is the subject of the commit.
+	breakingHeaderPattern: /^(\w*)(?:\(([^)]*)\))?!: (.*)$/,
+	headerCorrespondence: [
+		'type',
+		'scope',
+		'subject'
+	],
+	noteKeywords: [
+		'BREAKING CHANGES',
+		'BREAKING CHANGE',
+		'BREAKING-CHANGE' // An alias for "BREAKING CHANGE" allowed by the specification.
+	],
+	revertPattern: /^(?:Revert|revert:)\s"?([\s\S]+?)"?\s*This reverts commit (\w*)\./i,
+	revertCorrespondence: [ 'header', 'hash' ],
+	referenceActions: []
+};
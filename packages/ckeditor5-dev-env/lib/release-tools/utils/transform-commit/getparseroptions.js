@@ -0,0 +1,31 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const parserOptions = require( './parser-options' );
+const conventionalParserOptions = require( './conventional-parser-options' );
+
+/**
+ * Returns options for the commits parser which match to the commit message convention used in the repository:
+ *
+ *   - "ckeditor" – the CKEditor 5 convention, e.g. "Feature: Added the toolbar.",
+ *   - "conventional" – the Conventional Commits specification, e.g. "feat(ui)!: added the toolbar".
+ *
+ * @param {String} [commitConvention='ckeditor']
+ * @returns {Object}
+ */
+module.exports = function getParserOptions( commitConvention = 'ckeditor' ) {
+	switch ( commitConvention ) {
+		case 'ckeditor':
+			return parserOptions;
+
+		case 'conventional':
+			return conventionalParserOptions;
+
+		default:
+			throw new Error( `Given invalid commit convention ("${ commitConvention }").` );
+	}
+};
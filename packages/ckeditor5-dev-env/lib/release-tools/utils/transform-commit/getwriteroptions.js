@@ -8,13 +8,18 @@
 const fs = require( 'fs' );
 const path = require( 'path' );
 const templatePath = path.join( __dirname, '..', '..', 'templates' );
-const { typesOrder } = require( './transform-commit-utils' );
+const { getCommitTypesConfig } = require( './transform-commit-utils' );
 
 /**
  * @param {Function} transform
+ * @param {Array.<CommitTypeDefinition>|String} [commitTypes] Definitions of the commit types or a path to a file that exports them.
+ * Sections of the changelog are sorted according to them.
+ * @param {String} [commitConvention='ckeditor'] The commit message convention which defines the default commit types.
  * @returns {Object}
  */
-module.exports = function getWriterOptions( transform ) {
+module.exports = function getWriterOptions( transform, commitTypes, commitConvention ) {
+	const { typesOrder } = getCommitTypesConfig( commitTypes, commitConvention );
+
 	return {
 		transform,
 		groupBy: 'type',
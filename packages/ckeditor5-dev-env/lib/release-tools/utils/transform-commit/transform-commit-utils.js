@@ -5,46 +5,106 @@
 
 'use strict';
 
+const path = require( 'path' );
 const getPackageJson = require( '../getpackagejson' );
 
+const VALID_RELEASE_TYPES = [ 'major', 'minor', 'patch' ];
+
+/**
+ * Definitions of the commit types used by default. See `transformCommitUtils#getCommitTypesConfig()`.
+ */
+const defaultCommitTypes = [
+	{
+		type: 'Feature',
+		section: 'Features',
+		releaseType: 'minor',
+		additionalNote: 'Besides new features introduced by the dependencies, this version also introduces the following features:'
+	},
+	{
+		type: 'Fix',
+		aliases: [ 'Fixes', 'Fixed' ],
+		section: 'Bug fixes',
+		additionalNote: 'Besides changes in the dependencies, this version also contains the following bug fixes:'
+	},
+	{ type: 'Other', section: 'Other changes' },
+	{ type: 'Code style', visible: false },
+	{ type: 'Docs', visible: false },
+	{ type: 'Internal', visible: false },
+	{ type: 'Tests', visible: false },
+	{ type: 'Revert', visible: false },
+	{ type: 'Release', visible: false }
+];
+
+/**
+ * Definitions of the commit types used by default for commits that follow the Conventional Commits specification.
+ */
+const conventionalCommitTypes = [
+	{ type: 'feat', section: 'Features', releaseType: 'minor' },
+	{ type: 'fix', section: 'Bug fixes' },
+	{ type: 'perf', section: 'Performance improvements' },
+	{ type: 'revert', section: 'Reverts' },
+	{ type: 'docs', visible: false },
+	{ type: 'style', visible: false },
+	{ type: 'refactor', visible: false },
+	{ type: 'test', visible: false },
+	{ type: 'build', visible: false },
+	{ type: 'ci', visible: false },
+	{ type: 'chore', visible: false }
+];
+
+const defaultCommitTypesConfig = createCommitTypesConfig( defaultCommitTypes );
+const conventionalCommitTypesConfig = createCommitTypesConfig( conventionalCommitTypes );
+
 const transformCommitUtils = {
+	/**
+	 * Definitions of the commit types used when the `commitTypes` option is not specified.
+	 */
+	defaultCommitTypes,
+
+	/**
+	 * Definitions of the commit types used for the "conventional" commit convention when the `commitTypes` option is not specified.
+	 */
+	conventionalCommitTypes,
+
 	/**
 	 * Map of available types of the commits.
 	 * Types marked as `false` will be ignored during generating the changelog.
 	 */
-	availableCommitTypes: new Map( [
-		[ 'Fix', true ],
-		[ 'Fixes', true ],
-		[ 'Fixed', true ],
-		[ 'Feature', true ],
-		[ 'Other', true ],
-		[ 'Code style', false ],
-		[ 'Docs', false ],
-		[ 'Internal', false ],
-		[ 'Tests', false ],
-		[ 'Revert', false ],
-		[ 'Release', false ]
-	] ),
+	availableCommitTypes: defaultCommitTypesConfig.availableCommitTypes,
 
 	/**
 	 * Order of messages generated in changelog.
 	 */
-	typesOrder: {
-		'Features': 1,
-		'Bug fixes': 2,
-		'Other changes': 3,
-
-		'BREAKING CHANGES': 1,
-		'NOTE': 2
-	},
+	typesOrder: defaultCommitTypesConfig.typesOrder,
 
 	/**
 	 * Additional descriptions used in summary changelog generator. Keys of the object must match to values returned by
 	 * `transformCommitUtils#getCommitType()` function.
 	 */
-	additionalCommitNotes: {
-		'Bug fixes': 'Besides changes in the dependencies, this version also contains the following bug fixes:',
-		Features: 'Besides new features introduced by the dependencies, this version also introduces the following features:'
+	additionalCommitNotes: defaultCommitTypesConfig.additionalCommitNotes,
+
+	/**
+	 * Returns the configuration of commit types based on their definitions. The definitions can be specified
+	 * as an array of {@link CommitTypeDefinition} objects or as a path (resolved against the current working directory)
+	 * to a JSON or JS file which exports such array. If not specified, `transformCommitUtils#defaultCommitTypes`
+	 * (or `transformCommitUtils#conventionalCommitTypes` for the "conventional" commit convention) are used.
+	 *
+	 * Sections of the changelog are ordered the same as the definitions of visible types.
+	 *
+	 * @param {Array.<CommitTypeDefinition>|String} [commitTypes]
+	 * @param {String} [commitConvention='ckeditor'] The commit message convention. See `getParserOptions()`.
+	 * @returns {CommitTypesConfig}
+	 */
+	getCommitTypesConfig( commitTypes, commitConvention = 'ckeditor' ) {
+		if ( !commitTypes ) {
+			return commitConvention === 'conventional' ? conventionalCommitTypesConfig : defaultCommitTypesConfig;
+		}
+
+		if ( typeof commitTypes === 'string' ) {
+			commitTypes = require( path.resolve( commitTypes ) );
+		}
+
+		return createCommitTypesConfig( commitTypes );
 	},
 
 	/**
@@ -90,21 +150,7 @@ const transformCommitUtils = {
 	 * @returns {String}
 	 */
 	getCommitType( commitType ) {
-		switch ( commitType ) {
-			case 'Feature':
-				return 'Features';
-
-			case 'Fix':
-			case 'Fixes':
-			case 'Fixed':
-				return 'Bug fixes';
-
-			case 'Other':
-				return 'Other changes';
-
-			default:
-				throw new Error( `Given invalid type of commit ("${ commitType }").` );
-		}
+		return defaultCommitTypesConfig.getCommitType( commitType );
 	},
 
 	/**
@@ -149,3 +195,112 @@ const transformCommitUtils = {
 };
 
 module.exports = transformCommitUtils;
+
+// Validates definitions of the commit types and creates the configuration used by the release tools.
+//
+// @param {Array.<CommitTypeDefinition>} commitTypes
+// @returns {CommitTypesConfig}
+function createCommitTypesConfig( commitTypes ) {
+	if ( !Array.isArray( commitTypes ) ) {
+		throw new Error( 'Commit types must be defined as an array.' );
+	}
+
+	const availableCommitTypes = new Map();
+	const releaseTypes = new Map();
+	const sections = new Map();
+	const typesOrder = {};
+	const additionalCommitNotes = {};
+
+	for ( const definition of commitTypes ) {
+		const { type, aliases = [], section, visible = true, releaseType = 'patch', additionalNote } = definition;
+
+		if ( !type ) {
+			throw new Error( `The commit type definition must contain the "type" property (${ JSON.stringify( definition ) }).` );
+		}
+
+		for ( const rawType of [ type, ...aliases ] ) {
+			if ( availableCommitTypes.has( rawType ) ) {
+				throw new Error( `The "${ rawType }" commit type is defined more than once.` );
+			}
+
+			availableCommitTypes.set( rawType, visible );
+		}
+
+		if ( !visible ) {
+			continue;
+		}
+
+		if ( !section ) {
+			throw new Error( `The "${ type }" commit type must define the "section" property.` );
+		}
+
+		if ( !VALID_RELEASE_TYPES.includes( releaseType ) ) {
+			throw new Error( `The "${ type }" commit type defines invalid "releaseType" ("${ releaseType }").` );
+		}
+
+		for ( const rawType of [ type, ...aliases ] ) {
+			releaseTypes.set( rawType, releaseType );
+			sections.set( rawType, section );
+		}
+
+		if ( !typesOrder[ section ] ) {
+			typesOrder[ section ] = Object.keys( typesOrder ).length + 1;
+		}
+
+		if ( additionalNote ) {
+			additionalCommitNotes[ section ] = additionalNote;
+		}
+	}
+
+	// Notes are sorted separately from commits.
+	typesOrder[ 'BREAKING CHANGES' ] = 1;
+	typesOrder.NOTE = 2;
+
+	return {
+		availableCommitTypes,
+		releaseTypes,
+		typesOrder,
+		additionalCommitNotes,
+
+		getCommitType( commitType ) {
+			if ( !sections.has( commitType ) ) {
+				throw new Error( `Given invalid type of commit ("${ commitType }").` );
+			}
+
+			return sections.get( commitType );
+		}
+	};
+}
+
+/**
+ * @typedef {Object} CommitTypeDefinition
+ *
+ * @property {String} type Type of the commit, e.g. "Feature".
+ *
+ * @property {Array.<String>} [aliases=[]] Other types of commits that should be treated the same way, e.g. "Fixes" for "Fix".
+ *
+ * @property {String} [section] Title of the changelog section that lists commits of the type. Required for visible types.
+ *
+ * @property {Boolean} [visible=true] Whether commits of the type should be displayed in the changelog.
+ *
+ * @property {String} [releaseType='patch'] A version bump ("major", "minor" or "patch") caused by commits of the type.
+ * Commits of invisible types do not bump the version.
+ *
+ * @property {String} [additionalNote] A description added to the section in the summary changelog.
+ */
+
+/**
+ * @typedef {Object} CommitTypesConfig
+ *
+ * @property {Map.<String, Boolean>} availableCommitTypes Types of the commits. Types marked as `false` will be ignored
+ * during generating the changelog.
+ *
+ * @property {Map.<String, String>} releaseTypes Version bumps caused by visible types of the commits.
+ *
+ * @property {Object.<String, Number>} typesOrder Order of sections and notes in the changelog.
+ *
+ * @property {Object.<String, String>} additionalCommitNotes Additional descriptions of sections used in summary changelog generator.
+ *
+ * @property {Function} getCommitType Returns the section title for the given visible type of the commit.
+ * Throws an error for other types.
+ */
@@ -25,6 +25,9 @@ const getChangedFilesForCommit = require( './getchangedfilesforcommit' );
  *
  * @param {Object} [options={}]
  * @param {Boolean} [options.returnInvalidCommit=false] Whether an invalid commit should be returned.
+ * @param {Array.<CommitTypeDefinition>|String} [options.commitTypes] Definitions of the commit types or a path to a file
+ * that exports them. See `transformCommitUtils#getCommitTypesConfig()`.
+ * @param {String} [options.commitConvention='ckeditor'] The commit message convention ("ckeditor" or "conventional").
  * @returns {Function}
  */
 module.exports = function transformCommitForSubPackageFactory( options = {} ) {
@@ -71,7 +74,9 @@ module.exports = function transformCommitForSubPackageFactory( options = {} ) {
 		}
 
 		const transformCommitForSubRepository = transformCommitForSubRepositoryFactory( {
-			returnInvalidCommit: options.returnInvalidCommit
+			returnInvalidCommit: options.returnInvalidCommit,
+			commitTypes: options.commitTypes,
+			commitConvention: options.commitConvention
 		} );
 
 		return transformCommitForSubRepository( commit );
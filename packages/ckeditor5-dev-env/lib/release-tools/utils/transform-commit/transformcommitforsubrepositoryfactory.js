@@ -26,9 +26,15 @@ const utils = require( './transform-commit-utils' );
  * @param {Boolean} [options.useExplicitBreakingChangeGroups] If set on `true`, notes from parsed commits will be grouped as
  * "MINOR BREAKING CHANGES" and "MAJOR BREAKING CHANGES'. If set on `false` (by default), all breaking changes notes will be treated
  * as "BREAKING CHANGES".
+ * @param {Array.<CommitTypeDefinition>|String} [options.commitTypes] Definitions of the commit types or a path to a file
+ * that exports them. See `transformCommitUtils#getCommitTypesConfig()`.
+ * @param {String} [options.commitConvention='ckeditor'] The commit message convention ("ckeditor" or "conventional")
+ * which defines the default commit types. See `getParserOptions()`.
  * @returns {Function}
  */
 module.exports = function transformCommitForSubRepositoryFactory( options = {} ) {
+	const commitTypesConfig = utils.getCommitTypesConfig( options.commitTypes, options.commitConvention );
+
 	/**
 	 * @param {Commit} rawCommit
 	 * @returns {Commit|undefined}
@@ -41,8 +47,16 @@ module.exports = function transformCommitForSubRepositoryFactory( options = {} )
 			notes: rawCommit.notes.map( note => Object.assign( {}, note ) )
 		} );
 
+		// Commits created by `git revert` (e.g. 'Revert "feat: added the toolbar"') do not match the header pattern
+		// of the Conventional Commits specification, so their type is `null`. Treat them as the "revert" type
+		// and use the header of the reverted commit as the subject.
+		if ( options.commitConvention === 'conventional' && !commit.rawType && commit.revert ) {
+			commit.rawType = 'revert';
+			commit.subject = commit.revert.header;
+		}
+
 		// Whether the commit will be printed in the changelog.
-		const isCommitIncluded = utils.availableCommitTypes.get( commit.rawType );
+		const isCommitIncluded = commitTypesConfig.availableCommitTypes.get( commit.rawType );
 
 		// Our merge commit always contains two lines:
 		// Merge ...
@@ -79,8 +93,13 @@ module.exports = function transformCommitForSubRepositoryFactory( options = {} )
 			commit.subject += '.';
 		}
 
+		// The scope is specified only in commits that follow the Conventional Commits specification, e.g. "feat(ui): ...".
+		if ( commit.scope ) {
+			commit.subject = `**${ commit.scope }**: ${ commit.subject }`;
+		}
+
 		// The `type` below will be key for grouping commits.
-		commit.type = utils.getCommitType( commit.rawType );
+		commit.type = commitTypesConfig.getCommitType( commit.rawType );
 
 		if ( typeof commit.subject === 'string' ) {
 			commit.subject = makeLinks( commit.subject );
@@ -138,8 +157,8 @@ module.exports = function transformCommitForSubRepositoryFactory( options = {} )
 
 	function normalizeNotes( commit ) {
 		for ( const note of commit.notes ) {
-			// "BREAKING CHANGE" => "BREAKING CHANGES"
-			if ( note.title === 'BREAKING CHANGE' ) {
+			// "BREAKING CHANGE" or "BREAKING-CHANGE" => "BREAKING CHANGES"
+			if ( note.title === 'BREAKING CHANGE' || note.title === 'BREAKING-CHANGE' ) {
 				note.title = 'BREAKING CHANGES';
 			}
 
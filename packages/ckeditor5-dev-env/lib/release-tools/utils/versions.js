@@ -5,6 +5,7 @@
 
 'use strict';
 
+const semver = require( 'semver' );
 const { tools } = require( '@ckeditor/ckeditor5-dev-utils' );
 const changelogUtils = require( './changelog' );
 const getPackageJson = require( './getpackagejson' );
@@ -52,6 +53,35 @@ const versions = {
 	 */
 	getCurrent( cwd = process.cwd() ) {
 		return getPackageJson( cwd ).version;
+	},
+
+	/**
+	 * Returns the next pre-release version (e.g. "alpha", "beta" or "rc") for the specified version.
+	 *
+	 * If the version is already a pre-release, only its pre-release part is incremented (`20.0.0-beta.1` => `20.0.0-beta.2`,
+	 * `20.0.0-alpha.3` => `20.0.0-beta.1`). Otherwise, the first pre-release of the next version is returned
+	 * (`19.2.0` => `20.0.0-beta.1` for the "major" release type).
+	 *
+	 * @param {String} version The current version.
+	 * @param {String} releaseType The release type: "major", "minor" or "patch" (or their "pre" equivalents).
+	 * @param {String} preReleaseId The pre-release identifier, e.g. "beta".
+	 * @returns {String}
+	 */
+	getNextPreRelease( version, releaseType, preReleaseId ) {
+		let increment = 'prerelease';
+
+		if ( !semver.prerelease( version ) && releaseType !== 'prerelease' ) {
+			increment = 'pre' + releaseType.replace( /^pre/, '' );
+		}
+
+		const nextVersion = semver.inc( version, increment, preReleaseId );
+
+		// Numbering of pre-releases starts from 1 (`20.0.0-beta.1`) instead of 0.
+		if ( semver.prerelease( nextVersion ).join( '.' ) === `${ preReleaseId }.0` ) {
+			return nextVersion.replace( /\.0$/, '.1' );
+		}
+
+		return nextVersion;
 	}
 };
 
@@ -0,0 +1,253 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const path = require( 'path' );
+const fs = require( 'fs-extra' );
+const chalk = require( 'chalk' );
+const PO = require( 'pofile' );
+const defaultLogger = require( '@ckeditor/ckeditor5-dev-utils' ).logger();
+const { findMessages } = require( '@ckeditor/ckeditor5-dev-utils' ).translations;
+
+const langContextSuffix = path.join( 'lang', 'contexts.json' );
+const langTranslationsSuffix = path.join( 'lang', 'translations' );
+
+/**
+ * Creates a translation coverage report for all packages and languages.
+ *
+ * Messages of a package are the messages defined in its context file (`lang/contexts.json`) and used in the source files.
+ * For each language, the report contains the percentage of messages translated in the package's `lang/translations/<language>.po`
+ * file, the number of fuzzy entries (which are not counted as translated) and the number of obsolete entries (entries marked
+ * as obsolete or which messages are not used in the source files anymore).
+ *
+ * The report is printed as a table. It can also be saved as JSON and HTML files.
+ *
+ * @param {Object} options
+ * @param {String[]} options.sourceFiles An array of source files that contain messages to translate.
+ * @param {String[]} options.packagePaths An array of paths to packages.
+ * @param {String[]} [options.languages] Languages included in the report. By default, all languages that have
+ * a translation file in any of the packages are included.
+ * @param {Number} [options.minCoverage=0] The minimum coverage (in percents) required for each package and language.
+ * @param {String} [options.jsonReportPath] A path where the report will be saved as JSON.
+ * @param {String} [options.htmlReportPath] A path where the report will be saved as HTML.
+ * @param {Logger} [options.logger] A logger.
+ * @returns {CoverageReport}
+ */
+module.exports = function createCoverageReport( {
+	sourceFiles,
+	packagePaths,
+	languages,
+	minCoverage = 0,
+	jsonReportPath,
+	htmlReportPath,
+	logger = defaultLogger
+} ) {
+	if ( typeof minCoverage !== 'number' || Number.isNaN( minCoverage ) ) {
+		throw new Error( `The "minCoverage" option must be a number (got "${ minCoverage }").` );
+	}
+
+	const usedMessageIds = collectUsedMessageIds( sourceFiles, logger );
+	const packages = packagePaths
+		.filter( packagePath => fs.existsSync( path.join( packagePath, langContextSuffix ) ) )
+		.map( packagePath => ( {
+			packagePath,
+			packageName: packagePath.split( /[\\/]/ ).pop(),
+			messageIds: getPackageMessageIds( packagePath, usedMessageIds )
+		} ) );
+
+	if ( !languages ) {
+		languages = getAllLanguages( packages );
+	}
+
+	const report = {
+		minCoverage,
+		languages,
+		packages: packages.map( ( { packagePath, packageName, messageIds } ) => ( {
+			packageName,
+			messages: messageIds.length,
+			languages: languages.map( language => getLanguageCoverage( packagePath, language, messageIds ) )
+		} ) )
+	};
+
+	logger.info( formatTable( report ) );
+
+	if ( jsonReportPath ) {
+		fs.outputFileSync( jsonReportPath, JSON.stringify( report, null, 2 ) + '\n' );
+		logger.info( `Created file: ${ jsonReportPath }.` );
+	}
+
+	if ( htmlReportPath ) {
+		fs.outputFileSync( htmlReportPath, formatHtml( report ) );
+		logger.info( `Created file: ${ htmlReportPath }.` );
+	}
+
+	assertMinCoverage( report );
+
+	return report;
+};
+
+// Returns a set of ids of messages found in the source files.
+function collectUsedMessageIds( sourceFiles, logger ) {
+	const messageIds = new Set();
+
+	for ( const sourceFile of sourceFiles ) {
+		const fileContent = fs.readFileSync( sourceFile, 'utf-8' );
+
+		findMessages( fileContent, sourceFile, message => messageIds.add( message.id ), error => logger.error( error ) );
+	}
+
+	return messageIds;
+}
+
+function getPackageMessageIds( packagePath, usedMessageIds ) {
+	const contexts = JSON.parse( fs.readFileSync( path.join( packagePath, langContextSuffix ), 'utf-8' ) );
+
+	return Object.keys( contexts ).filter( messageId => usedMessageIds.has( messageId ) );
+}
+
+// Returns sorted codes of languages that have a translation file in any of the packages.
+function getAllLanguages( packages ) {
+	const languages = new Set();
+
+	for ( const { packagePath } of packages ) {
+		const pathToTranslations = path.join( packagePath, langTranslationsSuffix );
+
+		if ( !fs.existsSync( pathToTranslations ) ) {
+			continue;
+		}
+
+		fs.readdirSync( pathToTranslations )
+			.filter( fileName => fileName.endsWith( '.po' ) )
+			.forEach( fileName => languages.add( fileName.slice( 0, -3 ) ) );
+	}
+
+	return Array.from( languages ).sort();
+}
+
+function getLanguageCoverage( packagePath, language, messageIds ) {
+	const pathToPoFile = path.join( packagePath, langTranslationsSuffix, language + '.po' );
+	const items = fs.existsSync( pathToPoFile ) ? PO.parse( fs.readFileSync( pathToPoFile, 'utf-8' ) ).items : [];
+	const languageCoverage = { language, translated: 0, fuzzy: 0, obsolete: 0, coverage: 0 };
+
+	// A message may occur in the PO file more than once (e.g. with a different context), but it is counted as translated once.
+	const translatedMessageIds = new Set();
+
+	for ( const item of items ) {
+		if ( item.obsolete || !messageIds.includes( item.msgid ) ) {
+			languageCoverage.obsolete++;
+		} else if ( item.flags.fuzzy ) {
+			languageCoverage.fuzzy++;
+		} else if ( item.msgstr.length && item.msgstr.every( translation => translation ) ) {
+			translatedMessageIds.add( item.msgid );
+		}
+	}
+
+	languageCoverage.translated = translatedMessageIds.size;
+
+	// The coverage is rounded down, so 99.99% is not reported as 100%.
+	languageCoverage.coverage = messageIds.length ?
+		Math.floor( languageCoverage.translated / messageIds.length * 1000 ) / 10 :
+		100;
+
+	return languageCoverage;
+}
+
+function formatTable( { minCoverage, languages, packages } ) {
+	const header = [ 'Package', ...languages ];
+	const rows = packages.map( ( { packageName, languages } ) => [
+		packageName,
+		...languages.map( ( { coverage, fuzzy, obsolete } ) => `${ coverage }% f${ fuzzy } o${ obsolete }` )
+	] );
+
+	const columnWidths = header.map( ( cell, index ) => Math.max( cell.length, ...rows.map( row => row[ index ].length ) ) );
+	const formatRow = ( row, isCellBelowMinCoverage = () => false ) => row
+		.map( ( cell, index ) => {
+			const paddedCell = cell.padEnd( columnWidths[ index ] );
+
+			return isCellBelowMinCoverage( index ) ? chalk.red( paddedCell ) : paddedCell;
+		} )
+		.join( ' | ' );
+
+	return [
+		formatRow( header ),
+		columnWidths.map( width => '-'.repeat( width ) ).join( '-|-' ),
+		...rows.map( ( row, rowIndex ) => formatRow( row, index => {
+			return index > 0 && packages[ rowIndex ].languages[ index - 1 ].coverage < minCoverage;
+		} ) ),
+		'',
+		'f - fuzzy entries, o - obsolete entries.'
+	].join( '\n' );
+}
+
+function formatHtml( { minCoverage, languages, packages } ) {
+	const headerCells = [ 'Package', ...languages ].map( cell => `<th>${ escapeHtml( cell ) }</th>` ).join( '' );
+	const rows = packages.map( ( { packageName, languages } ) => {
+		const cells = languages.map( ( { coverage, fuzzy, obsolete } ) => {
+			const className = coverage < minCoverage ? 'below-min-coverage' : '';
+
+			return `<td class="${ className }">${ coverage }%<br><small>fuzzy: ${ fuzzy }, obsolete: ${ obsolete }</small></td>`;
+		} );
+
+		return `<tr><th>${ escapeHtml( packageName ) }</th>${ cells.join( '' ) }</tr>`;
+	} );
+
+	return [
+		'<!DOCTYPE html>',
+		'<html>',
+		'<head>',
+		'<meta charset="utf-8">',
+		'<title>Translation coverage</title>',
+		'<style>',
+		'table { border-collapse: collapse; font-family: sans-serif; }',
+		'th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }',
+		'.below-min-coverage { background: #fdd; }',
+		'</style>',
+		'</head>',
+		'<body>',
+		'<h1>Translation coverage</h1>',
+		`<p>Minimum coverage: ${ minCoverage }%</p>`,
+		'<table>',
+		`<tr>${ headerCells }</tr>`,
+		...rows,
+		'</table>',
+		'</body>',
+		'</html>',
+		''
+	].join( '\n' );
+}
+
+function escapeHtml( text ) {
+	return text
+		.replace( /&/g, '&amp;' )
+		.replace( /</g, '&lt;' )
+		.replace( />/g, '&gt;' )
+		.replace( /"/g, '&quot;' );
+}
+
+function assertMinCoverage( { minCoverage, packages } ) {
+	const failures = [];
+
+	for ( const { packageName, languages } of packages ) {
+		for ( const { language, coverage } of languages ) {
+			if ( coverage < minCoverage ) {
+				failures.push( `${ packageName } (${ language }: ${ coverage }%)` );
+			}
+		}
+	}
+
+	if ( failures.length ) {
+		throw new Error( `Translation coverage is below ${ minCoverage }% for: ${ failures.join( ', ' ) }.` );
+	}
+}
+
+/**
+ * @typedef {Object} CoverageReport
+ *
+ * @property {Number} minCoverage The minimum coverage required for each package and language.
+ * @property {Array.<String>} languages Languages included in the report.
+ * @property {Array.<Object>} packages Packages (objects with the `packageName`, `messages` and `languages` properties).
+ * The `languages` array contains objects with the `language`, `translated`, `fuzzy`, `obsolete` and `coverage` properties.
+ */
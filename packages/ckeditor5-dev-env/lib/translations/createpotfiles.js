@@ -6,14 +6,23 @@
 'use strict';
 
 const path = require( 'path' );
+const crypto = require( 'crypto' );
 const fs = require( 'fs-extra' );
 const del = require( 'del' );
 const defaultLogger = require( '@ckeditor/ckeditor5-dev-utils' ).logger();
 
-const { findMessages } = require( '@ckeditor/ckeditor5-dev-utils' ).translations;
+const { findMessages, validateMessages } = require( '@ckeditor/ckeditor5-dev-utils' ).translations;
 
 const langContextSuffix = path.join( 'lang', 'contexts.json' );
 const corePackageName = 'ckeditor5-core';
+const manifestFileName = '.transifex-manifest.json';
+
+// Versions of the packages that collect messages (the parser is a part of the `ckeditor5-dev-utils` package).
+// Messages cached in the manifest are outdated when any of them changes.
+const toolsVersion = [
+	require( '../../package.json' ).version,
+	require( '@ckeditor/ckeditor5-dev-utils/package.json' ).version
+].join( '/' );
 
 /**
  * Collects i18n messages for all packages using source messages from `t()` calls
@@ -23,22 +32,45 @@ const corePackageName = 'ckeditor5-core';
  * @param {String[]} options.sourceFiles An array of source files that contain messages to translate.
  * @param {String[]} options.packagePaths An array of paths to packages, which will be used to find message contexts.
  * @param {String} options.corePackagePath A path to the ckeditor5-core package.
+ * @param {Boolean} [options.allowConflicts=false] When set to `true`, messages sharing the same id but having different
+ * strings or plural forms are only logged. Otherwise, the task throws an error and no POT file is created.
+ * @param {String} [options.conflictsReportPath] A path where the report of conflicting messages will be saved as JSON
+ * (e.g. to create CI annotations).
+ * @param {Boolean} [options.incremental=false] When set to `true`, existing POT files are not removed. Instead, a POT file
+ * is rewritten only when messages or contexts of its package have changed. Source references (`#: file:line`) are not written
+ * in this mode, so the content of POT files does not depend on the previous runs and moving a `t()` call does not rewrite them.
+ * Source files are parsed only when their content has changed since the previous run. Hashes of the source files and POT files
+ * are stored in the `build/.transifex-manifest.json` file, which is saved in both modes. Messages cached in the manifest
+ * are not used when the manifest was created by a different version of the tools.
  * @param {Logger} [logger] A logger.
+ * @returns {PotFilesSummary|undefined} Names of packages which POT files were added, updated, left unchanged or removed.
+ * The summary is returned only in the incremental mode (otherwise, all POT files are created from scratch).
  */
 module.exports = function createPotFiles( {
 	sourceFiles,
 	packagePaths,
 	corePackagePath,
+	allowConflicts = false,
+	conflictsReportPath,
+	incremental = false,
 	logger = defaultLogger
 } ) {
+	const previousManifest = incremental ? readManifest() : createEmptyManifest();
+	const manifest = createEmptyManifest();
+	const summary = { added: [], updated: [], unchanged: [], removed: [] };
+
 	const packageContexts = getPackageContexts( packagePaths, corePackagePath );
-	const sourceMessages = collectSourceMessages( { sourceFiles, logger } );
+	const sourceMessages = collectSourceMessages( { sourceFiles, previousManifest, manifest, logger } );
 
+	assertValidMessages( { sourceMessages, logger } );
 	assertNoMissingContext( { packageContexts, sourceMessages, logger } );
 	assertAllContextUsed( { packageContexts, sourceMessages, logger } );
 	assertNoRepeatedContext( { packageContexts, logger } );
+	assertNoConflictingMessages( { sourceMessages, allowConflicts, conflictsReportPath, logger } );
 
-	removeExistingPotFiles();
+	if ( !incremental ) {
+		removeExistingPotFiles();
+	}
 
 	for ( const { packageName, content } of packageContexts.values() ) {
 		// Skip generating packages for the core package if the core package was not
@@ -51,20 +83,61 @@ module.exports = function createPotFiles( {
 
 		// Create message from source messages and corresponding contexts.
 		const messages = Object.keys( content ).map( messageId => {
+			const messagesWithId = sourceMessages.filter( message => message.id === messageId );
+
 			return Object.assign(
-				{ context: content[ messageId ] },
-				sourceMessages.find( message => message.id === messageId )
+				{
+					context: content[ messageId ],
+					references: incremental ? [] : getMessageReferences( messagesWithId )
+				},
+				messagesWithId[ 0 ]
 			);
 		} );
 
 		const potFileContent = createPotFileContent( messages );
+		const previousHash = previousManifest.packages[ packageName ];
+
+		manifest.packages[ packageName ] = getHash( potFileContent );
+
+		// The header is not a part of the hash, so the POT file is not rewritten only because the year has changed.
+		// A POT file created with source references (not in the incremental mode) has a different hash, so it is rewritten.
+		if ( previousHash === manifest.packages[ packageName ] && fs.existsSync( getPathToPotFile( packageName ) ) ) {
+			summary.unchanged.push( packageName );
+
+			continue;
+		}
 
 		savePotFile( {
 			packageName,
 			fileContent: potFileHeader + potFileContent,
 			logger
 		} );
+
+		summary[ previousHash ? 'updated' : 'added' ].push( packageName );
+	}
+
+	if ( incremental ) {
+		for ( const packageName of Object.keys( previousManifest.packages ) ) {
+			if ( !manifest.packages[ packageName ] ) {
+				removePotFile( { packageName, logger } );
+				summary.removed.push( packageName );
+			}
+		}
 	}
+
+	// The manifest is saved in both modes, so the first incremental run after a full run does not treat everything as changed.
+	saveManifest( manifest );
+
+	if ( !incremental ) {
+		return;
+	}
+
+	logger.info(
+		`POT files: ${ summary.added.length } added, ${ summary.updated.length } updated, ` +
+		`${ summary.unchanged.length } unchanged, ${ summary.removed.length } removed.`
+	);
+
+	return summary;
 };
 
 /**
@@ -98,24 +171,58 @@ function getPackageContexts( packagePaths, corePackagePath ) {
 }
 
 /**
- * Returns an array of i18n source messages found in all source files.
+ * Returns an array of i18n source messages found in all source files. Messages and errors of source files
+ * which hashes are equal to hashes stored in the previous manifest are taken from that manifest.
  *
+ * @param {Object} options
+ * @param {String[]} options.sourceFiles An array of source files that contain messages to translate.
+ * @param {Manifest} options.previousManifest A manifest created during the previous run.
+ * @param {Manifest} options.manifest A manifest which will be filled with the source files data.
+ * @param {Function} options.logger A logger.
  * @returns {Array.<Message>}
  */
-function collectSourceMessages( { sourceFiles, logger } ) {
+function collectSourceMessages( { sourceFiles, previousManifest, manifest, logger } ) {
 	const messages = [];
 
 	for ( const sourceFile of sourceFiles ) {
 		const fileContent = fs.readFileSync( sourceFile, 'utf-8' );
+		const hash = getHash( fileContent );
+		const previousEntry = previousManifest.sourceFiles[ sourceFile ];
 
-		messages.push(
-			...getSourceMessagesFromFile( { filePath: sourceFile, fileContent, logger } )
-		);
+		const entry = previousEntry && previousEntry.hash === hash ?
+			previousEntry :
+			Object.assign( { hash }, getSourceMessagesFromFile( { filePath: sourceFile, fileContent } ) );
+
+		for ( const error of entry.errors ) {
+			logger.error( error );
+		}
+
+		manifest.sourceFiles[ sourceFile ] = entry;
+		messages.push( ...entry.messages );
 	}
 
 	return messages;
 }
 
+/**
+ * Logs problems found when comparing source messages from all files (e.g. an id equal to a string of other message).
+ *
+ * Conflicting plural forms are skipped as they are reported (together with conflicting strings)
+ * by `assertNoConflictingMessages()`.
+ *
+ * @param {Object} options
+ * @param {Array.<Message>} options.sourceMessages An array of i18n source messages.
+ * @param {Function} options.logger A logger.
+ */
+function assertValidMessages( { sourceMessages, logger } ) {
+	const diagnostics = validateMessages( sourceMessages )
+		.filter( diagnostic => diagnostic.code !== 'conflicting-plural-forms' );
+
+	for ( const diagnostic of diagnostics ) {
+		logger.error( diagnostic.message );
+	}
+}
+
 /**
  * @param {Object} options
  * @param {Map.<String, Context>} options.packageContexts A map of language contexts.
@@ -202,6 +309,145 @@ function assertNoRepeatedContext( { packageContexts, logger } ) {
 	return errors;
 }
 
+/**
+ * Checks whether messages sharing the same id have the same string and plural form. Otherwise, one of them
+ * would silently win when creating the POT file.
+ *
+ * @param {Object} options
+ * @param {Array.<Message>} options.sourceMessages An array of i18n source messages.
+ * @param {Boolean} options.allowConflicts Whether the conflicts should be only logged.
+ * @param {String} [options.conflictsReportPath] A path to the JSON report of conflicts.
+ * @param {Function} options.logger A logger.
+ */
+function assertNoConflictingMessages( { sourceMessages, allowConflicts, conflictsReportPath, logger } ) {
+	const conflicts = findMessageConflicts( sourceMessages );
+
+	if ( conflictsReportPath ) {
+		fs.outputFileSync( conflictsReportPath, JSON.stringify( { conflicts }, null, 2 ) + '\n' );
+
+		logger.info( `Created file: ${ conflictsReportPath }.` );
+	}
+
+	for ( const conflict of conflicts ) {
+		const occurrences = conflict.occurrences
+			.map( ( { packageName, filePath, string, plural } ) => {
+				return JSON.stringify( string ) + ( plural ? ` / ${ JSON.stringify( plural ) }` : '' ) +
+					` in ${ packageName } (${ filePath })`;
+			} )
+			.join( ', ' );
+
+		logger.error( `Conflicting messages for the id: '${ conflict.id }': ${ occurrences }.` );
+	}
+
+	if ( conflicts.length && !allowConflicts ) {
+		throw new Error(
+			`Found ${ conflicts.length } conflicting message(s). ` +
+			'Use the same string and plural form for messages sharing the id or set the `allowConflicts` option.'
+		);
+	}
+}
+
+/**
+ * Returns messages sharing the same id that have different strings or plural forms.
+ *
+ * @param {Array.<Message>} sourceMessages An array of i18n source messages.
+ * @returns {Array.<MessageConflict>}
+ */
+function findMessageConflicts( sourceMessages ) {
+	const messagesById = new Map();
+
+	for ( const message of sourceMessages ) {
+		if ( !messagesById.has( message.id ) ) {
+			messagesById.set( message.id, [] );
+		}
+
+		messagesById.get( message.id ).push( message );
+	}
+
+	const conflicts = [];
+
+	for ( const [ id, messages ] of messagesById ) {
+		const strings = unique( messages.map( message => message.string ) );
+		const plurals = unique( messages.map( message => message.plural || null ) );
+
+		if ( strings.length === 1 && plurals.length === 1 ) {
+			continue;
+		}
+
+		conflicts.push( {
+			id,
+			strings,
+			plurals,
+			occurrences: messages.map( message => ( {
+				packageName: message.packageName,
+				filePath: message.filePath,
+				line: message.line,
+				column: message.column,
+				string: message.string,
+				plural: message.plural || null
+			} ) )
+		} );
+	}
+
+	return conflicts;
+}
+
+function unique( values ) {
+	return Array.from( new Set( values ) );
+}
+
+/**
+ * Returns the manifest saved during the previous run or an empty manifest if it does not exist.
+ * Source files saved by a different version of the tools are omitted, so they will be parsed again.
+ *
+ * @returns {Manifest}
+ */
+function readManifest() {
+	const pathToManifest = getPathToManifest();
+
+	if ( !fs.existsSync( pathToManifest ) ) {
+		return createEmptyManifest();
+	}
+
+	const manifest = JSON.parse( fs.readFileSync( pathToManifest, 'utf-8' ) );
+
+	if ( manifest.toolsVersion !== toolsVersion ) {
+		delete manifest.sourceFiles;
+	}
+
+	return Object.assign( createEmptyManifest(), manifest );
+}
+
+/**
+ * @param {Manifest} manifest
+ */
+function saveManifest( manifest ) {
+	fs.outputFileSync( getPathToManifest(), JSON.stringify( manifest, null, 2 ) + '\n' );
+}
+
+/**
+ * @returns {Manifest}
+ */
+function createEmptyManifest() {
+	return {
+		toolsVersion,
+		sourceFiles: {},
+		packages: {}
+	};
+}
+
+function getPathToManifest() {
+	return path.join( process.cwd(), 'build', manifestFileName );
+}
+
+/**
+ * @param {String} content
+ * @returns {String}
+ */
+function getHash( content ) {
+	return crypto.createHash( 'sha256' ).update( content ).digest( 'hex' );
+}
+
 function removeExistingPotFiles() {
 	const pathToTransifexDirectory = path.join( process.cwd(), 'build', '.transifex' );
 
@@ -218,13 +464,36 @@ function removeExistingPotFiles() {
  * @param {String} options.fileContent
  */
 function savePotFile( { packageName, fileContent, logger } ) {
-	const outputFilePath = path.join( process.cwd(), 'build', '.transifex', packageName, 'en.pot' );
+	const outputFilePath = getPathToPotFile( packageName );
 
 	fs.outputFileSync( outputFilePath, fileContent );
 
 	logger.info( `Created file: ${ outputFilePath }.` );
 }
 
+/**
+ * Removes the POT file directory of a package which no longer contains messages to translate.
+ *
+ * @param {Object} options
+ * @param {Logger} options.logger
+ * @param {String} options.packageName
+ */
+function removePotFile( { packageName, logger } ) {
+	const pathToPackageDirectory = path.dirname( getPathToPotFile( packageName ) );
+
+	del.sync( pathToPackageDirectory );
+
+	logger.info( `Removed directory: ${ pathToPackageDirectory }.` );
+}
+
+/**
+ * @param {String} packageName
+ * @returns {String}
+ */
+function getPathToPotFile( packageName ) {
+	return path.join( process.cwd(), 'build', '.transifex', packageName, 'en.pot' );
+}
+
 /**
  * Creates a POT file header.
  *
@@ -237,24 +506,47 @@ function createPotFileHeader() {
 }
 
 /**
- * Returns source messages found in the given file with additional data (`filePath` and `packageName`).
+ * Returns source messages found in the given file with additional data (`filePath` and `packageName`)
+ * and errors found while collecting them.
  *
  * @param {String} filePath
  * @param {String} fileContent
- * @returns {Message[]}
+ * @returns {{messages: Message[], errors: String[]}}
  */
-function getSourceMessagesFromFile( { filePath, fileContent, logger } ) {
+function getSourceMessagesFromFile( { filePath, fileContent } ) {
 	const packageMatch = filePath.match( /([^/\\]+)[/\\]src[/\\]/ );
-	const sourceMessages = [];
+	const messages = [];
+	const errors = [];
 
 	findMessages( fileContent, filePath, message => {
-		sourceMessages.push( Object.assign( {
+		messages.push( Object.assign( {
 			filePath,
 			packageName: packageMatch[ 1 ]
 		}, message ) );
-	}, err => logger.error( err ) );
+	}, err => errors.push( err ) );
 
-	return sourceMessages;
+	return { messages, errors };
+}
+
+/**
+ * Returns unique source references (in the `path/to/file.js:line` format) of the given messages.
+ * Absolute paths are made relative to the current working directory, so POT files don't depend on the machine.
+ *
+ * @param {Message[]} messages
+ * @returns {String[]}
+ */
+function getMessageReferences( messages ) {
+	const references = messages
+		.filter( message => message.line )
+		.map( message => {
+			const filePath = path.isAbsolute( message.filePath ) ?
+				path.relative( process.cwd(), message.filePath ) :
+				message.filePath;
+
+			return filePath.split( path.sep ).join( '/' ) + ':' + message.line;
+		} );
+
+	return Array.from( new Set( references ) );
 }
 
 /**
@@ -271,6 +563,10 @@ function createPotFileContent( messages ) {
 		// It's because the message can contain an apostrophe.
 		// Note also that the order is important.
 
+		for ( const reference of message.references || [] ) {
+			potFileMessageEntry.push( `#: ${ reference }` );
+		}
+
 		if ( message.context ) {
 			potFileMessageEntry.push( `msgctxt ${ JSON.stringify( message.context ) }` );
 		}
@@ -307,6 +603,9 @@ function containsContextFile( packageDirectory ) {
  * @property {String} packagePath
  * @property {String} context
  * @property {String} [plural]
+ * @property {Number} [line] A line of the `t()` call in the source file.
+ * @property {Number} [column] A column of the `t()` call in the source file.
+ * @property {Array.<String>} [references] Source references of the message (`path/to/file.js:line`) used in the POT file.
 */
 
 /**
@@ -317,3 +616,31 @@ function containsContextFile( packageDirectory ) {
  * @property {String} packagePath The owner of the context file.
  * @property {String} packageName The owner package name.
  */
+
+/**
+ * @typedef {Object} MessageConflict
+ *
+ * @property {String} id The message id shared by the conflicting messages.
+ * @property {Array.<String>} strings Unique strings of the messages.
+ * @property {Array.<String|null>} plurals Unique plural forms of the messages (`null` when a message has no plural form).
+ * @property {Array.<Object>} occurrences All messages with the given id (`packageName`, `filePath`, `line`, `column`,
+ * `string` and `plural` properties).
+ */
+
+/**
+ * @typedef {Object} Manifest
+ *
+ * @property {String} toolsVersion Versions of the packages that created the manifest.
+ * @property {Object.<String, Object>} sourceFiles A map of source file paths to their hashes (`hash`),
+ * found messages (`messages`) and errors (`errors`).
+ * @property {Object.<String, String>} packages A map of package names to hashes of their POT file contents (without headers).
+ */
+
+/**
+ * @typedef {Object} PotFilesSummary
+ *
+ * @property {Array.<String>} added Names of packages which POT files were created.
+ * @property {Array.<String>} updated Names of packages which POT files were rewritten because of changed messages or contexts.
+ * @property {Array.<String>} unchanged Names of packages which POT files were left untouched.
+ * @property {Array.<String>} removed Names of packages which POT files were removed.
+ */
@@ -8,21 +8,41 @@
 const fs = require( 'fs-extra' );
 const path = require( 'path' );
 const transifexService = require( './transifex-service' );
+const { createLanguageDiff, logTranslationsDiff } = require( './translationsdiff' );
 const logger = require( '@ckeditor/ckeditor5-dev-utils' ).logger();
 const { cleanPoFileContent, createDictionaryFromPoFileContent } = require( '@ckeditor/ckeditor5-dev-utils' ).translations;
 
 /**
- * Downloads translations from the Transifex for each package and language.
+ * Downloads translations from the Transifex (or other translation platform) for each package and language.
+ *
+ * In the dry-run mode, translation files are not replaced. Instead, the downloaded translations are compared with
+ * the current ones and the summary of new, changed and removed messages is printed for each package and language.
  *
  * @param {Object} loginConfig
  * @param {String} loginConfig.token Token to the Transifex API.
+ * @param {Object} [options]
+ * @param {TranslationPlatformService} [options.service] A translation platform service. Defaults to the Transifex service.
+ * @param {Boolean} [options.dryRun=false] Whether to only compute the diff instead of replacing translation files.
+ * @returns {Promise.<TranslationsDiff|undefined>} The diff between the current and downloaded translations in the dry-run mode.
  */
-module.exports = function download( loginConfig ) {
+module.exports = function download( loginConfig, { service = transifexService, dryRun = false } = {} ) {
 	return Promise.resolve()
-		.then( () => getPackageNames( loginConfig ) )
-		.then( packageNames => downloadAndReplaceTranslations( loginConfig, packageNames ) )
-		.then( () => {
-			logger.info( 'Saved all translations.' );
+		.then( () => getPackageNames( service, loginConfig ) )
+		.then( packageNames => {
+			if ( dryRun ) {
+				return createTranslationsDiff( service, loginConfig, packageNames )
+					.then( translationsDiff => {
+						logTranslationsDiff( translationsDiff, logger );
+						logger.info( 'Dry run: no translations were saved.' );
+
+						return translationsDiff;
+					} );
+			}
+
+			return downloadAndReplaceTranslations( service, loginConfig, packageNames )
+				.then( () => {
+					logger.info( 'Saved all translations.' );
+				} );
 		} )
 		.catch( err => {
 			logger.error( err );
@@ -30,39 +50,74 @@ module.exports = function download( loginConfig ) {
 		} );
 };
 
-function getPackageNames( loginConfig ) {
-	return transifexService.getResources( loginConfig )
+function getPackageNames( service, loginConfig ) {
+	return service.getResources( loginConfig )
 		.then( resources => resources.map( resource => resource.slug ) );
 }
 
-function downloadAndReplaceTranslations( loginConfig, packageNames ) {
+function downloadAndReplaceTranslations( service, loginConfig, packageNames ) {
 	let promise = Promise.resolve();
 
 	for ( const packageName of packageNames ) {
-		promise = promise.then( () => downloadAndReplaceTranslationsForPackage( loginConfig, packageName ) );
+		promise = promise.then( () => downloadAndReplaceTranslationsForPackage( service, loginConfig, packageName ) );
 	}
 
 	return promise;
 }
 
-function downloadAndReplaceTranslationsForPackage( loginConfig, packageName ) {
+function downloadAndReplaceTranslationsForPackage( service, loginConfig, packageName ) {
 	let translations;
 
-	return downloadPoFilesForPackage( loginConfig, packageName )
+	return downloadPoFilesForPackage( service, loginConfig, packageName )
 		.then( _translations => { translations = _translations; } )
 		.then( () => removeOldTranslationForPackage( packageName ) )
 		.then( () => { saveTranslations( packageName, translations ); } );
 }
 
+function createTranslationsDiff( service, loginConfig, packageNames ) {
+	const packages = [];
+	let promise = Promise.resolve();
+
+	for ( const packageName of packageNames ) {
+		promise = promise
+			.then( () => downloadPoFilesForPackage( service, loginConfig, packageName ) )
+			.then( translations => {
+				packages.push( {
+					packageName,
+					languages: createLanguageDiffsForPackage( packageName, getTranslationsToSave( translations ) )
+				} );
+			} );
+	}
+
+	return promise.then( () => ( { packages } ) );
+}
+
+function createLanguageDiffsForPackage( packageName, translationsToSave ) {
+	const pathToTranslations = getPathToTranslations( packageName );
+	const currentLanguages = fs.existsSync( pathToTranslations ) ?
+		fs.readdirSync( pathToTranslations ).filter( fileName => fileName.endsWith( '.po' ) ).map( fileName => fileName.slice( 0, -3 ) ) :
+		[];
+
+	const languages = Array.from( new Set( [ ...currentLanguages, ...translationsToSave.keys() ] ) ).sort();
+
+	return languages.map( lang => {
+		const currentPoFileContent = currentLanguages.includes( lang ) ?
+			fs.readFileSync( path.join( pathToTranslations, lang + '.po' ), 'utf-8' ) :
+			null;
+
+		return createLanguageDiff( lang, currentPoFileContent, translationsToSave.get( lang ) || null );
+	} );
+}
+
 function removeOldTranslationForPackage( packageName ) {
 	const del = require( 'del' );
-	const glob = path.join( process.cwd(), 'packages', packageName, 'lang', 'translations', '**' );
+	const glob = path.join( getPathToTranslations( packageName ), '**' );
 
 	return del( glob );
 }
 
-function downloadPoFilesForPackage( loginConfig, packageName ) {
-	const resourceDetailsPromise = transifexService.getResourceDetails( Object.assign( {}, loginConfig, {
+function downloadPoFilesForPackage( service, loginConfig, packageName ) {
+	const resourceDetailsPromise = service.getResourceDetails( Object.assign( {}, loginConfig, {
 		slug: packageName
 	} ) );
 	let languageCodes;
@@ -71,7 +126,7 @@ function downloadPoFilesForPackage( loginConfig, packageName ) {
 		languageCodes = resourceDetails.available_languages.map( languageInfo => languageInfo.code );
 
 		return Promise.all(
-			languageCodes.map( lang => downloadPoFile( loginConfig, lang, packageName ) )
+			languageCodes.map( lang => downloadPoFile( service, loginConfig, lang, packageName ) )
 		);
 	} );
 
@@ -83,19 +138,30 @@ function downloadPoFilesForPackage( loginConfig, packageName ) {
 	} );
 }
 
-function downloadPoFile( loginConfig, lang, packageName ) {
+function downloadPoFile( service, loginConfig, lang, packageName ) {
 	const config = Object.assign( {}, loginConfig, {
 		lang,
 		slug: packageName
 	} );
 
-	return transifexService.getTranslation( config )
+	return service.getTranslation( config )
 		.then( data => data.content );
 }
 
 function saveTranslations( packageName, translations ) {
+	const translationsToSave = getTranslationsToSave( translations );
+
+	for ( const [ lang, poFileContent ] of translationsToSave ) {
+		fs.outputFileSync( path.join( getPathToTranslations( packageName ), lang + '.po' ), poFileContent );
+	}
+
+	logger.info( `Saved ${ translationsToSave.size } PO files for ${ packageName } package.` );
+}
+
+// Returns cleaned PO files containing translations, mapped by the language codes used in the CKEditor 5 packages.
+function getTranslationsToSave( translations ) {
 	const languageCodeMap = require( './languagecodemap.json' );
-	let savedTranslations = 0;
+	const translationsToSave = new Map();
 
 	for ( let [ lang, poFileContent ] of translations ) {
 		if ( !isPoFileContainingTranslations( poFileContent ) ) {
@@ -106,15 +172,14 @@ function saveTranslations( packageName, translations ) {
 			lang = languageCodeMap[ lang ];
 		}
 
-		poFileContent = cleanPoFileContent( poFileContent );
-
-		const pathToSave = path.join( process.cwd(), 'packages', packageName, 'lang', 'translations', lang + '.po' );
-
-		fs.outputFileSync( pathToSave, poFileContent );
-		savedTranslations++;
+		translationsToSave.set( lang, cleanPoFileContent( poFileContent ) );
 	}
 
-	logger.info( `Saved ${ savedTranslations } PO files for ${ packageName } package.` );
+	return translationsToSave;
+}
+
+function getPathToTranslations( packageName ) {
+	return path.join( process.cwd(), 'packages', packageName, 'lang', 'translations' );
 }
 
 function isPoFileContainingTranslations( poFileContent ) {
@@ -0,0 +1,183 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const fs = require( 'fs-extra' );
+const path = require( 'path' );
+const { createDictionaryFromPoFileContent } = require( '@ckeditor/ckeditor5-dev-utils' ).translations;
+const readContent = require( './readcontent' );
+
+/**
+ * Creates a translation platform service that keeps resources and translations in a local directory.
+ * It implements the same interface as the Transifex service (see `transifex-service.js`), so the whole upload/download
+ * round trip can be exercised offline and in tests.
+ *
+ * The directory has the following structure:
+ *
+ *		<directory>/<resource slug>/source.pot
+ *		<directory>/<resource slug>/translations/<language code>.po
+ *
+ * @param {Object} options
+ * @param {String} options.directory A path to the directory containing resources.
+ * @returns {TranslationPlatformService}
+ */
+module.exports = function createFilesystemService( { directory } ) {
+	return {
+		/**
+		 * Returns resources found in the directory.
+		 *
+		 * @returns {Promise.<Array.<Object>>}
+		 */
+		getResources() {
+			return Promise.resolve()
+				.then( () => {
+					if ( !fs.existsSync( directory ) ) {
+						return [];
+					}
+
+					return fs.readdirSync( directory )
+						.filter( slug => fs.existsSync( getPathToSource( slug ) ) )
+						.map( slug => ( { slug, name: slug } ) );
+				} );
+		},
+
+		/**
+		 * Saves the resource for the first time.
+		 *
+		 * @param {Object} config
+		 * @param {String} config.slug Resource slug.
+		 * @param {String|Buffer|ReadableStream} config.content Resource content.
+		 * @returns {Promise.<Array.<Number>>} Number of added strings (the same format as the Transifex API response).
+		 */
+		postResource( { slug, content } ) {
+			return readContent( content )
+				.then( potFileContent => {
+					fs.outputFileSync( getPathToSource( slug ), potFileContent );
+
+					return [ Object.keys( getMessages( potFileContent ) ).length ];
+				} );
+		},
+
+		/**
+		 * Replaces the resource content.
+		 *
+		 * @param {Object} config
+		 * @param {String} config.slug Resource slug.
+		 * @param {String|Buffer|ReadableStream} config.content Resource content.
+		 * @returns {Promise.<Object>} Numbers of added, updated and deleted strings (the same format as the Transifex API response).
+		 */
+		putResourceContent( { slug, content } ) {
+			return readContent( content )
+				.then( potFileContent => {
+					const pathToSource = getPathToSource( slug );
+					const previousMessages = fs.existsSync( pathToSource ) ? getMessages( fs.readFileSync( pathToSource, 'utf-8' ) ) : {};
+					const messages = getMessages( potFileContent );
+
+					const ids = Object.keys( messages );
+					const previousIds = Object.keys( previousMessages );
+
+					fs.outputFileSync( pathToSource, potFileContent );
+
+					return {
+						strings_added: ids.filter( id => !previousIds.includes( id ) ).length,
+						strings_updated: ids.filter( id => previousIds.includes( id ) && messages[ id ] !== previousMessages[ id ] ).length,
+						strings_delete: previousIds.filter( id => !ids.includes( id ) ).length
+					};
+				} );
+		},
+
+		/**
+		 * Returns the source content of the resource.
+		 *
+		 * @param {Object} config
+		 * @param {String} config.slug Resource slug.
+		 * @returns {Promise.<Object>}
+		 */
+		getResourceContent( { slug } ) {
+			return Promise.resolve()
+				.then( () => ( { content: fs.readFileSync( getPathToSource( slug ), 'utf-8' ) } ) );
+		},
+
+		/**
+		 * Returns resource details containing languages of the available translations.
+		 *
+		 * @param {Object} config
+		 * @param {String} config.slug Resource slug.
+		 * @returns {Promise.<Object>}
+		 */
+		getResourceDetails( { slug } ) {
+			return Promise.resolve()
+				.then( () => {
+					const pathToTranslations = getPathToTranslations( slug );
+					const languageCodes = fs.existsSync( pathToTranslations ) ? fs.readdirSync( pathToTranslations ) : [];
+
+					return {
+						slug,
+						available_languages: languageCodes
+							.filter( fileName => fileName.endsWith( '.po' ) )
+							.map( fileName => ( { code: fileName.replace( /\.po$/, '' ) } ) )
+					};
+				} );
+		},
+
+		/**
+		 * Returns translations for the target resource and language.
+		 *
+		 * @param {Object} config
+		 * @param {String} config.slug Resource slug.
+		 * @param {String} config.lang Target language.
+		 * @returns {Promise.<Object>}
+		 */
+		getTranslation( { slug, lang } ) {
+			return Promise.resolve()
+				.then( () => {
+					const pathToPoFile = path.join( getPathToTranslations( slug ), lang + '.po' );
+
+					if ( !fs.existsSync( pathToPoFile ) ) {
+						throw new Error( `Translation file for the '${ lang }' language of the '${ slug }' resource does not exist.` );
+					}
+
+					return { content: fs.readFileSync( pathToPoFile, 'utf-8' ) };
+				} );
+		}
+	};
+
+	function getPathToSource( slug ) {
+		return path.join( directory, slug, 'source.pot' );
+	}
+
+	function getPathToTranslations( slug ) {
+		return path.join( directory, slug, 'translations' );
+	}
+};
+
+// Returns messages defined in the POT file in the `msgid -> msgstr` format. Source strings are stored as `msgstr`.
+function getMessages( potFileContent ) {
+	const dictionary = createDictionaryFromPoFileContent( potFileContent );
+
+	for ( const id of Object.keys( dictionary ) ) {
+		dictionary[ id ] = dictionary[ id ].join( '\n' );
+	}
+
+	return dictionary;
+}
+
+/**
+ * A translation platform service used by the upload and download tasks. Besides the Transifex service,
+ * it can be implemented for other platforms (e.g. Weblate or Pontoon).
+ *
+ * @typedef {Object} TranslationPlatformService
+ *
+ * @property {Function} getResources Returns a promise resolved with an array of resources (objects with the `slug` property).
+ * @property {Function} postResource Uploads a new resource (`slug`, `name` and `content` properties).
+ * @property {Function} putResourceContent Updates the content of an existing resource (`slug` and `content` properties).
+ * @property {Function} [getResourceContent] Returns a promise resolved with an object containing the POT file `content`
+ * of the resource with the given `slug`. It is required only when resources are uploaded in the dry-run mode.
+ * @property {Function} getResourceDetails Returns a promise resolved with the resource details containing
+ * the `available_languages` array (objects with the `code` property).
+ * @property {Function} getTranslation Returns a promise resolved with an object containing the PO file `content`
+ * for the given resource `slug` and `lang`.
+ */
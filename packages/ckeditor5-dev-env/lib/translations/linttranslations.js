@@ -0,0 +1,189 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const path = require( 'path' );
+const fs = require( 'fs-extra' );
+const chalk = require( 'chalk' );
+const PO = require( 'pofile' );
+const defaultLogger = require( '@ckeditor/ckeditor5-dev-utils' ).logger();
+
+const langTranslationsSuffix = path.join( 'lang', 'translations' );
+
+/**
+ * Validates translation files (`lang/translations/*.po`) of all packages. The following problems are reported:
+ *
+ * * a missing `Plural-Forms` header or a header which number of plural forms differs from the number of plural categories
+ * of the language in the CLDR data (counted for integers only, as gettext does not support fractions; languages missing
+in the `pluralformscounts.json` file are not checked),
+ * * `msgstr` arrays which length differs from the number of plural forms (or from `1` for messages without plural forms),
+ * * translations with placeholders (`%0`, `%1`, ...) that do not match placeholders of the message,
+ * * empty forms of translated messages (the translation service uses such messages, so they are displayed as empty texts),
+ * * duplicated messages (only one of their translations is used).
+ *
+ * Obsolete entries are not validated.
+ *
+ * @param {Object} options
+ * @param {String[]} options.packagePaths An array of paths to packages.
+ * @param {String[]} [options.languages] Languages to validate. By default, all translation files are validated.
+ * @param {Logger} [options.logger] A logger.
+ */
+module.exports = function lintTranslations( { packagePaths, languages, logger = defaultLogger } ) {
+	const problems = [];
+
+	for ( const packagePath of packagePaths ) {
+		const pathToTranslations = path.join( packagePath, langTranslationsSuffix );
+
+		if ( !fs.existsSync( pathToTranslations ) ) {
+			continue;
+		}
+
+		const fileNames = fs.readdirSync( pathToTranslations )
+			.filter( fileName => fileName.endsWith( '.po' ) )
+			.filter( fileName => !languages || languages.includes( fileName.slice( 0, -3 ) ) )
+			.sort();
+
+		for ( const fileName of fileNames ) {
+			const pathToPoFile = path.join( pathToTranslations, fileName );
+			const language = fileName.slice( 0, -3 );
+
+			for ( const problem of lintPoFile( fs.readFileSync( pathToPoFile, 'utf-8' ), language ) ) {
+				problems.push( `${ chalk.underline( pathToPoFile ) }: ${ problem }` );
+			}
+		}
+	}
+
+	for ( const problem of problems ) {
+		logger.error( problem );
+	}
+
+	if ( problems.length ) {
+		throw new Error( `Found ${ problems.length } problem(s) in translation files.` );
+	}
+
+	logger.info( 'Translation files are valid.' );
+};
+
+// Returns descriptions of problems found in the PO file content.
+function lintPoFile( poFileContent, language ) {
+	const problems = [];
+	const parsedPoFile = PO.parse( poFileContent );
+	const pluralFormsCount = getPluralFormsCount( parsedPoFile.headers[ 'Plural-Forms' ] );
+	const cldrPluralFormsCount = getCldrPluralFormsCount( language );
+	const messageIds = new Set();
+
+	if ( pluralFormsCount === null ) {
+		problems.push( 'The `Plural-Forms` header is missing or does not define the number of plural forms.' );
+	} else if ( cldrPluralFormsCount !== null && pluralFormsCount !== cldrPluralFormsCount ) {
+		problems.push(
+			`The \`Plural-Forms\` header defines ${ pluralFormsCount } plural form(s), ` +
+			`but the '${ language }' language has ${ cldrPluralFormsCount } plural form(s) in the CLDR data.`
+		);
+	}
+
+	for ( const item of parsedPoFile.items ) {
+		if ( item.obsolete ) {
+			continue;
+		}
+
+		const { msgid, msgstr } = item;
+		const addProblem = problem => problems.push( `The "${ msgid }" message: ${ problem }` );
+
+		if ( messageIds.has( msgid ) ) {
+			addProblem( 'the message is duplicated.' );
+		}
+
+		messageIds.add( msgid );
+
+		// The number of plural forms from the CLDR data is used when the header is invalid.
+		const expectedFormsCount = item.msgid_plural ? ( pluralFormsCount || cldrPluralFormsCount ) : 1;
+
+		if ( expectedFormsCount && msgstr.length !== expectedFormsCount ) {
+			addProblem( `expected ${ expectedFormsCount } translation form(s), found ${ msgstr.length }.` );
+		}
+
+		// Messages without any translated form are untranslated.
+		if ( !msgstr.some( form => form ) ) {
+			continue;
+		}
+
+		if ( msgstr.some( form => !form ) ) {
+			addProblem( 'the message is translated, but some of its translation forms are empty.' );
+		}
+
+		for ( const placeholderProblem of getPlaceholderProblems( item ) ) {
+			addProblem( placeholderProblem );
+		}
+	}
+
+	return problems;
+}
+
+// Returns descriptions of placeholders (e.g. `%0`) that do not match placeholders of the message.
+// Translations of plural forms may omit placeholders (e.g. "Dodaj przycisk" for "Add %0 button"), so only unknown
+// placeholders are reported for them.
+function getPlaceholderProblems( { msgid, msgid_plural: msgidPlural, msgstr } ) {
+	const placeholders = getPlaceholders( [ msgid, msgidPlural ] );
+	const placeholderProblems = [];
+
+	for ( const [ index, form ] of msgstr.entries() ) {
+		if ( !form ) {
+			continue;
+		}
+
+		const formPlaceholders = getPlaceholders( [ form ] );
+		const formName = msgstr.length > 1 ? `translation form ${ index }` : 'the translation';
+		const unknownPlaceholders = formPlaceholders.filter( placeholder => !placeholders.includes( placeholder ) );
+		const missingPlaceholders = placeholders.filter( placeholder => !formPlaceholders.includes( placeholder ) );
+
+		if ( unknownPlaceholders.length ) {
+			placeholderProblems.push( `${ formName } contains unknown placeholder(s): ${ unknownPlaceholders.join( ', ' ) }.` );
+		}
+
+		if ( !msgidPlural && missingPlaceholders.length ) {
+			placeholderProblems.push( `${ formName } lacks placeholder(s): ${ missingPlaceholders.join( ', ' ) }.` );
+		}
+	}
+
+	return placeholderProblems;
+}
+
+// Returns sorted unique placeholders (e.g. `[ '%0', '%1' ]`) used in the given texts.
+function getPlaceholders( texts ) {
+	const placeholders = new Set();
+
+	for ( const text of texts ) {
+		for ( const placeholder of ( text || '' ).match( /%\d+/g ) || [] ) {
+			placeholders.add( placeholder );
+		}
+	}
+
+	return Array.from( placeholders ).sort();
+}
+
+// Returns the number of plural forms defined in the `Plural-Forms` header (e.g. `nplurals=2; plural=(n != 1);`)
+// or `null` when it is not defined.
+function getPluralFormsCount( pluralFormsHeader ) {
+	const numberOfPluralFormsMatch = ( pluralFormsHeader || '' ).match( /nplurals\s*=\s*(\d+)/ );
+
+	return numberOfPluralFormsMatch ? Number( numberOfPluralFormsMatch[ 1 ] ) : null;
+}
+
+// Returns the number of plural categories used for integers by the language according to the CLDR data
+// or `null` when the language is not listed in the `pluralformscounts.json` file. Regional variants of languages
+// (e.g. `pt-br`) use the number of the base language.
+function getCldrPluralFormsCount( language ) {
+	const pluralFormsCounts = require( './pluralformscounts.json' );
+	const baseLanguage = language.split( '-' )[ 0 ];
+
+	for ( const languageCode of [ language, baseLanguage ] ) {
+		if ( Object.prototype.hasOwnProperty.call( pluralFormsCounts, languageCode ) ) {
+			return pluralFormsCounts[ languageCode ];
+		}
+	}
+
+	return null;
+}
@@ -0,0 +1,27 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+/**
+ * Reads the resource content passed to a translation platform service. The content can be passed as a string,
+ * a buffer or a stream (e.g. `fs.createReadStream()`).
+ *
+ * @param {String|Buffer|ReadableStream} content
+ * @returns {Promise.<String>}
+ */
+module.exports = function readContent( content ) {
+	if ( typeof content === 'string' || Buffer.isBuffer( content ) ) {
+		return Promise.resolve( content.toString() );
+	}
+
+	return new Promise( ( resolve, reject ) => {
+		const chunks = [];
+
+		content.on( 'data', chunk => chunks.push( Buffer.from( chunk ) ) );
+		content.on( 'error', reject );
+		content.on( 'end', () => resolve( Buffer.concat( chunks ).toString() ) );
+	} );
+};
@@ -5,133 +5,352 @@
 
 'use strict';
 
-const request = require( 'request' );
-// In case of debugging requests install and enable following package
-// and remove `createJsonResponseHandler` callback from the request arguments.
-// See https://github.com/request/request-debug.
-// require( 'request-debug' )( request );
-
+const fetch = require( 'node-fetch' );
 const { retryAsyncFunction } = require( '@ckeditor/ckeditor5-dev-utils' ).translations;
+const readContent = require( './readcontent' );
+
+const API_URL = 'https://rest.api.transifex.com';
+const DEFAULT_ORGANIZATION_NAME = 'ckeditor';
+const DEFAULT_PROJECT_NAME = 'ckeditor5';
 
-const PROJECT_URL = 'https://www.transifex.com/api/2/project/ckeditor5';
+// Uploading and downloading the resource content or translations are asynchronous jobs on the Transifex side.
+// Their statuses are checked every `POLLING_INTERVAL` ms, but no more than `MAX_POLLING_ATTEMPTS` times.
+const POLLING_INTERVAL = 1000;
+const MAX_POLLING_ATTEMPTS = 60;
 
 /**
- * Promise wrappers of the Transifex API.
+ * Promise wrappers of the Transifex API (v3).
+ *
+ * Every method accepts the `organizationName` and `projectName` options, which point to the Transifex project
+ * containing the resources. By default, the `ckeditor5` project of the `ckeditor` organization is used.
  *
- * @see https://docs.transifex.com/api/ for API documentation.
+ * Responses are converted to the format used by the upload and download tasks (see `TranslationPlatformService`).
+ * Paginated collections (e.g. resources) are downloaded page by page, so all their items are returned.
+ *
+ * @see https://developers.transifex.com/reference/api-introduction for API documentation.
  */
 module.exports = {
 	/**
 	 * Downloads available resources.
 	 *
-	 * @param {Object} config
-	 * @param {String} config.token Token to the Transifex API.
-	 * @returns {Promise.<Object>}
+	 * @param {TransifexConfig} config
+	 * @returns {Promise.<Array.<Object>>} Resources (objects with the `slug` and `name` properties).
 	 */
-	getResources( { token } ) {
-		return retryAsyncFunction( () => {
-			return new Promise( ( resolve, reject ) => {
-				request.get( `${ PROJECT_URL }/resources/`, {
-					auth: { username: 'api', password: token }
-				}, createJsonResponseHandler( resolve, reject, 'getResources' ) );
-			} );
-		} );
+	getResources( config ) {
+		const url = `${ API_URL }/resources?filter[project]=${ getProjectId( config ) }`;
+
+		return requestAllPages( url, config.token, 'getResources' )
+			.then( resources => convertResponse( 'getResources', resources, config ) );
 	},
 
 	/**
-	 * Uploads resource for the first time.
+	 * Creates the resource and uploads its content for the first time.
 	 *
-	 * @param {Object} config
-	 * @param {String} config.token Token to the Transifex API.
+	 * @param {TransifexConfig} config
 	 * @param {String} config.slug Resource slug.
-	 * @param {String} config.content Resource content.
 	 * @param {String} config.name Resource name.
-	 * @returns {Promise.<Object>}
+	 * @param {String|Buffer|ReadableStream} config.content Resource content.
+	 * @returns {Promise.<Array.<Number>>} Number of added strings.
 	 */
-	postResource( { token, name, slug, content } ) {
-		return retryAsyncFunction( () => {
-			return new Promise( ( resolve, reject ) => {
-				request.post( `${ PROJECT_URL }/resources/`, {
-					auth: { username: 'api', password: token },
-					formData: { slug, name, content, 'i18n_type': 'PO' }
-				}, createJsonResponseHandler( resolve, reject, 'postResource' ) );
-			} );
-		} );
+	postResource( config ) {
+		const { token, name, slug, content } = config;
+
+		const body = {
+			data: {
+				type: 'resources',
+				attributes: { name, slug },
+				relationships: {
+					project: {
+						data: { type: 'projects', id: getProjectId( config ) }
+					},
+					i18n_format: {
+						data: { type: 'i18n_formats', id: 'PO' }
+					}
+				}
+			}
+		};
+
+		// Creating the resource is not retried. When the first attempt succeeds on the Transifex side but fails on the client side
+		// (e.g. a timeout), the next attempt would fail as the resource already exists.
+		return readContent( content )
+			.then( potFileContent => {
+				return requestJson( `${ API_URL }/resources`, { token, method: 'POST', body }, 'postResource' )
+					.then( () => uploadResourceStrings( config, potFileContent, 'postResource' ) );
+			} )
+			.then( details => convertResponse( 'postResource', details, config ) );
 	},
 
 	/**
 	 * Updates resource content.
 	 *
-	 * @param {Object} config
-	 * @param {String} config.token Token to the Transifex API.
+	 * @param {TransifexConfig} config
 	 * @param {String} config.slug Resource slug.
-	 * @param {String} config.content Resource content.
-	 * @returns {Promise.<Object>}
+	 * @param {String|Buffer|ReadableStream} config.content Resource content.
+	 * @returns {Promise.<Object>} Numbers of added, updated and deleted strings.
 	 */
-	putResourceContent( { token, slug, content } ) {
-		return retryAsyncFunction( () => {
-			return new Promise( ( resolve, reject ) => {
-				request.put( `${ PROJECT_URL }/resource/${ slug }/content/`, {
-					auth: { username: 'api', password: token },
-					formData: { content, 'i18n_type': 'PO' }
-				}, createJsonResponseHandler( resolve, reject, 'putResourceContent' ) );
-			} );
-		} );
+	putResourceContent( config ) {
+		return readContent( config.content )
+			.then( potFileContent => uploadResourceStrings( config, potFileContent, 'putResourceContent' ) )
+			.then( details => convertResponse( 'putResourceContent', details, config ) );
 	},
 
 	/**
-	 * Returns resource details promise.
+	 * Returns the source content of the resource.
 	 *
-	 * @param {Object} config
-	 * @param {String} config.token Token to the Transifex API.
+	 * @param {TransifexConfig} config
+	 * @param {String} config.slug Resource slug.
+	 * @returns {Promise.<Object>} An object containing the POT file `content`.
+	 */
+	getResourceContent( config ) {
+		const { token } = config;
+
+		const body = {
+			data: {
+				type: 'resource_strings_async_downloads',
+				attributes: {
+					content_encoding: 'text',
+					file_type: 'default'
+				},
+				relationships: {
+					resource: {
+						data: { type: 'resources', id: getResourceId( config ) }
+					}
+				}
+			}
+		};
+
+		const url = `${ API_URL }/resource_strings_async_downloads`;
+
+		return retryAsyncFunction( () => requestJson( url, { token, method: 'POST', body }, 'getResourceContent' ) )
+			.then( response => pollJob( `${ url }/${ response.data.id }`, token, 'getResourceContent' ) )
+			.then( content => convertResponse( 'getResourceContent', content, config ) );
+	},
+
+	/**
+	 * Returns resource details promise containing languages of the available translations.
+	 *
+	 * @param {TransifexConfig} config
 	 * @param {String} config.slug Resource slug.
 	 * @returns {Promise.<Object>}
 	 */
-	getResourceDetails( { token, slug } ) {
-		return retryAsyncFunction( () => {
-			return new Promise( ( resolve, reject ) => {
-				request.get( `${ PROJECT_URL }/resource/${ slug }/?details`, {
-					auth: { username: 'api', password: token }
-				}, createJsonResponseHandler( resolve, reject, 'getResourceDetails' ) );
-			} );
-		} );
+	getResourceDetails( config ) {
+		const url = `${ API_URL }/resource_language_stats` +
+			`?filter[project]=${ getProjectId( config ) }&filter[resource]=${ getResourceId( config ) }`;
+
+		return requestAllPages( url, config.token, 'getResourceDetails' )
+			.then( languageStats => convertResponse( 'getResourceDetails', languageStats, config ) );
 	},
 
 	/**
 	 * Returns translations promise for the target resource and language.
 	 *
-	 * @param {Object} config
-	 * @param {String} config.token Token to the Transifex API.
+	 * @param {TransifexConfig} config
 	 * @param {String} config.slug Resource slug.
 	 * @param {String} config.lang Target language.
-	 * @returns {Promise.<Object>}
+	 * @returns {Promise.<Object>} An object containing the PO file `content`.
 	 */
-	getTranslation( { token, slug, lang } ) {
-		return retryAsyncFunction( () => {
-			return new Promise( ( resolve, reject ) => {
-				request.get( `${ PROJECT_URL }/resource/${ slug }/translation/${ lang }/`, {
-					auth: { username: 'api', password: token }
-				}, createJsonResponseHandler( resolve, reject, 'getTranslation' ) );
-			} );
-		} );
+	getTranslation( config ) {
+		const { token, lang } = config;
+
+		const body = {
+			data: {
+				type: 'resource_translations_async_downloads',
+				attributes: {
+					content_encoding: 'text',
+					file_type: 'default',
+					mode: 'default'
+				},
+				relationships: {
+					resource: {
+						data: { type: 'resources', id: getResourceId( config ) }
+					},
+					language: {
+						data: { type: 'languages', id: `l:${ lang }` }
+					}
+				}
+			}
+		};
+
+		const url = `${ API_URL }/resource_translations_async_downloads`;
+
+		return retryAsyncFunction( () => requestJson( url, { token, method: 'POST', body }, 'getTranslation' ) )
+			.then( response => pollJob( `${ url }/${ response.data.id }`, token, 'getTranslation' ) )
+			.then( content => convertResponse( 'getTranslation', content, config ) );
 	}
 };
 
-// Creates handler for the requests in the promise wrappers.
-function createJsonResponseHandler( resolve, reject, methodName ) {
-	return function handleJsonResponse( error, response, body ) {
-		if ( error ) {
-			return reject( error );
-		} else if ( response.statusCode >= 300 ) {
-			return reject( new Error( `Status code: ${ response.statusCode } for '${ methodName }' method.` ) );
-		}
+// Converts the payload returned by the Transifex API (v3) for the given method to the format used by the upload
+// and download tasks (see `TranslationPlatformService`).
+function convertResponse( methodName, payload, config ) {
+	switch ( methodName ) {
+		// Resources (`data` items of all pages).
+		case 'getResources':
+			return payload.map( resource => ( {
+				slug: resource.attributes.slug,
+				name: resource.attributes.name
+			} ) );
 
-		try {
-			resolve( JSON.parse( body ) );
-		} catch ( err ) {
-			reject(
-				new Error( `Error handled while parsing body of the '${ methodName }' response: ${ body.toString() }` )
-			);
+		// Details of the upload job.
+		case 'postResource':
+			return [ payload.strings_created ];
+
+		// Details of the upload job.
+		case 'putResourceContent':
+			return {
+				strings_added: payload.strings_created,
+				strings_updated: payload.strings_updated,
+				strings_delete: payload.strings_deleted
+			};
+
+		// Language statistics of the resource (`data` items of all pages).
+		case 'getResourceDetails':
+			return {
+				slug: config.slug,
+				available_languages: payload.map( stats => ( {
+					code: stats.relationships.language.data.id.replace( /^l:/, '' )
+				} ) )
+			};
+
+		// Content of the downloaded file.
+		case 'getResourceContent':
+		case 'getTranslation':
+			return { content: payload };
+	}
+}
+
+// Downloads all pages of the collection and resolves with their items. The Transifex API returns a link
+// to the next page (`links.next`) until the last page is reached.
+function requestAllPages( url, token, methodName, items = [] ) {
+	return retryAsyncFunction( () => requestJson( url, { token }, methodName ) )
+		.then( response => {
+			const allItems = [ ...items, ...response.data ];
+			const nextPageUrl = response.links && response.links.next;
+
+			if ( nextPageUrl ) {
+				return requestAllPages( nextPageUrl, token, methodName, allItems );
+			}
+
+			return allItems;
+		} );
+}
+
+// Uploads the resource content and waits until Transifex processes it. Resolves with details of the upload
+// (numbers of created, updated, deleted and skipped strings).
+function uploadResourceStrings( config, content, methodName ) {
+	const { token } = config;
+
+	const body = {
+		data: {
+			type: 'resource_strings_async_uploads',
+			attributes: {
+				content,
+				content_encoding: 'text'
+			},
+			relationships: {
+				resource: {
+					data: { type: 'resources', id: getResourceId( config ) }
+				}
+			}
 		}
 	};
+
+	const url = `${ API_URL }/resource_strings_async_uploads`;
+
+	return retryAsyncFunction( () => requestJson( url, { token, method: 'POST', body }, methodName ) )
+		.then( response => pollJob( `${ url }/${ response.data.id }`, token, methodName ) );
+}
+
+// Checks the status of the asynchronous job until it is finished.
+//
+// The upload job resolves with its details. Download jobs redirect to the downloaded file when they are finished,
+// so its content is resolved instead.
+function pollJob( url, token, methodName, attempt = 1 ) {
+	return retryAsyncFunction( () => request( url, { token, redirect: 'manual' }, methodName ) )
+		.then( response => {
+			if ( response.status === 303 ) {
+				return retryAsyncFunction( () => request( response.headers.get( 'location' ), {}, methodName ) )
+					.then( fileResponse => fileResponse.text() );
+			}
+
+			return parseJson( response, methodName )
+				.then( parsedResponse => {
+					const { status, details, errors } = parsedResponse.data.attributes;
+
+					if ( status === 'succeeded' ) {
+						return details;
+					}
+
+					if ( status === 'failed' ) {
+						const reasons = ( errors || [] ).map( error => error.detail ).join( ' ' );
+
+						throw new Error( `The '${ methodName }' job failed on the Transifex side. ${ reasons }`.trim() );
+					}
+
+					if ( attempt >= MAX_POLLING_ATTEMPTS ) {
+						throw new Error( `The '${ methodName }' job has not finished after ${ MAX_POLLING_ATTEMPTS } status checks.` );
+					}
+
+					return wait( POLLING_INTERVAL )
+						.then( () => pollJob( url, token, methodName, attempt + 1 ) );
+				} );
+		} );
+}
+
+// Sends the request and resolves with the parsed JSON response.
+function requestJson( url, options, methodName ) {
+	return request( url, options, methodName )
+		.then( response => parseJson( response, methodName ) );
+}
+
+// Sends the request. Rejects when the request fails or the response status code means an error.
+function request( url, { token, method = 'GET', body, redirect = 'follow' }, methodName ) {
+	const headers = {};
+
+	if ( token ) {
+		headers.Authorization = `Bearer ${ token }`;
+	}
+
+	if ( body ) {
+		headers[ 'Content-Type' ] = 'application/vnd.api+json';
+	}
+
+	return fetch( url, { method, headers, redirect, body: body ? JSON.stringify( body ) : undefined } )
+		.then( response => {
+			if ( response.status >= 300 && !( redirect === 'manual' && response.status === 303 ) ) {
+				throw new Error( `Status code: ${ response.status } for '${ methodName }' method.` );
+			}
+
+			return response;
+		} );
 }
+
+function parseJson( response, methodName ) {
+	return response.text()
+		.then( body => {
+			try {
+				return JSON.parse( body );
+			} catch ( err ) {
+				throw new Error( `Error handled while parsing body of the '${ methodName }' response: ${ body }` );
+			}
+		} );
+}
+
+function getProjectId( { organizationName = DEFAULT_ORGANIZATION_NAME, projectName = DEFAULT_PROJECT_NAME } ) {
+	return `o:${ organizationName }:p:${ projectName }`;
+}
+
+function getResourceId( config ) {
+	return `${ getProjectId( config ) }:r:${ config.slug }`;
+}
+
+function wait( ms ) {
+	return new Promise( resolve => setTimeout( resolve, ms ) );
+}
+
+/**
+ * @typedef {Object} TransifexConfig
+ *
+ * @property {String} token Token to the Transifex API.
+ * @property {String} [organizationName='ckeditor'] The organization slug of the Transifex project.
+ * @property {String} [projectName='ckeditor5'] The Transifex project slug.
+ */
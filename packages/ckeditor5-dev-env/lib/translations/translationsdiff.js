@@ -0,0 +1,95 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const { createDictionaryFromPoFileContent } = require( '@ckeditor/ckeditor5-dev-utils' ).translations;
+
+/**
+ * Utilities used by the upload and download tasks in the dry-run mode. They compare the current and the incoming
+ * content of PO (or POT) files without writing anything.
+ */
+module.exports = {
+	/**
+	 * Compares two versions of the PO file of a single language.
+	 *
+	 * @param {String} language The language code (`en` for the source POT files).
+	 * @param {String|null} previousPoFileContent Content of the current file or `null` if the file does not exist.
+	 * @param {String|null} poFileContent Content of the incoming file or `null` if the file will be removed.
+	 * @returns {LanguageDiff}
+	 */
+	createLanguageDiff( language, previousPoFileContent, poFileContent ) {
+		const previousMessages = previousPoFileContent === null ? {} : createDictionaryFromPoFileContent( previousPoFileContent );
+		const messages = poFileContent === null ? {} : createDictionaryFromPoFileContent( poFileContent );
+
+		const ids = Object.keys( messages );
+		const previousIds = Object.keys( previousMessages );
+
+		const languageDiff = {
+			language,
+			status: 'unchanged',
+			added: ids.filter( id => !previousIds.includes( id ) ),
+			changed: ids.filter( id => previousIds.includes( id ) && !areTranslationsEqual( messages[ id ], previousMessages[ id ] ) ),
+			removed: previousIds.filter( id => !ids.includes( id ) )
+		};
+
+		if ( previousPoFileContent === null ) {
+			languageDiff.status = 'new';
+		} else if ( poFileContent === null ) {
+			languageDiff.status = 'removed';
+		} else if ( languageDiff.added.length || languageDiff.changed.length || languageDiff.removed.length ) {
+			languageDiff.status = 'changed';
+		}
+
+		return languageDiff;
+	},
+
+	/**
+	 * Prints the per-package, per-language summary of the diff.
+	 *
+	 * @param {TranslationsDiff} translationsDiff
+	 * @param {Object} logger
+	 */
+	logTranslationsDiff( translationsDiff, logger ) {
+		for ( const { packageName, languages } of translationsDiff.packages ) {
+			logger.info( `Package: ${ packageName }` );
+
+			if ( !languages.length ) {
+				logger.info( 'No translations.' );
+			}
+
+			for ( const { language, status, added, changed, removed } of languages ) {
+				logger.info(
+					`${ language } (${ status }) - New: ${ added.length }, Changed: ${ changed.length }, Removed: ${ removed.length }`
+				);
+			}
+
+			logger.info( '-------------------------------' );
+		}
+	}
+};
+
+function areTranslationsEqual( translations, previousTranslations ) {
+	return translations.join( '\n' ) === previousTranslations.join( '\n' );
+}
+
+/**
+ * The machine-readable result of the upload or download task called in the dry-run mode.
+ *
+ * @typedef {Object} TranslationsDiff
+ *
+ * @property {Array.<Object>} packages Packages (objects with the `packageName` and `languages` properties)
+ * which resources or translations would be changed.
+ */
+
+/**
+ * @typedef {Object} LanguageDiff
+ *
+ * @property {String} language The language code.
+ * @property {'new'|'changed'|'removed'|'unchanged'} status The status of the whole PO file.
+ * @property {Array.<String>} added Ids of messages that would be added.
+ * @property {Array.<String>} changed Ids of messages which translations would be changed.
+ * @property {Array.<String>} removed Ids of messages that would be removed.
+ */
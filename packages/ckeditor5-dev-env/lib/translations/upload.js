@@ -9,14 +9,24 @@ const fs = require( 'fs' );
 const path = require( 'path' );
 const logger = require( '@ckeditor/ckeditor5-dev-utils' ).logger();
 const transifexService = require( './transifex-service' );
+const { createLanguageDiff, logTranslationsDiff } = require( './translationsdiff' );
 
 /**
- * Uploads translations to the Transifex from collected files that are saved at 'ckeditor5/build/.transifex'.
+ * Uploads translations to the Transifex (or other translation platform) from collected files
+ * that are saved at 'ckeditor5/build/.transifex'.
+ *
+ * In the dry-run mode, resources are not uploaded. Instead, the collected files are compared with resources
+ * available on the translation platform and the summary of new, changed and removed messages is printed.
+ * Resources that are available on the translation platform but have no collected file are reported as removed.
  *
  * @param {Object} loginConfig
  * @param {String} config.token Token to the Transifex API.
+ * @param {Object} [options]
+ * @param {TranslationPlatformService} [options.service] A translation platform service. Defaults to the Transifex service.
+ * @param {Boolean} [options.dryRun=false] Whether to only compute the diff instead of uploading resources.
+ * @returns {Promise.<TranslationsDiff|undefined>} The diff between collected files and uploaded resources in the dry-run mode.
  */
-module.exports = function upload( loginConfig ) {
+module.exports = function upload( loginConfig, { service = transifexService, dryRun = false } = {} ) {
 	const pathToPoTranslations = path.join( process.cwd(), 'build', '.transifex' );
 	const potFiles = fs.readdirSync( pathToPoTranslations ).map( packageName => ( {
 		packageName,
@@ -24,11 +34,24 @@ module.exports = function upload( loginConfig ) {
 	} ) );
 
 	return Promise.resolve()
-		.then( () => transifexService.getResources( loginConfig ) )
+		.then( () => service.getResources( loginConfig ) )
 		.then( resources => resources.map( resource => resource.slug ) )
-		.then( uploadedPackageNames => getUploadedPackages( potFiles, uploadedPackageNames ) )
-		.then( areUploadedResources => createOrUpdateResources( loginConfig, areUploadedResources, potFiles ) )
-		.then( () => logger.info( 'All resources uploaded.\n' ) )
+		.then( uploadedPackageNames => {
+			if ( dryRun ) {
+				return createResourcesDiff( service, loginConfig, uploadedPackageNames, potFiles )
+					.then( translationsDiff => {
+						logTranslationsDiff( translationsDiff, logger );
+						logger.info( 'Dry run: no resources were uploaded.\n' );
+
+						return translationsDiff;
+					} );
+			}
+
+			const areUploadedResources = getUploadedPackages( potFiles, uploadedPackageNames );
+
+			return createOrUpdateResources( service, loginConfig, areUploadedResources, potFiles )
+				.then( () => logger.info( 'All resources uploaded.\n' ) );
+		} )
 		.catch( err => {
 			logger.error( err );
 			throw err;
@@ -39,15 +62,52 @@ function getUploadedPackages( potFiles, uploadedPackageNames ) {
 	return potFiles.map( potFile => uploadedPackageNames.includes( potFile.packageName ) );
 }
 
-function createOrUpdateResources( loginConfig, areUploadedResources, potFiles ) {
+function createOrUpdateResources( service, loginConfig, areUploadedResources, potFiles ) {
 	return Promise.all(
 		areUploadedResources.map( ( isUploadedResource, index ) => {
-			return createOrUpdateResource( loginConfig, potFiles[ index ], isUploadedResource );
+			return createOrUpdateResource( service, loginConfig, potFiles[ index ], isUploadedResource );
 		} )
 	);
 }
 
-function createOrUpdateResource( config, potFile, isUploadedResource ) {
+function createResourcesDiff( service, loginConfig, uploadedPackageNames, potFiles ) {
+	if ( uploadedPackageNames.length && typeof service.getResourceContent !== 'function' ) {
+		return Promise.reject(
+			new Error( 'The translation platform service must implement the getResourceContent() method to compare uploaded resources.' )
+		);
+	}
+
+	const packageNames = potFiles.map( potFile => potFile.packageName );
+
+	// Resources which files were not collected, e.g. because the package does not contain messages anymore.
+	const removedPackageNames = uploadedPackageNames.filter( packageName => !packageNames.includes( packageName ) );
+
+	const potFileDiffs = potFiles.map( ( { packageName, path } ) => {
+		const potFileContent = fs.readFileSync( path, 'utf-8' );
+
+		if ( !uploadedPackageNames.includes( packageName ) ) {
+			return { packageName, languages: [ createLanguageDiff( 'en', null, potFileContent ) ] };
+		}
+
+		return getResourceContent( service, loginConfig, packageName )
+			.then( content => ( { packageName, languages: [ createLanguageDiff( 'en', content, potFileContent ) ] } ) );
+	} );
+
+	const removedResourceDiffs = removedPackageNames.map( packageName => {
+		return getResourceContent( service, loginConfig, packageName )
+			.then( content => ( { packageName, languages: [ createLanguageDiff( 'en', content, null ) ] } ) );
+	} );
+
+	return Promise.all( [ ...potFileDiffs, ...removedResourceDiffs ] )
+		.then( packages => ( { packages } ) );
+}
+
+function getResourceContent( service, loginConfig, packageName ) {
+	return service.getResourceContent( Object.assign( {}, loginConfig, { slug: packageName } ) )
+		.then( resource => resource.content );
+}
+
+function createOrUpdateResource( service, config, potFile, isUploadedResource ) {
 	const { packageName, path } = potFile;
 	const resConfig = Object.assign( {}, config, {
 		name: packageName,
@@ -56,11 +116,11 @@ function createOrUpdateResource( config, potFile, isUploadedResource ) {
 	} );
 
 	if ( isUploadedResource ) {
-		return transifexService.putResourceContent( resConfig )
+		return service.putResourceContent( resConfig )
 			.then( parsedResponse => logPutResponse( packageName, parsedResponse ) );
 	}
 
-	return transifexService.postResource( resConfig )
+	return service.postResource( resConfig )
 		.then( parsedResponse => logPostResponse( packageName, parsedResponse ) );
 }
 
@@ -32,6 +32,8 @@ describe( 'dev-env/index', () => {
 				uploadPotFiles: sandbox.spy(),
 				download: sandbox.spy(),
 				createPotFiles: sandbox.spy(),
+				createCoverageReport: sandbox.spy(),
+				lintTranslations: sandbox.spy(),
 				getToken: sandbox.stub()
 			},
 			releaseTools: {
@@ -49,6 +51,8 @@ describe( 'dev-env/index', () => {
 		mockery.registerMock( './translations/gettoken', stubs.translations.getToken );
 		mockery.registerMock( './translations/download', stubs.translations.download );
 		mockery.registerMock( './translations/createpotfiles', stubs.translations.createPotFiles );
+		mockery.registerMock( './translations/createcoveragereport', stubs.translations.createCoverageReport );
+		mockery.registerMock( './translations/linttranslations', stubs.translations.lintTranslations );
 
 		mockery.registerMock(
 			'./release-tools/tasks/releasesubrepositories',
@@ -179,6 +183,35 @@ describe( 'dev-env/index', () => {
 		} );
 	} );
 
+	describe( 'createCoverageReport()', () => {
+		it( 'should create a coverage report', () => {
+			const options = {
+				sourceFiles: [],
+				packagePaths: [],
+				minCoverage: 90
+			};
+
+			tasks.createCoverageReport( options );
+
+			sinon.assert.calledOnce( stubs.translations.createCoverageReport );
+			sinon.assert.calledWithExactly( stubs.translations.createCoverageReport, options );
+		} );
+	} );
+
+	describe( 'lintTranslations()', () => {
+		it( 'should validate translation files', () => {
+			const options = {
+				packagePaths: [],
+				languages: [ 'pl' ]
+			};
+
+			tasks.lintTranslations( options );
+
+			sinon.assert.calledOnce( stubs.translations.lintTranslations );
+			sinon.assert.calledWithExactly( stubs.translations.lintTranslations, options );
+		} );
+	} );
+
 	describe( 'uploadPotFiles()', () => {
 		it( 'should upload translations', () => {
 			stubs.translations.getToken.returns( Promise.resolve( { token: 'token' } ) );
@@ -187,9 +220,49 @@ describe( 'dev-env/index', () => {
 				sinon.assert.calledOnce( stubs.translations.uploadPotFiles );
 				sinon.assert.alwaysCalledWithExactly( stubs.translations.uploadPotFiles, {
 					token: 'token'
-				} );
+				}, { dryRun: false } );
 			} );
 		} );
+
+		it( 'should upload translations from the specified Transifex project', () => {
+			stubs.translations.getToken.returns( Promise.resolve( { token: 'token' } ) );
+
+			return tasks.uploadPotFiles( { organizationName: 'foo', projectName: 'bar' } ).then( () => {
+				sinon.assert.calledOnce( stubs.translations.uploadPotFiles );
+				sinon.assert.alwaysCalledWithExactly( stubs.translations.uploadPotFiles, {
+					token: 'token',
+					organizationName: 'foo',
+					projectName: 'bar'
+				}, { dryRun: false } );
+			} );
+		} );
+
+		it( 'should pass the dryRun option to the task', () => {
+			stubs.translations.getToken.returns( Promise.resolve( { token: 'token' } ) );
+
+			return tasks.uploadPotFiles( { dryRun: true } ).then( () => {
+				sinon.assert.calledOnce( stubs.translations.uploadPotFiles );
+				sinon.assert.alwaysCalledWithExactly( stubs.translations.uploadPotFiles, { token: 'token' }, { dryRun: true } );
+			} );
+		} );
+
+		it( 'should pass the dryRun option to the task using the service', () => {
+			const service = {};
+
+			tasks.uploadPotFiles( { service, dryRun: true } );
+
+			sinon.assert.calledWithExactly( stubs.translations.uploadPotFiles, {}, { service, dryRun: true } );
+		} );
+
+		it( 'should upload translations using the service without asking for the token', () => {
+			const service = {};
+
+			tasks.uploadPotFiles( { service } );
+
+			sinon.assert.notCalled( stubs.translations.getToken );
+			sinon.assert.calledOnce( stubs.translations.uploadPotFiles );
+			sinon.assert.calledWithExactly( stubs.translations.uploadPotFiles, {}, { service, dryRun: false } );
+		} );
 	} );
 
 	describe( 'downloadTranslations()', () => {
@@ -200,8 +273,48 @@ describe( 'dev-env/index', () => {
 				sinon.assert.calledOnce( stubs.translations.download );
 				sinon.assert.alwaysCalledWithExactly( stubs.translations.download, {
 					token: 'token'
-				} );
+				}, { dryRun: false } );
+			} );
+		} );
+
+		it( 'should download translations from the specified Transifex project', () => {
+			stubs.translations.getToken.returns( Promise.resolve( { token: 'token' } ) );
+
+			return tasks.downloadTranslations( { organizationName: 'foo', projectName: 'bar' } ).then( () => {
+				sinon.assert.calledOnce( stubs.translations.download );
+				sinon.assert.alwaysCalledWithExactly( stubs.translations.download, {
+					token: 'token',
+					organizationName: 'foo',
+					projectName: 'bar'
+				}, { dryRun: false } );
 			} );
 		} );
+
+		it( 'should pass the dryRun option to the task', () => {
+			stubs.translations.getToken.returns( Promise.resolve( { token: 'token' } ) );
+
+			return tasks.downloadTranslations( { dryRun: true } ).then( () => {
+				sinon.assert.calledOnce( stubs.translations.download );
+				sinon.assert.alwaysCalledWithExactly( stubs.translations.download, { token: 'token' }, { dryRun: true } );
+			} );
+		} );
+
+		it( 'should pass the dryRun option to the task using the service', () => {
+			const service = {};
+
+			tasks.downloadTranslations( { service, dryRun: true } );
+
+			sinon.assert.calledWithExactly( stubs.translations.download, {}, { service, dryRun: true } );
+		} );
+
+		it( 'should download translations using the service without asking for the token', () => {
+			const service = {};
+
+			tasks.downloadTranslations( { service } );
+
+			sinon.assert.notCalled( stubs.translations.getToken );
+			sinon.assert.calledOnce( stubs.translations.download );
+			sinon.assert.calledWithExactly( stubs.translations.download, {}, { service, dryRun: false } );
+		} );
 	} );
 } );
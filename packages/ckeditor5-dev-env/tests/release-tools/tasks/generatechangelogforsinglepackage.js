@@ -42,7 +42,8 @@ describe( 'dev-env/release-tools/tasks', () => {
 				],
 				generateChangelogFromCommits: sandbox.stub(),
 				versionUtils: {
-					getLastFromChangelog: sandbox.stub()
+					getLastFromChangelog: sandbox.stub(),
+					getNextPreRelease: sandbox.stub()
 				}
 			};
 
@@ -107,15 +108,42 @@ describe( 'dev-env/release-tools/tasks', () => {
 					expect( stubs.transformCommitFactory.firstCall.args[ 0 ] ).to.deep.equal( {
 						returnInvalidCommit: true,
 						treatMajorAsMinorBreakingChange: false,
-						useExplicitBreakingChangeGroups: true
+						useExplicitBreakingChangeGroups: true,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 					expect( stubs.transformCommitFactory.secondCall.args[ 0 ] ).to.deep.equal( {
 						treatMajorAsMinorBreakingChange: false,
-						useExplicitBreakingChangeGroups: true
+						useExplicitBreakingChangeGroups: true,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 				} );
 		} );
 
+		it( 'passes `options.commitTypes` to utils that depend on types of commits', () => {
+			const commits = [ {}, {} ];
+			const commitTypes = [ { type: 'Perf', section: 'Performance improvements' } ];
+
+			stubs.getNewReleaseType.returns( Promise.resolve( {
+				releaseType: 'patch',
+				commits
+			} ) );
+
+			stubs.versionUtils.getLastFromChangelog.returns( '0.5.0' );
+			stubs.generateChangelogFromCommits.returns( Promise.resolve() );
+			stubs.cli.provideVersion.returns( Promise.resolve( '0.5.1' ) );
+
+			return generateChangelogForSinglePackage( { commitTypes } )
+				.then( () => {
+					expect( stubs.transformCommitFactory.firstCall.args[ 0 ].commitTypes ).to.equal( commitTypes );
+					expect( stubs.transformCommitFactory.secondCall.args[ 0 ].commitTypes ).to.equal( commitTypes );
+					expect( stubs.getNewReleaseType.firstCall.args[ 1 ].commitTypes ).to.equal( commitTypes );
+					expect( stubs.displayCommits.firstCall.args[ 1 ].commitTypes ).to.equal( commitTypes );
+					expect( stubs.generateChangelogFromCommits.firstCall.args[ 0 ].commitTypes ).to.equal( commitTypes );
+				} );
+		} );
+
 		it( 'passes `options.indentLevel` to "generateChangelogFromCommits()" correctly', () => {
 			const commits = [ {}, {} ];
 
@@ -143,7 +171,9 @@ describe( 'dev-env/release-tools/tasks', () => {
 						newTagName: 'v1.0.0',
 						transformCommit: stubs.transformCommit[ 1 ],
 						isInternalRelease: false,
-						skipLinks: false
+						skipLinks: false,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 				} );
 		} );
@@ -172,7 +202,9 @@ describe( 'dev-env/release-tools/tasks', () => {
 						newTagName: 'v1.0.0',
 						transformCommit: stubs.transformCommit[ 1 ],
 						isInternalRelease: false,
-						skipLinks: false
+						skipLinks: false,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 
 					expect( stubs.logger.info.calledTwice ).to.equal( true );
@@ -208,13 +240,17 @@ describe( 'dev-env/release-tools/tasks', () => {
 						newTagName: 'v0.1.0',
 						transformCommit: stubs.transformCommit[ 1 ],
 						isInternalRelease: false,
-						skipLinks: false
+						skipLinks: false,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 
 					expect( stubs.getNewReleaseType.calledOnce ).to.equal( true );
 					expect( stubs.getNewReleaseType.firstCall.args[ 0 ] ).to.equal( stubs.transformCommit[ 0 ] );
 					expect( stubs.getNewReleaseType.firstCall.args[ 1 ] ).to.deep.equal( {
-						tagName: null
+						tagName: null,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 
 					expect( stubs.cli.provideVersion.calledOnce ).to.equal( true );
@@ -249,13 +285,17 @@ describe( 'dev-env/release-tools/tasks', () => {
 						newTagName: 'v0.0.2',
 						transformCommit: stubs.transformCommit[ 1 ],
 						isInternalRelease: true,
-						skipLinks: false
+						skipLinks: false,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 
 					expect( stubs.getNewReleaseType.calledOnce ).to.equal( true );
 					expect( stubs.getNewReleaseType.firstCall.args[ 0 ] ).to.equal( stubs.transformCommit[ 0 ] );
 					expect( stubs.getNewReleaseType.firstCall.args[ 1 ] ).to.deep.equal( {
-						tagName: null
+						tagName: null,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 
 					expect( stubs.cli.provideVersion.calledOnce ).to.equal( true );
@@ -290,7 +330,9 @@ describe( 'dev-env/release-tools/tasks', () => {
 						newTagName: 'v0.1.0',
 						transformCommit: stubs.transformCommit[ 1 ],
 						isInternalRelease: false,
-						skipLinks: false
+						skipLinks: false,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 
 					expect( stubs.cli.provideVersion.calledOnce ).to.equal( true );
@@ -374,7 +416,9 @@ describe( 'dev-env/release-tools/tasks', () => {
 						newTagName: 'v0.1.0',
 						transformCommit: stubs.transformCommit[ 0 ],
 						isInternalRelease: true,
-						skipLinks: false
+						skipLinks: false,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 				} );
 		} );
@@ -394,7 +438,94 @@ describe( 'dev-env/release-tools/tasks', () => {
 						newTagName: 'v1.0.0',
 						transformCommit: stubs.transformCommit[ 0 ],
 						isInternalRelease: true,
-						skipLinks: false
+						skipLinks: false,
+						commitTypes: undefined,
+						commitConvention: undefined
+					} );
+				} );
+		} );
+
+		it( 'passes `options.preReleaseId` to "cli.provideVersion()"', () => {
+			stubs.getNewReleaseType.returns( Promise.resolve( {
+				releaseType: 'major',
+				commits: []
+			} ) );
+			stubs.cli.provideVersion.returns( Promise.resolve( '1.0.0-beta.1' ) );
+			stubs.versionUtils.getLastFromChangelog.returns( '0.0.1' );
+			stubs.generateChangelogFromCommits.returns( Promise.resolve() );
+
+			return generateChangelogForSinglePackage( { preReleaseId: 'beta' } )
+				.then( newVersion => {
+					expect( newVersion ).to.equal( '1.0.0-beta.1' );
+
+					expect( stubs.cli.provideVersion.calledOnce ).to.equal( true );
+					expect( stubs.cli.provideVersion.firstCall.args ).to.deep.equal( [
+						'0.0.1',
+						'major',
+						{ indentLevel: 0, preReleaseId: 'beta', versionStrategy: undefined }
+					] );
+
+					expect( stubs.generateChangelogFromCommits.firstCall.args[ 0 ] ).to.include( {
+						version: '1.0.0-beta.1',
+						newTagName: 'v1.0.0-beta.1'
+					} );
+				} );
+		} );
+
+		it( 'passes the version strategy from `options.releaseConfig` to "cli.provideVersion()"', () => {
+			stubs.getNewReleaseType.returns( Promise.resolve( {
+				releaseType: 'minor',
+				commits: []
+			} ) );
+			stubs.cli.provideVersion.returns( Promise.resolve( '0.1.0' ) );
+			stubs.versionUtils.getLastFromChangelog.returns( '0.0.1' );
+			stubs.generateChangelogFromCommits.returns( Promise.resolve() );
+
+			return generateChangelogForSinglePackage( { releaseConfig: { autoConfirm: false } } )
+				.then( () => {
+					expect( stubs.cli.provideVersion.firstCall.args[ 2 ] ).to.deep.equal( {
+						indentLevel: 0,
+						preReleaseId: undefined,
+						versionStrategy: 'suggested'
+					} );
+				} );
+		} );
+
+		it( 'bumps the pre-release version for internal changelog if `options.preReleaseId` is specified', () => {
+			stubs.versionUtils.getLastFromChangelog.returns( '0.0.1' );
+			stubs.versionUtils.getNextPreRelease.returns( '0.0.2-beta.1' );
+			stubs.generateChangelogFromCommits.returns( Promise.resolve() );
+
+			return generateChangelogForSinglePackage( { newVersion: 'patch', isInternalRelease: true, preReleaseId: 'beta' } )
+				.then( () => {
+					expect( stubs.versionUtils.getNextPreRelease.calledOnce ).to.equal( true );
+					expect( stubs.versionUtils.getNextPreRelease.firstCall.args ).to.deep.equal( [ '0.0.1', 'patch', 'beta' ] );
+
+					expect( stubs.generateChangelogFromCommits.firstCall.args[ 0 ] ).to.include( {
+						version: '0.0.2-beta.1',
+						newTagName: 'v0.0.2-beta.1',
+						isInternalRelease: true
+					} );
+				} );
+		} );
+
+		it( 'bumps the pre-release version for "internal" version provided by a user if `options.preReleaseId` is specified', () => {
+			stubs.getNewReleaseType.returns( Promise.resolve( {
+				releaseType: 'minor',
+				commits: []
+			} ) );
+			stubs.cli.provideVersion.returns( Promise.resolve( 'internal' ) );
+			stubs.versionUtils.getLastFromChangelog.returns( '0.0.1' );
+			stubs.versionUtils.getNextPreRelease.returns( '0.0.2-beta.1' );
+			stubs.generateChangelogFromCommits.returns( Promise.resolve() );
+
+			return generateChangelogForSinglePackage( { preReleaseId: 'beta' } )
+				.then( () => {
+					expect( stubs.versionUtils.getNextPreRelease.firstCall.args ).to.deep.equal( [ '0.0.1', 'patch', 'beta' ] );
+
+					expect( stubs.generateChangelogFromCommits.firstCall.args[ 0 ] ).to.include( {
+						version: '0.0.2-beta.1',
+						isInternalRelease: true
 					} );
 				} );
 		} );
@@ -435,7 +566,9 @@ describe( 'dev-env/release-tools/tasks', () => {
 						newTagName: 'v0.1.0',
 						transformCommit: stubs.transformCommit[ 1 ],
 						isInternalRelease: false,
-						skipLinks: true
+						skipLinks: true,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 				} );
 		} );
@@ -460,7 +593,9 @@ describe( 'dev-env/release-tools/tasks', () => {
 						newTagName: 'v0.1.0',
 						transformCommit: stubs.transformCommit[ 1 ],
 						isInternalRelease: false,
-						skipLinks: false
+						skipLinks: false,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 				} );
 		} );
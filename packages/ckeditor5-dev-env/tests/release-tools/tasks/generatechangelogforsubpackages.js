@@ -138,11 +138,15 @@ describe( 'dev-env/release-tools/tasks', () => {
 					expect( stubs.getNewReleaseType.calledTwice ).to.equal( true );
 					expect( stubs.getNewReleaseType.firstCall.args[ 0 ] ).to.equal( stubs.transformCommit[ 0 ] );
 					expect( stubs.getNewReleaseType.firstCall.args[ 1 ] ).to.deep.equal( {
-						tagName: '@ckeditor/ckeditor5-dev-foo@1.0.0'
+						tagName: '@ckeditor/ckeditor5-dev-foo@1.0.0',
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 					expect( stubs.getNewReleaseType.secondCall.args[ 0 ] ).to.equal( stubs.transformCommit[ 2 ] );
 					expect( stubs.getNewReleaseType.secondCall.args[ 1 ] ).to.deep.equal( {
-						tagName: '@ckeditor/ckeditor5-dev-bar@2.0.0'
+						tagName: '@ckeditor/ckeditor5-dev-bar@2.0.0',
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 
 					expect( stubs.cli.provideVersion.calledTwice ).to.equal( true );
@@ -174,14 +178,18 @@ describe( 'dev-env/release-tools/tasks', () => {
 						transformCommit: stubs.transformCommit[ 1 ],
 						tagName: '@ckeditor/ckeditor5-dev-foo@1.0.0',
 						newTagName: '@ckeditor/ckeditor5-dev-foo@1.0.1',
-						isInternalRelease: false
+						isInternalRelease: false,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 					expect( stubs.generateChangelogFromCommits.secondCall.args[ 0 ] ).to.deep.equal( {
 						version: '2.1.0',
 						transformCommit: stubs.transformCommit[ 3 ],
 						tagName: '@ckeditor/ckeditor5-dev-bar@2.0.0',
 						newTagName: '@ckeditor/ckeditor5-dev-bar@2.1.0',
-						isInternalRelease: false
+						isInternalRelease: false,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 
 					expect( stubs.displayCommits.calledTwice ).to.equal( true );
@@ -237,7 +245,9 @@ describe( 'dev-env/release-tools/tasks', () => {
 						transformCommit: stubs.transformCommit[ 1 ],
 						tagName: '@ckeditor/ckeditor5-dev-foo@1.0.0',
 						newTagName: '@ckeditor/ckeditor5-dev-foo@1.0.1',
-						isInternalRelease: false
+						isInternalRelease: false,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 
 					expect( stubs.displayCommits.calledOnce ).to.equal( true );
@@ -333,14 +343,18 @@ describe( 'dev-env/release-tools/tasks', () => {
 						transformCommit: stubs.transformCommit[ 1 ],
 						tagName: '@ckeditor/ckeditor5-dev-foo@1.0.0',
 						newTagName: '@ckeditor/ckeditor5-dev-foo@1.0.1',
-						isInternalRelease: true
+						isInternalRelease: true,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 					expect( stubs.generateChangelogFromCommits.secondCall.args[ 0 ] ).to.deep.equal( {
 						version: '2.0.1',
 						transformCommit: stubs.transformCommit[ 3 ],
 						tagName: '@ckeditor/ckeditor5-dev-bar@2.0.0',
 						newTagName: '@ckeditor/ckeditor5-dev-bar@2.0.1',
-						isInternalRelease: true
+						isInternalRelease: true,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 				} );
 		} );
@@ -186,13 +186,19 @@ Patch releases (bug fixes, internal changes):
 `;
 					expect( stubs.transformCommitFunctionFactory.calledOnce ).to.equal( true );
 					expect( stubs.transformCommitFunctionFactory.firstCall.args[ 0 ] ).to.deep.equal( {
-						returnInvalidCommit: true
+						returnInvalidCommit: true,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 
 					/* eslint-enable max-len */
 					expect( stubs.getNewReleaseType.calledOnce ).to.equal( true );
 					expect( stubs.getNewReleaseType.firstCall.args[ 0 ] ).to.equal( stubs.transformCommit[ 0 ] );
-					expect( stubs.getNewReleaseType.firstCall.args[ 1 ] ).to.deep.equal( { tagName: undefined } );
+					expect( stubs.getNewReleaseType.firstCall.args[ 1 ] ).to.deep.equal( {
+						tagName: undefined,
+						commitTypes: undefined,
+						commitConvention: undefined
+					} );
 
 					expect( stubs.changelogUtils.saveChangelog.calledOnce ).to.equal( true );
 					expect( stubs.changelogUtils.saveChangelog.firstCall.args[ 0 ] ).to.equal( expectedNewChangelog );
@@ -203,7 +209,9 @@ Patch releases (bug fixes, internal changes):
 					// Major bump was suggested because of packages changes.
 					expect( stubs.cliUtils.provideVersion.firstCall.args[ 1 ] ).to.equal( 'major' );
 					expect( stubs.cliUtils.provideVersion.firstCall.args[ 2 ] ).to.deep.equal( {
-						disableInternalVersion: true
+						disableInternalVersion: true,
+						preReleaseId: undefined,
+						versionStrategy: undefined
 					} );
 
 					expect( processChidirStub.callCount ).to.equal( 2 );
@@ -274,7 +282,9 @@ Patch releases (bug fixes, internal changes):
 					// '1.0.0' bump was suggested because of `options.version`.
 					expect( stubs.cliUtils.provideVersion.firstCall.args[ 1 ] ).to.equal( '1.0.0' );
 					expect( stubs.cliUtils.provideVersion.firstCall.args[ 2 ] ).to.deep.equal( {
-						disableInternalVersion: true
+						disableInternalVersion: true,
+						preReleaseId: undefined,
+						versionStrategy: undefined
 					} );
 
 					expect( processChidirStub.callCount ).to.equal( 2 );
@@ -349,13 +359,22 @@ Patch releases (bug fixes, internal changes):
 
 					expect( stubs.transformCommitFunctionFactory.calledTwice ).to.equal( true );
 					expect( stubs.transformCommitFunctionFactory.firstCall.args[ 0 ] ).to.deep.equal( {
-						returnInvalidCommit: true
+						returnInvalidCommit: true,
+						commitTypes: undefined,
+						commitConvention: undefined
+					} );
+					expect( stubs.transformCommitFunctionFactory.secondCall.args[ 0 ] ).to.deep.equal( {
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
-					expect( stubs.transformCommitFunctionFactory.secondCall.args ).to.deep.equal( [] );
 
 					expect( stubs.getNewReleaseType.calledOnce ).to.equal( true );
 					expect( stubs.getNewReleaseType.firstCall.args[ 0 ] ).to.equal( stubs.transformCommit[ 0 ] );
-					expect( stubs.getNewReleaseType.firstCall.args[ 1 ] ).to.deep.equal( { tagName: 'v0.0.1' } );
+					expect( stubs.getNewReleaseType.firstCall.args[ 1 ] ).to.deep.equal( {
+						tagName: 'v0.0.1',
+						commitTypes: undefined,
+						commitConvention: undefined
+					} );
 
 					expect( stubs.changelogUtils.saveChangelog.calledOnce ).to.equal( true );
 					expect( stubs.changelogUtils.saveChangelog.firstCall.args[ 0 ] ).to.equal( expectedNewChangelog );
@@ -365,7 +384,9 @@ Patch releases (bug fixes, internal changes):
 					// Minor bump was suggested because of commits.
 					expect( stubs.cliUtils.provideVersion.firstCall.args[ 1 ] ).to.equal( 'minor' );
 					expect( stubs.cliUtils.provideVersion.firstCall.args[ 2 ] ).to.deep.equal( {
-						disableInternalVersion: true
+						disableInternalVersion: true,
+						preReleaseId: undefined,
+						versionStrategy: undefined
 					} );
 
 					expect( stubs.generateChangelogFromCommits.firstCall.args[ 0 ] ).to.deep.equal( {
@@ -375,7 +396,9 @@ Patch releases (bug fixes, internal changes):
 						transformCommit: stubs.transformCommit[ 1 ],
 						isInternalRelease: false,
 						additionalNotes: true,
-						doNotSave: true
+						doNotSave: true,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 
 					expect( processChidirStub.callCount ).to.equal( 2 );
@@ -468,13 +491,22 @@ Major releases (dependencies of those packages have breaking changes):
 					/* eslint-enable max-len */
 					expect( stubs.transformCommitFunctionFactory.calledTwice ).to.equal( true );
 					expect( stubs.transformCommitFunctionFactory.firstCall.args[ 0 ] ).to.deep.equal( {
-						returnInvalidCommit: true
+						returnInvalidCommit: true,
+						commitTypes: undefined,
+						commitConvention: undefined
+					} );
+					expect( stubs.transformCommitFunctionFactory.secondCall.args[ 0 ] ).to.deep.equal( {
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
-					expect( stubs.transformCommitFunctionFactory.secondCall.args ).to.deep.equal( [] );
 
 					expect( stubs.getNewReleaseType.calledOnce ).to.equal( true );
 					expect( stubs.getNewReleaseType.firstCall.args[ 0 ] ).to.equal( stubs.transformCommit[ 0 ] );
-					expect( stubs.getNewReleaseType.firstCall.args[ 1 ] ).to.deep.equal( { tagName: 'v1.0.0' } );
+					expect( stubs.getNewReleaseType.firstCall.args[ 1 ] ).to.deep.equal( {
+						tagName: 'v1.0.0',
+						commitTypes: undefined,
+						commitConvention: undefined
+					} );
 
 					expect( stubs.changelogUtils.saveChangelog.calledOnce ).to.equal( true );
 					expect( stubs.changelogUtils.saveChangelog.firstCall.args[ 0 ] ).to.equal( expectedNewChangelog );
@@ -484,7 +516,9 @@ Major releases (dependencies of those packages have breaking changes):
 					// Minor bump was suggested because of commits.
 					expect( stubs.cliUtils.provideVersion.firstCall.args[ 1 ] ).to.equal( 'major' );
 					expect( stubs.cliUtils.provideVersion.firstCall.args[ 2 ] ).to.deep.equal( {
-						disableInternalVersion: true
+						disableInternalVersion: true,
+						preReleaseId: undefined,
+						versionStrategy: undefined
 					} );
 
 					expect( stubs.generateChangelogFromCommits.firstCall.args[ 0 ] ).to.deep.equal( {
@@ -494,7 +528,9 @@ Major releases (dependencies of those packages have breaking changes):
 						transformCommit: stubs.transformCommit[ 1 ],
 						isInternalRelease: false,
 						additionalNotes: true,
-						doNotSave: true
+						doNotSave: true,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 
 					expect( processChidirStub.callCount ).to.equal( 2 );
@@ -582,13 +618,22 @@ Minor releases (new features, no breaking changes):
 					/* eslint-enable max-len */
 					expect( stubs.transformCommitFunctionFactory.calledTwice ).to.equal( true );
 					expect( stubs.transformCommitFunctionFactory.firstCall.args[ 0 ] ).to.deep.equal( {
-						returnInvalidCommit: true
+						returnInvalidCommit: true,
+						commitTypes: undefined,
+						commitConvention: undefined
+					} );
+					expect( stubs.transformCommitFunctionFactory.secondCall.args[ 0 ] ).to.deep.equal( {
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
-					expect( stubs.transformCommitFunctionFactory.secondCall.args ).to.deep.equal( [] );
 
 					expect( stubs.getNewReleaseType.calledOnce ).to.equal( true );
 					expect( stubs.getNewReleaseType.firstCall.args[ 0 ] ).to.equal( stubs.transformCommit[ 0 ] );
-					expect( stubs.getNewReleaseType.firstCall.args[ 1 ] ).to.deep.equal( { tagName: 'v1.0.0' } );
+					expect( stubs.getNewReleaseType.firstCall.args[ 1 ] ).to.deep.equal( {
+						tagName: 'v1.0.0',
+						commitTypes: undefined,
+						commitConvention: undefined
+					} );
 
 					expect( stubs.changelogUtils.saveChangelog.calledOnce ).to.equal( true );
 					expect( stubs.changelogUtils.saveChangelog.firstCall.args[ 0 ] ).to.equal( expectedNewChangelog );
@@ -598,7 +643,9 @@ Minor releases (new features, no breaking changes):
 					// Minor bump was suggested because of commits.
 					expect( stubs.cliUtils.provideVersion.firstCall.args[ 1 ] ).to.equal( 'minor' );
 					expect( stubs.cliUtils.provideVersion.firstCall.args[ 2 ] ).to.deep.equal( {
-						disableInternalVersion: true
+						disableInternalVersion: true,
+						preReleaseId: undefined,
+						versionStrategy: undefined
 					} );
 
 					expect( stubs.generateChangelogFromCommits.firstCall.args[ 0 ] ).to.deep.equal( {
@@ -608,7 +655,9 @@ Minor releases (new features, no breaking changes):
 						transformCommit: stubs.transformCommit[ 1 ],
 						isInternalRelease: false,
 						additionalNotes: true,
-						doNotSave: true
+						doNotSave: true,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 
 					expect( processChidirStub.callCount ).to.equal( 2 );
@@ -698,16 +747,25 @@ Minor releases (new features, no breaking changes):
 					/* eslint-enable max-len */
 					expect( stubs.transformCommitFunctionFactory.calledTwice ).to.equal( true );
 					expect( stubs.transformCommitFunctionFactory.firstCall.args[ 0 ] ).to.deep.equal( {
-						returnInvalidCommit: true
+						returnInvalidCommit: true,
+						commitTypes: undefined,
+						commitConvention: undefined
+					} );
+					expect( stubs.transformCommitFunctionFactory.secondCall.args[ 0 ] ).to.deep.equal( {
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
-					expect( stubs.transformCommitFunctionFactory.secondCall.args ).to.deep.equal( [] );
 
 					// There is no "major" bump so the function should be never called.
 					expect( stubs.changelogUtils.hasMajorBreakingChanges.called ).to.equal( false );
 
 					expect( stubs.getNewReleaseType.calledOnce ).to.equal( true );
 					expect( stubs.getNewReleaseType.firstCall.args[ 0 ] ).to.equal( stubs.transformCommit[ 0 ] );
-					expect( stubs.getNewReleaseType.firstCall.args[ 1 ] ).to.deep.equal( { tagName: 'v0.0.1' } );
+					expect( stubs.getNewReleaseType.firstCall.args[ 1 ] ).to.deep.equal( {
+						tagName: 'v0.0.1',
+						commitTypes: undefined,
+						commitConvention: undefined
+					} );
 
 					expect( stubs.changelogUtils.saveChangelog.calledOnce ).to.equal( true );
 					expect( stubs.changelogUtils.saveChangelog.firstCall.args[ 0 ] ).to.equal( expectedNewChangelog );
@@ -717,7 +775,9 @@ Minor releases (new features, no breaking changes):
 					// Minor bump was suggested because of commits.
 					expect( stubs.cliUtils.provideVersion.firstCall.args[ 1 ] ).to.equal( 'minor' );
 					expect( stubs.cliUtils.provideVersion.firstCall.args[ 2 ] ).to.deep.equal( {
-						disableInternalVersion: true
+						disableInternalVersion: true,
+						preReleaseId: undefined,
+						versionStrategy: undefined
 					} );
 
 					expect( stubs.generateChangelogFromCommits.firstCall.args[ 0 ] ).to.deep.equal( {
@@ -727,7 +787,9 @@ Minor releases (new features, no breaking changes):
 						transformCommit: stubs.transformCommit[ 1 ],
 						isInternalRelease: false,
 						additionalNotes: true,
-						doNotSave: true
+						doNotSave: true,
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
 
 					expect( processChidirStub.callCount ).to.equal( 2 );
@@ -819,9 +881,14 @@ Patch releases (bug fixes, internal changes):
 					/* eslint-enable max-len */
 					expect( stubs.transformCommitFunctionFactory.calledTwice ).to.equal( true );
 					expect( stubs.transformCommitFunctionFactory.firstCall.args[ 0 ] ).to.deep.equal( {
-						returnInvalidCommit: true
+						returnInvalidCommit: true,
+						commitTypes: undefined,
+						commitConvention: undefined
+					} );
+					expect( stubs.transformCommitFunctionFactory.secondCall.args[ 0 ] ).to.deep.equal( {
+						commitTypes: undefined,
+						commitConvention: undefined
 					} );
-					expect( stubs.transformCommitFunctionFactory.secondCall.args ).to.deep.equal( [] );
 
 					expect( stubs.changelogUtils.saveChangelog.calledOnce ).to.equal( true );
 					expect( stubs.changelogUtils.saveChangelog.firstCall.args[ 0 ] ).to.equal( expectedNewChangelog );
@@ -0,0 +1,217 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const path = require( 'path' );
+const sinon = require( 'sinon' );
+const expect = require( 'chai' ).expect;
+const proxyquire = require( 'proxyquire' );
+
+describe( 'dev-env/release-tools/tasks', () => {
+	let releaseSubRepositories, sandbox, stubs, journal;
+
+	beforeEach( () => {
+		sandbox = sinon.createSandbox();
+
+		journal = {
+			isResumed: false,
+			hasCompleted: sandbox.stub().returns( false ),
+			markCompleted: sandbox.stub(),
+			markFailed: sandbox.stub(),
+			hasFailures: sandbox.stub().returns( false ),
+			remove: sandbox.stub()
+		};
+
+		stubs = {
+			createReleaseJournal: sandbox.stub().returns( journal ),
+			getSubRepositoriesPaths: sandbox.stub().returns( {
+				skipped: new Set(),
+				matched: new Set( [ '/workspace/packages/ckeditor5-foo' ] )
+			} ),
+			getPackageJson: sandbox.stub().returns( {
+				name: '@ckeditor/ckeditor5-foo',
+				version: '1.0.0'
+			} ),
+			changelogUtils: {
+				getChangesForVersion: sandbox.stub().returns( 'Changelog entries.' )
+			},
+			displaySkippedPackages: sandbox.stub(),
+			saveReleaseSummary: sandbox.stub(),
+			createGithubRelease: sandbox.stub(),
+			cli: {
+				configureReleaseOptions: sandbox.stub().resolves( { npm: true, github: false } ),
+				confirmPublishing: sandbox.stub().resolves( true ),
+				confirmRemovingFiles: sandbox.stub().resolves( false )
+			},
+			logger: {
+				info: sandbox.stub(),
+				warning: sandbox.stub(),
+				error: sandbox.stub()
+			},
+			tools: {
+				shExec: sandbox.stub().callsFake( command => {
+					if ( command === 'npm whoami' ) {
+						return 'ckeditor';
+					}
+
+					if ( command.startsWith( 'npm show' ) ) {
+						return '0.9.0';
+					}
+
+					return '';
+				} )
+			}
+		};
+
+		sandbox.stub( process, 'chdir' );
+
+		releaseSubRepositories = proxyquire( '../../../lib/release-tools/tasks/releasesubrepositories', {
+			'@ckeditor/ckeditor5-dev-utils': {
+				tools: stubs.tools,
+				logger() {
+					return stubs.logger;
+				}
+			},
+			'@octokit/rest': class {},
+			'../utils/cli': stubs.cli,
+			'../utils/creategithubrelease': stubs.createGithubRelease,
+			'../utils/createreleasejournal': stubs.createReleaseJournal,
+			'../utils/displayskippedpackages': stubs.displaySkippedPackages,
+			'../utils/changelog': stubs.changelogUtils,
+			'../utils/getpackagejson': stubs.getPackageJson,
+			'../utils/getsubrepositoriespaths': stubs.getSubRepositoriesPaths,
+			'../utils/savereleasesummary': stubs.saveReleaseSummary
+		} );
+	} );
+
+	afterEach( () => {
+		sandbox.restore();
+		process.exitCode = undefined;
+	} );
+
+	describe( 'releaseSubRepositories()', () => {
+		it( 'creates the release journal in the "cwd" directory by default', () => {
+			return releaseSubRepositories( { cwd: '/workspace', packages: 'packages' } )
+				.then( () => {
+					sinon.assert.calledOnce( stubs.createReleaseJournal );
+					sinon.assert.calledWithExactly( stubs.createReleaseJournal, {
+						journalFile: path.resolve( '/workspace', '.release-journal.json' ),
+						resume: undefined,
+						dryRun: false
+					} );
+				} );
+		} );
+
+		it( 'passes the journal file and the "resume" and "dryRun" options to the release journal', () => {
+			return releaseSubRepositories( {
+				cwd: '/workspace',
+				packages: 'packages',
+				journalFile: '/tmp/journal.json',
+				resume: true,
+				dryRun: true
+			} )
+				.then( () => {
+					sinon.assert.calledWithExactly( stubs.createReleaseJournal, {
+						journalFile: path.resolve( '/tmp/journal.json' ),
+						resume: true,
+						dryRun: true
+					} );
+				} );
+		} );
+
+		it( 'marks the package as published and removes the journal when the release has been completed', () => {
+			return releaseSubRepositories( { cwd: '/workspace', packages: 'packages' } )
+				.then( summary => {
+					sinon.assert.calledWith( stubs.tools.shExec, 'npm publish --access=public' );
+					sinon.assert.calledWithExactly( journal.markCompleted, '@ckeditor/ckeditor5-foo', '1.0.0', 'published' );
+					sinon.assert.calledOnce( journal.remove );
+
+					expect( summary.npm ).to.deep.equal( [
+						{ name: '@ckeditor/ckeditor5-foo', version: '1.0.0', tag: 'latest' }
+					] );
+				} );
+		} );
+
+		it( 'marks the package as packed in the DRY RUN mode', () => {
+			return releaseSubRepositories( { cwd: '/workspace', packages: 'packages', dryRun: true } )
+				.then( () => {
+					sinon.assert.calledWith( stubs.tools.shExec, 'npm pack' );
+					sinon.assert.neverCalledWith( stubs.tools.shExec, 'npm publish --access=public' );
+					sinon.assert.calledWithExactly( journal.markCompleted, '@ckeditor/ckeditor5-foo', '1.0.0', 'packed' );
+				} );
+		} );
+
+		it( 'does not publish packages that have been published according to the journal', () => {
+			journal.hasCompleted.withArgs( '@ckeditor/ckeditor5-foo', '1.0.0', 'published' ).returns( true );
+
+			return releaseSubRepositories( { cwd: '/workspace', packages: 'packages', resume: true } )
+				.then( () => {
+					sinon.assert.neverCalledWith( stubs.tools.shExec, 'npm publish --access=public' );
+					sinon.assert.notCalled( stubs.cli.confirmPublishing );
+					sinon.assert.notCalled( journal.markCompleted );
+				} );
+		} );
+
+		it( 'removes the journal and returns the summary when all steps of the resumed release have been completed', () => {
+			journal.isResumed = true;
+			journal.hasCompleted.withArgs( '@ckeditor/ckeditor5-foo', '1.0.0', 'published' ).returns( true );
+
+			return releaseSubRepositories( { cwd: '/workspace', packages: 'packages', resume: true } )
+				.then( summary => {
+					sinon.assert.notCalled( stubs.cli.confirmPublishing );
+					sinon.assert.calledOnce( journal.remove );
+					sinon.assert.calledWith(
+						stubs.logger.info,
+						sinon.match( 'All steps of the resumed release have already been completed. There is nothing to release.' )
+					);
+
+					expect( summary ).to.deep.equal( { dryRun: false, npm: [], pushed: [], github: [] } );
+					expect( process.exitCode ).to.equal( undefined );
+				} );
+		} );
+
+		it( 'keeps the journal when there is nothing to release, but some steps of the resumed release have failed', () => {
+			journal.isResumed = true;
+			journal.hasFailures.returns( true );
+			journal.hasCompleted.withArgs( '@ckeditor/ckeditor5-foo', '1.0.0', 'published' ).returns( true );
+
+			return releaseSubRepositories( { cwd: '/workspace', packages: 'packages', resume: true } )
+				.then( summary => {
+					sinon.assert.notCalled( journal.remove );
+
+					expect( summary ).to.equal( undefined );
+				} );
+		} );
+
+		it( 'marks the failed step and keeps the journal when publishing fails', () => {
+			const error = new Error( 'Network error.' );
+
+			stubs.tools.shExec.withArgs( 'npm publish --access=public' ).throws( error );
+
+			return releaseSubRepositories( { cwd: '/workspace', packages: 'packages' } )
+				.then( () => {
+					sinon.assert.calledWithExactly( journal.markFailed, '@ckeditor/ckeditor5-foo', '1.0.0', 'published', error );
+					sinon.assert.notCalled( journal.markCompleted );
+					sinon.assert.notCalled( journal.remove );
+
+					expect( process.exitCode ).to.equal( -1 );
+				} );
+		} );
+
+		it( 'keeps the journal when some steps of the completed release have failed', () => {
+			journal.hasFailures.returns( true );
+
+			return releaseSubRepositories( { cwd: '/workspace', packages: 'packages' } )
+				.then( () => {
+					sinon.assert.notCalled( journal.remove );
+					sinon.assert.calledWith(
+						stubs.logger.info,
+						sinon.match( 'Some steps of the release failed. They can be retried using the "resume" option.' )
+					);
+				} );
+		} );
+	} );
+} );
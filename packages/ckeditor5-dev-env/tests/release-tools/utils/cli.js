@@ -108,6 +108,14 @@ describe( 'dev-env/release-tools/utils', () => {
 						expect( packagesAsArray[ 5 ] ).to.equal( '@ckeditor/ckeditor5-list' );
 					} );
 			} );
+
+			it( 'does not ask a question if "autoConfirm" is set on true', () => {
+				return cli.confirmUpdatingVersions( new Map(), { autoConfirm: true } )
+					.then( isConfirmed => {
+						expect( isConfirmed ).to.equal( true );
+						expect( questionItems ).to.deep.equal( [] );
+					} );
+			} );
 		} );
 
 		describe( 'confirmPublishing()', () => {
@@ -147,6 +155,41 @@ describe( 'dev-env/release-tools/utils', () => {
 						expect( question.message ).to.match( /Continue\?$/ );
 					} );
 			} );
+
+			it( 'displays the npm dist-tag of pre-release versions', () => {
+				const packagesMap = new Map();
+
+				packagesMap.set( '@ckeditor/ckeditor5-engine', {
+					version: '2.0.0-beta.1',
+					npmTag: 'beta',
+					shouldReleaseOnNpm: true,
+					shouldReleaseOnGithub: true
+				} );
+				packagesMap.set( '@ckeditor/ckeditor5-utils', {
+					version: '1.7.0',
+					npmTag: 'latest',
+					shouldReleaseOnNpm: true,
+					shouldReleaseOnGithub: false
+				} );
+
+				return cli.confirmPublishing( packagesMap )
+					.then( () => {
+						const question = questionItems[ 0 ];
+
+						expect( question.message ).to.match(
+							/"@ckeditor\/ckeditor5-engine" - version: 2\.0\.0-beta\.1 - services: NPM \(tag: beta\), GitHub/
+						);
+						expect( question.message ).to.match( /"@ckeditor\/ckeditor5-utils" - version: 1\.7\.0 - services: NPM / );
+					} );
+			} );
+
+			it( 'does not ask a question if "autoConfirm" is set on true', () => {
+				return cli.confirmPublishing( new Map(), { autoConfirm: true } )
+					.then( isConfirmed => {
+						expect( isConfirmed ).to.equal( true );
+						expect( questionItems ).to.deep.equal( [] );
+					} );
+			} );
 		} );
 
 		describe( 'confirmRemovingFiles()', () => {
@@ -159,6 +202,14 @@ describe( 'dev-env/release-tools/utils', () => {
 						expect( question.type ).to.equal( 'confirm' );
 					} );
 			} );
+
+			it( 'does not ask a question if "autoConfirm" is set on true', () => {
+				return cli.confirmRemovingFiles( { autoConfirm: true } )
+					.then( shouldRemove => {
+						expect( shouldRemove ).to.equal( true );
+						expect( questionItems ).to.deep.equal( [] );
+					} );
+			} );
 		} );
 
 		describe( 'provideVersion()', () => {
@@ -266,6 +317,110 @@ describe( 'dev-env/release-tools/utils', () => {
 					} );
 			} );
 
+			it( 'should suggest the first pre-release version of the next major version if "preReleaseId" is specified', () => {
+				return cli.provideVersion( '19.2.0', 'major', { preReleaseId: 'beta' } )
+					.then( newVersion => {
+						expect( questionItems[ 0 ].message ).to.equal(
+							'Type the new version, "skip" or "internal" (suggested: "20.0.0-beta.1", current: "19.2.0"):'
+						);
+
+						expect( newVersion ).to.equal( '20.0.0-beta.1' );
+					} );
+			} );
+
+			it( 'should suggest the first pre-release version of the next minor version if "preReleaseId" is specified', () => {
+				return cli.provideVersion( '19.2.0', 'minor', { preReleaseId: 'alpha' } )
+					.then( newVersion => {
+						expect( newVersion ).to.equal( '19.3.0-alpha.1' );
+					} );
+			} );
+
+			it( 'should suggest the pre-release of the next minor version for non-public package if "preReleaseId" is specified', () => {
+				return cli.provideVersion( '0.7.0', 'major', { preReleaseId: 'beta' } )
+					.then( newVersion => {
+						expect( newVersion ).to.equal( '0.8.0-beta.1' );
+					} );
+			} );
+
+			it( 'should increment the pre-release version if "preReleaseId" is the same as in the current version', () => {
+				return cli.provideVersion( '20.0.0-beta.1', 'minor', { preReleaseId: 'beta' } )
+					.then( newVersion => {
+						expect( newVersion ).to.equal( '20.0.0-beta.2' );
+					} );
+			} );
+
+			it( 'should change the pre-release identifier if "preReleaseId" is different than in the current version', () => {
+				return cli.provideVersion( '20.0.0-beta.3', 'patch', { preReleaseId: 'rc' } )
+					.then( newVersion => {
+						expect( newVersion ).to.equal( '20.0.0-rc.1' );
+					} );
+			} );
+
+			it( 'should suggest "skip" version for package which does not contain changes even if "preReleaseId" is specified', () => {
+				return cli.provideVersion( '19.2.0', null, { preReleaseId: 'beta' } )
+					.then( newVersion => {
+						expect( newVersion ).to.equal( 'skip' );
+					} );
+			} );
+
+			it( 'returns the suggested version without asking if "versionStrategy" is "suggested"', () => {
+				return cli.provideVersion( '1.0.0', 'minor', { versionStrategy: 'suggested' } )
+					.then( newVersion => {
+						expect( newVersion ).to.equal( '1.1.0' );
+						expect( questionItems ).to.deep.equal( [] );
+					} );
+			} );
+
+			it( 'returns the version specified as "versionStrategy" without asking', () => {
+				return cli.provideVersion( '1.0.0', 'minor', { versionStrategy: '2.0.0' } )
+					.then( newVersion => {
+						expect( newVersion ).to.equal( '2.0.0' );
+						expect( questionItems ).to.deep.equal( [] );
+					} );
+			} );
+
+			it( 'rejects if the version specified as "versionStrategy" is not higher than the current one', () => {
+				return cli.provideVersion( '2.0.0', 'minor', { versionStrategy: '1.5.0' } )
+					.then(
+						() => {
+							throw new Error( 'Supposed to be rejected.' );
+						},
+						err => {
+							expect( err.message ).to.equal(
+								'The new version ("1.5.0") must be higher than the current version ("2.0.0").'
+							);
+							expect( questionItems ).to.deep.equal( [] );
+						}
+					);
+			} );
+
+			it( 'rejects if the version specified as "versionStrategy" is equal to the current one', () => {
+				return cli.provideVersion( '2.0.0', 'minor', { versionStrategy: '2.0.0' } )
+					.then(
+						() => {
+							throw new Error( 'Supposed to be rejected.' );
+						},
+						err => {
+							expect( err.message ).to.equal(
+								'The new version ("2.0.0") must be higher than the current version ("2.0.0").'
+							);
+						}
+					);
+			} );
+
+			it( 'returns "skip" or "internal" even if the version is specified as "versionStrategy"', () => {
+				return cli.provideVersion( '1.0.0', null, { versionStrategy: '2.0.0' } )
+					.then( newVersion => {
+						expect( newVersion ).to.equal( 'skip' );
+
+						return cli.provideVersion( '1.0.0', 'internal', { versionStrategy: '2.0.0' } );
+					} )
+					.then( newVersion => {
+						expect( newVersion ).to.equal( 'internal' );
+						expect( questionItems ).to.deep.equal( [] );
+					} );
+			} );
+
 			it( 'removes spaces from provided version', () => {
 				return cli.provideVersion( '1.0.0', 'major' )
 					.then( () => {
@@ -310,6 +465,43 @@ describe( 'dev-env/release-tools/utils', () => {
 					} );
 			} );
 
+			it( 'suggests the pre-release version of the next major version if "preReleaseId" is specified', () => {
+				return cli.provideNewMajorReleaseVersion( '19.2.0', '@ckeditor/foo', { preReleaseId: 'beta' } )
+					.then( newVersion => {
+						expect( newVersion ).to.equal( '20.0.0-beta.1' );
+					} );
+			} );
+
+			it( 'returns the suggested version without asking if "versionStrategy" is "suggested"', () => {
+				return cli.provideNewMajorReleaseVersion( '1.0.0', '@ckeditor/foo', { versionStrategy: 'suggested' } )
+					.then( newVersion => {
+						expect( newVersion ).to.equal( '2.0.0' );
+						expect( questionItems ).to.deep.equal( [] );
+					} );
+			} );
+
+			it( 'returns the version specified as "versionStrategy" without asking', () => {
+				return cli.provideNewMajorReleaseVersion( '1.0.0', '@ckeditor/foo', { versionStrategy: '20.0.0' } )
+					.then( newVersion => {
+						expect( newVersion ).to.equal( '20.0.0' );
+						expect( questionItems ).to.deep.equal( [] );
+					} );
+			} );
+
+			it( 'rejects if the version specified as "versionStrategy" is not higher than the current one', () => {
+				return cli.provideNewMajorReleaseVersion( '1.0.0', '@ckeditor/foo', { versionStrategy: '1.0.0' } )
+					.then(
+						() => {
+							throw new Error( 'Supposed to be rejected.' );
+						},
+						err => {
+							expect( err.message ).to.equal(
+								'The new version ("1.0.0") must be higher than "1.0.0" found in "@ckeditor/foo".'
+							);
+						}
+					);
+			} );
+
 			it( 'removes spaces from provided version', () => {
 				return cli.provideNewMajorReleaseVersion( '1.0.0', '@ckeditor/foo' )
 					.then( () => {
@@ -356,6 +548,32 @@ describe( 'dev-env/release-tools/utils', () => {
 						expect( validate( 'a'.repeat( 40 ) ) ).to.equal( true );
 					} );
 			} );
+
+			it( 'reads the token from the environment variable if "tokenVariable" is specified', () => {
+				sandbox.stub( process, 'env' ).value( { CKE5_GITHUB_TOKEN: 'secret-token' } );
+
+				return cli.provideToken( { tokenVariable: 'CKE5_GITHUB_TOKEN' } )
+					.then( token => {
+						expect( token ).to.equal( 'secret-token' );
+						expect( questionItems ).to.deep.equal( [] );
+					} );
+			} );
+
+			it( 'rejects if the environment variable specified as "tokenVariable" is not defined', () => {
+				sandbox.stub( process, 'env' ).value( {} );
+
+				return cli.provideToken( { tokenVariable: 'CKE5_GITHUB_TOKEN' } )
+					.then(
+						() => {
+							throw new Error( 'Supposed to be rejected.' );
+						},
+						err => {
+							expect( err.message ).to.equal(
+								'The GitHub token must be provided as the "CKE5_GITHUB_TOKEN" environment variable.'
+							);
+						}
+					);
+			} );
 		} );
 
 		describe( 'configureReleaseOptions()', () => {
@@ -393,6 +611,24 @@ describe( 'dev-env/release-tools/utils', () => {
 						} );
 					} );
 			} );
+
+			it( 'uses services from the release configuration without asking', () => {
+				sandbox.stub( cli, 'provideToken' ).resolves( 'secret-token' );
+
+				return cli.configureReleaseOptions( { services: [ 'GitHub' ], tokenVariable: 'CKE5_GITHUB_TOKEN' } )
+					.then( options => {
+						expect( questionItems ).to.deep.equal( [] );
+
+						expect( cli.provideToken.calledOnce ).to.equal( true );
+						expect( cli.provideToken.firstCall.args[ 0 ] ).to.deep.equal( { tokenVariable: 'CKE5_GITHUB_TOKEN' } );
+
+						expect( options ).to.deep.equal( {
+							npm: false,
+							github: true,
+							token: 'secret-token'
+						} );
+					} );
+			} );
 		} );
 
 		describe( 'confirmMajorBreakingChangeRelease()', () => {
@@ -405,6 +641,14 @@ describe( 'dev-env/release-tools/utils', () => {
 						expect( question.type ).to.equal( 'confirm' );
 					} );
 			} );
+
+			it( 'returns the proposed value without asking if "autoConfirm" is set on true', () => {
+				return cli.confirmMajorBreakingChangeRelease( false, { autoConfirm: true } )
+					.then( isMajorRelease => {
+						expect( isMajorRelease ).to.equal( false );
+						expect( questionItems ).to.deep.equal( [] );
+					} );
+			} );
 		} );
 	} );
 } );
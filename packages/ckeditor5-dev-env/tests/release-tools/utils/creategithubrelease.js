@@ -84,7 +84,31 @@ describe( 'dev-env/release-tools/tasks', () => {
 						owner: 'organization',
 						repo: 'repository',
 						tag_name: 'v1.0.0',
-						body: 'Changes.'
+						body: 'Changes.',
+						prerelease: false
+					} );
+				} );
+		} );
+
+		it( 'marks the release as a pre-release', () => {
+			stubs.createRelease.resolves( { done: true } );
+
+			const options = {
+				repositoryOwner: 'organization',
+				repositoryName: 'repository',
+				version: 'v2.0.0-beta.1',
+				description: 'Changes.',
+				isPreRelease: true
+			};
+
+			return createGithubRelease( 'token-123', options )
+				.then( () => {
+					expect( stubs.createRelease.firstCall.args[ 0 ] ).to.deep.equal( {
+						owner: 'organization',
+						repo: 'repository',
+						tag_name: 'v2.0.0-beta.1',
+						body: 'Changes.',
+						prerelease: true
 					} );
 				} );
 		} );
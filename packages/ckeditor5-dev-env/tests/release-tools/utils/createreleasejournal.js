@@ -0,0 +1,161 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const fs = require( 'fs-extra' );
+const os = require( 'os' );
+const path = require( 'path' );
+const expect = require( 'chai' ).expect;
+const createReleaseJournal = require( '../../../lib/release-tools/utils/createreleasejournal' );
+
+describe( 'dev-env/release-tools/utils', () => {
+	describe( 'createReleaseJournal()', () => {
+		let directory, journalFile;
+
+		beforeEach( () => {
+			directory = fs.mkdtempSync( path.join( os.tmpdir(), 'ckeditor5-dev-env-' ) );
+			journalFile = path.join( directory, '.release-journal.json' );
+		} );
+
+		afterEach( () => {
+			fs.removeSync( directory );
+		} );
+
+		it( 'saves completed and failed steps in the journal file', () => {
+			const journal = createReleaseJournal( { journalFile } );
+
+			journal.markCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'published' );
+			journal.markFailed( '@ckeditor/ckeditor5-engine', '20.0.0', 'pushed', new Error( 'Permission denied.' ) );
+
+			expect( journal.isResumed ).to.equal( false );
+			expect( fs.readJsonSync( journalFile ) ).to.deep.equal( {
+				dryRun: false,
+				packages: {
+					'@ckeditor/ckeditor5-engine': {
+						version: '20.0.0',
+						steps: [ 'published' ],
+						failedStep: 'pushed',
+						error: 'Permission denied.'
+					}
+				}
+			} );
+		} );
+
+		it( 'removes the failure when the failed step is completed', () => {
+			const journal = createReleaseJournal( { journalFile } );
+
+			journal.markFailed( '@ckeditor/ckeditor5-engine', '20.0.0', 'pushed', 'Permission denied.' );
+			journal.markCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'pushed' );
+
+			expect( fs.readJsonSync( journalFile ).packages ).to.deep.equal( {
+				'@ckeditor/ckeditor5-engine': { version: '20.0.0', steps: [ 'pushed' ] }
+			} );
+		} );
+
+		it( 'discards steps completed for other version of the package', () => {
+			const journal = createReleaseJournal( { journalFile } );
+
+			journal.markCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'published' );
+			journal.markCompleted( '@ckeditor/ckeditor5-engine', '20.0.1', 'pushed' );
+
+			expect( journal.hasCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'published' ) ).to.equal( false );
+			expect( journal.hasCompleted( '@ckeditor/ckeditor5-engine', '20.0.1', 'pushed' ) ).to.equal( true );
+		} );
+
+		it( 'reads steps completed by the previous release if the release is resumed', () => {
+			createReleaseJournal( { journalFile } ).markCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'published' );
+
+			const journal = createReleaseJournal( { journalFile, resume: true } );
+
+			expect( journal.isResumed ).to.equal( true );
+			expect( journal.hasCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'published' ) ).to.equal( true );
+			expect( journal.hasCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'pushed' ) ).to.equal( false );
+			expect( journal.hasCompleted( '@ckeditor/ckeditor5-engine', '19.0.0', 'published' ) ).to.equal( false );
+			expect( journal.hasCompleted( '@ckeditor/ckeditor5-utils', '20.0.0', 'published' ) ).to.equal( false );
+		} );
+
+		it( 'ignores the previous release if the release is not resumed', () => {
+			createReleaseJournal( { journalFile } ).markCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'published' );
+
+			const journal = createReleaseJournal( { journalFile } );
+
+			expect( journal.isResumed ).to.equal( false );
+			expect( journal.hasCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'published' ) ).to.equal( false );
+		} );
+
+		it( 'ignores the journal file saved in the DRY RUN mode', () => {
+			fs.writeJsonSync( journalFile, {
+				dryRun: true,
+				packages: {
+					'@ckeditor/ckeditor5-engine': { version: '20.0.0', steps: [ 'packed' ] }
+				}
+			} );
+
+			const journal = createReleaseJournal( { journalFile, resume: true } );
+
+			expect( journal.isResumed ).to.equal( false );
+			expect( journal.hasCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'packed' ) ).to.equal( false );
+		} );
+
+		it( 'does not save the journal file in the DRY RUN mode', () => {
+			const journal = createReleaseJournal( { journalFile, dryRun: true } );
+
+			journal.markCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'packed' );
+			journal.markFailed( '@ckeditor/ckeditor5-engine', '20.0.0', 'released', 'Bad credentials' );
+
+			expect( journal.hasCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'packed' ) ).to.equal( true );
+			expect( fs.existsSync( journalFile ) ).to.equal( false );
+		} );
+
+		it( 'does not read nor modify the journal file of a real release in the DRY RUN mode', () => {
+			createReleaseJournal( { journalFile } ).markCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'published' );
+
+			const journalContent = fs.readFileSync( journalFile, 'utf-8' );
+			const journal = createReleaseJournal( { journalFile, resume: true, dryRun: true } );
+
+			journal.markCompleted( '@ckeditor/ckeditor5-utils', '20.0.0', 'packed' );
+			journal.remove();
+
+			expect( journal.isResumed ).to.equal( false );
+			expect( fs.readFileSync( journalFile, 'utf-8' ) ).to.equal( journalContent );
+		} );
+
+		it( 'checks whether any step has failed', () => {
+			const journal = createReleaseJournal( { journalFile } );
+
+			journal.markCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'published' );
+
+			expect( journal.hasFailures() ).to.equal( false );
+
+			journal.markFailed( '@ckeditor/ckeditor5-engine', '20.0.0', 'released', 'Bad credentials' );
+
+			expect( journal.hasFailures() ).to.equal( true );
+
+			journal.markCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'released' );
+
+			expect( journal.hasFailures() ).to.equal( false );
+		} );
+
+		it( 'removes the journal file', () => {
+			const journal = createReleaseJournal( { journalFile } );
+
+			journal.markCompleted( '@ckeditor/ckeditor5-engine', '20.0.0', 'published' );
+			journal.remove();
+
+			expect( fs.existsSync( journalFile ) ).to.equal( false );
+
+			// Removing the journal which has not been saved does not fail.
+			journal.remove();
+		} );
+
+		it( 'does not fail when the journal file does not exist', () => {
+			const journal = createReleaseJournal( { journalFile, resume: true } );
+
+			expect( journal.isResumed ).to.equal( false );
+			expect( fs.existsSync( journalFile ) ).to.equal( false );
+		} );
+	} );
+} );
@@ -147,6 +147,26 @@ describe( 'dev-env/release-tools/utils', () => {
 			expect( stubs.logger.info.firstCall.args[ 0 ].includes( 'INVALID' ) ).to.equal( true );
 		} );
 
+		it( 'marks commits according to specified commit types', () => {
+			const commitTypes = [
+				{ type: 'Perf', section: 'Performance improvements' },
+				{ type: 'Internal', visible: false }
+			];
+
+			const commits = [ 'Perf: Faster rendering.', 'Internal: Updated scripts.', 'Fix: Simple fix.' ].map( header => {
+				const [ rawType, subject ] = header.split( ': ' );
+
+				return { hash: '684997d', header, type: rawType, rawType, subject, body: null, footer: null, notes: [] };
+			} );
+
+			displayCommits( commits, { commitTypes } );
+
+			expect( stubs.logger.info.calledThrice ).to.equal( true );
+			expect( stubs.logger.info.firstCall.args[ 0 ].includes( 'INCLUDED' ) ).to.equal( true );
+			expect( stubs.logger.info.secondCall.args[ 0 ].includes( 'SKIPPED' ) ).to.equal( true );
+			expect( stubs.logger.info.thirdCall.args[ 0 ].includes( 'INVALID' ) ).to.equal( true );
+		} );
+
 		it( 'attaches additional subject for merge commits to the commit list', () => {
 			const commit = {
 				merge: 'Merge pull request #75 from ckeditor/t/64',
@@ -117,6 +117,24 @@ describe( 'dev-env/release-tools/utils', () => {
 				} );
 		} );
 
+		it( 'marks the title of the pre-release', () => {
+			return makeInitialRelease()
+				.then( () => {
+					makeCommit( 'Feature: Some amazing feature. Closes #1.' );
+
+					return generateChangelog( '1.0.0-beta.1' );
+				} )
+				.then( () => {
+					const changelogTitle = replaceDates( getChangelog().replace( changelogHeader, '' ).split( '\n' )[ 0 ] );
+
+					expect( changelogTitle ).to.equal(
+						'## [1.0.0-beta.1](https://github.com/ckeditor/ckeditor5-test-package/compare/v0.0.1...v1.0.0-beta.1) ' +
+						'(pre-release) (0000-00-00)'
+					);
+					expect( getChangesForVersion( '1.0.0-beta.1' ) ).to.match( /^### Features/ );
+				} );
+		} );
+
 		// See: https://github.com/ckeditor/ckeditor5-dev/issues/270#issuecomment-326807018
 		it( 'handles a commit which does not end with a dot', () => {
 			return makeInitialRelease()
@@ -484,6 +502,52 @@ Besides changes in the dependencies, this version also contains the following bu
 					} );
 			} );
 
+			it( 'generates the changelog for commits that follow the Conventional Commits specification', () => {
+				return makeInitialRelease()
+					.then( () => {
+						makeCommit( 'feat(ui)!: added the toolbar' );
+						makeCommit( 'fix: fixed the caret position', 'BREAKING-CHANGE: The caret API has changed.' );
+						makeCommit( 'perf(engine): faster rendering' );
+						makeCommit( 'chore: updated dependencies' );
+
+						const options = {
+							commitConvention: 'conventional',
+							transformCommit: transformCommitForSubRepositoryFactory( {
+								commitConvention: 'conventional',
+								useExplicitBreakingChangeGroups: true
+							} )
+						};
+
+						return generateChangelog( '1.0.0', options );
+					} )
+					.then( () => {
+						const latestChangelog = replaceCommitIds( getChangesForVersion( '1.0.0' ) );
+
+						/* eslint-disable max-len */
+						const expectedChangelog = normalizeStrings( `
+### MAJOR BREAKING CHANGES
+
+* The caret API has changed.
+* added the toolbar
+
+### Features
+
+* **ui**: added the toolbar. ([XXXXXXX](https://github.com/ckeditor/ckeditor5-test-package/commit/XXXXXXX))
+
+### Bug fixes
+
+* fixed the caret position. ([XXXXXXX](https://github.com/ckeditor/ckeditor5-test-package/commit/XXXXXXX))
+
+### Performance improvements
+
+* **engine**: faster rendering. ([XXXXXXX](https://github.com/ckeditor/ckeditor5-test-package/commit/XXXXXXX))
+` );
+						/* eslint-enable max-len */
+
+						expect( latestChangelog ).to.equal( expectedChangelog.trim() );
+					} );
+			} );
+
 			// See: https://github.com/ckeditor/ckeditor5-dev/issues/184
 			it( 'forces generating changelog as "internal" even if commits were made', () => {
 				return makeInitialRelease()
@@ -779,6 +843,7 @@ Besides changes in the dependencies, this version also contains the following bu
 			isInternalRelease: options.isInternalRelease,
 			additionalNotes: options.additionalNotes,
 			skipLinks: options.skipLinks,
+			commitConvention: options.commitConvention,
 			newTagName: 'v' + version,
 			tagName: !options.isFirstRelease ? 'v0.0.1' : null,
 			transformCommit: options.transformCommit || transformCommitForSubRepositoryFactory()
@@ -160,6 +160,7 @@ describe( 'dev-env/release-tools/utils', () => {
 						previousTag: 'v0.5.0',
 						currentTag: 'v1.0.0',
 						isInternalRelease: false,
+						isPreRelease: false,
 						additionalNotes: {},
 						skipCommitsLink: false,
 						skipCompareLink: false
@@ -196,6 +197,7 @@ describe( 'dev-env/release-tools/utils', () => {
 						previousTag: 'v0.5.0',
 						currentTag: 'v0.5.1',
 						isInternalRelease: true,
+						isPreRelease: false,
 						additionalNotes: {},
 						skipCommitsLink: false,
 						skipCompareLink: false
@@ -203,6 +205,25 @@ describe( 'dev-env/release-tools/utils', () => {
 				} );
 		} );
 
+		it( 'marks the pre-release version', () => {
+			changelogBuffer = Buffer.from( 'Changelog.' );
+
+			stubs.fs.existsSync.returns( true );
+			stubs.changelogUtils.getChangelog.returns( changelogUtils.changelogHeader );
+
+			const options = {
+				version: '1.0.0-beta.1',
+				transformCommit: stubs.transformCommit,
+				tagName: 'v0.5.0',
+				newTagName: 'v1.0.0-beta.1'
+			};
+
+			return generateChangelogFromCommits( options )
+				.then( () => {
+					expect( conventionalChangelogArguments[ 1 ] ).to.have.property( 'isPreRelease', true );
+				} );
+		} );
+
 		it( 'allows returning the changes instead of saving them', () => {
 			const newChangelogChunk = [
 				'## 1.0.0',
@@ -257,6 +278,7 @@ describe( 'dev-env/release-tools/utils', () => {
 						previousTag: 'v0.5.0',
 						currentTag: 'v0.5.1',
 						isInternalRelease: false,
+						isPreRelease: false,
 						additionalNotes: additionalCommitNotes,
 						skipCommitsLink: false,
 						skipCompareLink: false
@@ -264,6 +286,37 @@ describe( 'dev-env/release-tools/utils', () => {
 				} );
 		} );
 
+		it( 'uses additional notes and the order of groups defined by commit types', () => {
+			changelogBuffer = Buffer.from( 'Changelog.' );
+
+			stubs.fs.existsSync.returns( true );
+			stubs.changelogUtils.getChangelog.returns( changelogUtils.changelogHeader );
+
+			const commitTypes = [
+				{ type: 'Perf', section: 'Performance improvements', additionalNote: 'The following improvements were made:' }
+			];
+
+			const options = {
+				version: '0.5.1',
+				transformCommit: stubs.transformCommit,
+				tagName: 'v0.5.0',
+				newTagName: 'v0.5.1',
+				isInternalRelease: false,
+				additionalNotes: true,
+				commitTypes
+			};
+
+			return generateChangelogFromCommits( options )
+				.then( () => {
+					expect( conventionalChangelogArguments[ 1 ].additionalNotes ).to.deep.equal( {
+						'Performance improvements': 'The following improvements were made:'
+					} );
+
+					expect( stubs.getWriterOptions.calledOnce ).to.equal( true );
+					expect( stubs.getWriterOptions.firstCall.args ).to.deep.equal( [ stubs.transformCommit, commitTypes, undefined ] );
+				} );
+		} );
+
 		it( 'allows generating changelog without links to commits ("skipLinks" option)', () => {
 			changelogBuffer = Buffer.from( 'Changelog.' );
 
@@ -286,6 +339,7 @@ describe( 'dev-env/release-tools/utils', () => {
 						previousTag: 'v0.5.0',
 						currentTag: 'v0.5.1',
 						isInternalRelease: false,
+						isPreRelease: false,
 						additionalNotes: {},
 						skipCommitsLink: true,
 						skipCompareLink: true
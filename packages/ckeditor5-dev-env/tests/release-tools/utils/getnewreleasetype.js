@@ -11,6 +11,8 @@ const expect = require( 'chai' ).expect;
 const sinon = require( 'sinon' );
 const proxyquire = require( 'proxyquire' );
 const { tools } = require( '@ckeditor/ckeditor5-dev-utils' );
+const transformCommitForSubRepositoryFactory =
+	require( '../../../lib/release-tools/utils/transform-commit/transformcommitforsubrepositoryfactory' );
 
 describe( 'dev-env/release-tools/utils', () => {
 	let tmpCwd, cwd, getNewReleaseType, sandbox, packageJson, stubs;
@@ -50,7 +52,8 @@ describe( 'dev-env/release-tools/utils', () => {
 
 			packageJson = {
 				name: 'test-package',
-				bugs: 'some-url'
+				bugs: 'some-url',
+				repository: 'https://github.com/ckeditor/test-package'
 			};
 
 			fs.writeFileSync( path.join( tmpCwd, 'package.json' ), JSON.stringify( packageJson, null, '\t' ) );
@@ -218,6 +221,111 @@ describe( 'dev-env/release-tools/utils', () => {
 				} );
 		} );
 
+		it( 'returns "patch" release for custom commit types that bump the patch version', () => {
+			const commitTypes = [
+				{ type: 'Perf', section: 'Performance improvements' },
+				{ type: 'Security', section: 'Security fixes', releaseType: 'patch' },
+				{ type: 'Feature', visible: false }
+			];
+
+			exec( 'git commit --allow-empty --message "Perf: Faster rendering."' );
+			exec( 'git commit --allow-empty --message "Security: Sanitized URLs."' );
+			exec( 'git commit --allow-empty --message "Feature: Not visible in the changelog."' );
+
+			return getNewReleaseType( stubs.transformCommit, { commitTypes } )
+				.then( response => {
+					expect( response.releaseType ).to.equal( 'patch' );
+					expect( response.commits.length ).to.equal( 3 );
+				} );
+		} );
+
+		it( 'returns a release based on the release type of custom commit types', () => {
+			const commitTypes = [
+				{ type: 'Perf', section: 'Performance improvements', releaseType: 'minor' },
+				{ type: 'Breaking', section: 'Breaking changes', releaseType: 'major' }
+			];
+
+			exec( 'git commit --allow-empty --message "Perf: Faster rendering."' );
+
+			return getNewReleaseType( stubs.transformCommit, { commitTypes } )
+				.then( response => {
+					expect( response.releaseType ).to.equal( 'minor' );
+
+					exec( 'git commit --allow-empty --message "Breaking: Removed the API."' );
+
+					return getNewReleaseType( stubs.transformCommit, { commitTypes } );
+				} )
+				.then( response => {
+					expect( response.releaseType ).to.equal( 'major' );
+				} );
+		} );
+
+		it( 'returns "internal" release for commits of types unknown to custom commit types', () => {
+			exec( 'git commit --allow-empty --message "Fix: Some fix."' );
+
+			return getNewReleaseType( stubs.transformCommit, { commitTypes: [ { type: 'Perf', section: 'Performance improvements' } ] } )
+				.then( response => {
+					expect( response.releaseType ).to.equal( 'internal' );
+				} );
+		} );
+
+		it( 'returns a release for commits that follow the Conventional Commits specification', () => {
+			exec( 'git commit --allow-empty --message "fix: some fix"' );
+			exec( 'git commit --allow-empty --message "chore: updated dependencies"' );
+
+			return getNewReleaseType( stubs.transformCommit, { commitConvention: 'conventional' } )
+				.then( response => {
+					expect( response.releaseType ).to.equal( 'patch' );
+
+					exec( 'git commit --allow-empty --message "feat(ui): added the toolbar"' );
+
+					return getNewReleaseType( stubs.transformCommit, { commitConvention: 'conventional' } );
+				} )
+				.then( response => {
+					expect( response.releaseType ).to.equal( 'minor' );
+					expect( response.commits.map( commit => commit.type ) ).to.deep.equal( [ 'feat', 'chore', 'fix' ] );
+				} );
+		} );
+
+		it( 'returns "major" for commits with the "!" marker of the Conventional Commits specification', () => {
+			const transformCommit = transformCommitForSubRepositoryFactory( { commitConvention: 'conventional' } );
+
+			exec( 'git commit --allow-empty --message "fix: some fix"' );
+			exec( 'git commit --allow-empty --message "feat(ui)!: removed the deprecated API"' );
+
+			return getNewReleaseType( transformCommit, { commitConvention: 'conventional' } )
+				.then( response => {
+					expect( response.releaseType ).to.equal( 'major' );
+				} );
+		} );
+
+		it( 'returns "major" for commits with the "BREAKING CHANGE" footer of the Conventional Commits specification', () => {
+			const transformCommit = transformCommitForSubRepositoryFactory( { commitConvention: 'conventional' } );
+
+			exec(
+				'git commit --allow-empty --message "feat(ui): added the toolbar" --message "BREAKING CHANGE: Removed the old toolbar."'
+			);
+
+			return getNewReleaseType( transformCommit, { commitConvention: 'conventional' } )
+				.then( response => {
+					expect( response.releaseType ).to.equal( 'major' );
+				} );
+		} );
+
+		it( 'returns "major" for breaking changes when explicit breaking change groups are used', () => {
+			const transformCommit = transformCommitForSubRepositoryFactory( {
+				commitConvention: 'conventional',
+				useExplicitBreakingChangeGroups: true
+			} );
+
+			exec( 'git commit --allow-empty --message "feat(ui)!: removed the deprecated API"' );
+
+			return getNewReleaseType( transformCommit, { commitConvention: 'conventional' } )
+				.then( response => {
+					expect( response.releaseType ).to.equal( 'major' );
+				} );
+		} );
+
 		it( 'transforms each commit since the last release', () => {
 			exec( 'git commit --allow-empty --message "Feature: Nothing new."' );
 			exec( 'git commit --allow-empty --message "Other: Nothing." --message "MAJOR BREAKING CHANGES: Bump the major!"' );
@@ -0,0 +1,72 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const fs = require( 'fs-extra' );
+const os = require( 'os' );
+const path = require( 'path' );
+const expect = require( 'chai' ).expect;
+const getReleaseConfig = require( '../../../lib/release-tools/utils/getreleaseconfig' );
+
+describe( 'dev-env/release-tools/utils', () => {
+	describe( 'getReleaseConfig()', () => {
+		it( 'returns an empty object if the configuration is not specified', () => {
+			expect( getReleaseConfig() ).to.deep.equal( {} );
+			expect( getReleaseConfig( null ) ).to.deep.equal( {} );
+		} );
+
+		it( 'fills missing options with default values', () => {
+			expect( getReleaseConfig( { summaryFile: 'release-summary.json' } ) ).to.deep.equal( {
+				versionStrategy: 'suggested',
+				autoConfirm: false,
+				services: [ 'npm', 'GitHub' ],
+				tokenVariable: 'GITHUB_TOKEN',
+				summaryFile: 'release-summary.json'
+			} );
+		} );
+
+		it( 'allows overwriting default values', () => {
+			expect( getReleaseConfig( {
+				versionStrategy: '20.0.0',
+				autoConfirm: true,
+				services: [ 'npm' ],
+				tokenVariable: 'CKE5_GITHUB_TOKEN'
+			} ) ).to.deep.equal( {
+				versionStrategy: '20.0.0',
+				autoConfirm: true,
+				services: [ 'npm' ],
+				tokenVariable: 'CKE5_GITHUB_TOKEN',
+				summaryFile: null
+			} );
+		} );
+
+		it( 'loads the configuration from the specified file', () => {
+			const directory = fs.mkdtempSync( path.join( os.tmpdir(), 'ckeditor5-dev-env-' ) );
+			const pathToConfig = path.join( directory, 'release.json' );
+
+			fs.writeFileSync( pathToConfig, JSON.stringify( { services: [ 'GitHub' ] } ) );
+
+			try {
+				expect( getReleaseConfig( pathToConfig ) ).to.have.deep.property( 'services', [ 'GitHub' ] );
+			} finally {
+				fs.removeSync( directory );
+			}
+		} );
+
+		it( 'throws an error when the version strategy is invalid', () => {
+			expect( () => getReleaseConfig( { versionStrategy: 'major' } ) )
+				.to.throw( Error, 'The "versionStrategy" release option must be "suggested" or a valid version ("major").' );
+		} );
+
+		it( 'throws an error when services are invalid', () => {
+			expect( () => getReleaseConfig( { services: 'npm' } ) )
+				.to.throw( Error, 'The "services" release option must be an array containing "npm" and/or "GitHub".' );
+
+			expect( () => getReleaseConfig( { services: [ 'npm', 'GitLab' ] } ) )
+				.to.throw( Error, 'The "services" release option must be an array containing "npm" and/or "GitHub".' );
+		} );
+	} );
+} );
@@ -0,0 +1,46 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const fs = require( 'fs-extra' );
+const os = require( 'os' );
+const path = require( 'path' );
+const expect = require( 'chai' ).expect;
+const saveReleaseSummary = require( '../../../lib/release-tools/utils/savereleasesummary' );
+
+describe( 'dev-env/release-tools/utils', () => {
+	describe( 'saveReleaseSummary()', () => {
+		let directory, summaryFile;
+
+		beforeEach( () => {
+			directory = fs.mkdtempSync( path.join( os.tmpdir(), 'ckeditor5-dev-env-' ) );
+			summaryFile = path.join( directory, 'release-summary.json' );
+		} );
+
+		afterEach( () => {
+			fs.removeSync( directory );
+		} );
+
+		it( 'creates the summary file', () => {
+			saveReleaseSummary( summaryFile, 'bumpVersions', { dryRun: false, packages: [] } );
+
+			expect( fs.readJsonSync( summaryFile ) ).to.deep.equal( {
+				bumpVersions: { dryRun: false, packages: [] }
+			} );
+		} );
+
+		it( 'preserves summaries of other tasks', () => {
+			saveReleaseSummary( summaryFile, 'bumpVersions', { dryRun: false, packages: [] } );
+			saveReleaseSummary( summaryFile, 'releaseSubRepositories', { dryRun: false, npm: [], pushed: [], github: [] } );
+			saveReleaseSummary( summaryFile, 'bumpVersions', { dryRun: true, packages: [] } );
+
+			expect( fs.readJsonSync( summaryFile ) ).to.deep.equal( {
+				bumpVersions: { dryRun: true, packages: [] },
+				releaseSubRepositories: { dryRun: false, npm: [], pushed: [], github: [] }
+			} );
+		} );
+	} );
+} );
@@ -0,0 +1,81 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const expect = require( 'chai' ).expect;
+const conventionalCommitsParser = require( 'conventional-commits-parser' );
+
+describe( 'dev-env/release-tools/utils/transform-commit', () => {
+	let getParserOptions;
+
+	beforeEach( () => {
+		getParserOptions = require( '../../../../lib/release-tools/utils/transform-commit/getparseroptions' );
+	} );
+
+	describe( 'getParserOptions()', () => {
+		it( 'returns options for the CKEditor 5 commit convention by default', () => {
+			const parserOptions = require( '../../../../lib/release-tools/utils/transform-commit/parser-options' );
+
+			expect( getParserOptions() ).to.equal( parserOptions );
+			expect( getParserOptions( 'ckeditor' ) ).to.equal( parserOptions );
+		} );
+
+		it( 'throws an error when passed unsupported commit convention', () => {
+			expect( () => getParserOptions( 'angular' ) )
+				.to.throw( Error, 'Given invalid commit convention ("angular").' );
+		} );
+
+		describe( 'conventional', () => {
+			let parserOptions;
+
+			beforeEach( () => {
+				parserOptions = getParserOptions( 'conventional' );
+			} );
+
+			it( 'should not hoist closed tickets', () => {
+				expect( parserOptions.referenceActions ).to.deep.equal( [] );
+			} );
+
+			it( 'parses the type, the scope and the subject of the commit', () => {
+				const commit = conventionalCommitsParser.sync( 'feat(ui): added the toolbar', parserOptions );
+
+				expect( commit.type ).to.equal( 'feat' );
+				expect( commit.scope ).to.equal( 'ui' );
+				expect( commit.subject ).to.equal( 'added the toolbar' );
+				expect( commit.notes ).to.deep.equal( [] );
+			} );
+
+			it( 'treats the "!" marker as the breaking change', () => {
+				const commit = conventionalCommitsParser.sync( 'fix!: removed the deprecated API', parserOptions );
+
+				expect( commit.type ).to.equal( 'fix' );
+				expect( commit.scope ).to.equal( null );
+				expect( commit.subject ).to.equal( 'removed the deprecated API' );
+				expect( commit.notes ).to.deep.equal( [
+					{ title: 'BREAKING CHANGE', text: 'removed the deprecated API' }
+				] );
+			} );
+
+			it( 'parses breaking changes from the footer', () => {
+				const commit = conventionalCommitsParser.sync( [
+					'feat(engine)!: changed the schema',
+					'',
+					'BREAKING-CHANGE: The schema has changed.'
+				].join( '\n' ), parserOptions );
+
+				expect( commit.notes ).to.deep.equal( [
+					{ title: 'BREAKING-CHANGE', text: 'The schema has changed.' }
+				] );
+			} );
+
+			it( 'does not parse commits of the CKEditor 5 convention', () => {
+				const commit = conventionalCommitsParser.sync( 'Feature (ui): Added the toolbar.', parserOptions );
+
+				expect( commit.type ).to.equal( null );
+			} );
+		} );
+	} );
+} );
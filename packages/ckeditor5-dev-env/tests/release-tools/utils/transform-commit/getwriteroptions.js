@@ -41,5 +41,19 @@ describe( 'dev-env/release-tools/utils/transform-commit', () => {
 			expect( writerOptions.noteGroupsSort ).to.be.a( 'function' );
 			expect( writerOptions.notesSort ).to.be.a( 'function' );
 		} );
+
+		it( 'sorts groups of commits according to the order of commit types', () => {
+			const writerOptions = getWriterOptions( transformSpy, [
+				{ type: 'Perf', section: 'Performance improvements' },
+				{ type: 'Fix', section: 'Bug fixes' }
+			] );
+
+			const groups = [ { title: 'Bug fixes' }, { title: 'Performance improvements' } ];
+
+			expect( groups.sort( writerOptions.commitGroupsSort ) ).to.deep.equal( [
+				{ title: 'Performance improvements' },
+				{ title: 'Bug fixes' }
+			] );
+		} );
 	} );
 } );
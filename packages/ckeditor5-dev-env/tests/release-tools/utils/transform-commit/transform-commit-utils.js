@@ -5,6 +5,9 @@
 
 'use strict';
 
+const fs = require( 'fs-extra' );
+const os = require( 'os' );
+const path = require( 'path' );
 const expect = require( 'chai' ).expect;
 const sinon = require( 'sinon' );
 const proxyquire = require( 'proxyquire' );
@@ -139,6 +142,122 @@ describe( 'dev-env/release-tools/utils/transform-commit', () => {
 			} );
 		} );
 
+		describe( 'getCommitTypesConfig()', () => {
+			const commitTypes = [
+				{ type: 'Feature', section: 'Features', releaseType: 'minor' },
+				{ type: 'Fix', aliases: [ 'Fixes' ], section: 'Bug fixes', additionalNote: 'Bug fixes description.' },
+				{ type: 'Perf', section: 'Performance improvements' },
+				{ type: 'Security', section: 'Security fixes', releaseType: 'patch' },
+				{ type: 'Docs', visible: false }
+			];
+
+			it( 'returns the default configuration if commit types are not specified', () => {
+				const commitTypesConfig = transformCommit.getCommitTypesConfig();
+
+				expect( commitTypesConfig.availableCommitTypes ).to.equal( transformCommit.availableCommitTypes );
+				expect( commitTypesConfig.typesOrder ).to.deep.equal( {
+					'Features': 1,
+					'Bug fixes': 2,
+					'Other changes': 3,
+					'BREAKING CHANGES': 1,
+					'NOTE': 2
+				} );
+				expect( commitTypesConfig.additionalCommitNotes ).to.have.all.keys( 'Features', 'Bug fixes' );
+				expect( commitTypesConfig.releaseTypes.get( 'Feature' ) ).to.equal( 'minor' );
+				expect( commitTypesConfig.releaseTypes.get( 'Fixed' ) ).to.equal( 'patch' );
+				expect( commitTypesConfig.releaseTypes.has( 'Docs' ) ).to.equal( false );
+			} );
+
+			it( 'returns the configuration for the Conventional Commits specification', () => {
+				const commitTypesConfig = transformCommit.getCommitTypesConfig( undefined, 'conventional' );
+
+				expect( commitTypesConfig.getCommitType( 'feat' ) ).to.equal( 'Features' );
+				expect( commitTypesConfig.getCommitType( 'fix' ) ).to.equal( 'Bug fixes' );
+				expect( commitTypesConfig.getCommitType( 'perf' ) ).to.equal( 'Performance improvements' );
+				expect( commitTypesConfig.releaseTypes.get( 'feat' ) ).to.equal( 'minor' );
+				expect( commitTypesConfig.releaseTypes.get( 'fix' ) ).to.equal( 'patch' );
+				expect( commitTypesConfig.availableCommitTypes.get( 'chore' ) ).to.equal( false );
+				expect( commitTypesConfig.availableCommitTypes.has( 'Feature' ) ).to.equal( false );
+			} );
+
+			it( 'creates the configuration based on definitions of the commit types', () => {
+				const commitTypesConfig = transformCommit.getCommitTypesConfig( commitTypes );
+
+				expect( [ ...commitTypesConfig.availableCommitTypes ] ).to.deep.equal( [
+					[ 'Feature', true ],
+					[ 'Fix', true ],
+					[ 'Fixes', true ],
+					[ 'Perf', true ],
+					[ 'Security', true ],
+					[ 'Docs', false ]
+				] );
+				expect( [ ...commitTypesConfig.releaseTypes ] ).to.deep.equal( [
+					[ 'Feature', 'minor' ],
+					[ 'Fix', 'patch' ],
+					[ 'Fixes', 'patch' ],
+					[ 'Perf', 'patch' ],
+					[ 'Security', 'patch' ]
+				] );
+				expect( commitTypesConfig.typesOrder ).to.deep.equal( {
+					'Features': 1,
+					'Bug fixes': 2,
+					'Performance improvements': 3,
+					'Security fixes': 4,
+					'BREAKING CHANGES': 1,
+					'NOTE': 2
+				} );
+				expect( commitTypesConfig.additionalCommitNotes ).to.deep.equal( {
+					'Bug fixes': 'Bug fixes description.'
+				} );
+				expect( commitTypesConfig.getCommitType( 'Fixes' ) ).to.equal( 'Bug fixes' );
+				expect( commitTypesConfig.getCommitType( 'Perf' ) ).to.equal( 'Performance improvements' );
+				expect( () => commitTypesConfig.getCommitType( 'Docs' ) )
+					.to.throw( Error, 'Given invalid type of commit ("Docs").' );
+				expect( () => commitTypesConfig.getCommitType( 'Other' ) )
+					.to.throw( Error, 'Given invalid type of commit ("Other").' );
+			} );
+
+			it( 'loads definitions of the commit types from the specified file', () => {
+				const directory = fs.mkdtempSync( path.join( os.tmpdir(), 'ckeditor5-dev-env-' ) );
+				const pathToCommitTypes = path.join( directory, 'commit-types.json' );
+
+				fs.writeFileSync( pathToCommitTypes, JSON.stringify( commitTypes ) );
+
+				try {
+					const commitTypesConfig = transformCommit.getCommitTypesConfig( pathToCommitTypes );
+
+					expect( commitTypesConfig.getCommitType( 'Security' ) ).to.equal( 'Security fixes' );
+				} finally {
+					fs.removeSync( directory );
+				}
+			} );
+
+			it( 'throws an error when definitions are not an array', () => {
+				expect( () => transformCommit.getCommitTypesConfig( { Perf: 'Performance improvements' } ) )
+					.to.throw( Error, 'Commit types must be defined as an array.' );
+			} );
+
+			it( 'throws an error when a definition does not contain the type', () => {
+				expect( () => transformCommit.getCommitTypesConfig( [ { section: 'Features' } ] ) )
+					.to.throw( Error, 'The commit type definition must contain the "type" property ({"section":"Features"}).' );
+			} );
+
+			it( 'throws an error when a type is defined more than once', () => {
+				expect( () => transformCommit.getCommitTypesConfig( [ ...commitTypes, { type: 'Fixes', visible: false } ] ) )
+					.to.throw( Error, 'The "Fixes" commit type is defined more than once.' );
+			} );
+
+			it( 'throws an error when a visible type does not define the section', () => {
+				expect( () => transformCommit.getCommitTypesConfig( [ { type: 'Perf' } ] ) )
+					.to.throw( Error, 'The "Perf" commit type must define the "section" property.' );
+			} );
+
+			it( 'throws an error when a visible type defines invalid release type', () => {
+				expect( () => transformCommit.getCommitTypesConfig( [ { type: 'Perf', section: 'Performance', releaseType: 'huge' } ] ) )
+					.to.throw( Error, 'The "Perf" commit type defines invalid "releaseType" ("huge").' );
+			} );
+		} );
+
 		describe( 'truncate()', () => {
 			it( 'does not modify too short sentence', () => {
 				const sentence = 'This is a short sentence.';
@@ -281,7 +281,9 @@ describe( 'dev-env/release-tools/utils/transform-commit', () => {
 
 				expect( stubs.transformCommitForSubRepositoryFactory.called ).to.equal( true );
 				expect( stubs.transformCommitForSubRepositoryFactory.firstCall.args[ 0 ] ).to.deep.equal( {
-					returnInvalidCommit: true
+					returnInvalidCommit: true,
+					commitTypes: undefined,
+					commitConvention: undefined
 				} );
 			} );
 		} );
@@ -95,6 +95,161 @@ describe( 'dev-env/release-tools/utils/transform-commit', () => {
 			} );
 		} );
 
+		describe( 'options.commitTypes', () => {
+			let transformCommitForSubRepository;
+
+			beforeEach( () => {
+				transformCommitForSubRepository = transformCommitForSubRepositoryFactory( {
+					commitTypes: [
+						{ type: 'Perf', section: 'Performance improvements' },
+						{ type: 'Other', visible: false }
+					]
+				} );
+			} );
+
+			it( 'groups commits of custom types under their sections', () => {
+				const rawCommit = {
+					hash: '684997d0eb2eca76b9e058fb1c3fa00b50059cdc',
+					header: 'Perf: Faster rendering.',
+					type: 'Perf',
+					subject: 'Faster rendering.',
+					body: null,
+					footer: null,
+					notes: []
+				};
+
+				const commit = transformCommitForSubRepository( rawCommit );
+
+				expect( commit.rawType ).to.equal( 'Perf' );
+				expect( commit.type ).to.equal( 'Performance improvements' );
+			} );
+
+			it( 'returns "undefined" for commits of types that are not visible or not defined', () => {
+				const rawCommit = {
+					hash: '684997d0eb2eca76b9e058fb1c3fa00b50059cdc',
+					header: 'Other: Some change.',
+					type: 'Other',
+					subject: 'Some change.',
+					body: null,
+					footer: null,
+					notes: []
+				};
+
+				expect( transformCommitForSubRepository( rawCommit ) ).to.equal( undefined );
+				expect( transformCommitForSubRepository( Object.assign( {}, rawCommit, { type: 'Feature' } ) ) ).to.equal( undefined );
+			} );
+		} );
+
+		describe( 'options.commitConvention = "conventional"', () => {
+			let transformCommitForSubRepository;
+
+			beforeEach( () => {
+				transformCommitForSubRepository = transformCommitForSubRepositoryFactory( {
+					commitConvention: 'conventional',
+					useExplicitBreakingChangeGroups: true
+				} );
+			} );
+
+			it( 'uses the default commit types of the Conventional Commits specification', () => {
+				const rawCommit = {
+					hash: '684997d0eb2eca76b9e058fb1c3fa00b50059cdc',
+					header: 'perf: faster rendering',
+					type: 'perf',
+					scope: null,
+					subject: 'faster rendering',
+					body: null,
+					footer: null,
+					notes: []
+				};
+
+				const commit = transformCommitForSubRepository( rawCommit );
+
+				expect( commit.type ).to.equal( 'Performance improvements' );
+				expect( commit.subject ).to.equal( 'faster rendering.' );
+
+				expect( transformCommitForSubRepository( Object.assign( {}, rawCommit, { type: 'chore' } ) ) ).to.equal( undefined );
+				expect( transformCommitForSubRepository( Object.assign( {}, rawCommit, { type: 'Feature' } ) ) ).to.equal( undefined );
+			} );
+
+			it( 'attaches the scope to the commit subject', () => {
+				const rawCommit = {
+					hash: '684997d0eb2eca76b9e058fb1c3fa00b50059cdc',
+					header: 'feat(ui): added the toolbar',
+					type: 'feat',
+					scope: 'ui',
+					subject: 'added the toolbar',
+					body: null,
+					footer: null,
+					notes: []
+				};
+
+				const commit = transformCommitForSubRepository( rawCommit );
+
+				expect( commit.type ).to.equal( 'Features' );
+				expect( commit.subject ).to.equal( '**ui**: added the toolbar.' );
+			} );
+
+			it( 'treats commits created by "git revert" as the "revert" type', () => {
+				const rawCommit = {
+					hash: '684997d0eb2eca76b9e058fb1c3fa00b50059cdc',
+					header: 'Revert "feat(ui): added the toolbar"',
+					type: null,
+					scope: null,
+					subject: null,
+					body: 'This reverts commit 76b9e058fb1c3fa00b50059cdc684997d0eb2eca.',
+					footer: null,
+					notes: [],
+					revert: {
+						header: 'feat(ui): added the toolbar',
+						hash: '76b9e058fb1c3fa00b50059cdc684997d0eb2eca'
+					}
+				};
+
+				const commit = transformCommitForSubRepository( rawCommit );
+
+				expect( commit.rawType ).to.equal( 'revert' );
+				expect( commit.type ).to.equal( 'Reverts' );
+				expect( commit.subject ).to.equal( 'feat(ui): added the toolbar.' );
+			} );
+
+			it( 'ignores commits without the type which do not revert other commits', () => {
+				const rawCommit = {
+					hash: '684997d0eb2eca76b9e058fb1c3fa00b50059cdc',
+					header: 'Added the toolbar.',
+					type: null,
+					scope: null,
+					subject: null,
+					body: null,
+					footer: null,
+					notes: [],
+					revert: null
+				};
+
+				expect( transformCommitForSubRepository( rawCommit ) ).to.equal( undefined );
+			} );
+
+			it( 'treats "BREAKING-CHANGE" notes as "MAJOR BREAKING CHANGES"', () => {
+				const rawCommit = {
+					hash: '684997d0eb2eca76b9e058fb1c3fa00b50059cdc',
+					header: 'fix!: removed the deprecated API',
+					type: 'fix',
+					scope: null,
+					subject: 'removed the deprecated API',
+					body: null,
+					footer: 'BREAKING-CHANGE: The "foo()" method was removed.',
+					notes: [
+						{ title: 'BREAKING-CHANGE', text: 'The "foo()" method was removed.' }
+					]
+				};
+
+				const commit = transformCommitForSubRepository( rawCommit );
+
+				expect( commit.notes ).to.deep.equal( [
+					{ title: 'MAJOR BREAKING CHANGES', text: 'The "foo()" method was removed.' }
+				] );
+			} );
+		} );
+
 		describe( 'transformCommitForSubRepository()', () => {
 			let transformCommitForSubRepository;
 
@@ -124,5 +124,33 @@ describe( 'dev-env/release-tools/utils', () => {
 				expect( version.getCurrent() ).to.equal( '0.1.2' );
 			} );
 		} );
+
+		describe( 'getNextPreRelease()', () => {
+			it( 'returns the first pre-release version of the next major version', () => {
+				expect( version.getNextPreRelease( '19.2.0', 'major', 'beta' ) ).to.equal( '20.0.0-beta.1' );
+			} );
+
+			it( 'returns the first pre-release version of the next minor version', () => {
+				expect( version.getNextPreRelease( '19.2.0', 'minor', 'alpha' ) ).to.equal( '19.3.0-alpha.1' );
+			} );
+
+			it( 'returns the first pre-release version of the next patch version', () => {
+				expect( version.getNextPreRelease( '19.2.0', 'patch', 'rc' ) ).to.equal( '19.2.1-rc.1' );
+			} );
+
+			it( 'accepts the "pre" release types', () => {
+				expect( version.getNextPreRelease( '19.2.0', 'premajor', 'beta' ) ).to.equal( '20.0.0-beta.1' );
+				expect( version.getNextPreRelease( '19.2.0', 'prerelease', 'beta' ) ).to.equal( '19.2.1-beta.1' );
+			} );
+
+			it( 'increments the pre-release version if the identifier is the same', () => {
+				expect( version.getNextPreRelease( '20.0.0-beta.1', 'major', 'beta' ) ).to.equal( '20.0.0-beta.2' );
+				expect( version.getNextPreRelease( '20.0.0-beta.0', 'patch', 'beta' ) ).to.equal( '20.0.0-beta.1' );
+			} );
+
+			it( 'changes the pre-release identifier if it is different', () => {
+				expect( version.getNextPreRelease( '20.0.0-alpha.3', 'major', 'beta' ) ).to.equal( '20.0.0-beta.1' );
+			} );
+		} );
 	} );
 } );
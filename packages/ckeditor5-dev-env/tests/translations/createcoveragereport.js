@@ -0,0 +1,212 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const fs = require( 'fs-extra' );
+const os = require( 'os' );
+const path = require( 'path' );
+const sinon = require( 'sinon' );
+const chalk = require( 'chalk' );
+const { expect } = require( 'chai' );
+const createCoverageReport = require( '../../lib/translations/createcoveragereport' );
+
+describe( 'createCoverageReport()', () => {
+	let directory, logger, sourceFiles, packagePaths, chalkLevel;
+
+	beforeEach( () => {
+		// Print the report without colors, so it can be compared with the expected output.
+		chalkLevel = chalk.level;
+		chalk.level = 0;
+
+		directory = fs.mkdtempSync( path.join( os.tmpdir(), 'ckeditor5-dev-env-' ) );
+		logger = {
+			info: sinon.spy(),
+			error: sinon.spy()
+		};
+
+		const fooPath = path.join( directory, 'ckeditor5-foo' );
+		const barPath = path.join( directory, 'ckeditor5-bar' );
+
+		fs.outputFileSync( path.join( fooPath, 'src', 'foo.js' ), 't( \'Save\' ); t( \'Cancel\' ); t( \'Close\' ); t( \'Open\' );' );
+		fs.outputJsonSync( path.join( fooPath, 'lang', 'contexts.json' ), {
+			Save: 'Save button label.',
+			Cancel: 'Cancel button label.',
+			Close: 'Close button label.',
+			Open: 'Open button label.',
+			Unused: 'A message that is not used in the source files.'
+		} );
+
+		fs.outputFileSync( path.join( fooPath, 'lang', 'translations', 'pl.po' ), [
+			'msgid "Save"',
+			'msgstr "Zapisz"',
+			'',
+			'msgid "Cancel"',
+			'msgstr "Anuluj"',
+			'',
+			'#, fuzzy',
+			'msgid "Close"',
+			'msgstr "Zamknij"',
+			'',
+			'msgid "Open"',
+			'msgstr ""',
+			'',
+			'msgid "Removed"',
+			'msgstr "Usunięty"',
+			'',
+			'#~ msgid "Old"',
+			'#~ msgstr "Stary"',
+			''
+		].join( '\n' ) );
+
+		fs.outputFileSync( path.join( fooPath, 'lang', 'translations', 'de.po' ), [
+			'msgid "Save"',
+			'msgstr "Speichern"',
+			'',
+			'msgid "Cancel"',
+			'msgstr "Abbrechen"',
+			'',
+			'msgid "Close"',
+			'msgstr "Schließen"',
+			'',
+			'msgid "Open"',
+			'msgstr "Öffnen"',
+			''
+		].join( '\n' ) );
+
+		fs.outputFileSync( path.join( barPath, 'src', 'bar.js' ), 't( \'Bold\' );' );
+		fs.outputJsonSync( path.join( barPath, 'lang', 'contexts.json' ), { Bold: 'Bold button label.' } );
+
+		sourceFiles = [ path.join( fooPath, 'src', 'foo.js' ), path.join( barPath, 'src', 'bar.js' ) ];
+		packagePaths = [ fooPath, barPath, path.join( directory, 'ckeditor5-without-contexts' ) ];
+	} );
+
+	afterEach( () => {
+		chalk.level = chalkLevel;
+		fs.removeSync( directory );
+	} );
+
+	it( 'should return the coverage of all packages and languages', () => {
+		const report = createCoverageReport( { sourceFiles, packagePaths, logger } );
+
+		expect( report ).to.deep.equal( {
+			minCoverage: 0,
+			languages: [ 'de', 'pl' ],
+			packages: [ {
+				packageName: 'ckeditor5-foo',
+				messages: 4,
+				languages: [
+					{ language: 'de', translated: 4, fuzzy: 0, obsolete: 0, coverage: 100 },
+					{ language: 'pl', translated: 2, fuzzy: 1, obsolete: 2, coverage: 50 }
+				]
+			}, {
+				packageName: 'ckeditor5-bar',
+				messages: 1,
+				languages: [
+					{ language: 'de', translated: 0, fuzzy: 0, obsolete: 0, coverage: 0 },
+					{ language: 'pl', translated: 0, fuzzy: 0, obsolete: 0, coverage: 0 }
+				]
+			} ]
+		} );
+	} );
+
+	it( 'should include only the specified languages', () => {
+		const report = createCoverageReport( { sourceFiles, packagePaths, languages: [ 'pl' ], logger } );
+
+		expect( report.languages ).to.deep.equal( [ 'pl' ] );
+		expect( report.packages[ 0 ].languages.map( ( { language } ) => language ) ).to.deep.equal( [ 'pl' ] );
+	} );
+
+	it( 'should round the coverage down', () => {
+		fs.outputFileSync( path.join( directory, 'ckeditor5-bar', 'src', 'bar.js' ), 't( \'Bold\' ); t( \'Italic\' ); t( \'Code\' );' );
+		fs.outputJsonSync( path.join( directory, 'ckeditor5-bar', 'lang', 'contexts.json' ), { Bold: '', Italic: '', Code: '' } );
+		fs.outputFileSync(
+			path.join( directory, 'ckeditor5-bar', 'lang', 'translations', 'pl.po' ),
+			'msgid "Bold"\nmsgstr "Pogrubienie"\n\nmsgid "Italic"\nmsgstr "Kursywa"\n'
+		);
+
+		const report = createCoverageReport( { sourceFiles, packagePaths, languages: [ 'pl' ], logger } );
+
+		expect( report.packages[ 1 ].languages[ 0 ].coverage ).to.equal( 66.6 );
+	} );
+
+	it( 'should count a message that occurs more than once in the PO file as translated once', () => {
+		fs.outputFileSync( path.join( directory, 'ckeditor5-bar', 'lang', 'translations', 'pl.po' ), [
+			'msgctxt "Toolbar"',
+			'msgid "Bold"',
+			'msgstr "Pogrubienie"',
+			'',
+			'msgctxt "Menu"',
+			'msgid "Bold"',
+			'msgstr "Pogrubienie"',
+			''
+		].join( '\n' ) );
+
+		const report = createCoverageReport( { sourceFiles, packagePaths, languages: [ 'pl' ], logger } );
+
+		expect( report.packages[ 1 ].languages[ 0 ] ).to.deep.equal( {
+			language: 'pl', translated: 1, fuzzy: 0, obsolete: 0, coverage: 100
+		} );
+	} );
+
+	it( 'should print the report as a table', () => {
+		createCoverageReport( { sourceFiles, packagePaths, logger } );
+
+		expect( logger.info.firstCall.args[ 0 ].split( '\n' ) ).to.deep.equal( [
+			'Package       | de         | pl       ',
+			'--------------|------------|----------',
+			'ckeditor5-foo | 100% f0 o0 | 50% f1 o2',
+			'ckeditor5-bar | 0% f0 o0   | 0% f0 o0 ',
+			'',
+			'f - fuzzy entries, o - obsolete entries.'
+		] );
+	} );
+
+	it( 'should save the report as JSON and HTML', () => {
+		const jsonReportPath = path.join( directory, 'reports', 'coverage.json' );
+		const htmlReportPath = path.join( directory, 'reports', 'coverage.html' );
+
+		const report = createCoverageReport( { sourceFiles, packagePaths, jsonReportPath, htmlReportPath, logger } );
+
+		expect( fs.readJsonSync( jsonReportPath ) ).to.deep.equal( report );
+
+		const html = fs.readFileSync( htmlReportPath, 'utf-8' );
+
+		expect( html ).to.contain( '<tr><th>Package</th><th>de</th><th>pl</th></tr>' );
+		expect( html ).to.contain( '<tr><th>ckeditor5-foo</th><td class="">100%<br><small>fuzzy: 0, obsolete: 0</small></td>' );
+
+		sinon.assert.calledWithExactly( logger.info, `Created file: ${ jsonReportPath }.` );
+		sinon.assert.calledWithExactly( logger.info, `Created file: ${ htmlReportPath }.` );
+	} );
+
+	it( 'should throw an error when the coverage is below the minimum coverage', () => {
+		const htmlReportPath = path.join( directory, 'coverage.html' );
+
+		expect( () => {
+			createCoverageReport( { sourceFiles, packagePaths, minCoverage: 50, htmlReportPath, logger } );
+		} ).to.throw( 'Translation coverage is below 50% for: ckeditor5-bar (de: 0%), ckeditor5-bar (pl: 0%).' );
+
+		// Reports are saved before the error is thrown, so they can be used to find missing translations.
+		expect( fs.readFileSync( htmlReportPath, 'utf-8' ) ).to.contain( '<td class="below-min-coverage">0%' );
+	} );
+
+	it( 'should not throw an error when the coverage is equal to the minimum coverage', () => {
+		expect( () => {
+			createCoverageReport( { sourceFiles, packagePaths: [ packagePaths[ 0 ] ], languages: [ 'de' ], minCoverage: 100, logger } );
+		} ).to.not.throw();
+	} );
+
+	it( 'should throw an error when the minimum coverage is not a number', () => {
+		expect( () => {
+			createCoverageReport( { sourceFiles, packagePaths, minCoverage: NaN, logger } );
+		} ).to.throw( 'The "minCoverage" option must be a number (got "NaN").' );
+
+		expect( () => {
+			createCoverageReport( { sourceFiles, packagePaths, minCoverage: 'abc', logger } );
+		} ).to.throw( 'The "minCoverage" option must be a number (got "abc").' );
+
+		sinon.assert.notCalled( logger.info );
+	} );
+} );
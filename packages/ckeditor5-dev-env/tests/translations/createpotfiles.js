@@ -6,10 +6,14 @@
 'use strict';
 
 const sinon = require( 'sinon' );
+const { expect } = require( 'chai' );
 const proxyquire = require( 'proxyquire' );
+const crypto = require( 'crypto' );
 const { posix } = require( 'path' );
 
 describe( 'createPotFiles()', () => {
+	const pathToManifest = 'cwd/build/.transifex-manifest.json';
+
 	let stubs;
 	let createPotFiles;
 
@@ -22,7 +26,8 @@ describe( 'createPotFiles()', () => {
 			},
 
 			translations: {
-				findMessages: sinon.stub()
+				findMessages: sinon.stub(),
+				validateMessages: sinon.stub().returns( [] )
 			},
 
 			del: {
@@ -46,6 +51,9 @@ describe( 'createPotFiles()', () => {
 		} );
 
 		sinon.stub( process, 'cwd' ).returns( 'cwd' );
+
+		// The year in the POT file header is taken from the current date.
+		sinon.useFakeTimers( { now: new Date( 2020, 0, 1 ), toFake: [ 'Date' ] } );
 	} );
 
 	afterEach( () => {
@@ -60,7 +68,47 @@ describe( 'createPotFiles()', () => {
 			logger: stubs.logger
 		} );
 
-		sinon.assert.notCalled( stubs.fs.outputFileSync );
+		sinon.assert.calledOnce( stubs.fs.outputFileSync );
+		sinon.assert.calledWith( stubs.fs.outputFileSync, pathToManifest );
+	} );
+
+	it( 'should not return nor log the summary of changes when not in the incremental mode', () => {
+		createFakeContextFile( 'packages/ckeditor5-foo/lang/contexts.json', { foo_id: 'foo_context' } );
+		createFakeSourceFileWithMessages( 'packages/ckeditor5-foo/src/foo.js', [ { string: 'foo', id: 'foo_id' } ] );
+
+		const summary = createPotFiles( {
+			sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js' ],
+			packagePaths: [ 'packages/ckeditor5-foo' ],
+			corePackagePath: 'packages/ckeditor5-core',
+			logger: stubs.logger
+		} );
+
+		expect( summary ).to.be.undefined;
+
+		for ( const call of stubs.logger.info.getCalls() ) {
+			expect( call.args[ 0 ] ).to.not.match( /^POT files:/ );
+		}
+	} );
+
+	it( 'should save the manifest when not in the incremental mode', () => {
+		createFakeContextFile( 'packages/ckeditor5-foo/lang/contexts.json', { foo_id: 'foo_context' } );
+		createFakeSourceFileWithMessages( 'packages/ckeditor5-foo/src/foo.js', [ { string: 'foo', id: 'foo_id' } ] );
+
+		createPotFiles( {
+			sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js' ],
+			packagePaths: [ 'packages/ckeditor5-foo' ],
+			corePackagePath: 'packages/ckeditor5-core',
+			logger: stubs.logger
+		} );
+
+		sinon.assert.calledWith( stubs.fs.outputFileSync.secondCall, pathToManifest );
+
+		const manifest = JSON.parse( stubs.fs.outputFileSync.secondCall.args[ 1 ] );
+
+		expect( manifest.sourceFiles ).to.have.all.keys( 'packages/ckeditor5-foo/src/foo.js' );
+		expect( manifest.packages ).to.deep.equal( {
+			'ckeditor5-foo': getHash( 'msgctxt "foo_context"\nmsgid "foo_id"\nmsgstr "foo"\n' )
+		} );
 	} );
 
 	it( 'should delete the build directory before creating POT files', () => {
@@ -101,13 +149,51 @@ describe( 'createPotFiles()', () => {
 			logger: stubs.logger
 		} );
 
-		sinon.assert.calledOnce( stubs.fs.outputFileSync );
+		sinon.assert.calledTwice( stubs.fs.outputFileSync );
+
+		sinon.assert.calledWithExactly(
+			stubs.fs.outputFileSync,
+			'cwd/build/.transifex/ckeditor5-foo/en.pot',
+			`# Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+
+msgctxt "foo_context"
+msgid "foo_id"
+msgstr "foo"
+`
+		);
+	} );
+
+	it( 'should add source references of the message to the POT file entry', () => {
+		createFakeContextFile( 'packages/ckeditor5-foo/lang/contexts.json', { foo_id: 'foo_context' } );
+
+		createFakeSourceFileWithMessages( 'packages/ckeditor5-foo/src/foo.js', [
+			{ string: 'foo', id: 'foo_id', filePath: 'packages/ckeditor5-foo/src/foo.js', line: 12, column: 3 },
+			{ string: 'foo', id: 'foo_id', filePath: 'packages/ckeditor5-foo/src/foo.js', line: 12, column: 20 }
+		] );
+
+		createFakeSourceFileWithMessages( 'packages/ckeditor5-foo/src/bar.js', [
+			{ string: 'foo', id: 'foo_id', filePath: 'cwd/packages/ckeditor5-foo/src/bar.js', line: 4, column: 3 }
+		] );
+
+		sinon.stub( posix, 'isAbsolute' ).callsFake( filePath => filePath.startsWith( 'cwd/' ) );
+		sinon.stub( posix, 'relative' ).callsFake( ( from, to ) => to.replace( from + '/', '' ) );
+
+		createPotFiles( {
+			sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js', 'packages/ckeditor5-foo/src/bar.js' ],
+			packagePaths: [ 'packages/ckeditor5-foo' ],
+			corePackagePath: 'packages/ckeditor5-core',
+			logger: stubs.logger
+		} );
+
+		sinon.assert.calledTwice( stubs.fs.outputFileSync );
 
 		sinon.assert.calledWithExactly(
 			stubs.fs.outputFileSync,
 			'cwd/build/.transifex/ckeditor5-foo/en.pot',
 			`# Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
 
+#: packages/ckeditor5-foo/src/foo.js:12
+#: packages/ckeditor5-foo/src/bar.js:4
 msgctxt "foo_context"
 msgid "foo_id"
 msgstr "foo"
@@ -133,9 +219,153 @@ msgstr "foo"
 			'Context for the message id is missing (\'foo_id\' from packages/ckeditor5-foo/src/foo.js).'
 		);
 
+		sinon.assert.calledOnce( stubs.fs.outputFileSync );
+		sinon.assert.calledWith( stubs.fs.outputFileSync, pathToManifest );
+	} );
+
+	it( 'should log problems found when validating all source messages', () => {
+		createFakeContextFile( 'packages/ckeditor5-foo/lang/contexts.json', { foo_id: 'foo_context' } );
+
+		createFakeSourceFileWithMessages( 'packages/ckeditor5-foo/src/foo.js', [
+			{ string: 'foo', id: 'foo_id' }
+		] );
+
+		stubs.translations.validateMessages.returns( [
+			{ code: 'id-equal-to-other-message-string', message: 'The message id is equal to the string of a different message.' },
+			{ code: 'conflicting-plural-forms', message: 'Conflicting plural forms.' }
+		] );
+
+		createPotFiles( {
+			sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js' ],
+			packagePaths: [ 'packages/ckeditor5-foo' ],
+			corePackagePath: 'packages/ckeditor5-core',
+			logger: stubs.logger
+		} );
+
+		sinon.assert.calledOnce( stubs.translations.validateMessages );
+		sinon.assert.calledWithExactly( stubs.translations.validateMessages, [
+			{ string: 'foo', id: 'foo_id', filePath: 'packages/ckeditor5-foo/src/foo.js', packageName: 'ckeditor5-foo' }
+		] );
+
+		// Conflicting plural forms are reported only once, as conflicting messages.
+		sinon.assert.calledOnce( stubs.logger.error );
+		sinon.assert.calledWithExactly( stubs.logger.error, 'The message id is equal to the string of a different message.' );
+	} );
+
+	it( 'should throw an error when messages with the same id have different strings or plural forms', () => {
+		createFakeContextFile( 'packages/ckeditor5-foo/lang/contexts.json', { foo_id: 'foo_context' } );
+		createFakeContextFile( 'packages/ckeditor5-bar/lang/contexts.json', { bar_id: 'bar_context' } );
+
+		createFakeSourceFileWithMessages( 'packages/ckeditor5-foo/src/foo.js', [
+			{ string: 'foo', id: 'foo_id' }
+		] );
+
+		createFakeSourceFileWithMessages( 'packages/ckeditor5-bar/src/bar.js', [
+			{ string: 'bar', id: 'foo_id', plural: '%0 bars' }
+		] );
+
+		expect( () => {
+			createPotFiles( {
+				sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js', 'packages/ckeditor5-bar/src/bar.js' ],
+				packagePaths: [ 'packages/ckeditor5-foo', 'packages/ckeditor5-bar' ],
+				corePackagePath: 'packages/ckeditor5-core',
+				logger: stubs.logger
+			} );
+		} ).to.throw(
+			Error,
+			'Found 1 conflicting message(s). ' +
+			'Use the same string and plural form for messages sharing the id or set the `allowConflicts` option.'
+		);
+
+		sinon.assert.calledWithExactly(
+			stubs.logger.error,
+			'Conflicting messages for the id: \'foo_id\': "foo" in ckeditor5-foo (packages/ckeditor5-foo/src/foo.js), ' +
+			'"bar" / "%0 bars" in ckeditor5-bar (packages/ckeditor5-bar/src/bar.js).'
+		);
+
+		sinon.assert.notCalled( stubs.del.sync );
 		sinon.assert.notCalled( stubs.fs.outputFileSync );
 	} );
 
+	it( 'should only log conflicting messages when the `allowConflicts` option is set to `true`', () => {
+		createFakeContextFile( 'packages/ckeditor5-foo/lang/contexts.json', { foo_id: 'foo_context' } );
+
+		createFakeSourceFileWithMessages( 'packages/ckeditor5-foo/src/foo.js', [
+			{ string: 'foo', id: 'foo_id' }
+		] );
+
+		createFakeSourceFileWithMessages( 'packages/ckeditor5-bar/src/bar.js', [
+			{ string: 'bar', id: 'foo_id' }
+		] );
+
+		createPotFiles( {
+			sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js', 'packages/ckeditor5-bar/src/bar.js' ],
+			packagePaths: [ 'packages/ckeditor5-foo' ],
+			corePackagePath: 'packages/ckeditor5-core',
+			allowConflicts: true,
+			logger: stubs.logger
+		} );
+
+		sinon.assert.calledWithExactly(
+			stubs.logger.error,
+			'Conflicting messages for the id: \'foo_id\': "foo" in ckeditor5-foo (packages/ckeditor5-foo/src/foo.js), ' +
+			'"bar" in ckeditor5-bar (packages/ckeditor5-bar/src/bar.js).'
+		);
+
+		sinon.assert.calledTwice( stubs.fs.outputFileSync );
+	} );
+
+	it( 'should save the report of conflicting messages as JSON when the `conflictsReportPath` option is set', () => {
+		createFakeContextFile( 'packages/ckeditor5-foo/lang/contexts.json', { foo_id: 'foo_context' } );
+
+		createFakeSourceFileWithMessages( 'packages/ckeditor5-foo/src/foo.js', [
+			{ string: 'foo', id: 'foo_id', filePath: 'packages/ckeditor5-foo/src/foo.js', line: 1, column: 1 }
+		] );
+
+		createFakeSourceFileWithMessages( 'packages/ckeditor5-bar/src/bar.js', [
+			{ string: 'bar', id: 'foo_id', filePath: 'packages/ckeditor5-bar/src/bar.js', line: 2, column: 3 }
+		] );
+
+		expect( () => {
+			createPotFiles( {
+				sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js', 'packages/ckeditor5-bar/src/bar.js' ],
+				packagePaths: [ 'packages/ckeditor5-foo' ],
+				corePackagePath: 'packages/ckeditor5-core',
+				conflictsReportPath: 'build/conflicts.json',
+				logger: stubs.logger
+			} );
+		} ).to.throw( Error );
+
+		sinon.assert.calledOnce( stubs.fs.outputFileSync );
+		sinon.assert.calledWith( stubs.fs.outputFileSync, 'build/conflicts.json' );
+
+		expect( JSON.parse( stubs.fs.outputFileSync.firstCall.args[ 1 ] ) ).to.deep.equal( {
+			conflicts: [ {
+				id: 'foo_id',
+				strings: [ 'foo', 'bar' ],
+				plurals: [ null ],
+				occurrences: [
+					{
+						packageName: 'ckeditor5-foo',
+						filePath: 'packages/ckeditor5-foo/src/foo.js',
+						line: 1,
+						column: 1,
+						string: 'foo',
+						plural: null
+					},
+					{
+						packageName: 'ckeditor5-bar',
+						filePath: 'packages/ckeditor5-bar/src/bar.js',
+						line: 2,
+						column: 3,
+						string: 'bar',
+						plural: null
+					}
+				]
+			} ]
+		} );
+	} );
+
 	it( 'should create a POT file entry for every defined package', () => {
 		createFakeContextFile( 'packages/ckeditor5-foo/lang/contexts.json', { foo_id: 'foo_context' } );
 		createFakeContextFile( 'packages/ckeditor5-bar/lang/contexts.json', { bar_id: 'bar_context' } );
@@ -155,7 +385,7 @@ msgstr "foo"
 			logger: stubs.logger
 		} );
 
-		sinon.assert.calledTwice( stubs.fs.outputFileSync );
+		sinon.assert.calledThrice( stubs.fs.outputFileSync );
 
 		sinon.assert.calledWithExactly(
 			stubs.fs.outputFileSync,
@@ -200,7 +430,7 @@ msgstr "bar"
 			logger: stubs.logger
 		} );
 
-		sinon.assert.calledOnce( stubs.fs.outputFileSync );
+		sinon.assert.calledTwice( stubs.fs.outputFileSync );
 
 		sinon.assert.calledWithExactly(
 			stubs.fs.outputFileSync,
@@ -234,7 +464,7 @@ msgstr "bar"
 			logger: stubs.logger
 		} );
 
-		sinon.assert.calledOnce( stubs.fs.outputFileSync );
+		sinon.assert.calledTwice( stubs.fs.outputFileSync );
 
 		sinon.assert.calledWithExactly(
 			stubs.fs.outputFileSync,
@@ -268,7 +498,7 @@ msgstr[1] "foo_plural"
 
 		sinon.assert.notCalled( stubs.logger.error );
 
-		sinon.assert.calledOnce( stubs.fs.outputFileSync );
+		sinon.assert.calledTwice( stubs.fs.outputFileSync );
 
 		sinon.assert.calledWithExactly(
 			stubs.fs.outputFileSync,
@@ -299,7 +529,8 @@ msgstr "foo"
 		} );
 
 		sinon.assert.notCalled( stubs.logger.error );
-		sinon.assert.notCalled( stubs.fs.outputFileSync );
+		sinon.assert.calledOnce( stubs.fs.outputFileSync );
+		sinon.assert.calledWith( stubs.fs.outputFileSync, pathToManifest );
 	} );
 
 	it( 'should log an error if the file contains a message that cannot be parsed', () => {
@@ -369,6 +600,280 @@ msgstr "foo"
 		);
 	} );
 
+	describe( 'incremental mode', () => {
+		const fooPotFileContent = 'msgctxt "foo_context"\nmsgid "foo_id"\nmsgstr "foo"\n';
+		const toolsVersion = [
+			require( '../../package.json' ).version,
+			require( '@ckeditor/ckeditor5-dev-utils/package.json' ).version
+		].join( '/' );
+
+		beforeEach( () => {
+			createFakeContextFile( 'packages/ckeditor5-foo/lang/contexts.json', { foo_id: 'foo_context' } );
+
+			createFakeSourceFileWithMessages( 'packages/ckeditor5-foo/src/foo.js', [
+				{ string: 'foo', id: 'foo_id' }
+			] );
+		} );
+
+		it( 'should not remove existing POT files', () => {
+			createPotFiles( {
+				sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js' ],
+				packagePaths: [ 'packages/ckeditor5-foo' ],
+				corePackagePath: 'packages/ckeditor5-core',
+				incremental: true,
+				logger: stubs.logger
+			} );
+
+			sinon.assert.notCalled( stubs.del.sync );
+		} );
+
+		it( 'should create POT files and save the manifest when the manifest does not exist', () => {
+			const summary = createPotFiles( {
+				sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js' ],
+				packagePaths: [ 'packages/ckeditor5-foo' ],
+				corePackagePath: 'packages/ckeditor5-core',
+				incremental: true,
+				logger: stubs.logger
+			} );
+
+			expect( summary ).to.deep.equal( { added: [ 'ckeditor5-foo' ], updated: [], unchanged: [], removed: [] } );
+
+			sinon.assert.calledTwice( stubs.fs.outputFileSync );
+			sinon.assert.calledWith( stubs.fs.outputFileSync.firstCall, 'cwd/build/.transifex/ckeditor5-foo/en.pot' );
+			sinon.assert.calledWith( stubs.fs.outputFileSync.secondCall, pathToManifest );
+
+			const manifest = JSON.parse( stubs.fs.outputFileSync.secondCall.args[ 1 ] );
+
+			expect( manifest ).to.deep.equal( {
+				toolsVersion,
+				sourceFiles: {
+					'packages/ckeditor5-foo/src/foo.js': {
+						hash: getHash( 'packages/ckeditor5-foo/src/foo.js_content' ),
+						messages: [
+							{ string: 'foo', id: 'foo_id', filePath: 'packages/ckeditor5-foo/src/foo.js', packageName: 'ckeditor5-foo' }
+						],
+						errors: []
+					}
+				},
+				packages: {
+					'ckeditor5-foo': getHash( fooPotFileContent )
+				}
+			} );
+
+			sinon.assert.calledWithExactly( stubs.logger.info, 'POT files: 1 added, 0 updated, 0 unchanged, 0 removed.' );
+		} );
+
+		it( 'should not rewrite the POT file when messages and contexts of the package have not changed', () => {
+			createFakeManifest( {
+				sourceFiles: {},
+				packages: { 'ckeditor5-foo': getHash( fooPotFileContent ) }
+			} );
+
+			stubs.fs.existsSync.withArgs( 'cwd/build/.transifex/ckeditor5-foo/en.pot' ).returns( true );
+
+			const summary = createPotFiles( {
+				sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js' ],
+				packagePaths: [ 'packages/ckeditor5-foo' ],
+				corePackagePath: 'packages/ckeditor5-core',
+				incremental: true,
+				logger: stubs.logger
+			} );
+
+			expect( summary ).to.deep.equal( { added: [], updated: [], unchanged: [ 'ckeditor5-foo' ], removed: [] } );
+
+			sinon.assert.calledOnce( stubs.fs.outputFileSync );
+			sinon.assert.calledWith( stubs.fs.outputFileSync, pathToManifest );
+		} );
+
+		it( 'should not write source references, so the POT file is not rewritten when only they have changed', () => {
+			createFakeManifest( {
+				sourceFiles: {},
+				packages: { 'ckeditor5-foo': getHash( fooPotFileContent ) }
+			} );
+
+			createFakeSourceFileWithMessages( 'packages/ckeditor5-foo/src/foo.js', [
+				{ string: 'foo', id: 'foo_id', filePath: 'packages/ckeditor5-foo/src/foo.js', line: 12, column: 3 }
+			] );
+
+			stubs.fs.existsSync.withArgs( 'cwd/build/.transifex/ckeditor5-foo/en.pot' ).returns( true );
+
+			const summary = createPotFiles( {
+				sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js' ],
+				packagePaths: [ 'packages/ckeditor5-foo' ],
+				corePackagePath: 'packages/ckeditor5-core',
+				incremental: true,
+				logger: stubs.logger
+			} );
+
+			expect( summary ).to.deep.equal( { added: [], updated: [], unchanged: [ 'ckeditor5-foo' ], removed: [] } );
+
+			sinon.assert.calledOnce( stubs.fs.outputFileSync );
+			sinon.assert.calledWith( stubs.fs.outputFileSync, pathToManifest );
+		} );
+
+		it( 'should rewrite the POT file without source references when it was created in the full mode', () => {
+			const fooPotFileContentWithReferences = '#: packages/ckeditor5-foo/src/foo.js:12\n' + fooPotFileContent;
+
+			createFakeManifest( {
+				sourceFiles: {},
+				packages: { 'ckeditor5-foo': getHash( fooPotFileContentWithReferences ) }
+			} );
+
+			createFakeSourceFileWithMessages( 'packages/ckeditor5-foo/src/foo.js', [
+				{ string: 'foo', id: 'foo_id', filePath: 'packages/ckeditor5-foo/src/foo.js', line: 12, column: 3 }
+			] );
+
+			stubs.fs.existsSync.withArgs( 'cwd/build/.transifex/ckeditor5-foo/en.pot' ).returns( true );
+
+			const summary = createPotFiles( {
+				sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js' ],
+				packagePaths: [ 'packages/ckeditor5-foo' ],
+				corePackagePath: 'packages/ckeditor5-core',
+				incremental: true,
+				logger: stubs.logger
+			} );
+
+			expect( summary ).to.deep.equal( { added: [], updated: [ 'ckeditor5-foo' ], unchanged: [], removed: [] } );
+
+			sinon.assert.calledWithExactly(
+				stubs.fs.outputFileSync,
+				'cwd/build/.transifex/ckeditor5-foo/en.pot',
+				'# Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.\n\n' + fooPotFileContent
+			);
+		} );
+
+		it( 'should rewrite the POT file when it was removed', () => {
+			createFakeManifest( {
+				sourceFiles: {},
+				packages: { 'ckeditor5-foo': getHash( fooPotFileContent ) }
+			} );
+
+			const summary = createPotFiles( {
+				sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js' ],
+				packagePaths: [ 'packages/ckeditor5-foo' ],
+				corePackagePath: 'packages/ckeditor5-core',
+				incremental: true,
+				logger: stubs.logger
+			} );
+
+			expect( summary ).to.deep.equal( { added: [], updated: [ 'ckeditor5-foo' ], unchanged: [], removed: [] } );
+		} );
+
+		it( 'should rewrite the POT file when messages or contexts of the package have changed', () => {
+			createFakeManifest( {
+				sourceFiles: {},
+				packages: { 'ckeditor5-foo': getHash( 'msgctxt "foo_context"\nmsgid "foo_id"\nmsgstr "old foo"\n' ) }
+			} );
+
+			stubs.fs.existsSync.withArgs( 'cwd/build/.transifex/ckeditor5-foo/en.pot' ).returns( true );
+
+			const summary = createPotFiles( {
+				sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js' ],
+				packagePaths: [ 'packages/ckeditor5-foo' ],
+				corePackagePath: 'packages/ckeditor5-core',
+				incremental: true,
+				logger: stubs.logger
+			} );
+
+			expect( summary ).to.deep.equal( { added: [], updated: [ 'ckeditor5-foo' ], unchanged: [], removed: [] } );
+
+			sinon.assert.calledWithExactly(
+				stubs.fs.outputFileSync,
+				'cwd/build/.transifex/ckeditor5-foo/en.pot',
+				'# Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.\n\n' + fooPotFileContent
+			);
+		} );
+
+		it( 'should not parse source files which content has not changed', () => {
+			createFakeManifest( {
+				toolsVersion,
+				sourceFiles: {
+					'packages/ckeditor5-foo/src/foo.js': {
+						hash: getHash( 'packages/ckeditor5-foo/src/foo.js_content' ),
+						messages: [
+							{ string: 'foo', id: 'foo_id', filePath: 'packages/ckeditor5-foo/src/foo.js', packageName: 'ckeditor5-foo' }
+						],
+						errors: [ 'Cached error.' ]
+					}
+				},
+				packages: {}
+			} );
+
+			const summary = createPotFiles( {
+				sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js' ],
+				packagePaths: [ 'packages/ckeditor5-foo' ],
+				corePackagePath: 'packages/ckeditor5-core',
+				incremental: true,
+				logger: stubs.logger
+			} );
+
+			expect( summary.added ).to.deep.equal( [ 'ckeditor5-foo' ] );
+
+			sinon.assert.notCalled( stubs.translations.findMessages );
+			sinon.assert.calledWithExactly( stubs.logger.error, 'Cached error.' );
+		} );
+
+		it( 'should parse source files again when the manifest was created by a different version of the tools', () => {
+			createFakeManifest( {
+				toolsVersion: '0.0.1/0.0.1',
+				sourceFiles: {
+					'packages/ckeditor5-foo/src/foo.js': {
+						hash: getHash( 'packages/ckeditor5-foo/src/foo.js_content' ),
+						messages: [],
+						errors: [ 'Cached error.' ]
+					}
+				},
+				packages: { 'ckeditor5-foo': getHash( fooPotFileContent ) }
+			} );
+
+			stubs.fs.existsSync.withArgs( 'cwd/build/.transifex/ckeditor5-foo/en.pot' ).returns( true );
+
+			const summary = createPotFiles( {
+				sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js' ],
+				packagePaths: [ 'packages/ckeditor5-foo' ],
+				corePackagePath: 'packages/ckeditor5-core',
+				incremental: true,
+				logger: stubs.logger
+			} );
+
+			// Hashes of POT files do not depend on the tools, so unchanged POT files are not rewritten.
+			expect( summary ).to.deep.equal( { added: [], updated: [], unchanged: [ 'ckeditor5-foo' ], removed: [] } );
+
+			sinon.assert.calledOnce( stubs.translations.findMessages );
+			sinon.assert.neverCalledWith( stubs.logger.error, 'Cached error.' );
+		} );
+
+		it( 'should remove POT files of packages which no longer contain messages', () => {
+			createFakeManifest( {
+				sourceFiles: {},
+				packages: {
+					'ckeditor5-foo': getHash( fooPotFileContent ),
+					'ckeditor5-bar': 'bar-hash'
+				}
+			} );
+
+			stubs.fs.existsSync.withArgs( 'cwd/build/.transifex/ckeditor5-foo/en.pot' ).returns( true );
+
+			const summary = createPotFiles( {
+				sourceFiles: [ 'packages/ckeditor5-foo/src/foo.js' ],
+				packagePaths: [ 'packages/ckeditor5-foo' ],
+				corePackagePath: 'packages/ckeditor5-core',
+				incremental: true,
+				logger: stubs.logger
+			} );
+
+			expect( summary ).to.deep.equal( { added: [], updated: [], unchanged: [ 'ckeditor5-foo' ], removed: [ 'ckeditor5-bar' ] } );
+
+			sinon.assert.calledOnce( stubs.del.sync );
+			sinon.assert.calledWithExactly( stubs.del.sync, 'cwd/build/.transifex/ckeditor5-bar' );
+		} );
+
+		function createFakeManifest( manifest ) {
+			stubs.fs.existsSync.withArgs( pathToManifest ).returns( true );
+			stubs.fs.readFileSync.withArgs( pathToManifest ).returns( JSON.stringify( manifest ) );
+		}
+	} );
+
 	function createFakeSourceFileWithMessages( file, messages, errors = [] ) {
 		const content = file + '_content';
 
@@ -382,6 +887,10 @@ msgstr "foo"
 			} );
 	}
 
+	function getHash( content ) {
+		return crypto.createHash( 'sha256' ).update( content ).digest( 'hex' );
+	}
+
 	function createFakeContextFile( pathToContext, content ) {
 		stubs.fs.readFileSync
 			.withArgs( pathToContext ).returns( JSON.stringify( content ) );
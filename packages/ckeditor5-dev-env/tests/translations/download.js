@@ -11,7 +11,7 @@ const mockery = require( 'mockery' );
 const { expect } = require( 'chai' );
 
 describe( 'download', () => {
-	let sandbox, stubs, download, resources, resourcesDetails, translations, fileContents;
+	let sandbox, stubs, download, resources, resourcesDetails, translations, fileContents, localFiles;
 
 	beforeEach( () => {
 		sandbox = sinon.createSandbox();
@@ -32,7 +32,10 @@ describe( 'download', () => {
 			},
 
 			fs: {
-				outputFileSync: sandbox.spy()
+				outputFileSync: sandbox.spy(),
+				existsSync: sandbox.spy( pathToCheck => pathToCheck in localFiles ),
+				readdirSync: sandbox.spy( pathToDirectory => localFiles[ pathToDirectory ] ),
+				readFileSync: sandbox.spy( pathToFile => localFiles[ pathToFile ] )
 			},
 
 			translationUtils: {
@@ -122,6 +125,37 @@ describe( 'download', () => {
 			} );
 	} );
 
+	it( 'should download translations using the given translation platform service', () => {
+		mockery.registerMock( './languagecodemap.json', {} );
+
+		fileContents = {
+			'ckeditor5-core-pl-content': { core: 'rdzeń' }
+		};
+
+		const service = {
+			getResources: sandbox.spy( () => Promise.resolve( [ { slug: 'ckeditor5-core' } ] ) ),
+			getResourceDetails: sandbox.spy( () => Promise.resolve( { available_languages: [ { code: 'pl' } ] } ) ),
+			getTranslation: sandbox.spy( () => Promise.resolve( { content: 'ckeditor5-core-pl-content' } ) )
+		};
+
+		return download( {}, { service } )
+			.then( () => {
+				sinon.assert.notCalled( stubs.transifexService.getResources );
+
+				sinon.assert.calledOnce( service.getResources );
+				sinon.assert.calledOnce( service.getResourceDetails );
+				sinon.assert.calledWithExactly( service.getResourceDetails, { slug: 'ckeditor5-core' } );
+				sinon.assert.calledOnce( service.getTranslation );
+				sinon.assert.calledWithExactly( service.getTranslation, { slug: 'ckeditor5-core', lang: 'pl' } );
+
+				sinon.assert.calledWithExactly(
+					stubs.fs.outputFileSync,
+					path.join( 'workspace', 'packages', 'ckeditor5-core', 'lang', 'translations', 'pl.po' ),
+					'ckeditor5-core-pl-content'
+				);
+			} );
+	} );
+
 	it( 'should use the default language codes when the codes are missing in the languagecodemap.json file', () => {
 		mockery.registerMock( './languagecodemap.json', {} );
 
@@ -170,6 +204,84 @@ describe( 'download', () => {
 			} );
 	} );
 
+	it( 'should only compare downloaded translations with the current ones in the dry-run mode', () => {
+		mockery.registerMock( './languagecodemap.json', { 'en_AU': 'en-au' } );
+
+		const pathToTranslations = path.join( 'workspace', 'packages', 'ckeditor5-core', 'lang', 'translations' );
+
+		resources = [ { slug: 'ckeditor5-core' } ];
+
+		resourcesDetails = {
+			'ckeditor5-core': {
+				available_languages: [ { code: 'pl' }, { code: 'en_AU' }, { code: 'de' } ]
+			}
+		};
+
+		translations = {
+			'ckeditor5-core': {
+				pl: { content: 'ckeditor5-core-pl-content' },
+				en_AU: { content: 'ckeditor5-core-en-content' },
+				de: { content: 'ckeditor5-core-de-content' }
+			}
+		};
+
+		localFiles = {
+			[ pathToTranslations ]: [ 'pl.po', 'de.po', 'fr.po' ],
+			[ path.join( pathToTranslations, 'pl.po' ) ]: 'ckeditor5-core-pl-current-content',
+			[ path.join( pathToTranslations, 'de.po' ) ]: 'ckeditor5-core-de-content',
+			[ path.join( pathToTranslations, 'fr.po' ) ]: 'ckeditor5-core-fr-current-content'
+		};
+
+		fileContents = {
+			'ckeditor5-core-pl-content': { Save: [ 'Zapisz' ], Cancel: [ 'Anuluj' ] },
+			'ckeditor5-core-pl-current-content': { Save: [ 'Zachowaj' ], Close: [ 'Zamknij' ] },
+			'ckeditor5-core-en-content': { Save: [ 'Save' ] },
+			'ckeditor5-core-de-content': { Save: [ 'Speichern' ] },
+			'ckeditor5-core-fr-current-content': { Save: [ 'Enregistrer' ] }
+		};
+
+		return download( { token: 'secretToken' }, { dryRun: true } )
+			.then( translationsDiff => {
+				sinon.assert.notCalled( stubs.del );
+				sinon.assert.notCalled( stubs.fs.outputFileSync );
+
+				expect( translationsDiff ).to.deep.equal( {
+					packages: [ {
+						packageName: 'ckeditor5-core',
+						languages: [ {
+							language: 'de',
+							status: 'unchanged',
+							added: [],
+							changed: [],
+							removed: []
+						}, {
+							language: 'en-au',
+							status: 'new',
+							added: [ 'Save' ],
+							changed: [],
+							removed: []
+						}, {
+							language: 'fr',
+							status: 'removed',
+							added: [],
+							changed: [],
+							removed: [ 'Save' ]
+						}, {
+							language: 'pl',
+							status: 'changed',
+							added: [ 'Cancel' ],
+							changed: [ 'Save' ],
+							removed: [ 'Close' ]
+						} ]
+					} ]
+				} );
+
+				sinon.assert.calledWithExactly( stubs.logger.info, 'Package: ckeditor5-core' );
+				sinon.assert.calledWithExactly( stubs.logger.info, 'pl (changed) - New: 1, Changed: 1, Removed: 1' );
+				sinon.assert.calledWithExactly( stubs.logger.info, 'Dry run: no translations were saved.' );
+			} );
+	} );
+
 	it( 'should report an error when something goes wrong', () => {
 		const error = new Error();
 
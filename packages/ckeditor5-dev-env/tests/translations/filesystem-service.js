@@ -0,0 +1,156 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const fs = require( 'fs-extra' );
+const os = require( 'os' );
+const path = require( 'path' );
+const { expect } = require( 'chai' );
+const createFilesystemService = require( '../../lib/translations/filesystem-service' );
+
+describe( 'filesystem-service', () => {
+	let directory, service;
+
+	beforeEach( () => {
+		directory = fs.mkdtempSync( path.join( os.tmpdir(), 'ckeditor5-dev-env-' ) );
+		service = createFilesystemService( { directory } );
+	} );
+
+	afterEach( () => {
+		fs.removeSync( directory );
+	} );
+
+	describe( 'getResources()', () => {
+		it( 'should return an empty array when the directory does not exist', () => {
+			service = createFilesystemService( { directory: path.join( directory, 'not-existing' ) } );
+
+			return service.getResources()
+				.then( resources => {
+					expect( resources ).to.deep.equal( [] );
+				} );
+		} );
+
+		it( 'should return resources saved in the directory', () => {
+			fs.outputFileSync( path.join( directory, 'ckeditor5-core', 'source.pot' ), '' );
+			fs.outputFileSync( path.join( directory, 'ckeditor5-ui', 'source.pot' ), '' );
+			fs.outputFileSync( path.join( directory, 'not-a-resource', 'foo.txt' ), '' );
+
+			return service.getResources()
+				.then( resources => {
+					expect( resources ).to.deep.equal( [
+						{ slug: 'ckeditor5-core', name: 'ckeditor5-core' },
+						{ slug: 'ckeditor5-ui', name: 'ckeditor5-ui' }
+					] );
+				} );
+		} );
+	} );
+
+	describe( 'postResource()', () => {
+		it( 'should save the resource and return the number of added strings', () => {
+			const content = createPotFileContent( { Save: 'Save', Cancel: 'Cancel' } );
+
+			return service.postResource( { slug: 'ckeditor5-core', name: 'ckeditor5-core', content } )
+				.then( response => {
+					expect( response ).to.deep.equal( [ 2 ] );
+					expect( fs.readFileSync( path.join( directory, 'ckeditor5-core', 'source.pot' ), 'utf-8' ) ).to.equal( content );
+				} );
+		} );
+
+		it( 'should accept the content passed as a stream', () => {
+			const pathToPotFile = path.join( directory, 'en.pot' );
+
+			fs.outputFileSync( pathToPotFile, createPotFileContent( { Save: 'Save' } ) );
+
+			return service.postResource( { slug: 'ckeditor5-core', name: 'ckeditor5-core', content: fs.createReadStream( pathToPotFile ) } )
+				.then( response => {
+					expect( response ).to.deep.equal( [ 1 ] );
+				} );
+		} );
+	} );
+
+	describe( 'putResourceContent()', () => {
+		it( 'should replace the resource and return numbers of added, updated and deleted strings', () => {
+			fs.outputFileSync(
+				path.join( directory, 'ckeditor5-core', 'source.pot' ),
+				createPotFileContent( { Save: 'Save', Cancel: 'Cancel', Close: 'Close' } )
+			);
+
+			const content = createPotFileContent( { Save: 'Save', Cancel: 'Cancel changes', Open: 'Open' } );
+
+			return service.putResourceContent( { slug: 'ckeditor5-core', content } )
+				.then( response => {
+					expect( response ).to.deep.equal( {
+						strings_added: 1,
+						strings_updated: 1,
+						strings_delete: 1
+					} );
+
+					expect( fs.readFileSync( path.join( directory, 'ckeditor5-core', 'source.pot' ), 'utf-8' ) ).to.equal( content );
+				} );
+		} );
+	} );
+
+	describe( 'getResourceContent()', () => {
+		it( 'should return the content of the resource', () => {
+			fs.outputFileSync( path.join( directory, 'ckeditor5-core', 'source.pot' ), 'source.pot content' );
+
+			return service.getResourceContent( { slug: 'ckeditor5-core' } )
+				.then( resource => {
+					expect( resource ).to.deep.equal( { content: 'source.pot content' } );
+				} );
+		} );
+	} );
+
+	describe( 'getResourceDetails()', () => {
+		it( 'should return languages of the available translations', () => {
+			fs.outputFileSync( path.join( directory, 'ckeditor5-core', 'translations', 'pl.po' ), '' );
+			fs.outputFileSync( path.join( directory, 'ckeditor5-core', 'translations', 'en_AU.po' ), '' );
+
+			return service.getResourceDetails( { slug: 'ckeditor5-core' } )
+				.then( details => {
+					expect( details ).to.deep.equal( {
+						slug: 'ckeditor5-core',
+						available_languages: [ { code: 'en_AU' }, { code: 'pl' } ]
+					} );
+				} );
+		} );
+
+		it( 'should return an empty array of languages when the resource has no translations', () => {
+			return service.getResourceDetails( { slug: 'ckeditor5-core' } )
+				.then( details => {
+					expect( details.available_languages ).to.deep.equal( [] );
+				} );
+		} );
+	} );
+
+	describe( 'getTranslation()', () => {
+		it( 'should return the content of the translation file', () => {
+			fs.outputFileSync( path.join( directory, 'ckeditor5-core', 'translations', 'pl.po' ), 'pl.po content' );
+
+			return service.getTranslation( { slug: 'ckeditor5-core', lang: 'pl' } )
+				.then( translation => {
+					expect( translation ).to.deep.equal( { content: 'pl.po content' } );
+				} );
+		} );
+
+		it( 'should reject when the translation file does not exist', () => {
+			return service.getTranslation( { slug: 'ckeditor5-core', lang: 'pl' } )
+				.then( () => {
+					throw new Error( 'Expected to be rejected.' );
+				}, err => {
+					expect( err.message ).to.equal(
+						'Translation file for the \'pl\' language of the \'ckeditor5-core\' resource does not exist.'
+					);
+				} );
+		} );
+	} );
+
+	function createPotFileContent( messages ) {
+		return Object.keys( messages )
+			.map( id => `msgid ${ JSON.stringify( id ) }\nmsgstr ${ JSON.stringify( messages[ id ] ) }\n` )
+			.join( '\n' );
+	}
+} );
@@ -0,0 +1,199 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const fs = require( 'fs-extra' );
+const os = require( 'os' );
+const path = require( 'path' );
+const sinon = require( 'sinon' );
+const chalk = require( 'chalk' );
+const { expect } = require( 'chai' );
+const lintTranslations = require( '../../lib/translations/linttranslations' );
+
+describe( 'lintTranslations()', () => {
+	let directory, logger, packagePath, packagePaths, chalkLevel;
+
+	beforeEach( () => {
+		// Print problems without colors, so they can be compared with the expected ones.
+		chalkLevel = chalk.level;
+		chalk.level = 0;
+
+		directory = fs.mkdtempSync( path.join( os.tmpdir(), 'ckeditor5-dev-env-' ) );
+		logger = {
+			info: sinon.spy(),
+			error: sinon.spy()
+		};
+
+		packagePath = path.join( directory, 'ckeditor5-foo' );
+		packagePaths = [ packagePath, path.join( directory, 'ckeditor5-without-translations' ) ];
+
+		writePoFile( 'pl', [
+			'msgid "Save"',
+			'msgstr "Zapisz"',
+			'',
+			'msgid "%0 of %1"',
+			'msgstr "%0 z %1"',
+			'',
+			'msgid "Add %0 button"',
+			'msgid_plural "Add %0 buttons"',
+			'msgstr[0] "Dodaj przycisk"',
+			'msgstr[1] "Dodaj %0 przyciski"',
+			'msgstr[2] "Dodaj %0 przycisków"',
+			'',
+			'msgid "Open"',
+			'msgstr ""',
+			'',
+			'#~ msgid "Save"',
+			'#~ msgstr "Zachowaj"'
+		] );
+	} );
+
+	afterEach( () => {
+		chalk.level = chalkLevel;
+		fs.removeSync( directory );
+	} );
+
+	it( 'should log that translation files are valid', () => {
+		lintTranslations( { packagePaths, logger } );
+
+		sinon.assert.notCalled( logger.error );
+		sinon.assert.calledWithExactly( logger.info, 'Translation files are valid.' );
+	} );
+
+	it( 'should report a missing `Plural-Forms` header', () => {
+		writePoFile( 'de', [ 'msgid "Save"', 'msgstr "Speichern"' ], null );
+
+		expectProblems( [
+			'de.po: The `Plural-Forms` header is missing or does not define the number of plural forms.'
+		] );
+	} );
+
+	it( 'should report the `Plural-Forms` header that does not match the CLDR data', () => {
+		writePoFile( 'de', [ 'msgid "Save"', 'msgstr "Speichern"' ], 'nplurals=3; plural=(n != 1);' );
+
+		expectProblems( [
+			'de.po: The `Plural-Forms` header defines 3 plural form(s), but the \'de\' language has 2 plural form(s) in the CLDR data.'
+		] );
+	} );
+
+	it( 'should use the number of plural forms of the base language for a regional variant', () => {
+		writePoFile( 'pt-br', [ 'msgid "Save"', 'msgstr "Salvar"' ], 'nplurals=3; plural=(n != 1);' );
+
+		expectProblems( [
+			'pt-br.po: The `Plural-Forms` header defines 3 plural form(s), ' +
+			'but the \'pt-br\' language has 2 plural form(s) in the CLDR data.'
+		] );
+	} );
+
+	it( 'should not check the number of plural forms of languages unknown to the CLDR data', () => {
+		writePoFile( 'xx', [ 'msgid "Save"', 'msgstr "Save"' ], 'nplurals=5; plural=(n != 1);' );
+
+		lintTranslations( { packagePaths, logger } );
+
+		sinon.assert.notCalled( logger.error );
+	} );
+
+	it( 'should report translations with a wrong number of forms', () => {
+		writePoFile( 'de', [
+			'msgid "Save"',
+			'msgstr[0] "Speichern"',
+			'msgstr[1] "Speichern"',
+			'',
+			'msgid "Add %0 button"',
+			'msgid_plural "Add %0 buttons"',
+			'msgstr[0] "%0 Schaltfläche hinzufügen"'
+		] );
+
+		expectProblems( [
+			'de.po: The "Save" message: expected 1 translation form(s), found 2.',
+			'de.po: The "Add %0 button" message: expected 2 translation form(s), found 1.'
+		] );
+	} );
+
+	it( 'should report placeholders that do not match the message', () => {
+		writePoFile( 'de', [
+			'msgid "%0 of %1"',
+			'msgstr "%0 von %2"',
+			'',
+			'msgid "Add %0 button"',
+			'msgid_plural "Add %0 buttons"',
+			'msgstr[0] "Eine Schaltfläche hinzufügen"',
+			'msgstr[1] "%1 Schaltflächen hinzufügen"'
+		] );
+
+		expectProblems( [
+			'de.po: The "%0 of %1" message: the translation contains unknown placeholder(s): %2.',
+			'de.po: The "%0 of %1" message: the translation lacks placeholder(s): %1.',
+			'de.po: The "Add %0 button" message: translation form 1 contains unknown placeholder(s): %1.'
+		] );
+	} );
+
+	it( 'should report empty forms of translated messages', () => {
+		writePoFile( 'de', [
+			'msgid "Add %0 button"',
+			'msgid_plural "Add %0 buttons"',
+			'msgstr[0] "Eine Schaltfläche hinzufügen"',
+			'msgstr[1] ""'
+		] );
+
+		expectProblems( [
+			'de.po: The "Add %0 button" message: the message is translated, but some of its translation forms are empty.'
+		] );
+	} );
+
+	it( 'should report duplicated messages', () => {
+		writePoFile( 'de', [
+			'msgid "Save"',
+			'msgstr "Speichern"',
+			'',
+			'msgctxt "Another context."',
+			'msgid "Save"',
+			'msgstr "Sichern"'
+		] );
+
+		expectProblems( [
+			'de.po: The "Save" message: the message is duplicated.'
+		] );
+	} );
+
+	it( 'should validate only the specified languages', () => {
+		writePoFile( 'de', [ 'msgid "Save"', 'msgstr "Speichern"' ], null );
+
+		lintTranslations( { packagePaths, languages: [ 'pl' ], logger } );
+
+		sinon.assert.notCalled( logger.error );
+	} );
+
+	function expectProblems( expectedProblems ) {
+		expect( () => lintTranslations( { packagePaths, logger } ) ).to.throw(
+			`Found ${ expectedProblems.length } problem(s) in translation files.`
+		);
+
+		const pathToTranslations = path.join( packagePath, 'lang', 'translations' ) + path.sep;
+
+		expect( logger.error.getCalls().map( call => call.args[ 0 ].replace( pathToTranslations, '' ) ) )
+			.to.deep.equal( expectedProblems );
+	}
+
+	function writePoFile( language, lines, pluralForms = getDefaultPluralForms( language ) ) {
+		const header = [ 'msgid ""', 'msgstr ""', `"Language: ${ language }\\n"` ];
+
+		if ( pluralForms ) {
+			header.push( `"Plural-Forms: ${ pluralForms }\\n"` );
+		}
+
+		fs.outputFileSync(
+			path.join( packagePath, 'lang', 'translations', `${ language }.po` ),
+			[ ...header, '', ...lines, '' ].join( '\n' )
+		);
+	}
+
+	function getDefaultPluralForms( language ) {
+		return language === 'pl' ?
+			'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2);' :
+			'nplurals=2; plural=(n != 1);';
+	}
+} );
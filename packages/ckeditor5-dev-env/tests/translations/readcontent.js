@@ -0,0 +1,55 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const { Readable } = require( 'stream' );
+const { expect } = require( 'chai' );
+const readContent = require( '../../lib/translations/readcontent' );
+
+describe( 'readContent()', () => {
+	it( 'should resolve with the given string', () => {
+		return readContent( 'msgid "foo"' )
+			.then( content => {
+				expect( content ).to.equal( 'msgid "foo"' );
+			} );
+	} );
+
+	it( 'should resolve with the content of the given buffer', () => {
+		return readContent( Buffer.from( 'msgid "foo"' ) )
+			.then( content => {
+				expect( content ).to.equal( 'msgid "foo"' );
+			} );
+	} );
+
+	it( 'should resolve with the content of the given stream', () => {
+		const stream = new Readable( { read() {} } );
+
+		stream.push( 'msgid ' );
+		stream.push( '"foo"' );
+		stream.push( null );
+
+		return readContent( stream )
+			.then( content => {
+				expect( content ).to.equal( 'msgid "foo"' );
+			} );
+	} );
+
+	it( 'should reject when the stream emits an error', () => {
+		const stream = new Readable( { read() {} } );
+
+		setTimeout( () => stream.emit( 'error', new Error( 'Cannot read.' ) ) );
+
+		return readContent( stream )
+			.then(
+				() => {
+					throw new Error( 'Expected to be rejected.' );
+				},
+				err => {
+					expect( err.message ).to.equal( 'Cannot read.' );
+				}
+			);
+	} );
+} );
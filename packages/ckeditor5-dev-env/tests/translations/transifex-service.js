@@ -9,6 +9,7 @@ const chai = require( 'chai' );
 const sinon = require( 'sinon' );
 const expect = chai.expect;
 const mockery = require( 'mockery' );
+const { Readable } = require( 'stream' );
 
 describe( 'transifex-service', () => {
 	let sandbox, transifexService, stubs;
@@ -29,21 +30,19 @@ describe( 'transifex-service', () => {
 				error: sandbox.stub()
 			},
 
-			request: {
-				get: sandbox.stub(),
-				post: sandbox.stub(),
-				put: sandbox.stub()
-			}
+			fetch: sandbox.stub(),
+
+			retryAsyncFunction: sandbox.stub().callsFake( fn => fn() )
 		};
 
 		mockery.registerMock( '@ckeditor/ckeditor5-dev-utils', {
 			logger: () => stubs.logger,
 			translations: {
-				retryAsyncFunction: x => x()
+				retryAsyncFunction: stubs.retryAsyncFunction
 			}
 		} );
 
-		mockery.registerMock( 'request', stubs.request );
+		mockery.registerMock( 'node-fetch', stubs.fetch );
 
 		transifexService = require( '../../lib/translations/transifex-service' );
 	} );
@@ -54,29 +53,77 @@ describe( 'transifex-service', () => {
 	} );
 
 	describe( 'getResources()', () => {
-		it( 'should return resources', () => {
-			const spy = sandbox.spy( ( url, data, cb ) => cb( null, { statusCode: 200 }, '{"body": ""}' ) );
-			stubs.request.get.callsFake( spy );
+		it( 'should return resources of the default project', () => {
+			stubs.fetch.resolves( createResponse( 200, {
+				data: [
+					{ id: 'o:ckeditor:p:ckeditor5:r:ckeditor5-core', attributes: { slug: 'ckeditor5-core', name: 'ckeditor5-core' } },
+					{ id: 'o:ckeditor:p:ckeditor5:r:ckeditor5-ui', attributes: { slug: 'ckeditor5-ui', name: 'UI' } }
+				]
+			} ) );
 
-			return transifexService.getResources( {
-				token: 'token'
-			} ).then( () => {
-				sinon.assert.calledWith(
-					spy,
-					'https://www.transifex.com/api/2/project/ckeditor5/resources/',
-					{
-						auth: {
-							username: 'api',
-							password: 'token'
+			return transifexService.getResources( { token: 'token' } )
+				.then( resources => {
+					expect( resources ).to.deep.equal( [
+						{ slug: 'ckeditor5-core', name: 'ckeditor5-core' },
+						{ slug: 'ckeditor5-ui', name: 'UI' }
+					] );
+
+					sinon.assert.calledOnce( stubs.fetch );
+					sinon.assert.calledWith(
+						stubs.fetch,
+						'https://rest.api.transifex.com/resources?filter[project]=o:ckeditor:p:ckeditor5',
+						{
+							method: 'GET',
+							headers: { Authorization: 'Bearer token' },
+							redirect: 'follow',
+							body: undefined
 						}
-					}
-				);
-			} );
+					);
+				} );
+		} );
+
+		it( 'should return resources of the specified organization and project', () => {
+			stubs.fetch.resolves( createResponse( 200, { data: [] } ) );
+
+			return transifexService.getResources( { token: 'token', organizationName: 'foo', projectName: 'bar' } )
+				.then( () => {
+					expect( stubs.fetch.firstCall.args[ 0 ] ).to.equal(
+						'https://rest.api.transifex.com/resources?filter[project]=o:foo:p:bar'
+					);
+				} );
+		} );
+
+		it( 'should return resources from all pages', () => {
+			const nextPageUrl = 'https://rest.api.transifex.com/resources?filter[project]=o:ckeditor:p:ckeditor5&page[cursor]=abc';
+
+			stubs.fetch.onCall( 0 ).resolves( createResponse( 200, {
+				data: [
+					{ id: 'o:ckeditor:p:ckeditor5:r:ckeditor5-core', attributes: { slug: 'ckeditor5-core', name: 'ckeditor5-core' } }
+				],
+				links: { self: 'self-url', next: nextPageUrl }
+			} ) );
+			stubs.fetch.onCall( 1 ).resolves( createResponse( 200, {
+				data: [
+					{ id: 'o:ckeditor:p:ckeditor5:r:ckeditor5-ui', attributes: { slug: 'ckeditor5-ui', name: 'UI' } }
+				],
+				links: { self: nextPageUrl, next: null }
+			} ) );
+
+			return transifexService.getResources( { token: 'token' } )
+				.then( resources => {
+					expect( resources ).to.deep.equal( [
+						{ slug: 'ckeditor5-core', name: 'ckeditor5-core' },
+						{ slug: 'ckeditor5-ui', name: 'UI' }
+					] );
+
+					sinon.assert.calledTwice( stubs.fetch );
+					expect( stubs.fetch.getCall( 1 ).args[ 0 ] ).to.equal( nextPageUrl );
+					expect( stubs.fetch.getCall( 1 ).args[ 1 ].headers ).to.deep.equal( { Authorization: 'Bearer token' } );
+				} );
 		} );
 
-		it( 'should throw an error if the statusCode is above 300', () => {
-			const spy = sandbox.spy( ( url, data, cb ) => cb( null, { statusCode: 500 }, '{"body": ""}' ) );
-			stubs.request.get.callsFake( spy );
+		it( 'should throw an error if the status code is above 300', () => {
+			stubs.fetch.resolves( createResponse( 500, { errors: [] } ) );
 
 			return transifexService.getResources( { token: 'token' } )
 				.then(
@@ -91,8 +138,8 @@ describe( 'transifex-service', () => {
 
 		it( 'should throw an error if some other error occurs', () => {
 			const error = new Error();
-			const spy = sandbox.spy( ( url, data, cb ) => cb( error, { statusCode: 200 }, '{"body": ""}' ) );
-			stubs.request.get.callsFake( spy );
+
+			stubs.fetch.rejects( error );
 
 			return transifexService.getResources( { token: 'token' } )
 				.then(
@@ -106,8 +153,7 @@ describe( 'transifex-service', () => {
 		} );
 
 		it( 'should throw an error if some error occurs during parsing the body', () => {
-			const spy = sandbox.spy( ( url, data, cb ) => cb( null, { statusCode: 200 }, 'Invalid JSON' ) );
-			stubs.request.get.callsFake( spy );
+			stubs.fetch.resolves( createResponse( 200, 'Invalid JSON' ) );
 
 			return transifexService.getResources( { token: 'token' } )
 				.then(
@@ -123,108 +169,324 @@ describe( 'transifex-service', () => {
 	} );
 
 	describe( 'postResource()', () => {
-		it( 'should upload resource on the Transifex', () => {
-			const spy = sandbox.spy( ( url, data, cb ) => cb( null, { statusCode: 201 }, '{"body": ""}' ) );
-			stubs.request.post.callsFake( spy );
+		it( 'should create the resource, upload its content and return the number of added strings', () => {
+			stubs.fetch.onCall( 0 ).resolves( createResponse( 201, { data: { id: 'o:ckeditor:p:ckeditor5:r:slug' } } ) );
+			stubs.fetch.onCall( 1 ).resolves( createResponse( 202, { data: { id: 'upload-id', attributes: { status: 'pending' } } } ) );
+			stubs.fetch.onCall( 2 ).resolves( createResponse( 200, {
+				data: {
+					id: 'upload-id',
+					attributes: {
+						status: 'succeeded',
+						details: { strings_created: 3, strings_updated: 0, strings_deleted: 0, strings_skipped: 0 }
+					}
+				}
+			} ) );
 
 			return transifexService.postResource( {
 				token: 'token',
 				name: 'name',
 				slug: 'slug',
-				content: 'content'
-			} ).then( () => {
-				sinon.assert.calledWith(
-					spy,
-					'https://www.transifex.com/api/2/project/ckeditor5/resources/',
-					{
-						auth: {
-							username: 'api',
-							password: 'token'
-						},
-						formData: {
-							slug: 'slug',
-							name: 'name',
-							content: 'content',
-							'i18n_type': 'PO'
+				content: createStream( 'content' )
+			} ).then( response => {
+				expect( response ).to.deep.equal( [ 3 ] );
+
+				sinon.assert.calledThrice( stubs.fetch );
+
+				expect( stubs.fetch.getCall( 0 ).args[ 0 ] ).to.equal( 'https://rest.api.transifex.com/resources' );
+				expect( stubs.fetch.getCall( 0 ).args[ 1 ].method ).to.equal( 'POST' );
+				expect( stubs.fetch.getCall( 0 ).args[ 1 ].headers ).to.deep.equal( {
+					Authorization: 'Bearer token',
+					'Content-Type': 'application/vnd.api+json'
+				} );
+				expect( JSON.parse( stubs.fetch.getCall( 0 ).args[ 1 ].body ) ).to.deep.equal( {
+					data: {
+						type: 'resources',
+						attributes: { name: 'name', slug: 'slug' },
+						relationships: {
+							project: {
+								data: { type: 'projects', id: 'o:ckeditor:p:ckeditor5' }
+							},
+							i18n_format: {
+								data: { type: 'i18n_formats', id: 'PO' }
+							}
 						}
 					}
+				} );
+
+				expect( stubs.fetch.getCall( 1 ).args[ 0 ] ).to.equal( 'https://rest.api.transifex.com/resource_strings_async_uploads' );
+				expect( JSON.parse( stubs.fetch.getCall( 1 ).args[ 1 ].body ) ).to.deep.equal( {
+					data: {
+						type: 'resource_strings_async_uploads',
+						attributes: { content: 'content', content_encoding: 'text' },
+						relationships: {
+							resource: {
+								data: { type: 'resources', id: 'o:ckeditor:p:ckeditor5:r:slug' }
+							}
+						}
+					}
+				} );
+
+				expect( stubs.fetch.getCall( 2 ).args[ 0 ] ).to.equal(
+					'https://rest.api.transifex.com/resource_strings_async_uploads/upload-id'
 				);
 			} );
 		} );
+
+		it( 'should not retry creating the resource', () => {
+			const error = new Error( 'Connection reset.' );
+
+			// Retry every request once.
+			stubs.retryAsyncFunction.callsFake( fn => fn().catch( () => fn() ) );
+			stubs.fetch.rejects( error );
+
+			return transifexService.postResource( {
+				token: 'token',
+				name: 'name',
+				slug: 'slug',
+				content: 'content'
+			} ).then(
+				() => {
+					throw new Error( 'Promise should not be resolved.' );
+				},
+				err => {
+					expect( err ).to.equal( error );
+
+					sinon.assert.calledOnce( stubs.fetch );
+				}
+			);
+		} );
 	} );
 
 	describe( 'putResourceContent()', () => {
-		it( 'should update resource on the Transifex', () => {
-			const spy = sandbox.spy( ( url, data, cb ) => cb( null, { statusCode: 200 }, '{"body": ""}' ) );
-			stubs.request.put.callsFake( spy );
+		it( 'should update resource content and return numbers of added, updated and deleted strings', () => {
+			stubs.fetch.onCall( 0 ).resolves( createResponse( 202, { data: { id: 'upload-id', attributes: { status: 'pending' } } } ) );
+			stubs.fetch.onCall( 1 ).resolves( createResponse( 200, {
+				data: {
+					id: 'upload-id',
+					attributes: {
+						status: 'succeeded',
+						details: { strings_created: 1, strings_updated: 2, strings_deleted: 3, strings_skipped: 0 }
+					}
+				}
+			} ) );
 
 			return transifexService.putResourceContent( {
 				token: 'token',
 				slug: 'slug',
-				content: 'content'
-			} ).then( () => {
-				sinon.assert.calledWith(
-					spy,
-					'https://www.transifex.com/api/2/project/ckeditor5/resource/slug/content/',
-					{
-						auth: {
-							username: 'api',
-							password: 'token'
-						},
-						formData: {
-							content: 'content',
-							'i18n_type': 'PO'
+				content: 'content',
+				organizationName: 'foo',
+				projectName: 'bar'
+			} ).then( response => {
+				expect( response ).to.deep.equal( {
+					strings_added: 1,
+					strings_updated: 2,
+					strings_delete: 3
+				} );
+
+				sinon.assert.calledTwice( stubs.fetch );
+				expect( JSON.parse( stubs.fetch.getCall( 0 ).args[ 1 ].body ).data.relationships.resource.data.id )
+					.to.equal( 'o:foo:p:bar:r:slug' );
+			} );
+		} );
+
+		it( 'should check the upload status again when the upload has not been processed yet', () => {
+			sandbox.stub( global, 'setTimeout' ).callsFake( callback => callback() );
+
+			stubs.fetch.onCall( 0 ).resolves( createResponse( 202, { data: { id: 'upload-id', attributes: { status: 'pending' } } } ) );
+			stubs.fetch.onCall( 1 ).resolves( createResponse( 200, { data: { id: 'upload-id', attributes: { status: 'processing' } } } ) );
+			stubs.fetch.onCall( 2 ).resolves( createResponse( 200, {
+				data: {
+					id: 'upload-id',
+					attributes: {
+						status: 'succeeded',
+						details: { strings_created: 1, strings_updated: 0, strings_deleted: 0, strings_skipped: 0 }
+					}
+				}
+			} ) );
+
+			return transifexService.putResourceContent( { token: 'token', slug: 'slug', content: 'content' } )
+				.then( response => {
+					expect( response.strings_added ).to.equal( 1 );
+
+					sinon.assert.calledThrice( stubs.fetch );
+					sinon.assert.calledOnce( global.setTimeout );
+				} );
+		} );
+
+		it( 'should throw an error when the upload failed', () => {
+			stubs.fetch.onCall( 0 ).resolves( createResponse( 202, { data: { id: 'upload-id', attributes: { status: 'pending' } } } ) );
+			stubs.fetch.onCall( 1 ).resolves( createResponse( 200, {
+				data: {
+					id: 'upload-id',
+					attributes: {
+						status: 'failed',
+						errors: [ { detail: 'Invalid PO file.' } ]
+					}
+				}
+			} ) );
+
+			return transifexService.putResourceContent( { token: 'token', slug: 'slug', content: 'content' } )
+				.then(
+					() => {
+						throw new Error( 'Promise should not be resolved.' );
+					},
+					err => {
+						expect( err.message ).to.equal(
+							'The \'putResourceContent\' job failed on the Transifex side. Invalid PO file.'
+						);
+					}
+				);
+		} );
+	} );
+
+	describe( 'getResourceContent()', () => {
+		it( 'should get the source content of the resource from the Transifex', () => {
+			stubs.fetch.onCall( 0 ).resolves( createResponse( 202, { data: { id: 'download-id', attributes: { status: 'pending' } } } ) );
+			stubs.fetch.onCall( 1 ).resolves( createResponse( 303, '', { location: 'https://example.com/en.pot' } ) );
+			stubs.fetch.onCall( 2 ).resolves( createResponse( 200, 'en.pot content' ) );
+
+			return transifexService.getResourceContent( {
+				token: 'token',
+				slug: 'slug'
+			} ).then( resource => {
+				expect( resource ).to.deep.equal( { content: 'en.pot content' } );
+
+				expect( stubs.fetch.getCall( 0 ).args[ 0 ] ).to.equal( 'https://rest.api.transifex.com/resource_strings_async_downloads' );
+				expect( JSON.parse( stubs.fetch.getCall( 0 ).args[ 1 ].body ) ).to.deep.equal( {
+					data: {
+						type: 'resource_strings_async_downloads',
+						attributes: { content_encoding: 'text', file_type: 'default' },
+						relationships: {
+							resource: {
+								data: { type: 'resources', id: 'o:ckeditor:p:ckeditor5:r:slug' }
+							}
 						}
 					}
+				} );
+
+				expect( stubs.fetch.getCall( 1 ).args[ 0 ] ).to.equal(
+					'https://rest.api.transifex.com/resource_strings_async_downloads/download-id'
 				);
+				expect( stubs.fetch.getCall( 2 ).args[ 0 ] ).to.equal( 'https://example.com/en.pot' );
 			} );
 		} );
 	} );
 
 	describe( 'getResourceDetails()', () => {
-		it( 'should get resource details from the Transifex', () => {
-			const spy = sandbox.spy( ( url, data, cb ) => cb( null, { statusCode: 200 }, '{"body": ""}' ) );
-			stubs.request.get.callsFake( spy );
+		it( 'should return languages of the available translations', () => {
+			stubs.fetch.resolves( createResponse( 200, {
+				data: [
+					{ relationships: { language: { data: { type: 'languages', id: 'l:pl' } } } },
+					{ relationships: { language: { data: { type: 'languages', id: 'l:en_AU' } } } }
+				]
+			} ) );
 
 			return transifexService.getResourceDetails( {
 				token: 'token',
 				slug: 'slug'
-			} ).then( () => {
+			} ).then( details => {
+				expect( details ).to.deep.equal( {
+					slug: 'slug',
+					available_languages: [ { code: 'pl' }, { code: 'en_AU' } ]
+				} );
+
 				sinon.assert.calledWith(
-					spy,
-					'https://www.transifex.com/api/2/project/ckeditor5/resource/slug/?details',
-					{
-						auth: {
-							username: 'api',
-							password: 'token'
-						}
-					}
+					stubs.fetch,
+					'https://rest.api.transifex.com/resource_language_stats' +
+					'?filter[project]=o:ckeditor:p:ckeditor5&filter[resource]=o:ckeditor:p:ckeditor5:r:slug'
 				);
 			} );
 		} );
+
+		it( 'should return languages of the available translations from all pages', () => {
+			const nextPageUrl = 'https://rest.api.transifex.com/resource_language_stats?page[cursor]=abc';
+
+			stubs.fetch.onCall( 0 ).resolves( createResponse( 200, {
+				data: [
+					{ relationships: { language: { data: { type: 'languages', id: 'l:pl' } } } }
+				],
+				links: { next: nextPageUrl }
+			} ) );
+			stubs.fetch.onCall( 1 ).resolves( createResponse( 200, {
+				data: [
+					{ relationships: { language: { data: { type: 'languages', id: 'l:de' } } } }
+				],
+				links: { next: null }
+			} ) );
+
+			return transifexService.getResourceDetails( {
+				token: 'token',
+				slug: 'slug'
+			} ).then( details => {
+				expect( details.available_languages ).to.deep.equal( [ { code: 'pl' }, { code: 'de' } ] );
+
+				sinon.assert.calledTwice( stubs.fetch );
+				expect( stubs.fetch.getCall( 1 ).args[ 0 ] ).to.equal( nextPageUrl );
+			} );
+		} );
 	} );
 
 	describe( 'getTranslation()', () => {
 		it( 'should get translations for the target language of the resource from the Transifex', () => {
-			const spy = sandbox.spy( ( url, data, cb ) => cb( null, { statusCode: 200 }, '{"body": ""}' ) );
-			stubs.request.get.callsFake( spy );
+			stubs.fetch.onCall( 0 ).resolves( createResponse( 202, { data: { id: 'download-id', attributes: { status: 'pending' } } } ) );
+			stubs.fetch.onCall( 1 ).resolves( createResponse( 303, '', { location: 'https://example.com/pl.po' } ) );
+			stubs.fetch.onCall( 2 ).resolves( createResponse( 200, 'pl.po content' ) );
 
 			return transifexService.getTranslation( {
 				token: 'token',
 				slug: 'slug',
-				lang: 'lang'
-			} ).then( () => {
-				sinon.assert.calledWith(
-					spy,
-					'https://www.transifex.com/api/2/project/ckeditor5/resource/slug/translation/lang/',
-					{
-						auth: {
-							username: 'api',
-							password: 'token'
+				lang: 'pl'
+			} ).then( translation => {
+				expect( translation ).to.deep.equal( { content: 'pl.po content' } );
+
+				sinon.assert.calledThrice( stubs.fetch );
+
+				expect( stubs.fetch.getCall( 0 ).args[ 0 ] ).to.equal(
+					'https://rest.api.transifex.com/resource_translations_async_downloads'
+				);
+				expect( JSON.parse( stubs.fetch.getCall( 0 ).args[ 1 ].body ) ).to.deep.equal( {
+					data: {
+						type: 'resource_translations_async_downloads',
+						attributes: { content_encoding: 'text', file_type: 'default', mode: 'default' },
+						relationships: {
+							resource: {
+								data: { type: 'resources', id: 'o:ckeditor:p:ckeditor5:r:slug' }
+							},
+							language: {
+								data: { type: 'languages', id: 'l:pl' }
+							}
 						}
 					}
+				} );
+
+				expect( stubs.fetch.getCall( 1 ).args[ 0 ] ).to.equal(
+					'https://rest.api.transifex.com/resource_translations_async_downloads/download-id'
 				);
+				expect( stubs.fetch.getCall( 1 ).args[ 1 ].redirect ).to.equal( 'manual' );
+
+				// The file is downloaded from the storage without the Transifex token.
+				expect( stubs.fetch.getCall( 2 ).args[ 0 ] ).to.equal( 'https://example.com/pl.po' );
+				expect( stubs.fetch.getCall( 2 ).args[ 1 ].headers ).to.deep.equal( {} );
 			} );
 		} );
 	} );
+
+	function createResponse( status, body, headers = {} ) {
+		return {
+			status,
+			headers: {
+				get: name => headers[ name ]
+			},
+			text: () => Promise.resolve( typeof body === 'string' ? body : JSON.stringify( body ) )
+		};
+	}
+
+	function createStream( content ) {
+		const stream = new Readable( { read() {} } );
+
+		stream.push( content );
+		stream.push( null );
+
+		return stream;
+	}
 } );
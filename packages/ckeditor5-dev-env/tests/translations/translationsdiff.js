@@ -0,0 +1,112 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const sinon = require( 'sinon' );
+const { expect } = require( 'chai' );
+const { createLanguageDiff, logTranslationsDiff } = require( '../../lib/translations/translationsdiff' );
+
+describe( 'translationsdiff', () => {
+	describe( 'createLanguageDiff()', () => {
+		it( 'should return ids of added, changed and removed messages', () => {
+			const previousPoFileContent = createPoFileContent( { Save: 'Zapisz', Cancel: 'Anuluj', Close: 'Zamknij' } );
+			const poFileContent = createPoFileContent( { Save: 'Zapisz', Cancel: 'Porzuć', Open: 'Otwórz' } );
+
+			expect( createLanguageDiff( 'pl', previousPoFileContent, poFileContent ) ).to.deep.equal( {
+				language: 'pl',
+				status: 'changed',
+				added: [ 'Open' ],
+				changed: [ 'Cancel' ],
+				removed: [ 'Close' ]
+			} );
+		} );
+
+		it( 'should detect changed plural forms', () => {
+			const previousPoFileContent = [
+				'msgid "%0 image"',
+				'msgid_plural "%0 images"',
+				'msgstr[0] "%0 obrazek"',
+				'msgstr[1] "%0 obrazki"'
+			].join( '\n' );
+
+			const poFileContent = [
+				'msgid "%0 image"',
+				'msgid_plural "%0 images"',
+				'msgstr[0] "%0 obrazek"',
+				'msgstr[1] "%0 obrazków"'
+			].join( '\n' );
+
+			expect( createLanguageDiff( 'pl', previousPoFileContent, poFileContent ).changed ).to.deep.equal( [ '%0 image' ] );
+		} );
+
+		it( 'should mark the language as unchanged when messages are the same', () => {
+			const poFileContent = createPoFileContent( { Save: 'Zapisz' } );
+
+			expect( createLanguageDiff( 'pl', poFileContent, poFileContent ) ).to.deep.equal( {
+				language: 'pl',
+				status: 'unchanged',
+				added: [],
+				changed: [],
+				removed: []
+			} );
+		} );
+
+		it( 'should mark the language as new when the previous file does not exist', () => {
+			expect( createLanguageDiff( 'pl', null, createPoFileContent( { Save: 'Zapisz' } ) ) ).to.deep.equal( {
+				language: 'pl',
+				status: 'new',
+				added: [ 'Save' ],
+				changed: [],
+				removed: []
+			} );
+		} );
+
+		it( 'should mark the language as removed when the file will be removed', () => {
+			expect( createLanguageDiff( 'pl', createPoFileContent( { Save: 'Zapisz' } ), null ) ).to.deep.equal( {
+				language: 'pl',
+				status: 'removed',
+				added: [],
+				changed: [],
+				removed: [ 'Save' ]
+			} );
+		} );
+	} );
+
+	describe( 'logTranslationsDiff()', () => {
+		it( 'should print the summary for each package and language', () => {
+			const logger = { info: sinon.spy() };
+
+			logTranslationsDiff( {
+				packages: [ {
+					packageName: 'ckeditor5-core',
+					languages: [
+						{ language: 'de', status: 'new', added: [ 'Save', 'Cancel' ], changed: [], removed: [] },
+						{ language: 'pl', status: 'changed', added: [ 'Open' ], changed: [ 'Cancel' ], removed: [ 'Close' ] }
+					]
+				}, {
+					packageName: 'ckeditor5-ui',
+					languages: []
+				} ]
+			}, logger );
+
+			expect( logger.info.args.map( args => args[ 0 ] ) ).to.deep.equal( [
+				'Package: ckeditor5-core',
+				'de (new) - New: 2, Changed: 0, Removed: 0',
+				'pl (changed) - New: 1, Changed: 1, Removed: 1',
+				'-------------------------------',
+				'Package: ckeditor5-ui',
+				'No translations.',
+				'-------------------------------'
+			] );
+		} );
+	} );
+
+	function createPoFileContent( messages ) {
+		return Object.keys( messages )
+			.map( id => `msgid ${ JSON.stringify( id ) }\nmsgstr ${ JSON.stringify( messages[ id ] ) }\n` )
+			.join( '\n' );
+	}
+} );
@@ -10,6 +10,7 @@ const sinon = require( 'sinon' );
 const mockery = require( 'mockery' );
 const { expect } = require( 'chai' );
 const proxyquire = require( 'proxyquire' );
+const { createDictionaryFromPoFileContent } = require( '@ckeditor/ckeditor5-dev-utils' ).translations;
 
 describe( 'upload', () => {
 	let sandbox, stubs, upload, packageNames, serverResources, fileContents;
@@ -38,12 +39,19 @@ describe( 'upload', () => {
 
 			fs: {
 				readdirSync: sandbox.spy( () => packageNames ),
-				createReadStream: sandbox.spy( fileName => fileContents[ fileName ] )
+				createReadStream: sandbox.spy( fileName => fileContents[ fileName ] ),
+				readFileSync: sandbox.spy( fileName => fileContents[ fileName ] )
 			}
 		};
 
 		mockery.registerMock( './transifex-service', stubs.transifexService );
 
+		// Used by the `translationsdiff` module in the dry-run mode.
+		mockery.registerMock( '@ckeditor/ckeditor5-dev-utils', {
+			logger: () => stubs.logger,
+			translations: { createDictionaryFromPoFileContent }
+		} );
+
 		sandbox.stub( process, 'cwd' ).returns( path.join( 'workspace', 'ckeditor5' ) );
 
 		upload = proxyquire( '../../lib/translations/upload', {
@@ -100,6 +108,167 @@ describe( 'upload', () => {
 			} );
 	} );
 
+	it( 'should create and update resources using the given translation platform service', () => {
+		packageNames = [ 'ckeditor5-core', 'ckeditor5-ui' ];
+		serverResources = [];
+
+		fileContents = {
+			'workspace/ckeditor5/build/.transifex/ckeditor5-ui/en.pot': '# ckeditor-ui en.pot content',
+			'workspace/ckeditor5/build/.transifex/ckeditor5-core/en.pot': '# ckeditor-core en.pot content'
+		};
+
+		const service = {
+			getResources: sandbox.spy( () => Promise.resolve( [ { slug: 'ckeditor5-ui' } ] ) ),
+			postResource: sandbox.spy( () => Promise.resolve( [] ) ),
+			putResourceContent: sandbox.spy( () => Promise.resolve( {} ) )
+		};
+
+		return upload( {}, { service } )
+			.then( () => {
+				sinon.assert.notCalled( stubs.transifexService.getResources );
+
+				sinon.assert.calledOnce( service.getResources );
+				sinon.assert.calledOnce( service.postResource );
+				sinon.assert.calledWithExactly( service.postResource, {
+					name: 'ckeditor5-core',
+					slug: 'ckeditor5-core',
+					content: '# ckeditor-core en.pot content'
+				} );
+
+				sinon.assert.calledOnce( service.putResourceContent );
+				sinon.assert.calledWithExactly( service.putResourceContent, {
+					name: 'ckeditor5-ui',
+					slug: 'ckeditor5-ui',
+					content: '# ckeditor-ui en.pot content'
+				} );
+			} );
+	} );
+
+	it( 'should only compare collected files with uploaded resources in the dry-run mode', () => {
+		packageNames = [ 'ckeditor5-core', 'ckeditor5-ui' ];
+		serverResources = [ { slug: 'ckeditor5-core' } ];
+
+		fileContents = {
+			'workspace/ckeditor5/build/.transifex/ckeditor5-core/en.pot': [
+				'msgid "Save"',
+				'msgstr "Save"',
+				'',
+				'msgid "Cancel"',
+				'msgstr "Cancel changes"',
+				'',
+				'msgid "Open"',
+				'msgstr "Open"'
+			].join( '\n' ),
+			'workspace/ckeditor5/build/.transifex/ckeditor5-ui/en.pot': [
+				'msgid "Close"',
+				'msgstr "Close"'
+			].join( '\n' )
+		};
+
+		stubs.transifexService.getResourceContent = sandbox.spy( () => Promise.resolve( {
+			content: [
+				'msgid "Save"',
+				'msgstr "Save"',
+				'',
+				'msgid "Cancel"',
+				'msgstr "Cancel"',
+				'',
+				'msgid "Remove"',
+				'msgstr "Remove"'
+			].join( '\n' )
+		} ) );
+
+		return upload( { token: 'secretToken' }, { dryRun: true } )
+			.then( translationsDiff => {
+				sinon.assert.notCalled( stubs.transifexService.postResource );
+				sinon.assert.notCalled( stubs.transifexService.putResourceContent );
+
+				sinon.assert.calledOnce( stubs.transifexService.getResourceContent );
+				sinon.assert.calledWithExactly( stubs.transifexService.getResourceContent, {
+					token: 'secretToken',
+					slug: 'ckeditor5-core'
+				} );
+
+				expect( translationsDiff ).to.deep.equal( {
+					packages: [ {
+						packageName: 'ckeditor5-core',
+						languages: [ {
+							language: 'en',
+							status: 'changed',
+							added: [ 'Open' ],
+							changed: [ 'Cancel' ],
+							removed: [ 'Remove' ]
+						} ]
+					}, {
+						packageName: 'ckeditor5-ui',
+						languages: [ {
+							language: 'en',
+							status: 'new',
+							added: [ 'Close' ],
+							changed: [],
+							removed: []
+						} ]
+					} ]
+				} );
+
+				sinon.assert.calledWithExactly( stubs.logger.info, 'Package: ckeditor5-core' );
+				sinon.assert.calledWithExactly( stubs.logger.info, 'en (changed) - New: 1, Changed: 1, Removed: 1' );
+				sinon.assert.calledWithExactly( stubs.logger.info, 'Package: ckeditor5-ui' );
+				sinon.assert.calledWithExactly( stubs.logger.info, 'en (new) - New: 1, Changed: 0, Removed: 0' );
+			} );
+	} );
+
+	it( 'should report uploaded resources without collected files as removed in the dry-run mode', () => {
+		packageNames = [ 'ckeditor5-core' ];
+		serverResources = [ { slug: 'ckeditor5-core' }, { slug: 'ckeditor5-removed' } ];
+
+		fileContents = {
+			'workspace/ckeditor5/build/.transifex/ckeditor5-core/en.pot': 'msgid "Save"\nmsgstr "Save"'
+		};
+
+		stubs.transifexService.getResourceContent = sandbox.spy( ( { slug } ) => Promise.resolve( {
+			content: slug === 'ckeditor5-core' ? 'msgid "Save"\nmsgstr "Save"' : 'msgid "Remove"\nmsgstr "Remove"'
+		} ) );
+
+		return upload( { token: 'secretToken' }, { dryRun: true } )
+			.then( translationsDiff => {
+				sinon.assert.calledTwice( stubs.transifexService.getResourceContent );
+				sinon.assert.calledWithExactly( stubs.transifexService.getResourceContent, {
+					token: 'secretToken',
+					slug: 'ckeditor5-removed'
+				} );
+
+				expect( translationsDiff ).to.deep.equal( {
+					packages: [ {
+						packageName: 'ckeditor5-core',
+						languages: [ { language: 'en', status: 'unchanged', added: [], changed: [], removed: [] } ]
+					}, {
+						packageName: 'ckeditor5-removed',
+						languages: [ { language: 'en', status: 'removed', added: [], changed: [], removed: [ 'Remove' ] } ]
+					} ]
+				} );
+
+				sinon.assert.calledWithExactly( stubs.logger.info, 'en (removed) - New: 0, Changed: 0, Removed: 1' );
+			} );
+	} );
+
+	it( 'should throw an error in the dry-run mode when the service cannot return the content of uploaded resources', () => {
+		packageNames = [ 'ckeditor5-core' ];
+
+		const service = {
+			getResources: sandbox.spy( () => Promise.resolve( [ { slug: 'ckeditor5-core' } ] ) )
+		};
+
+		return upload( {}, { service, dryRun: true } )
+			.then( () => {
+				throw new Error( 'It should throws an error' );
+			}, err => {
+				expect( err.message ).to.equal(
+					'The translation platform service must implement the getResourceContent() method to compare uploaded resources.'
+				);
+			} );
+	} );
+
 	it( 'should report an error and throw it when something goes wrong', () => {
 		const error = new Error();
 		stubs.transifexService.getResources = sandbox.spy( () => Promise.reject( error ) );
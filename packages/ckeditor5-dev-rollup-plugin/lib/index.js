@@ -0,0 +1,254 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const path = require( 'path' );
+const chalk = require( 'chalk' );
+const MultipleLanguageTranslationService = require( '@ckeditor/ckeditor5-dev-utils/lib/translations/multiplelanguagetranslationservice' );
+const normalizeTranslationPluginOptions = require( '@ckeditor/ckeditor5-dev-utils/lib/translations/normalizetranslationpluginoptions' );
+const getTranslationServiceOptions = require( '@ckeditor/ckeditor5-dev-utils/lib/translations/gettranslationserviceoptions' );
+const createTranslationLogger = require( '@ckeditor/ckeditor5-dev-utils/lib/translations/createtranslationlogger' );
+const getPathToPackage = require( '@ckeditor/ckeditor5-dev-utils/lib/translations/getpathtopackage' );
+
+/**
+ * Creates a Rollup plugin (which can also be used in Vite builds) that localizes CKEditor 5 builds using the same translation
+ * service as the `CKEditorWebpackPlugin`.
+ *
+ * Messages are collected from `t()` calls in source files of CKEditor 5 packages when the files are transformed.
+ * Translations for the main language specified in the `language` option are added to the beginning of the output chunk.
+ * Translations for languages from the `additionalLanguages` option are emitted as assets to the `outputDirectory`.
+ *
+ * Messages found in each module are stored in the module's `meta.ckeditor5` property, so translations keep working when modules
+ * are restored from the Rollup cache (e.g. in the watch mode) and are not transformed again.
+ *
+ * @param {Object} [options] Plugin options.
+ * @param {String} options.language The main language for internationalization - translations for that language
+ * will be added to the output chunk(s).
+ * @param {Array.<String>|'all'} [options.additionalLanguages] Additional languages. When set to `all`, all languages found
+ * in the PO files will be emitted.
+ * @param {String} [options.outputDirectory='translations'] The output directory for the emitted translation files,
+ * relative to the output directory of the bundle.
+ * @param {Boolean} [options.strict] An option that make the plugin throw when the error is found during the build.
+ * @param {Boolean} [options.verbose] An option that make this plugin log all warnings and information (e.g. about translations
+ * taken from fallback languages) into the console.
+ * @param {Boolean} [options.addMainLanguageTranslationsToAllAssets] An option that allows outputting translations to more than one
+ * JS chunk.
+ * @param {Boolean} [options.buildAllTranslationsToSeparateFiles] An option that makes all translations output to separate files.
+ * @param {Boolean} [options.treeShakeTranslations] An option that makes each JS chunk get translations for the main language
+ * only for messages used by its modules.
+ * @param {'script'|'esm'|'json'} [options.outputFormat='script'] The format of the emitted translation files.
+ * @param {Object.<String,Array.<String>>} [options.fallbackLanguages] Fallback chains for languages, e.g. `{ 'pt-br': [ 'pt' ] }`.
+ * @param {String} [options.sourceLanguage] A language that ends the fallback chain of every other language, e.g. `en`.
+ * @param {Array.<String>} [options.translationDirectories] Project-local directories containing PO files,
+ * relative to the current working directory.
+ * @param {Array.<String>} [options.overrideTranslationDirectories] Directories containing PO files with translations
+ * that replace other translations, relative to the current working directory.
+ * @param {RegExp} [options.sourceFilesPattern] An option that allows override the default pattern for CKEditor 5 source files.
+ * @param {RegExp} [options.packageNamesPattern] An option that allows override the default pattern for CKEditor 5 package names.
+ * @param {RegExp} [options.corePackagePattern] An option that allows override the default CKEditor 5 core package pattern.
+ * @param {String} [options.corePackageSampleResourcePath] A path to a file from the core package.
+ * @returns {Object} The Rollup plugin.
+ */
+module.exports = function ckeditor5TranslationsPlugin( options = {} ) {
+	options = normalizeTranslationPluginOptions( options );
+
+	if ( !options.language ) {
+		console.warn( chalk.yellow(
+			'Warning: The `language` option is required for the CKEditor 5 translations Rollup plugin.'
+		) );
+
+		return { name: 'ckeditor5-translations' };
+	}
+
+	const cwd = process.cwd();
+	const translationService = new MultipleLanguageTranslationService( getTranslationServiceOptions( options ) );
+	const { emitError, emitWarning, emitInfo, startCompilation } = createTranslationLogger( 'CKEditorRollupPlugin', options );
+
+	// Watch for warnings, errors and information during translation process.
+	translationService.on( 'error', emitError );
+	translationService.on( 'warning', emitWarning );
+	translationService.on( 'info', emitInfo );
+
+	// Source files of modules from the previous build. Messages of files that are no longer a part of the module graph
+	// (e.g. removed imports in the watch mode) are removed from the translation service.
+	let previousSourceFiles = new Set();
+
+	return {
+		name: 'ckeditor5-translations',
+
+		// Vite runs plugins with `enforce: 'pre'` before its own transformations, so messages are found in the original sources.
+		enforce: 'pre',
+
+		// The Vite dev server does not generate bundles, so translations could not be added. Hence, the plugin is used
+		// in Vite builds only. Rollup ignores this property.
+		apply: 'build',
+
+		// Add core translations before source files are translated.
+		buildStart() {
+			// Reports (e.g. about translations taken from fallback languages) are emitted in every build,
+			// so in the watch mode only the changed ones are printed.
+			startCompilation();
+
+			return resolveCorePackageSampleResource( this )
+				.then( pathToResource => {
+					if ( !pathToResource ) {
+						console.warn(
+							'Cannot find the CKEditor 5 core translation package (which defaults to `@ckeditor/ckeditor5-core`).'
+						);
+
+						return;
+					}
+
+					translationService.loadPackage( pathToResource.match( options.corePackagePattern )[ 0 ] );
+				} );
+		},
+
+		transform( code, id ) {
+			const sourceFile = getSourceFile( id );
+
+			if ( !isSourceFile( sourceFile ) ) {
+				return null;
+			}
+
+			loadPackage( sourceFile );
+
+			return {
+				code: translationService.translateSource( code, sourceFile ),
+				map: null,
+				meta: {
+					ckeditor5: {
+						messages: translationService.getFoundMessages( sourceFile )
+					}
+				}
+			};
+		},
+
+		// Collect messages of modules that were not transformed during this build because they were restored from the cache
+		// and remove messages of modules that were dropped from the module graph since the previous build.
+		buildEnd() {
+			const sourceFiles = new Set();
+
+			for ( const id of this.getModuleIds() ) {
+				const sourceFile = getSourceFile( id );
+				const moduleInfo = this.getModuleInfo( id );
+
+				if ( !isSourceFile( sourceFile ) ) {
+					continue;
+				}
+
+				sourceFiles.add( sourceFile );
+
+				loadPackage( sourceFile );
+
+				if ( moduleInfo && moduleInfo.meta && moduleInfo.meta.ckeditor5 ) {
+					translationService.addFoundMessages( moduleInfo.meta.ckeditor5.messages );
+				}
+			}
+
+			for ( const sourceFile of previousSourceFiles ) {
+				if ( !sourceFiles.has( sourceFile ) ) {
+					translationService.removeFoundMessages( sourceFile );
+				}
+			}
+
+			previousSourceFiles = sourceFiles;
+		},
+
+		// At the end of the build add assets generated from the PO files.
+		generateBundle( outputOptions, bundle ) {
+			const chunks = Object.values( bundle ).filter( file => file.type === 'chunk' );
+
+			const generatedAssets = translationService.getAssets( {
+				outputDirectory: options.outputDirectory,
+				compilationAssetNames: chunks.map( chunk => chunk.fileName ),
+				assetSourceFiles: getAssetSourceFiles( chunks )
+			} );
+
+			for ( const asset of generatedAssets ) {
+				if ( asset.shouldConcat ) {
+					prependCode( bundle[ asset.outputPath ], asset.outputBody );
+				} else {
+					this.emitFile( {
+						type: 'asset',
+						fileName: asset.outputPath.split( path.sep ).join( '/' ),
+						source: asset.outputBody
+					} );
+				}
+			}
+		}
+	};
+
+	// Resolves the core package sample resource using the configured resolvers (e.g. `@rollup/plugin-node-resolve`)
+	// or, if they can't resolve it, using the Node.js resolution algorithm.
+	function resolveCorePackageSampleResource( pluginContext ) {
+		return pluginContext.resolve( options.corePackageSampleResourcePath, undefined, { skipSelf: true } )
+			.then( resolvedId => {
+				if ( resolvedId && !resolvedId.external ) {
+					return resolvedId.id;
+				}
+
+				try {
+					return require.resolve( options.corePackageSampleResourcePath, { paths: [ cwd ] } );
+				} catch ( err ) {
+					return null;
+				}
+			} );
+	}
+
+	function isSourceFile( sourceFile ) {
+		return path.isAbsolute( sourceFile ) && !!path.relative( cwd, sourceFile ).match( options.sourceFilesPattern );
+	}
+
+	function loadPackage( sourceFile ) {
+		const pathToPackage = getPathToPackage( cwd, sourceFile, options.packageNamesPattern );
+
+		if ( pathToPackage ) {
+			translationService.loadPackage( pathToPackage );
+		}
+	}
+};
+
+/**
+ * Returns the path to the source file of the module. Ids of modules may contain queries (e.g. `?inline` in Vite).
+ *
+ * @param {String} id Rollup module id.
+ * @returns {String}
+ */
+function getSourceFile( id ) {
+	return id.split( '?' )[ 0 ];
+}
+
+/**
+ * Returns paths to source files of modules bundled in each chunk, in the `fileName -> source files` format.
+ *
+ * @param {Array.<Object>} chunks Rollup output chunks.
+ * @returns {Object.<String,Array.<String>>}
+ */
+function getAssetSourceFiles( chunks ) {
+	const assetSourceFiles = {};
+
+	for ( const chunk of chunks ) {
+		assetSourceFiles[ chunk.fileName ] = Object.keys( chunk.modules ).map( getSourceFile );
+	}
+
+	return assetSourceFiles;
+}
+
+/**
+ * Adds the code to the beginning of the chunk and shifts the chunk's source map by the number of added lines.
+ *
+ * @param {Object} chunk Rollup output chunk.
+ * @param {String} code
+ */
+function prependCode( chunk, code ) {
+	code += '\n';
+
+	chunk.code = code + chunk.code;
+
+	if ( chunk.map ) {
+		chunk.map.mappings = ';'.repeat( code.split( '\n' ).length - 1 ) + chunk.map.mappings;
+	}
+}
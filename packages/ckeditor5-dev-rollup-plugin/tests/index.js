@@ -0,0 +1,462 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const { expect } = require( 'chai' );
+const sinon = require( 'sinon' );
+const fs = require( 'fs-extra' );
+const os = require( 'os' );
+const path = require( 'path' );
+const proxyquire = require( 'proxyquire' );
+const { rollup } = require( 'rollup' );
+const { EventEmitter } = require( 'events' );
+
+describe( 'rollup-plugin/ckeditor5TranslationsPlugin()', () => {
+	const sandbox = sinon.createSandbox();
+	const cwd = process.cwd();
+	const pathToSourceFile = path.join( cwd, 'node_modules', '@ckeditor', 'ckeditor5-ui', 'src', 'button.js' );
+	const pathToPackage = path.join( 'node_modules', '@ckeditor', 'ckeditor5-ui' ) + path.sep;
+	const pathToCoreFile = path.join( cwd, 'node_modules', '@ckeditor', 'ckeditor5-core', 'src', 'editor', 'editor.js' );
+
+	let ckeditor5TranslationsPlugin, stubs, translationService;
+
+	beforeEach( () => {
+		stubs = {
+			MultipleLanguageTranslationService: sandbox.spy( function() {
+				translationService = new EventEmitter();
+
+				translationService.loadPackage = sandbox.spy();
+				translationService.translateSource = sandbox.spy( source => source );
+				translationService.getFoundMessages = sandbox.stub().returns( [ { id: 'Save', filePath: pathToSourceFile } ] );
+				translationService.addFoundMessages = sandbox.spy();
+				translationService.removeFoundMessages = sandbox.spy();
+				translationService.getAssets = sandbox.stub().returns( [] );
+
+				return translationService;
+			} )
+		};
+
+		ckeditor5TranslationsPlugin = proxyquire( '../lib/index', {
+			'@ckeditor/ckeditor5-dev-utils/lib/translations/multiplelanguagetranslationservice': stubs.MultipleLanguageTranslationService
+		} );
+
+		sandbox.stub( console, 'warn' );
+		sandbox.stub( console, 'error' );
+		sandbox.stub( console, 'log' );
+	} );
+
+	afterEach( () => {
+		sandbox.restore();
+	} );
+
+	it( 'should log a warning and return a plugin without hooks if language is not specified', () => {
+		const plugin = ckeditor5TranslationsPlugin();
+
+		expect( plugin ).to.deep.equal( { name: 'ckeditor5-translations' } );
+
+		sinon.assert.calledOnce( console.warn );
+		expect( console.warn.firstCall.args[ 0 ] ).to.match(
+			/Warning: The `language` option is required for the CKEditor 5 translations Rollup plugin\./
+		);
+		sinon.assert.notCalled( stubs.MultipleLanguageTranslationService );
+	} );
+
+	it( 'should create an instance of `MultipleLanguageTranslationService`', () => {
+		ckeditor5TranslationsPlugin( { language: 'pl', additionalLanguages: [ 'de' ] } );
+
+		sinon.assert.calledOnce( stubs.MultipleLanguageTranslationService );
+		sinon.assert.calledWithExactly( stubs.MultipleLanguageTranslationService, {
+			mainLanguage: 'pl',
+			compileAllLanguages: false,
+			additionalLanguages: [ 'de' ],
+			addMainLanguageTranslationsToAllAssets: false,
+			buildAllTranslationsToSeparateFiles: false,
+			treeShakeTranslations: false,
+			outputFormat: 'script',
+			fallbackLanguages: {},
+			sourceLanguage: null,
+			translationDirectories: [],
+			overrideTranslationDirectories: []
+		} );
+	} );
+
+	it( 'should be applied by Vite before its own plugins and only in builds', () => {
+		const plugin = ckeditor5TranslationsPlugin( { language: 'pl' } );
+
+		expect( plugin.enforce ).to.equal( 'pre' );
+		expect( plugin.apply ).to.equal( 'build' );
+	} );
+
+	it( 'should compile all languages when `additionalLanguages` is set to `all`', () => {
+		ckeditor5TranslationsPlugin( { language: 'pl', additionalLanguages: 'all' } );
+
+		expect( stubs.MultipleLanguageTranslationService.firstCall.args[ 0 ].compileAllLanguages ).to.equal( true );
+		expect( stubs.MultipleLanguageTranslationService.firstCall.args[ 0 ].additionalLanguages ).to.deep.equal( [] );
+	} );
+
+	it( 'should throw an error when provided `additionalLanguages` is type of string, but not `all`', () => {
+		expect( () => ckeditor5TranslationsPlugin( { language: 'pl', additionalLanguages: 'abc' } ) ).to.throw(
+			/Error: The `additionalLanguages` option should be an array of language codes or `all`\./
+		);
+	} );
+
+	it( 'should throw an error when provided `outputFormat` is not supported', () => {
+		expect( () => ckeditor5TranslationsPlugin( { language: 'pl', outputFormat: 'amd' } ) ).to.throw(
+			/Error: The `outputFormat` option should be set to `script`, `esm` or `json`\./
+		);
+	} );
+
+	describe( 'buildStart()', () => {
+		it( 'should load the core package resolved by Rollup', () => {
+			const plugin = ckeditor5TranslationsPlugin( { language: 'pl' } );
+			const context = { resolve: sandbox.stub().resolves( { id: pathToCoreFile, external: false } ) };
+
+			return plugin.buildStart.call( context ).then( () => {
+				sinon.assert.calledWith( context.resolve, '@ckeditor/ckeditor5-core/src/editor/editor.js', undefined, { skipSelf: true } );
+				sinon.assert.calledOnce( translationService.loadPackage );
+				expect( translationService.loadPackage.firstCall.args[ 0 ] ).to.match( /[/\\]ckeditor5-core$/ );
+			} );
+		} );
+
+		it( 'should log a warning when the core package can not be found', () => {
+			const plugin = ckeditor5TranslationsPlugin( {
+				language: 'pl',
+				corePackageSampleResourcePath: '@ckeditor/ckeditor5-non-existing/src/editor.js'
+			} );
+			const context = { resolve: sandbox.stub().resolves( null ) };
+
+			return plugin.buildStart.call( context ).then( () => {
+				sinon.assert.notCalled( translationService.loadPackage );
+				sinon.assert.calledWithExactly(
+					console.warn,
+					'Cannot find the CKEditor 5 core translation package (which defaults to `@ckeditor/ckeditor5-core`).'
+				);
+			} );
+		} );
+	} );
+
+	describe( 'transform()', () => {
+		it( 'should translate CKEditor 5 source files and store found messages in the module meta', () => {
+			const plugin = ckeditor5TranslationsPlugin( { language: 'pl' } );
+
+			const result = plugin.transform( 't( \'Save\' );', pathToSourceFile + '?inline' );
+
+			sinon.assert.calledWithExactly( translationService.translateSource, 't( \'Save\' );', pathToSourceFile );
+			sinon.assert.calledWithExactly( translationService.loadPackage, pathToPackage );
+
+			expect( result ).to.deep.equal( {
+				code: 't( \'Save\' );',
+				map: null,
+				meta: {
+					ckeditor5: {
+						messages: [ { id: 'Save', filePath: pathToSourceFile } ]
+					}
+				}
+			} );
+		} );
+
+		it( 'should skip other files', () => {
+			const plugin = ckeditor5TranslationsPlugin( { language: 'pl' } );
+
+			expect( plugin.transform( 'foo();', path.join( cwd, 'src', 'app.js' ) ) ).to.equal( null );
+			expect( plugin.transform( 'foo();', '\0virtual-module' ) ).to.equal( null );
+
+			sinon.assert.notCalled( translationService.translateSource );
+		} );
+	} );
+
+	describe( 'buildEnd()', () => {
+		it( 'should restore messages of modules that were not transformed during the build', () => {
+			const plugin = ckeditor5TranslationsPlugin( { language: 'pl' } );
+			const messages = [ { id: 'Cancel', filePath: pathToSourceFile } ];
+			const moduleInfos = {
+				[ pathToSourceFile ]: { meta: { ckeditor5: { messages } } },
+				[ path.join( cwd, 'src', 'app.js' ) ]: { meta: {} }
+			};
+			const context = {
+				getModuleIds: () => Object.keys( moduleInfos ),
+				getModuleInfo: id => moduleInfos[ id ]
+			};
+
+			plugin.buildEnd.call( context );
+
+			sinon.assert.calledOnce( translationService.addFoundMessages );
+			sinon.assert.calledWithExactly( translationService.addFoundMessages, messages );
+			sinon.assert.calledWithExactly( translationService.loadPackage, pathToPackage );
+			sinon.assert.notCalled( translationService.removeFoundMessages );
+		} );
+
+		it( 'should remove messages of modules that were dropped from the module graph since the previous build', () => {
+			const plugin = ckeditor5TranslationsPlugin( { language: 'pl' } );
+			const pathToOtherSourceFile = path.join( cwd, 'node_modules', '@ckeditor', 'ckeditor5-ui', 'src', 'view.js' );
+			let moduleIds = [ pathToSourceFile, pathToOtherSourceFile ];
+			const context = {
+				getModuleIds: () => moduleIds,
+				getModuleInfo: () => ( { meta: {} } )
+			};
+
+			plugin.buildEnd.call( context );
+
+			sinon.assert.notCalled( translationService.removeFoundMessages );
+
+			moduleIds = [ pathToSourceFile + '?inline' ];
+
+			plugin.buildEnd.call( context );
+
+			sinon.assert.calledOnce( translationService.removeFoundMessages );
+			sinon.assert.calledWithExactly( translationService.removeFoundMessages, pathToOtherSourceFile );
+		} );
+	} );
+
+	describe( 'generateBundle()', () => {
+		let plugin, context, bundle;
+
+		beforeEach( () => {
+			plugin = ckeditor5TranslationsPlugin( { language: 'pl', additionalLanguages: [ 'de' ] } );
+			context = { emitFile: sandbox.spy() };
+			bundle = {
+				'ckeditor.js': {
+					type: 'chunk',
+					fileName: 'ckeditor.js',
+					code: 'editor();',
+					map: { mappings: 'AAAA' },
+					modules: { [ pathToSourceFile ]: {} }
+				},
+				'ckeditor.css': {
+					type: 'asset',
+					fileName: 'ckeditor.css',
+					source: ''
+				}
+			};
+		} );
+
+		it( 'should pass chunks and their source files to the translation service', () => {
+			plugin.generateBundle.call( context, {}, bundle );
+
+			sinon.assert.calledWithExactly( translationService.getAssets, {
+				outputDirectory: 'translations',
+				compilationAssetNames: [ 'ckeditor.js' ],
+				assetSourceFiles: {
+					'ckeditor.js': [ pathToSourceFile ]
+				}
+			} );
+		} );
+
+		it( 'should add translations to chunks and shift their source maps', () => {
+			translationService.getAssets.returns( [
+				{ outputBody: '(translations)', outputPath: 'ckeditor.js', shouldConcat: true }
+			] );
+
+			plugin.generateBundle.call( context, {}, bundle );
+
+			expect( bundle[ 'ckeditor.js' ].code ).to.equal( '(translations)\neditor();' );
+			expect( bundle[ 'ckeditor.js' ].map.mappings ).to.equal( ';AAAA' );
+			sinon.assert.notCalled( context.emitFile );
+		} );
+
+		it( 'should emit translation files as assets', () => {
+			translationService.getAssets.returns( [
+				{ outputBody: '(de translations)', outputPath: path.join( 'translations', 'de.js' ) }
+			] );
+
+			plugin.generateBundle.call( context, {}, bundle );
+
+			sinon.assert.calledOnce( context.emitFile );
+			sinon.assert.calledWithExactly( context.emitFile, {
+				type: 'asset',
+				fileName: 'translations/de.js',
+				source: '(de translations)'
+			} );
+		} );
+	} );
+
+	describe( 'translation service events', () => {
+		it( 'should log errors', () => {
+			ckeditor5TranslationsPlugin( { language: 'pl' } );
+
+			translationService.emit( 'error', 'Foo.' );
+			translationService.emit( 'error', 'Foo.' );
+
+			sinon.assert.calledOnce( console.error );
+			expect( console.error.firstCall.args[ 0 ] ).to.contain( '[CKEditorRollupPlugin] Error: Foo.' );
+		} );
+
+		it( 'should throw errors in the strict mode', () => {
+			ckeditor5TranslationsPlugin( { language: 'pl', strict: true } );
+
+			expect( () => translationService.emit( 'error', 'Foo.' ) ).to.throw( /Foo\./ );
+		} );
+
+		it( 'should log warnings only in the verbose mode', () => {
+			ckeditor5TranslationsPlugin( { language: 'pl' } );
+			translationService.emit( 'warning', 'Foo.' );
+
+			sinon.assert.notCalled( console.warn );
+
+			ckeditor5TranslationsPlugin( { language: 'pl', verbose: true } );
+			translationService.emit( 'warning', 'Foo.' );
+
+			sinon.assert.calledOnce( console.warn );
+			expect( console.warn.firstCall.args[ 0 ] ).to.contain( '[CKEditorRollupPlugin] Warning: Foo.' );
+		} );
+
+		it( 'should log information only in the verbose mode', () => {
+			ckeditor5TranslationsPlugin( { language: 'pl' } );
+			translationService.emit( 'info', 'Foo.' );
+
+			sinon.assert.notCalled( console.log );
+
+			ckeditor5TranslationsPlugin( { language: 'pl', verbose: true } );
+			translationService.emit( 'info', 'Foo.' );
+
+			sinon.assert.calledOnce( console.log );
+			sinon.assert.calledWithExactly( console.log, '[CKEditorRollupPlugin] Foo.' );
+		} );
+
+		it( 'should log information again only when it changes in the next build', () => {
+			const plugin = ckeditor5TranslationsPlugin( { language: 'pl', verbose: true } );
+			const context = { resolve: sandbox.stub().resolves( { id: pathToCoreFile, external: false } ) };
+
+			return plugin.buildStart.call( context )
+				.then( () => {
+					translationService.emit( 'info', 'Foo.' );
+
+					return plugin.buildStart.call( context );
+				} )
+				.then( () => {
+					translationService.emit( 'info', 'Foo.' );
+					translationService.emit( 'info', 'Bar.' );
+
+					sinon.assert.calledTwice( console.log );
+					sinon.assert.calledWithExactly( console.log.firstCall, '[CKEditorRollupPlugin] Foo.' );
+					sinon.assert.calledWithExactly( console.log.secondCall, '[CKEditorRollupPlugin] Bar.' );
+				} );
+		} );
+	} );
+} );
+
+describe( 'rollup-plugin/ckeditor5TranslationsPlugin() - integration with Rollup', () => {
+	const sandbox = sinon.createSandbox();
+	const ckeditor5TranslationsPlugin = require( '../lib/index' );
+	const cwd = process.cwd();
+
+	let directory, input, pluginOptions;
+
+	beforeEach( () => {
+		directory = fs.mkdtempSync( path.join( os.tmpdir(), 'ckeditor5-dev-rollup-plugin-' ) );
+		input = path.join( directory, 'packages', 'ckeditor5-foo', 'src', 'index.js' );
+		pluginOptions = {
+			language: 'pl',
+			additionalLanguages: [ 'de' ],
+			corePackageSampleResourcePath: path.join( directory, 'packages', 'ckeditor5-core', 'src', 'editor', 'editor.js' ),
+			corePackagePattern: /^.+[/\\]ckeditor5-core/
+		};
+
+		fs.outputFileSync( pluginOptions.corePackageSampleResourcePath, 'export default class Editor {}\n' );
+		fs.outputFileSync( path.join( directory, 'packages', 'ckeditor5-core', 'lang', 'translations', 'pl.po' ), [
+			'msgid "Cancel"',
+			'msgstr "Anuluj"'
+		].join( '\n' ) );
+
+		fs.outputFileSync( input, [
+			'export default function getLabels( t ) {',
+			'\treturn [ t( \'Save\' ), t( \'Cancel\' ) ];',
+			'}'
+		].join( '\n' ) );
+		fs.outputFileSync( path.join( directory, 'packages', 'ckeditor5-foo', 'lang', 'translations', 'pl.po' ), [
+			'msgid "Save"',
+			'msgstr "Zapisz"'
+		].join( '\n' ) );
+		fs.outputFileSync( path.join( directory, 'packages', 'ckeditor5-foo', 'lang', 'translations', 'de.po' ), [
+			'msgid "Save"',
+			'msgstr "Speichern"'
+		].join( '\n' ) );
+
+		// Paths to packages are resolved relative to the current working directory.
+		process.chdir( directory );
+
+		sandbox.stub( console, 'warn' );
+		sandbox.stub( console, 'error' );
+		sandbox.stub( console, 'log' );
+	} );
+
+	afterEach( () => {
+		process.chdir( cwd );
+		sandbox.restore();
+		fs.removeSync( directory );
+	} );
+
+	it( 'should add translations for the main language to the chunk and emit translations for additional languages', () => {
+		return rollup( { input, plugins: [ ckeditor5TranslationsPlugin( pluginOptions ) ] } )
+			.then( bundle => bundle.generate( { format: 'es' } ) )
+			.then( ( { output } ) => {
+				const [ chunk, asset ] = output;
+
+				expect( chunk.fileName ).to.equal( 'index.js' );
+				expect( chunk.code ).to.match( /^\(function\(d\){\tconst l = d\['pl'\]/ );
+				expect( chunk.code ).to.contain( '{Cancel:"Anuluj",Save:"Zapisz"}' );
+				expect( chunk.code ).to.contain( 'function getLabels( t ) {' );
+
+				expect( asset.type ).to.equal( 'asset' );
+				expect( asset.fileName ).to.equal( 'translations/de.js' );
+				expect( asset.source ).to.contain( '{Save:"Speichern"}' );
+
+				sinon.assert.notCalled( console.warn );
+				sinon.assert.notCalled( console.error );
+			} );
+	} );
+
+	it( 'should shift the source map of the chunk by the number of lines of added translations', () => {
+		let mappingsWithoutTranslations;
+
+		return rollup( { input } )
+			.then( bundle => bundle.generate( { format: 'es', sourcemap: true } ) )
+			.then( ( { output } ) => {
+				mappingsWithoutTranslations = output[ 0 ].map.mappings;
+
+				return rollup( { input, plugins: [ ckeditor5TranslationsPlugin( pluginOptions ) ] } );
+			} )
+			.then( bundle => bundle.generate( { format: 'es', sourcemap: true } ) )
+			.then( ( { output } ) => {
+				const [ chunk ] = output;
+				const addedLinesCount = chunk.code.split( '\n' ).findIndex( line => line.startsWith( 'function getLabels' ) );
+
+				expect( addedLinesCount ).to.be.above( 0 );
+				expect( chunk.map.mappings ).to.equal( ';'.repeat( addedLinesCount ) + mappingsWithoutTranslations );
+			} );
+	} );
+
+	it( 'should add translations of modules restored from the cache using messages saved in the module meta', () => {
+		let cache;
+
+		return rollup( { input, plugins: [ ckeditor5TranslationsPlugin( pluginOptions ) ] } )
+			.then( bundle => {
+				cache = bundle.cache;
+
+				const { messages } = cache.modules.find( module => module.id === input ).meta.ckeditor5;
+
+				expect( messages.map( ( { id, filePath } ) => ( { id, filePath } ) ) ).to.deep.equal( [
+					{ id: 'Save', filePath: input },
+					{ id: 'Cancel', filePath: input }
+				] );
+
+				const plugin = ckeditor5TranslationsPlugin( pluginOptions );
+
+				sandbox.spy( plugin, 'transform' );
+
+				return rollup( { input, plugins: [ plugin ], cache } )
+					.then( bundle => {
+						sinon.assert.notCalled( plugin.transform );
+
+						return bundle.generate( { format: 'es' } );
+					} );
+			} )
+			.then( ( { output } ) => {
+				expect( output[ 0 ].code ).to.contain( '{Cancel:"Anuluj",Save:"Zapisz"}' );
+				expect( output[ 1 ].source ).to.contain( '{Save:"Speichern"}' );
+			} );
+	} );
+} );
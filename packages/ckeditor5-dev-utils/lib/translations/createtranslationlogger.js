@@ -0,0 +1,84 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const chalk = require( 'chalk' );
+
+/**
+ * Creates functions that log errors, warnings and information emitted by the translation service during the build.
+ *
+ * Errors and warnings are logged once per build process. Information (e.g. about translations taken from fallback languages)
+ * is emitted in every compilation, so it is logged only when it was not emitted in the previous compilation
+ * (see `startCompilation()`).
+ *
+ * @param {String} pluginName The name of the plugin that prefixes logged messages, e.g. `CKEditorWebpackPlugin`.
+ * @param {Object} options
+ * @param {Boolean} [options.strict] Whether errors should be thrown instead of being logged.
+ * @param {Boolean} [options.verbose] Whether warnings and information should be logged.
+ * @returns {TranslationLogger}
+ */
+module.exports = function createTranslationLogger( pluginName, options ) {
+	// A set of unique messages that prevents message duplications.
+	const uniqueMessages = new Set();
+
+	// Information emitted during the previous and the current compilation.
+	let previousInfos = new Set();
+	let currentInfos = new Set();
+
+	return {
+		emitError( error ) {
+			if ( uniqueMessages.has( error ) ) {
+				return;
+			}
+
+			uniqueMessages.add( error );
+
+			if ( options.strict ) {
+				throw new Error( chalk.red( error ) );
+			}
+
+			console.error( chalk.red( `[${ pluginName }] Error: ${ error }` ) );
+		},
+
+		emitWarning( warning ) {
+			if ( uniqueMessages.has( warning ) ) {
+				return;
+			}
+
+			uniqueMessages.add( warning );
+
+			if ( options.verbose ) {
+				console.warn( chalk.yellow( `[${ pluginName }] Warning: ${ warning }` ) );
+			}
+		},
+
+		emitInfo( info ) {
+			if ( currentInfos.has( info ) ) {
+				return;
+			}
+
+			currentInfos.add( info );
+
+			if ( options.verbose && !previousInfos.has( info ) ) {
+				console.log( `[${ pluginName }] ${ info }` );
+			}
+		},
+
+		startCompilation() {
+			previousInfos = currentInfos;
+			currentInfos = new Set();
+		}
+	};
+};
+
+/**
+ * @typedef {Object} TranslationLogger
+ *
+ * @property {Function} emitError Logs the error or throws it in the strict mode.
+ * @property {Function} emitWarning Logs the warning in the verbose mode.
+ * @property {Function} emitInfo Logs the information in the verbose mode.
+ * @property {Function} startCompilation Marks the beginning of the next compilation (e.g. in the watch mode).
+ */
@@ -5,58 +5,113 @@
 
 'use strict';
 
-const acorn = require( 'acorn' );
-const walk = require( 'acorn-walk' );
+const parser = require( '@babel/parser' );
+const traverse = require( '@babel/traverse' ).default;
+
+// Syntax proposals enabled for all parsed files, so the latest ECMAScript features do not break the translation process.
+const commonParserPlugins = [
+	'asyncGenerators',
+	'bigInt',
+	'classProperties',
+	'classPrivateProperties',
+	'classPrivateMethods',
+	'dynamicImport',
+	'exportDefaultFrom',
+	'exportNamespaceFrom',
+	'importMeta',
+	'logicalAssignment',
+	'nullishCoalescingOperator',
+	'numericSeparator',
+	'objectRestSpread',
+	'optionalCatchBinding',
+	'optionalChaining',
+	'topLevelAwait'
+];
+
+// Objects that own the translate function, e.g. `editor` in `editor.t()`.
+const translateFunctionOwners = [ 'editor', 'locale', 'this.editor', 'this.locale', 'editor.locale', 'this.editor.locale' ];
 
 /**
  * Parses source and finds messages from the first argument of `t()` calls.
  *
- * @param {String} source A content of the JS file that will be translated.
- * @param {String} sourceFile A path to source file, used only for creating error messages.
+ * Besides direct `t()` calls, messages are collected from the `editor.t()`, `locale.t()`, `this.editor.t()` calls
+ * and from the calls of local bindings that the translate function was assigned to
+ * (e.g. `const { t } = editor.locale` or `const translate = editor.t`). The `this.t()` calls are frequent
+ * in the minified code, hence they are taken into account only when the message can be resolved statically.
+ * The `t()` calls on other objects (e.g. `i18next.t()`) are ignored.
+ *
+ * Message strings can be passed as string literals, template literals without expressions or references
+ * to the module-level `const` bindings initialized with such values.
+ *
+ * The source is parsed with support for the latest ECMAScript syntax. TypeScript (`.ts`, `.tsx`) and JSX (`.jsx`, `.tsx`)
+ * syntax is enabled based on the source file extension.
+ *
+ * @param {String} source A content of the JS (or TS) file that will be translated.
+ * @param {String} sourceFile A path to source file, used for choosing the parser plugins and for creating error messages.
+ * Invalid `t()` calls are reported via the `onErrorFound` callback. Besides the error message, the callback receives
+ * a structured diagnostic containing the error code and the location of the invalid node.
+ *
  * @param {(msg: Message) => void} onMessageFound
- * @param {(err: string) => void} onErrorFound
+ * @param {(err: string, diagnostic: Diagnostic) => void} onErrorFound
  * @returns {String} Transformed source.
  */
 module.exports = function findMessages( source, sourceFile, onMessageFound, onErrorFound ) {
-	const ast = acorn.parse( source, {
+	const ast = parser.parse( source, {
 		sourceType: 'module',
 		ranges: true,
-		ecmaVersion: 10
+		plugins: getParserPlugins( sourceFile )
 	} );
 
-	walk.simple( ast, {
-		CallExpression: node => {
+	traverse( ast, {
+		'CallExpression|OptionalCallExpression': path => {
 			try {
-				findMessagesInNode( node );
+				findMessagesInCall( path );
 			} catch ( err ) {
-				onErrorFound( 'CKEditor5 Translation tool found problem. \n' + err.stack );
+				reportError( 'unexpected-error', 'CKEditor5 Translation tool found problem. \n' + err.stack, path.node );
 			}
 		}
 	} );
 
-	function findMessagesInNode( node ) {
-		// Log a warning for the `editor.t()` calls and similar which aren't supported yet.
-		if ( isTMethodCallExpression( node ) ) {
-			const objName = node.callee.object.name;
-			const propName = node.callee.property.name;
+	function findMessagesInCall( path ) {
+		const node = path.node;
+
+		if ( isThisTMethodCallExpression( node ) ) {
+			findMessagesInThisTMethodCall( node, path.scope );
+
+			return;
+		}
 
-			onErrorFound(
-				// TODO - ${ objName }.${ propName } is naive.
-				`Found '${ objName }.${ propName }()' in the ${ sourceFile }. ` +
-				'Only messages from direct \'t()\' calls will be handled by CKEditor 5 translation mechanisms.'
-			);
+		if ( !isTFunctionCallExpression( path ) && !isTMethodCallExpression( node ) ) {
+			return;
 		}
 
-		if ( !isTFunctionCallExpression( node ) ) {
+		const firstArgument = node.arguments[ 0 ];
+
+		if ( !firstArgument ) {
+			reportInvalidArgument( node );
+
 			return;
 		}
 
+		findMessagesInExpression( firstArgument, node, path.scope );
+	}
+
+	// Dynamic arguments of the `this.t()` calls are skipped without reporting errors, as such calls
+	// may come from the minified code and do not have to be related to the translations.
+	function findMessagesInThisTMethodCall( node, scope ) {
 		const firstArgument = node.arguments[ 0 ];
 
-		findMessagesInExpression( firstArgument );
+		if ( !firstArgument ) {
+			return;
+		}
+
+		if ( firstArgument.type === 'ObjectExpression' || typeof getStringValue( firstArgument, scope ) === 'string' ) {
+			findMessagesInExpression( firstArgument, node, scope );
+		}
 	}
 
-	function findMessagesInExpression( node ) {
+	// The `scope` of the `t()` call is used for resolving references to the string constants.
+	function findMessagesInExpression( node, callNode, scope ) {
 		// Matches t( { string: 'foo' } ) and t( { 'string': 'foo' } ).
 		// (also `plural` and `id` properties)
 		if ( node.type === 'ObjectExpression' ) {
@@ -66,84 +121,352 @@ module.exports = function findMessages( source, sourceFile, onMessageFound, onEr
 			const stringProperty = getProperty( properties, 'string' );
 			const pluralProperty = getProperty( properties, 'plural' );
 
-			// TODO - value assertions.
+			if ( !stringProperty ) {
+				reportError(
+					'missing-string-property',
+					`The t() call argument should contain the 'string' property (${ formatLocation( node ) }).`,
+					node
+				);
+
+				return;
+			}
+
+			const invalidProperties = [ stringProperty, idProperty, pluralProperty ]
+				.filter( property => property && typeof getStringValue( property.value, scope ) !== 'string' );
+
+			for ( const property of invalidProperties ) {
+				reportError(
+					'non-literal-value',
+					`The '${ getPropertyName( property ) }' property of the t() call argument should be a string literal ` +
+					`or a reference to a string constant (${ formatLocation( property.value ) }).`,
+					property.value
+				);
+			}
+
+			if ( invalidProperties.length ) {
+				return;
+			}
 
 			/** @type {Message} */
 			const message = {
-				string: stringProperty.value.value,
-				id: stringProperty.value.value
+				string: getStringValue( stringProperty.value, scope ),
+				id: getStringValue( stringProperty.value, scope )
 			};
 
 			if ( idProperty ) {
-				message.id = idProperty.value.value;
+				message.id = getStringValue( idProperty.value, scope );
 			}
 
 			if ( pluralProperty ) {
-				message.plural = pluralProperty.value.value;
+				message.plural = getStringValue( pluralProperty.value, scope );
+
+				if ( !/%\d+/.test( message.plural ) ) {
+					reportError(
+						'plural-without-placeholder',
+						'The \'plural\' property of the t() call argument should use a placeholder for the quantity, e.g. \'%0\' ' +
+						`(${ formatLocation( pluralProperty.value ) }).`,
+						pluralProperty.value
+					);
+				}
 			}
 
-			onMessageFound( message );
+			onMessageFound( Object.assign( message, getLocation( callNode ) ) );
+
+			return;
+		}
+
+		// Matches t( 'foo' ), t( `foo` ) and t( FOO ) where `FOO` is a module-level string constant.
+		const stringValue = getStringValue( node, scope );
+
+		if ( typeof stringValue === 'string' ) {
+			onMessageFound( Object.assign( {
+				string: stringValue,
+				id: stringValue
+			}, getLocation( callNode ) ) );
 
 			return;
 		}
 
-		// Matches t( 'foo' )
-		if ( node.type === 'Literal' ) {
-			onMessageFound( {
-				string: node.value,
-				id: node.value
-			} );
+		// Matches t( 'foo' as string ) and t( FOO! ) in TypeScript sources.
+		if ( isTypeScriptExpressionWrapper( node ) ) {
+			findMessagesInExpression( node.expression, callNode, scope );
 
 			return;
 		}
 
 		// Matches t( foo ? 'bar' : { string: 'baz', plural: 'biz' } );
 		if ( node.type === 'ConditionalExpression' ) {
-			findMessagesInExpression( node.consequent );
-			findMessagesInExpression( node.alternate );
+			findMessagesInExpression( node.consequent, callNode, scope );
+			findMessagesInExpression( node.alternate, callNode, scope );
 
 			return;
 		}
 
-		onErrorFound(
-			`First t() call argument should be a string literal or an object literal (${ sourceFile }).`
+		reportInvalidArgument( node );
+	}
+
+	function reportInvalidArgument( node ) {
+		reportError(
+			'invalid-argument',
+			`First t() call argument should be a string literal or an object literal (${ sourceFile }).`,
+			node
 		);
 	}
+
+	function reportError( code, errorMessage, node ) {
+		/** @type {Diagnostic} */
+		const diagnostic = Object.assign( {
+			code,
+			message: errorMessage
+		}, getLocation( node ) );
+
+		onErrorFound( errorMessage, diagnostic );
+	}
+
+	function formatLocation( node ) {
+		const { line, column } = getLocation( node );
+
+		return `${ sourceFile }:${ line }:${ column }`;
+	}
+
+	// Returns the location of the node (e.g. the `t()` call). Lines and columns are 1-based,
+	// the same as in editors and stack traces.
+	function getLocation( node ) {
+		return {
+			filePath: sourceFile,
+			line: node.loc.start.line,
+			column: node.loc.start.column + 1,
+			range: [ node.start, node.end ]
+		};
+	}
 };
 
+// Returns Babel parser plugins that should be enabled for the given source file.
+function getParserPlugins( sourceFile ) {
+	const plugins = [ ...commonParserPlugins ];
+
+	if ( /\.tsx?$/.test( sourceFile ) ) {
+		plugins.push( 'typescript' );
+	}
+
+	// The JSX syntax conflicts with the TypeScript type assertions (`<Type>value`), hence it's enabled only for `.jsx` and `.tsx` files.
+	if ( /\.[jt]sx$/.test( sourceFile ) ) {
+		plugins.push( 'jsx' );
+	}
+
+	return plugins;
+}
+
 // Get property from the list of properties
 // It supports both forms: `{ propertyName: foo }` and `{ 'propertyName': 'foo' }`
 function getProperty( properties, propertyName ) {
 	return properties.find( property => {
+		if ( property.type !== 'ObjectProperty' || property.computed ) {
+			return false;
+		}
+
 		if ( property.key.type === 'Identifier' ) {
 			return property.key.name === propertyName;
 		}
 
-		if ( property.key.type === 'Literal' ) {
+		if ( property.key.type === 'StringLiteral' ) {
 			return property.key.value === propertyName;
 		}
 	} );
 }
 
-function isTFunctionCallExpression( node ) {
-	return node.callee.name === 't';
+// Returns the name of the property, for both `{ propertyName: foo }` and `{ 'propertyName': 'foo' }` forms.
+function getPropertyName( property ) {
+	return property.key.type === 'Identifier' ? property.key.name : property.key.value;
 }
 
-function isTMethodCallExpression( node ) {
-	return (
-		node.callee.type === 'MemberExpression' &&
-		node.callee.property.name === 't' &&
+// Returns the string value of the given node if it can be resolved statically. Returns `undefined` otherwise.
+// It supports string literals, template literals without expressions and references to the module-level `const` bindings
+// initialized with such values (e.g. `const IMAGE = 'Image'`). References are resolved in the given scope,
+// so parameters and local variables that shadow a module-level constant are not taken into account.
+function getStringValue( node, scope, visitedBindings = new Set() ) {
+	if ( node.type === 'StringLiteral' ) {
+		return node.value;
+	}
+
+	if ( node.type === 'TemplateLiteral' ) {
+		return node.expressions.length === 0 ? node.quasis[ 0 ].value.cooked : undefined;
+	}
+
+	if ( node.type === 'Identifier' ) {
+		const binding = scope.getBinding( node.name );
+
+		// Constants referring to each other (`const A = B, B = A;`) must not cause an infinite loop.
+		if ( !isModuleLevelConstant( binding ) || visitedBindings.has( binding ) ) {
+			return;
+		}
+
+		visitedBindings.add( binding );
+
+		const declarator = binding.path.node;
+
+		if ( declarator.id.type !== 'Identifier' || !declarator.init ) {
+			return;
+		}
+
+		return getStringValue( declarator.init, binding.scope, visitedBindings );
+	}
+}
+
+// Checks whether the binding is a `const` declared in the program scope, including the exported ones (`export const FOO = 'foo'`).
+function isModuleLevelConstant( binding ) {
+	return Boolean( binding ) && binding.kind === 'const' && binding.scope.path.isProgram() && binding.path.isVariableDeclarator();
+}
+
+// Matches `t()` and calls of the local bindings that refer to the translate function, e.g. `translate()`.
+function isTFunctionCallExpression( path ) {
+	const callee = path.node.callee;
+
+	return callee.type === 'Identifier' && isTranslateFunctionIdentifier( callee.name, path.scope, new Set() );
+}
+
+// Checks whether the identifier refers to the translate function. Besides `t`, the binding of the identifier is resolved
+// in the given scope and its initial value and assignments are checked. It supports following forms:
+//
+// const { t: translate } = this.editor.locale;
+// const { t: translate } = this;
+// const translate = editor.t;
+// translate = locale.t;
+// const translateAgain = translate;
+function isTranslateFunctionIdentifier( name, scope, visitedBindings ) {
+	if ( name === 't' ) {
+		return true;
+	}
+
+	const binding = scope.getBinding( name );
+
+	// Aliases referring to each other (`a = b; b = a;`) must not cause an infinite loop.
+	if ( !binding || visitedBindings.has( binding ) ) {
+		return false;
+	}
+
+	visitedBindings.add( binding );
+
+	const assignmentPaths = [ binding.path, ...binding.constantViolations ];
+
+	return assignmentPaths.some( ( { node, scope } ) => {
+		if ( node.type === 'VariableDeclarator' && node.init ) {
+			return isTranslateFunctionAssignment( node.id, node.init, binding.identifier, scope, visitedBindings );
+		}
+
+		if ( node.type === 'AssignmentExpression' && node.operator === '=' ) {
+			return isTranslateFunctionAssignment( node.left, node.right, binding.identifier, scope, visitedBindings );
+		}
+
+		return false;
+	} );
+}
+
+// Checks whether the assignment of the `value` to the `target` makes the `identifier` refer to the translate function.
+function isTranslateFunctionAssignment( target, value, identifier, scope, visitedBindings ) {
+	if ( target.type === 'Identifier' ) {
+		return isTMemberExpression( value ) ||
+			( value.type === 'Identifier' && isTranslateFunctionIdentifier( value.name, scope, visitedBindings ) );
+	}
+
+	// Only the translate function destructured from the locale (or `this`) is taken into account.
+	if ( target.type === 'ObjectPattern' && isLocaleExpression( value ) ) {
+		const tProperty = getProperty( target.properties, 't' );
+
+		if ( !tProperty ) {
+			return false;
+		}
+
+		// Matches `{ t = defaultT }` and `{ t: translate = defaultT }`.
+		const tBinding = tProperty.value.type === 'AssignmentPattern' ? tProperty.value.left : tProperty.value;
+
+		return tBinding.type === 'Identifier' && tBinding.name === identifier.name;
+	}
 
-		// Skip this.t() calls.
-		// These calls can be used frequently in the minified/ obfuscated code.
-		node.callee.object.type !== 'ThisExpression'
+	return false;
+}
+
+// Matches `locale`, `editor.locale`, `this.editor.locale` and `this`.
+function isLocaleExpression( node ) {
+	if ( node.type === 'ThisExpression' ) {
+		return true;
+	}
+
+	if ( node.type === 'Identifier' ) {
+		return node.name === 'locale';
+	}
+
+	return (
+		( node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression' ) &&
+		!node.computed &&
+		node.property.name === 'locale'
 	);
 }
 
+// Matches `editor.t()`, `locale.t()`, `this.editor.t()`, `editor.locale.t()`, `editor?.t()` and similar calls.
+function isTMethodCallExpression( node ) {
+	return isTMemberExpression( node.callee );
+}
+
+// Matches `this.t()` and `this?.t()` calls.
+function isThisTMethodCallExpression( node ) {
+	return isMemberExpression( node.callee ) && isTProperty( node.callee ) && node.callee.object.type === 'ThisExpression';
+}
+
+// Matches `editor.t`, `locale.t`, `this.editor.t`, `this.locale.t`, `editor.locale.t` and `this.editor.locale.t`.
+function isTMemberExpression( node ) {
+	return isMemberExpression( node ) && isTProperty( node ) && translateFunctionOwners.includes( getMemberExpressionPath( node.object ) );
+}
+
+function isMemberExpression( node ) {
+	return node.type === 'MemberExpression' || node.type === 'OptionalMemberExpression';
+}
+
+function isTProperty( node ) {
+	return !node.computed && node.property.name === 't';
+}
+
+// Returns the dotted path of the given expression, e.g. `this.editor.locale`. Returns `undefined`
+// for expressions other than identifiers, `this` and non-computed member expressions.
+function getMemberExpressionPath( node ) {
+	if ( node.type === 'ThisExpression' ) {
+		return 'this';
+	}
+
+	if ( node.type === 'Identifier' ) {
+		return node.name;
+	}
+
+	if ( isMemberExpression( node ) && !node.computed ) {
+		const objectPath = getMemberExpressionPath( node.object );
+
+		return objectPath && `${ objectPath }.${ node.property.name }`;
+	}
+}
+
+function isTypeScriptExpressionWrapper( node ) {
+	return [ 'TSAsExpression', 'TSTypeAssertion', 'TSNonNullExpression' ].includes( node.type );
+}
+
 /**
  * @typedef {Object} Message
  *
  * @property {String} id
  * @property {String} string
  * @property {String} [plural]
+ * @property {String} filePath A path to the source file containing the `t()` call.
+ * @property {Number} line A line of the `t()` call (1-based).
+ * @property {Number} column A column of the `t()` call (1-based).
+ * @property {Array.<Number>} range Start and end offsets of the `t()` call in the source.
+ */
+
+/**
+ * @typedef {Object} Diagnostic
+ *
+ * @property {String} code An error code, e.g. `missing-string-property` or `non-literal-value`.
+ * @property {String} message A human-readable error message.
+ * @property {String} filePath A path to the source file.
+ * @property {Number} line A line of the invalid node (1-based).
+ * @property {Number} column A column of the invalid node (1-based).
+ * @property {Array.<Number>} range Start and end offsets of the invalid node in the source.
  */
@@ -0,0 +1,30 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const path = require( 'path' );
+
+/**
+ * Returns the path to the package (relative to the current working directory) if the resource comes from a `ckeditor5-*` package.
+ *
+ * @param {String} cwd Current working directory.
+ * @param {String} resource Absolute path to the resource.
+ * @param {RegExp} packageNamesPattern
+ * @returns {String|null}
+ */
+module.exports = function getPathToPackage( cwd, resource, packageNamesPattern ) {
+	const relativePathToResource = path.relative( cwd, resource );
+
+	const match = relativePathToResource.match( packageNamesPattern );
+
+	if ( !match ) {
+		return null;
+	}
+
+	const index = relativePathToResource.search( packageNamesPattern ) + match[ 0 ].length;
+
+	return relativePathToResource.slice( 0, index );
+};
@@ -0,0 +1,46 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const path = require( 'path' );
+
+/**
+ * Validates the translation plugin options and returns options for the `MultipleLanguageTranslationService`.
+ *
+ * @param {Object} options Plugin options returned by `normalizeTranslationPluginOptions()`.
+ * @returns {Object}
+ */
+module.exports = function getTranslationServiceOptions( options ) {
+	if ( ![ 'script', 'esm', 'json' ].includes( options.outputFormat ) ) {
+		throw new Error( 'Error: The `outputFormat` option should be set to `script`, `esm` or `json`.' );
+	}
+
+	let compileAllLanguages = false;
+	let additionalLanguages = options.additionalLanguages || [];
+
+	if ( typeof additionalLanguages == 'string' ) {
+		if ( additionalLanguages !== 'all' ) {
+			throw new Error( 'Error: The `additionalLanguages` option should be an array of language codes or `all`.' );
+		}
+
+		compileAllLanguages = true;
+		additionalLanguages = []; // They will be searched in runtime.
+	}
+
+	return {
+		mainLanguage: options.language,
+		compileAllLanguages,
+		additionalLanguages,
+		addMainLanguageTranslationsToAllAssets: options.addMainLanguageTranslationsToAllAssets,
+		buildAllTranslationsToSeparateFiles: options.buildAllTranslationsToSeparateFiles,
+		treeShakeTranslations: options.treeShakeTranslations,
+		outputFormat: options.outputFormat,
+		fallbackLanguages: options.fallbackLanguages,
+		sourceLanguage: options.sourceLanguage,
+		translationDirectories: options.translationDirectories.map( directory => path.resolve( directory ) ),
+		overrideTranslationDirectories: options.overrideTranslationDirectories.map( directory => path.resolve( directory ) )
+	};
+};
@@ -8,7 +8,12 @@
 module.exports = {
 	MultipleLanguageTranslationService: require( './multiplelanguagetranslationservice' ),
 	findMessages: require( './findmessages' ),
+	validateMessages: require( './validatemessages' ),
 	createDictionaryFromPoFileContent: require( './createdictionaryfrompofilecontent' ),
 	cleanPoFileContent: require( './cleanpofilecontent' ),
-	retryAsyncFunction: require( './retryasyncfunction' )
+	retryAsyncFunction: require( './retryasyncfunction' ),
+	normalizeTranslationPluginOptions: require( './normalizetranslationpluginoptions' ),
+	getTranslationServiceOptions: require( './gettranslationserviceoptions' ),
+	createTranslationLogger: require( './createtranslationlogger' ),
+	getPathToPackage: require( './getpathtopackage' )
 };
@@ -13,6 +13,13 @@ const PO = require( 'pofile' );
 
 /**
  * A service that serves translations assets based on the found PO files in the registered packages.
+ *
+ * Besides packages, translations can be loaded from project-local directories containing PO files. Translations are
+ * taken from the following layers (from the highest precedence):
+ *
+ * * override directories (in the order of the `overrideTranslationDirectories` option),
+ * * project-local directories (in the order of the `translationDirectories` option),
+ * * packages.
  */
 module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 	/**
@@ -25,13 +32,33 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 	 * about multiple JS assets and will output translations for the main language to all found assets.
 	 * @param {Boolean} [buildAllTranslationsToSeparateFiles] When set to `true` the service will output all translations
 	 * to separate files.
+	 * @param {'script'|'esm'|'json'} [outputFormat='script'] The format of translation assets. Scripts assign translations
+	 * to the `window.CKEDITOR_TRANSLATIONS` global. ES modules export the dictionary and the plural form function,
+	 * so they can be imported by the application. JSON files contain the dictionary and the plural forms rule
+	 * (see `translationfile.schema.json`), so they can be fetched at runtime. ES modules and JSON files are always
+	 * outputted to separate files.
+	 * @param {Object.<String,Array.<String>>} [fallbackLanguages={}] Fallback chains for languages, e.g. `{ 'pt-br': [ 'pt' ] }`.
+	 * When a translation is missing in the language, it is taken from the first language in its chain that has it.
+	 * @param {String} [sourceLanguage] A language that ends the fallback chain of every other language (e.g. `en`).
+	 * @param {Array.<String>} [translationDirectories=[]] Project-local directories containing PO files (e.g. `pl.po`),
+	 * e.g. with translations for plugins that are not `ckeditor5-*` packages.
+	 * @param {Array.<String>} [overrideTranslationDirectories=[]] Directories containing PO files with translations
+	 * that replace translations from packages and project-local directories.
+	 * @param {Boolean} [treeShakeTranslations=false] When set to `true`, translations for the main language added to JS assets
+	 * contain only messages used by modules of the chunks of these assets (see the `assetSourceFiles` option of `getAssets()`).
 	 */
 	constructor( {
 		mainLanguage,
 		additionalLanguages = [],
 		compileAllLanguages = false,
 		addMainLanguageTranslationsToAllAssets = false,
-		buildAllTranslationsToSeparateFiles = false
+		buildAllTranslationsToSeparateFiles = false,
+		outputFormat = 'script',
+		fallbackLanguages = {},
+		sourceLanguage = null,
+		translationDirectories = [],
+		overrideTranslationDirectories = [],
+		treeShakeTranslations = false
 	} ) {
 		super();
 
@@ -77,6 +104,47 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 		 */
 		this._buildAllTranslationsToSeparateFiles = buildAllTranslationsToSeparateFiles;
 
+		/**
+		 * The format of translation assets.
+		 *
+		 * @private
+		 * @type {'script'|'esm'|'json'}
+		 */
+		this._outputFormat = outputFormat;
+
+		/**
+		 * A boolean option. When set to `true` JS assets get translations only for messages used by their modules.
+		 *
+		 * @private
+		 * @type {Boolean}
+		 */
+		this._treeShakeTranslations = treeShakeTranslations;
+
+		/**
+		 * Fallback chains in the `language -> fallback languages` format.
+		 *
+		 * @private
+		 * @type {Object.<String,Array.<String>>}
+		 */
+		this._fallbackLanguages = fallbackLanguages;
+
+		/**
+		 * A language that ends the fallback chain of every other language.
+		 *
+		 * @private
+		 * @type {String|null}
+		 */
+		this._sourceLanguage = sourceLanguage;
+
+		/**
+		 * Ids of messages filled by fallback languages during the last `getAssets()` call,
+		 * in the `language -> fallback language -> message ids` format.
+		 *
+		 * @private
+		 * @type {Map.<String,Map.<String,Set.<String>>>}
+		 */
+		this._fallbackMessageIds = new Map();
+
 		/**
 		 * A set of handled packages that speeds up the translation process.
 		 *
@@ -93,6 +161,65 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 		 */
 		this._translationDictionaries = {};
 
+		/**
+		 * Project-local directories containing PO files.
+		 *
+		 * @private
+		 * @type {Array.<String>}
+		 */
+		this._translationDirectories = translationDirectories;
+
+		/**
+		 * Directories containing PO files with translations that replace other translations.
+		 *
+		 * @private
+		 * @type {Array.<String>}
+		 */
+		this._overrideTranslationDirectories = overrideTranslationDirectories;
+
+		/**
+		 * A boolean flag indicating whether the project-local and override directories have been loaded.
+		 *
+		 * @private
+		 * @type {Boolean}
+		 */
+		this._translationDirectoriesLoaded = false;
+
+		/**
+		 * A map of translation dictionaries loaded from the project-local directories in the
+		 * `language -> messageId -> single & plural forms` format.
+		 *
+		 * @private
+		 * @type {Object.<String, Object.<String,Array.<String>>>}
+		 */
+		this._localTranslationDictionaries = {};
+
+		/**
+		 * A map of translation dictionaries loaded from the override directories in the
+		 * `language -> messageId -> single & plural forms` format.
+		 *
+		 * @private
+		 * @type {Object.<String, Object.<String,Array.<String>>>}
+		 */
+		this._overrideTranslationDictionaries = {};
+
+		/**
+		 * Paths to PO files that define the override translations in the `language -> messageId -> path` format.
+		 *
+		 * @private
+		 * @type {Object.<String, Object.<String,String>>}
+		 */
+		this._overrideSources = {};
+
+		/**
+		 * Languages of loaded PO files in the `absolute path -> language` format. Used to reload translations
+		 * when PO files change (e.g. in the watch mode).
+		 *
+		 * @private
+		 * @type {Map.<String,String>}
+		 */
+		this._loadedPoFiles = new Map();
+
 		/**
 		 * Plural form rules that will be added to generated translation assets.
 		 *
@@ -109,28 +236,125 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 		 * @type {Set.<String>}
 		 */
 		this._foundMessageIds = new Set();
+
+		/**
+		 * A map of source locations (in the `filePath:line:column` format) of the `t()` calls for each found message id.
+		 * Used to point at the exact call sites when the translation is missing.
+		 *
+		 * @private
+		 * @type {Map.<String,Set.<String>>}
+		 */
+		this._foundMessageLocations = new Map();
+
+		/**
+		 * A map of messages found in each source file, in the `filePath -> location -> message` format.
+		 *
+		 * @private
+		 * @type {Map.<String,Map.<String,Message>>}
+		 */
+		this._foundMessagesByFile = new Map();
 	}
 
 	/**
 	 * Collects found message ids. Emits a warning when there is a suspicion that the message is created incorrectly
 	 * (e.g. an incorrect `t()` call).
 	 *
+	 * Messages found earlier in the same file are replaced, so messages removed from the source file are not outputted
+	 * when the file is translated again (e.g. in the watch mode).
+	 *
 	 * @fires warning
 	 * @param {String} source Content of the source file.
 	 * @param {String} fileName Source file name
 	 * @returns {String}
 	 */
 	translateSource( source, fileName ) {
+		this.removeFoundMessages( fileName );
+
 		findMessages(
 			source,
 			fileName,
-			message => this._foundMessageIds.add( message.id ),
+			message => this._addFoundMessage( message ),
 			error => this.emit( 'warning', error )
 		);
 
 		return source;
 	}
 
+	/**
+	 * Returns messages found in the source file. Messages can be stored together with the compiled module
+	 * (e.g. in the webpack persistent cache) and restored by `addFoundMessages()` when the source file is not translated again.
+	 *
+	 * @param {String} fileName Source file name.
+	 * @returns {Array.<Message>}
+	 */
+	getFoundMessages( fileName ) {
+		const messages = this._foundMessagesByFile.get( fileName );
+
+		return messages ? Array.from( messages.values() ) : [];
+	}
+
+	/**
+	 * Registers messages found earlier (see `getFoundMessages()`), as if their source files were translated.
+	 *
+	 * @param {Array.<Message>} messages
+	 */
+	addFoundMessages( messages ) {
+		for ( const message of messages ) {
+			this._addFoundMessage( message );
+		}
+	}
+
+	/**
+	 * Removes messages found in the source file, e.g. when the file is no longer a part of the compilation.
+	 * Message ids that are not used in other files are removed as well.
+	 *
+	 * @param {String} fileName Source file name.
+	 */
+	removeFoundMessages( fileName ) {
+		const messages = this._foundMessagesByFile.get( fileName );
+
+		if ( !messages ) {
+			return;
+		}
+
+		this._foundMessagesByFile.delete( fileName );
+
+		for ( const [ location, message ] of messages ) {
+			const locations = this._foundMessageLocations.get( message.id );
+
+			locations.delete( location );
+
+			if ( !locations.size ) {
+				this._foundMessageLocations.delete( message.id );
+				this._foundMessageIds.delete( message.id );
+			}
+		}
+	}
+
+	/**
+	 * Registers the found message id together with the location of its `t()` call.
+	 *
+	 * @private
+	 * @param {Message} message
+	 */
+	_addFoundMessage( message ) {
+		const location = `${ message.filePath }:${ message.line }:${ message.column }`;
+
+		this._foundMessageIds.add( message.id );
+
+		if ( !this._foundMessageLocations.has( message.id ) ) {
+			this._foundMessageLocations.set( message.id, new Set() );
+		}
+
+		this._foundMessageLocations.get( message.id ).add( location );
+
+		if ( !this._foundMessagesByFile.has( message.filePath ) ) {
+			this._foundMessagesByFile.set( message.filePath, new Map() );
+		}
+
+		this._foundMessagesByFile.get( message.filePath ).set( location, message );
+	}
+
 	/**
 	 * Loads PO files from the package if the package was not registered already.
 	 * If the `compileAllLanguages` flag is set to `true`, then the language set will be expanded to all found languages.
@@ -145,12 +369,34 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 
 		this._handledPackages.add( pathToPackage );
 
-		const pathToTranslationDirectory = this._getPathToTranslationDirectory( pathToPackage );
+		this._loadTranslationDirectory( this._getPathToTranslationDirectory( pathToPackage ), this._translationDictionaries );
+	}
+
+	/**
+	 * Loads PO files from the directory to the given dictionaries. If the `compileAllLanguages` flag is set to `true`,
+	 * then the language set will be expanded to all found languages.
+	 *
+	 * @private
+	 * @fires error
+	 * @param {String} pathToTranslationDirectory
+	 * @param {Object.<String, Object.<String,Array.<String>>>} translationDictionaries
+	 * @returns {Array.<Object>} Loaded PO files (objects with the `language`, `pathToPoFile` and `messageIds` properties).
+	 */
+	_loadTranslationDirectory( pathToTranslationDirectory, translationDictionaries ) {
+		const loadedFiles = [];
 
 		if ( !fs.existsSync( pathToTranslationDirectory ) ) {
-			return;
+			return loadedFiles;
 		}
 
+		const loadPoFile = ( language, pathToPoFile ) => {
+			const messageIds = this._loadPoFile( language, pathToPoFile, translationDictionaries );
+
+			if ( messageIds ) {
+				loadedFiles.push( { language, pathToPoFile, messageIds } );
+			}
+		};
+
 		if ( this._compileAllLanguages ) {
 			for ( const fileName of fs.readdirSync( pathToTranslationDirectory ) ) {
 				if ( !fileName.endsWith( '.po' ) ) {
@@ -166,16 +412,162 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 				const pathToPoFile = path.join( pathToTranslationDirectory, fileName );
 
 				this._languages.add( language );
-				this._loadPoFile( language, pathToPoFile );
+				loadPoFile( language, pathToPoFile );
 			}
 
+			return loadedFiles;
+		}
+
+		for ( const language of this._getLanguagesToLoad() ) {
+			loadPoFile( language, path.join( pathToTranslationDirectory, language + '.po' ) );
+		}
+
+		return loadedFiles;
+	}
+
+	/**
+	 * Loads PO files from the project-local and override directories. Directories are loaded once, before the first assets
+	 * are generated, so all languages found in packages are known.
+	 *
+	 * @private
+	 */
+	_loadTranslationDirectories() {
+		if ( this._translationDirectoriesLoaded ) {
 			return;
 		}
 
-		for ( const language of this._languages ) {
+		this._translationDirectoriesLoaded = true;
+
+		for ( const pathToTranslationDirectory of this._translationDirectories ) {
+			this._loadTranslationDirectory( pathToTranslationDirectory, this._localTranslationDictionaries );
+		}
+
+		for ( const pathToTranslationDirectory of this._overrideTranslationDirectories ) {
+			const loadedFiles = this._loadTranslationDirectory( pathToTranslationDirectory, this._overrideTranslationDictionaries );
+
+			for ( const { language, pathToPoFile, messageIds } of loadedFiles ) {
+				this._addOverrideSources( language, pathToPoFile, messageIds );
+			}
+		}
+	}
+
+	/**
+	 * Records the PO file as the source of the override translations of the given messages.
+	 *
+	 * @private
+	 * @param {String} language
+	 * @param {String} pathToPoFile
+	 * @param {Array.<String>} messageIds
+	 */
+	_addOverrideSources( language, pathToPoFile, messageIds ) {
+		this._overrideSources[ language ] = this._overrideSources[ language ] || {};
+
+		for ( const messageId of messageIds ) {
+			this._overrideSources[ language ][ messageId ] = pathToPoFile;
+		}
+	}
+
+	/**
+	 * Returns absolute paths to all loaded PO files, so they can be watched by the bundler (e.g. as webpack file dependencies).
+	 *
+	 * @returns {Array.<String>}
+	 */
+	getTranslationFiles() {
+		return Array.from( this._loadedPoFiles.keys() );
+	}
+
+	/**
+	 * Returns absolute paths to existing directories where PO files are searched for, so PO files added to these
+	 * directories can be detected by the bundler (e.g. as webpack context dependencies).
+	 *
+	 * @returns {Array.<String>}
+	 */
+	getTranslationDirectories() {
+		const translationDirectories = [
+			...Array.from( this._handledPackages ).map( pathToPackage => this._getPathToTranslationDirectory( pathToPackage ) ),
+			...this._translationDirectories,
+			...this._overrideTranslationDirectories
+		];
+
+		return translationDirectories
+			.filter( pathToTranslationDirectory => fs.existsSync( pathToTranslationDirectory ) )
+			.map( pathToTranslationDirectory => path.resolve( pathToTranslationDirectory ) );
+	}
+
+	/**
+	 * Reloads translations for languages which PO files have changed, were added or removed (e.g. in the watch mode).
+	 * Changed translation directories are searched for new PO files. Other paths are ignored.
+	 *
+	 * @fires error
+	 * @param {Array.<String>} changedFiles Absolute paths to changed files and directories.
+	 */
+	invalidateTranslationFiles( changedFiles ) {
+		const translationDirectories = this.getTranslationDirectories();
+		const changedLanguages = new Set();
+
+		for ( const changedFile of changedFiles ) {
+			if ( this._loadedPoFiles.has( changedFile ) ) {
+				changedLanguages.add( this._loadedPoFiles.get( changedFile ) );
+			} else if ( translationDirectories.includes( changedFile ) ) {
+				fs.readdirSync( changedFile )
+					.filter( fileName => fileName.endsWith( '.po' ) && !this._loadedPoFiles.has( path.join( changedFile, fileName ) ) )
+					.forEach( fileName => changedLanguages.add( fileName.replace( /\.po$/, '' ) ) );
+			} else if ( changedFile.endsWith( '.po' ) && translationDirectories.includes( path.dirname( changedFile ) ) ) {
+				changedLanguages.add( path.basename( changedFile, '.po' ) );
+			}
+		}
+
+		for ( const language of changedLanguages ) {
+			if ( this._compileAllLanguages ) {
+				this._languages.add( language );
+			} else if ( !this._getLanguagesToLoad().has( language ) ) {
+				continue;
+			}
+
+			this._reloadLanguage( language );
+		}
+	}
+
+	/**
+	 * Drops translations for the language from all layers and loads them again from PO files of handled packages
+	 * and, if they have been loaded already, the project-local and override directories.
+	 *
+	 * @private
+	 * @param {String} language
+	 */
+	_reloadLanguage( language ) {
+		for ( const translationDictionaries of this._getTranslationLayers() ) {
+			delete translationDictionaries[ language ];
+		}
+
+		delete this._pluralFormsRules[ language ];
+		delete this._overrideSources[ language ];
+
+		for ( const [ pathToPoFile, poFileLanguage ] of this._loadedPoFiles ) {
+			if ( poFileLanguage === language ) {
+				this._loadedPoFiles.delete( pathToPoFile );
+			}
+		}
+
+		for ( const pathToPackage of this._handledPackages ) {
+			this._loadPoFile( language, path.join( this._getPathToTranslationDirectory( pathToPackage ), language + '.po' ) );
+		}
+
+		if ( !this._translationDirectoriesLoaded ) {
+			return;
+		}
+
+		for ( const pathToTranslationDirectory of this._translationDirectories ) {
+			this._loadPoFile( language, path.join( pathToTranslationDirectory, language + '.po' ), this._localTranslationDictionaries );
+		}
+
+		for ( const pathToTranslationDirectory of this._overrideTranslationDirectories ) {
 			const pathToPoFile = path.join( pathToTranslationDirectory, language + '.po' );
+			const messageIds = this._loadPoFile( language, pathToPoFile, this._overrideTranslationDictionaries );
 
-			this._loadPoFile( language, pathToPoFile );
+			if ( messageIds ) {
+				this._addOverrideSources( language, pathToPoFile, messageIds );
+			}
 		}
 	}
 
@@ -184,18 +576,29 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 	 *
 	 * @fires warning
 	 * @fires error
+	 * @fires info
 	 * @param {Object} options
 	 * @param {String} options.outputDirectory Output directory for the translation files relative to the output.
 	 * @param {String[]} options.compilationAssetNames Original asset names from the compiler (e.g. Webpack).
+	 * @param {Object.<String,Array.<String>>} [options.assetSourceFiles] Paths to source files of modules bundled
+	 * in each asset, in the `assetName -> source files` format. Used when the `treeShakeTranslations` option is set.
+	 * Assets that are not listed get translations for all found messages.
 	 * @returns {Array.<Object>} Returns new and modified assets that will be added to original ones.
 	 */
-	getAssets( { outputDirectory, compilationAssetNames } ) {
+	getAssets( { outputDirectory, compilationAssetNames, assetSourceFiles = {} } ) {
 		compilationAssetNames = compilationAssetNames
-			.filter( name => name.endsWith( '.js' ) );
+			.filter( name => /\.(js|mjs|cjs)$/.test( name ) );
+
+		this._fallbackMessageIds = new Map();
+		this._loadTranslationDirectories();
 
 		let mainLanguage = this._mainLanguage;
 
-		if ( compilationAssetNames.length == 0 && !this._buildAllTranslationsToSeparateFiles ) {
+		// Translations in formats other than scripts can't be concatenated with JS assets.
+		if ( this._buildAllTranslationsToSeparateFiles || this._outputFormat !== 'script' ) {
+			mainLanguage = null;
+			compilationAssetNames = [];
+		} else if ( compilationAssetNames.length == 0 ) {
 			this.emit( 'error', [
 				'No JS asset has been found during the compilation. ' +
 				'You should add translation assets directly to the application from the `translations` directory. ' +
@@ -204,10 +607,7 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 
 			compilationAssetNames = [];
 			mainLanguage = null;
-		} else if ( this._buildAllTranslationsToSeparateFiles ) {
-			mainLanguage = null;
-			compilationAssetNames = [];
-		} else if ( compilationAssetNames.length > 1 && !this._addMainLanguageTranslationsToAllAssets ) {
+		} else if ( compilationAssetNames.length > 1 && !this._addMainLanguageTranslationsToAllAssets && !this._treeShakeTranslations ) {
 			this.emit( 'error', [
 				'Too many JS assets has been found during the compilation. ' +
 				'You should add translation assets directly to the application from the `translations` directory or ' +
@@ -222,17 +622,200 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 		const otherLanguages = Array.from( this._languages )
 			.filter( lang => lang !== mainLanguage );
 
-		return [
+		const assets = [
 			// Assets where translations for the main language will be added.
-			...compilationAssetNames.map( assetName => ( {
-				outputBody: this._getTranslationAssets( outputDirectory, [ this._mainLanguage ] )[ 0 ].outputBody,
-				outputPath: assetName,
-				shouldConcat: true
-			} ) ),
+			...( this._treeShakeTranslations ?
+				this._getTreeShakenMainLanguageAssets( outputDirectory, compilationAssetNames, assetSourceFiles ) :
+				compilationAssetNames.map( assetName => ( {
+					outputBody: this._getTranslationAssets( outputDirectory, [ this._mainLanguage ] )[ 0 ].outputBody,
+					outputPath: assetName,
+					shouldConcat: true
+				} ) )
+			),
 
 			// Translation assets outputted to separate translation files.
 			...this._getTranslationAssets( outputDirectory, otherLanguages )
 		];
+
+		this._emitOverrideSummary();
+		this._emitFallbackSummary();
+
+		return assets;
+	}
+
+	/**
+	 * Emits which override translations replaced the upstream translations of the found messages.
+	 *
+	 * @private
+	 * @fires info
+	 */
+	_emitOverrideSummary() {
+		const sortedMessageIds = Array.from( this._foundMessageIds ).sort();
+
+		for ( const language of this._languages ) {
+			const overrideSources = this._overrideSources[ language ] || {};
+
+			for ( const messageId of sortedMessageIds ) {
+				if ( !overrideSources[ messageId ] ) {
+					continue;
+				}
+
+				const upstreamTranslation = getTranslation(
+					[ this._localTranslationDictionaries, this._translationDictionaries ], language, messageId
+				);
+				const overrideTranslation = getTranslation( [ this._overrideTranslationDictionaries ], language, messageId );
+
+				if ( !upstreamTranslation || !overrideTranslation ) {
+					continue;
+				}
+
+				this.emit( 'info',
+					`The '${ messageId }' message in the '${ language }' language (${ formatTranslation( upstreamTranslation ) }) ` +
+					`has been overridden by ${ formatTranslation( overrideTranslation ) } from ${ overrideSources[ messageId ] }.`
+				);
+			}
+		}
+	}
+
+	/**
+	 * Returns the translation of the message from the layer with the highest precedence that translates it.
+	 *
+	 * @private
+	 * @param {String} language
+	 * @param {String} messageId
+	 * @returns {Array.<String>|undefined}
+	 */
+	_getTranslation( language, messageId ) {
+		return getTranslation( this._getTranslationLayers(), language, messageId );
+	}
+
+	/**
+	 * Checks whether any PO file has been loaded for the language.
+	 *
+	 * @private
+	 * @param {String} language
+	 * @returns {Boolean}
+	 */
+	_hasTranslations( language ) {
+		return this._getTranslationLayers().some( translationDictionaries => translationDictionaries[ language ] );
+	}
+
+	/**
+	 * Returns translation dictionaries of all layers, from the highest precedence.
+	 *
+	 * @private
+	 * @returns {Array.<Object.<String, Object.<String,Array.<String>>>>}
+	 */
+	_getTranslationLayers() {
+		return [ this._overrideTranslationDictionaries, this._localTranslationDictionaries, this._translationDictionaries ];
+	}
+
+	/**
+	 * Returns assets with translations for the main language that contain only messages used by modules of each asset.
+	 * Assets without such messages are skipped. Emits the size of translations added to each asset.
+	 *
+	 * @private
+	 * @fires info
+	 * @param {String} outputDirectory
+	 * @param {Array.<String>} compilationAssetNames
+	 * @param {Object.<String,Array.<String>>} assetSourceFiles
+	 * @returns {Array.<Object>}
+	 */
+	_getTreeShakenMainLanguageAssets( outputDirectory, compilationAssetNames, assetSourceFiles ) {
+		const assets = [];
+		const sizes = [];
+
+		for ( const assetName of compilationAssetNames ) {
+			const messageIds = assetSourceFiles[ assetName ] ?
+				this._getMessageIdsUsedInFiles( assetSourceFiles[ assetName ] ) :
+				this._foundMessageIds;
+
+			if ( !messageIds.size ) {
+				continue;
+			}
+
+			const { outputBody } = this._getTranslationAssets( outputDirectory, [ this._mainLanguage ], messageIds )[ 0 ];
+
+			assets.push( { outputBody, outputPath: assetName, shouldConcat: true } );
+			sizes.push( `${ assetName }: ${ Buffer.byteLength( outputBody ) } bytes (${ messageIds.size } messages)` );
+		}
+
+		if ( sizes.length ) {
+			this.emit( 'info', `Translations for the '${ this._mainLanguage }' language added to chunks:\n${ sizes.join( '\n' ) }` );
+		}
+
+		return assets;
+	}
+
+	/**
+	 * Returns ids of messages found in the given source files.
+	 *
+	 * @private
+	 * @param {Array.<String>} sourceFiles
+	 * @returns {Set.<String>}
+	 */
+	_getMessageIdsUsedInFiles( sourceFiles ) {
+		const messageIds = new Set();
+
+		for ( const sourceFile of sourceFiles ) {
+			for ( const message of this.getFoundMessages( sourceFile ) ) {
+				messageIds.add( message.id );
+			}
+		}
+
+		return messageIds;
+	}
+
+	/**
+	 * Returns the fallback chain of the given language.
+	 *
+	 * @private
+	 * @param {String} language
+	 * @returns {Array.<String>}
+	 */
+	_getFallbackChain( language ) {
+		const fallbackChain = ( this._fallbackLanguages[ language ] || [] )
+			.filter( fallbackLanguage => fallbackLanguage !== language );
+
+		if ( this._sourceLanguage && this._sourceLanguage !== language && !fallbackChain.includes( this._sourceLanguage ) ) {
+			fallbackChain.push( this._sourceLanguage );
+		}
+
+		return fallbackChain;
+	}
+
+	/**
+	 * Returns languages which PO files should be loaded: target languages and languages from their fallback chains.
+	 *
+	 * @private
+	 * @returns {Set.<String>}
+	 */
+	_getLanguagesToLoad() {
+		const languages = new Set( this._languages );
+
+		for ( const language of this._languages ) {
+			for ( const fallbackLanguage of this._getFallbackChain( language ) ) {
+				languages.add( fallbackLanguage );
+			}
+		}
+
+		return languages;
+	}
+
+	/**
+	 * Emits the number of messages filled by each fallback language.
+	 *
+	 * @private
+	 * @fires info
+	 */
+	_emitFallbackSummary() {
+		for ( const [ language, messageIdsByFallbackLanguage ] of this._fallbackMessageIds ) {
+			const counts = Array.from( messageIdsByFallbackLanguage )
+				.map( ( [ fallbackLanguage, messageIds ] ) => `${ messageIds.size } from '${ fallbackLanguage }'` );
+
+			this.emit( 'info', `Missing translations for the '${ language }' language were taken from fallback languages: ` +
+				`${ counts.join( ', ' ) }.` );
+		}
 	}
 
 	/**
@@ -241,28 +824,44 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 	 * @private
 	 * @param {String} outputDirectory The output directory for assets.
 	 * @param {Array.<String>} languages Languages for assets.
+	 * @param {Set.<String>} [messageIds] Ids of messages included in assets. Defaults to all found messages.
 	 */
-	_getTranslationAssets( outputDirectory, languages ) {
+	_getTranslationAssets( outputDirectory, languages, messageIds = this._foundMessageIds ) {
 		// Sort the array of message ids to provide deterministic results.
-		const sortedMessageIds = Array.from( this._foundMessageIds ).sort( ( a, b ) => a.localeCompare( b ) );
+		const sortedMessageIds = Array.from( messageIds ).sort( ( a, b ) => a.localeCompare( b ) );
 
 		return languages.map( language => {
-			const outputPath = path.join( outputDirectory, `${ language }.js` );
+			const outputPath = path.join( outputDirectory, `${ language }.${ this._outputFormat === 'json' ? 'json' : 'js' }` );
+
+			const fallbackChain = this._getFallbackChain( language );
 
-			if ( !this._translationDictionaries[ language ] ) {
+			// A language without its own PO files can still be built from its fallback languages.
+			if ( ![ language, ...fallbackChain ].some( lang => this._hasTranslations( lang ) ) ) {
 				this.emit( 'error', `No translation has been found for the ${ language } language.` );
 
 				return { outputBody: '', outputPath };
 			}
 
-			const translations = this._getTranslations( language, sortedMessageIds );
+			const { translations, fallbacks } = this._getTranslations( language, sortedMessageIds );
+
+			if ( this._outputFormat === 'json' ) {
+				return {
+					outputBody: JSON.stringify( {
+						language,
+						dictionary: translations,
+						pluralForms: parsePluralFormsRule( this._getPluralFormsRule( language ) ),
+						fallbacks
+					} ),
+					outputPath
+				};
+			}
 
 			// Examples of plural forms:
 			// pluralForms="nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2)"
 			// pluralForms="nplurals=3; plural=n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2"
 
 			/** @type {String} */
-			const pluralFormsRule = this._pluralFormsRules[ language ];
+			const pluralFormsRule = this._getPluralFormsRule( language );
 
 			let pluralFormFunction;
 
@@ -279,6 +878,20 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 			// Stringify translations and remove unnecessary `""` around property names.
 			const stringifiedTranslations = JSON.stringify( translations )
 				.replace( /"([\w_]+)":/g, '$1:' );
+			const stringifiedFallbacks = JSON.stringify( fallbacks )
+				.replace( /"([\w_]+)":/g, '$1:' );
+
+			if ( this._outputFormat === 'esm' ) {
+				return {
+					outputBody: (
+						`export const dictionary = ${ stringifiedTranslations };\n` +
+						`export const getPluralForm = ${ pluralFormFunction || 'null' };\n` +
+						`export const fallbacks = ${ stringifiedFallbacks };\n` +
+						'export default { dictionary, getPluralForm, fallbacks };\n'
+					),
+					outputPath
+				};
+			}
 
 			const outputBody = (
 				'(function(d){' +
@@ -288,6 +901,7 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 				`		${ stringifiedTranslations }` +
 				'	);' +
 				( pluralFormFunction ? `l.getPluralForm=${ pluralFormFunction };` : '' ) +
+				( Object.keys( fallbacks ).length ? `l.fallbacks=Object.assign(l.fallbacks||{},${ stringifiedFallbacks });` : '' ) +
 				'})(window.CKEDITOR_TRANSLATIONS||(window.CKEDITOR_TRANSLATIONS={}));'
 			);
 
@@ -297,33 +911,122 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 
 	/**
 	 * Walks through the set of found message ids and collects corresponding strings in the target language dictionary.
-	 * Skips messages that lacks their translations.
+	 * Missing translations are taken from the languages of the fallback chain. Plural forms are taken from a fallback language
+	 * only when their number matches the plural forms rule of the target language. Skips messages that lacks their translations
+	 * in all these languages.
 	 *
 	 * @private
 	 * @param {String} language The target language
 	 * @param {String} sortedMessageIds An array of sorted message ids.
-	 * @returns {Object.<String,String|String[]>}
+	 * @returns {Object} Translations in the `messageId -> single & plural forms` format and languages
+	 * of translations taken from fallback languages in the `messageId -> fallback language` format.
 	 */
 	_getTranslations( language, sortedMessageIds ) {
-		const langDictionary = this._translationDictionaries[ language ];
+		const fallbackChain = this._getFallbackChain( language );
 		const translatedStrings = {};
+		const fallbacks = {};
 
 		for ( const messageId of sortedMessageIds ) {
-			const translatedMessage = langDictionary[ messageId ];
+			const translationLanguage = [ language, ...fallbackChain ].find( lang => {
+				const translatedMessage = this._getTranslation( lang, messageId );
 
-			if ( !translatedMessage || translatedMessage.length === 0 ) {
-				this.emit( 'warning', `A translation is missing for '${ messageId }' in the '${ language }' language.` );
+				return translatedMessage && ( lang === language || this._matchesPluralFormsRule( language, translatedMessage ) );
+			} );
+
+			if ( !translationLanguage ) {
+				this.emit( 'warning', `A translation is missing for '${ messageId }' in the '${ language }' language.` +
+					this._getMessageLocationsDescription( messageId ) );
 
 				continue;
 			}
 
+			const translatedMessage = this._getTranslation( translationLanguage, messageId );
+
 			// Register first form as a default form if only one form was provided.
 			translatedStrings[ messageId ] = translatedMessage.length > 1 ?
 				translatedMessage :
 				translatedMessage[ 0 ];
+
+			if ( translationLanguage !== language ) {
+				fallbacks[ messageId ] = translationLanguage;
+				this._addFallbackMessageId( language, translationLanguage, messageId );
+			}
+		}
+
+		return { translations: translatedStrings, fallbacks };
+	}
+
+	/**
+	 * Registers the message filled by the fallback language.
+	 *
+	 * @private
+	 * @param {String} language
+	 * @param {String} fallbackLanguage
+	 * @param {String} messageId
+	 */
+	_addFallbackMessageId( language, fallbackLanguage, messageId ) {
+		if ( !this._fallbackMessageIds.has( language ) ) {
+			this._fallbackMessageIds.set( language, new Map() );
+		}
+
+		const messageIdsByFallbackLanguage = this._fallbackMessageIds.get( language );
+
+		if ( !messageIdsByFallbackLanguage.has( fallbackLanguage ) ) {
+			messageIdsByFallbackLanguage.set( fallbackLanguage, new Set() );
+		}
+
+		messageIdsByFallbackLanguage.get( fallbackLanguage ).add( messageId );
+	}
+
+	/**
+	 * Checks whether the translated message taken from a fallback language can be used in the target language.
+	 * The rule of the target language chooses one of its plural forms, so a plural message must have the same number of forms.
+	 *
+	 * @private
+	 * @param {String} language The target language.
+	 * @param {Array.<String>} translatedMessage Single and plural forms of the message in the fallback language.
+	 * @returns {Boolean}
+	 */
+	_matchesPluralFormsRule( language, translatedMessage ) {
+		if ( translatedMessage.length < 2 ) {
+			return true;
+		}
+
+		const pluralForms = parsePluralFormsRule( this._getPluralFormsRule( language ) );
+
+		return !pluralForms || !pluralForms.nplurals || pluralForms.nplurals === translatedMessage.length;
+	}
+
+	/**
+	 * Returns the plural forms rule of the language or, if the rule is not defined, the rule of the first language
+	 * from its fallback chain that defines it.
+	 *
+	 * @private
+	 * @param {String} language
+	 * @returns {String|undefined}
+	 */
+	_getPluralFormsRule( language ) {
+		const ruleLanguage = [ language, ...this._getFallbackChain( language ) ].find( lang => this._pluralFormsRules[ lang ] );
+
+		return ruleLanguage && this._pluralFormsRules[ ruleLanguage ];
+	}
+
+	/**
+	 * Returns a description of the source locations of the given message (e.g. ` Used in: foo.js:12:5.`)
+	 * or an empty string if the locations are unknown.
+	 *
+	 * @private
+	 * @param {String} messageId
+	 * @returns {String}
+	 */
+	_getMessageLocationsDescription( messageId ) {
+		const locations = this._foundMessageLocations.get( messageId );
+
+		if ( !locations ) {
+			return '';
 		}
 
-		return translatedStrings;
+		return ` Used in: ${ Array.from( locations ).join( ', ' ) }.`;
 	}
 
 	/**
@@ -332,25 +1035,32 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 	 * @private
 	 * @param {String} language PO file's language.
 	 * @param {String} pathToPoFile Path to the target PO file.
+	 * @param {Object.<String, Object.<String,Array.<String>>>} [translationDictionaries] Dictionaries where translations
+	 * will be loaded. Defaults to dictionaries of packages.
+	 * @returns {Array.<String>|undefined} Ids of loaded messages or `undefined` if the file does not exist.
 	 */
-	_loadPoFile( language, pathToPoFile ) {
+	_loadPoFile( language, pathToPoFile, translationDictionaries = this._translationDictionaries ) {
 		if ( !fs.existsSync( pathToPoFile ) ) {
 			return;
 		}
 
 		const parsedTranslationFile = PO.parse( fs.readFileSync( pathToPoFile, 'utf-8' ) );
 
+		this._loadedPoFiles.set( path.resolve( pathToPoFile ), language );
+
 		this._pluralFormsRules[ language ] = this._pluralFormsRules[ language ] || parsedTranslationFile.headers[ 'Plural-Forms' ];
 
-		if ( !this._translationDictionaries[ language ] ) {
-			this._translationDictionaries[ language ] = {};
+		if ( !translationDictionaries[ language ] ) {
+			translationDictionaries[ language ] = {};
 		}
 
-		const dictionary = this._translationDictionaries[ language ];
+		const dictionary = translationDictionaries[ language ];
 
 		for ( const item of parsedTranslationFile.items ) {
 			dictionary[ item.msgid ] = item.msgstr;
 		}
+
+		return parsedTranslationFile.items.map( item => item.msgid );
 	}
 
 	/**
@@ -364,3 +1074,36 @@ module.exports = class MultipleLanguageTranslationService extends EventEmitter {
 		return path.join( pathToPackage, 'lang', 'translations' );
 	}
 };
+
+// Returns the translation of the message from the first dictionaries that translate it.
+// Empty translations (e.g. `msgstr ""`) are skipped.
+function getTranslation( translationLayers, language, messageId ) {
+	for ( const translationDictionaries of translationLayers ) {
+		const translatedMessage = ( translationDictionaries[ language ] || {} )[ messageId ];
+
+		if ( translatedMessage && translatedMessage.some( form => form ) ) {
+			return translatedMessage;
+		}
+	}
+}
+
+// Formats single & plural forms of the translation for logs, e.g. `"Zapisz"` or `"plik", "pliki", "plików"`.
+function formatTranslation( translatedMessage ) {
+	return translatedMessage.map( form => JSON.stringify( form ) ).join( ', ' );
+}
+
+// Returns the plural forms rule (e.g. `nplurals=2; plural=(n != 1);`) in the serializable form
+// (e.g. `{ nplurals: 2, plural: '(n != 1)' }`) or `null` when the rule is not defined.
+function parsePluralFormsRule( pluralFormsRule ) {
+	if ( !pluralFormsRule ) {
+		return null;
+	}
+
+	const numberOfPluralFormsMatch = pluralFormsRule.match( /nplurals\s*=\s*(\d+)/ );
+	const pluralFormExpressionMatch = pluralFormsRule.match( /plural\s*=\s*([^;]+)/ );
+
+	return {
+		nplurals: numberOfPluralFormsMatch ? Number( numberOfPluralFormsMatch[ 1 ] ) : null,
+		plural: pluralFormExpressionMatch ? pluralFormExpressionMatch[ 1 ].trim() : null
+	};
+}
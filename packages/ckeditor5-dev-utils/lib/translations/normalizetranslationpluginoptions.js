@@ -0,0 +1,35 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+/**
+ * Returns options of the CKEditor 5 translation plugins (e.g. the webpack and Rollup plugins) with default values set.
+ *
+ * @param {Object} [options] Plugin options.
+ * @returns {Object}
+ */
+module.exports = function normalizeTranslationPluginOptions( options = {} ) {
+	return {
+		language: options.language,
+		additionalLanguages: options.additionalLanguages,
+		outputDirectory: options.outputDirectory || 'translations',
+		strict: !!options.strict,
+		verbose: !!options.verbose,
+		addMainLanguageTranslationsToAllAssets: !!options.addMainLanguageTranslationsToAllAssets,
+		buildAllTranslationsToSeparateFiles: !!options.buildAllTranslationsToSeparateFiles,
+		treeShakeTranslations: !!options.treeShakeTranslations,
+		outputFormat: options.outputFormat || 'script',
+		fallbackLanguages: options.fallbackLanguages || {},
+		sourceLanguage: options.sourceLanguage || null,
+		translationDirectories: options.translationDirectories || [],
+		overrideTranslationDirectories: options.overrideTranslationDirectories || [],
+		sourceFilesPattern: options.sourceFilesPattern || options.sourceFileRegexp ||
+			/[/\\]ckeditor5-[^/\\]+[/\\]src[/\\].+\.(js|jsx|ts|tsx)$/,
+		packageNamesPattern: options.packageNamesPattern || /[/\\]ckeditor5-[^/\\]+[/\\]/,
+		corePackagePattern: options.corePackagePattern || /[/\\]ckeditor5-core/,
+		corePackageSampleResourcePath: options.corePackageSampleResourcePath || '@ckeditor/ckeditor5-core/src/editor/editor.js'
+	};
+};
@@ -0,0 +1,107 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+/**
+ * Validates messages collected by `findMessages()` from many source files. It reports problems that cannot be found
+ * when a single `t()` call is checked:
+ *
+ * * `id-equal-to-other-message-string` - an explicit message id is equal to a string of a different message,
+ * * `conflicting-plural-forms` - messages with the same id define different plural forms.
+ *
+ * @param {Array.<Message>} messages Messages found in the source files.
+ * @returns {Array.<Diagnostic>}
+ */
+module.exports = function validateMessages( messages ) {
+	return [
+		...findIdsEqualToOtherMessageStrings( messages ),
+		...findConflictingPluralForms( messages )
+	];
+};
+
+// Matches `t( { string: 'Image', id: 'Save' } )` used together with `t( 'Save' )`.
+// Both messages would end up with the same id in the translation files.
+function findIdsEqualToOtherMessageStrings( messages ) {
+	const diagnostics = [];
+	const reportedIds = new Set();
+
+	// Messages without an explicit id (their id is equal to the string), mapped by the string.
+	const messagesByString = new Map();
+
+	for ( const message of messages ) {
+		if ( message.id === message.string && !messagesByString.has( message.string ) ) {
+			messagesByString.set( message.string, message );
+		}
+	}
+
+	for ( const message of messages ) {
+		if ( message.id === message.string || reportedIds.has( message.id ) ) {
+			continue;
+		}
+
+		const otherMessage = messagesByString.get( message.id );
+
+		if ( !otherMessage ) {
+			continue;
+		}
+
+		reportedIds.add( message.id );
+
+		diagnostics.push( createDiagnostic(
+			'id-equal-to-other-message-string',
+			`The message id '${ message.id }' (${ formatLocation( message ) }) is equal to the string ` +
+			`of a different message (${ formatLocation( otherMessage ) }).`,
+			message
+		) );
+	}
+
+	return diagnostics;
+}
+
+// Matches `t( { string: '%0 image', plural: '%0 images' } )` used together with
+// `t( { string: '%0 image', plural: '%0 pictures' } )` or `t( '%0 image' )`.
+function findConflictingPluralForms( messages ) {
+	const diagnostics = [];
+	const messagesById = new Map();
+
+	for ( const message of messages ) {
+		if ( !messagesById.has( message.id ) ) {
+			messagesById.set( message.id, [] );
+		}
+
+		messagesById.get( message.id ).push( message );
+	}
+
+	for ( const [ id, messagesWithId ] of messagesById ) {
+		const pluralForms = new Set( messagesWithId.map( message => message.plural || null ) );
+
+		if ( pluralForms.size < 2 ) {
+			continue;
+		}
+
+		const describedPluralForms = Array.from( pluralForms )
+			.map( plural => plural === null ? '<none>' : `'${ plural }'` )
+			.join( ', ' );
+
+		diagnostics.push( createDiagnostic(
+			'conflicting-plural-forms',
+			`The message '${ id }' has conflicting plural forms: ${ describedPluralForms } ` +
+			`(${ messagesWithId.map( formatLocation ).join( ', ' ) }).`,
+			messagesWithId[ 0 ]
+		) );
+	}
+
+	return diagnostics;
+}
+
+// The diagnostic points to the `t()` call of the given message.
+function createDiagnostic( code, message, { filePath, line, column, range } ) {
+	return { code, message, filePath, line, column, range };
+}
+
+function formatLocation( { filePath, line, column } ) {
+	return `${ filePath }:${ line }:${ column }`;
+}
@@ -0,0 +1,108 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const { expect } = require( 'chai' );
+const sinon = require( 'sinon' );
+
+describe( 'translations', () => {
+	describe( 'createTranslationLogger()', () => {
+		const sandbox = sinon.createSandbox();
+		let createTranslationLogger;
+
+		beforeEach( () => {
+			createTranslationLogger = require( '../../lib/translations/createtranslationlogger' );
+
+			sandbox.stub( console, 'error' );
+			sandbox.stub( console, 'warn' );
+			sandbox.stub( console, 'log' );
+		} );
+
+		afterEach( () => {
+			sandbox.restore();
+		} );
+
+		describe( 'emitError()', () => {
+			it( 'should log the error once', () => {
+				const logger = createTranslationLogger( 'FooPlugin', {} );
+
+				logger.emitError( 'Foo.' );
+				logger.emitError( 'Foo.' );
+
+				sinon.assert.calledOnce( console.error );
+				expect( console.error.firstCall.args[ 0 ] ).to.contain( '[FooPlugin] Error: Foo.' );
+			} );
+
+			it( 'should throw the error in the strict mode', () => {
+				const logger = createTranslationLogger( 'FooPlugin', { strict: true } );
+
+				expect( () => logger.emitError( 'Foo.' ) ).to.throw( /Foo\./ );
+				sinon.assert.notCalled( console.error );
+			} );
+		} );
+
+		describe( 'emitWarning()', () => {
+			it( 'should log the warning once in the verbose mode', () => {
+				const logger = createTranslationLogger( 'FooPlugin', { verbose: true } );
+
+				logger.emitWarning( 'Foo.' );
+				logger.emitWarning( 'Foo.' );
+
+				sinon.assert.calledOnce( console.warn );
+				expect( console.warn.firstCall.args[ 0 ] ).to.contain( '[FooPlugin] Warning: Foo.' );
+			} );
+
+			it( 'should not log the warning when the verbose mode is off', () => {
+				const logger = createTranslationLogger( 'FooPlugin', {} );
+
+				logger.emitWarning( 'Foo.' );
+
+				sinon.assert.notCalled( console.warn );
+			} );
+		} );
+
+		describe( 'emitInfo()', () => {
+			it( 'should log the information once per compilation in the verbose mode', () => {
+				const logger = createTranslationLogger( 'FooPlugin', { verbose: true } );
+
+				logger.emitInfo( 'Foo.' );
+				logger.emitInfo( 'Foo.' );
+
+				sinon.assert.calledOnce( console.log );
+				sinon.assert.calledWithExactly( console.log, '[FooPlugin] Foo.' );
+			} );
+
+			it( 'should not log the information when the verbose mode is off', () => {
+				const logger = createTranslationLogger( 'FooPlugin', {} );
+
+				logger.emitInfo( 'Foo.' );
+
+				sinon.assert.notCalled( console.log );
+			} );
+
+			it( 'should log only the information that was not emitted in the previous compilation', () => {
+				const logger = createTranslationLogger( 'FooPlugin', { verbose: true } );
+
+				logger.startCompilation();
+				logger.emitInfo( 'Foo.' );
+
+				logger.startCompilation();
+				logger.emitInfo( 'Foo.' );
+				logger.emitInfo( 'Bar.' );
+
+				logger.startCompilation();
+
+				logger.startCompilation();
+				logger.emitInfo( 'Foo.' );
+
+				sinon.assert.calledThrice( console.log );
+				sinon.assert.calledWithExactly( console.log.firstCall, '[FooPlugin] Foo.' );
+				sinon.assert.calledWithExactly( console.log.secondCall, '[FooPlugin] Bar.' );
+				sinon.assert.calledWithExactly( console.log.thirdCall, '[FooPlugin] Foo.' );
+			} );
+		} );
+	} );
+} );
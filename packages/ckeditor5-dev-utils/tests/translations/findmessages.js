@@ -7,6 +7,7 @@
 
 const { expect } = require( 'chai' );
 const sinon = require( 'sinon' );
+const { omit } = require( 'lodash' );
 const findMessages = require( '../../lib/translations/findmessages' );
 
 describe( 'findMessages', () => {
@@ -16,6 +17,25 @@ describe( 'findMessages', () => {
 		sandbox.restore();
 	} );
 
+	it( 'should attach the source location of the `t()` call to every found message', () => {
+		const messages = [];
+
+		findMessages(
+			`function x() {
+				t( 'Image' );
+				const title = editor.t( x ? 'foo' : { string: 'bar' } );
+			}`,
+			'foo.js',
+			message => messages.push( message )
+		);
+
+		expect( messages ).to.deep.equal( [
+			{ id: 'Image', string: 'Image', filePath: 'foo.js', line: 2, column: 5, range: [ 19, 31 ] },
+			{ id: 'foo', string: 'foo', filePath: 'foo.js', line: 3, column: 19, range: [ 51, 92 ] },
+			{ id: 'bar', string: 'bar', filePath: 'foo.js', line: 3, column: 19, range: [ 51, 92 ] }
+		] );
+	} );
+
 	it( 'should parse provided code and find messages from `t()` function calls on string literals', () => {
 		const messages = [];
 
@@ -27,7 +47,7 @@ describe( 'findMessages', () => {
                 g( 'Some other function' );
 			}`,
 			'foo.js',
-			message => messages.push( message )
+			message => messages.push( omitLocation( message ) )
 		);
 
 		expect( messages ).to.deep.equal( [ { id: 'Image', string: 'Image' }, { id: 'CKEditor', string: 'CKEditor' } ] );
@@ -41,18 +61,18 @@ describe( 'findMessages', () => {
                 const t = this.t;
                 t( { string: 'Image' } );
                 t( { string: 'Image', id: 'AN_IMAGE' } );
-                t( { string: 'Image', plural: 'Images' } );
-                t( { string: 'Image', plural: 'Images', id: 'AN_IMAGE' } );
+                t( { string: 'Image', plural: '%0 images' } );
+                t( { string: 'Image', plural: '%0 images', id: 'AN_IMAGE' } );
 			}`,
 			'foo.js',
-			message => messages.push( message )
+			message => messages.push( omitLocation( message ) )
 		);
 
 		expect( messages ).to.deep.equal( [
 			{ id: 'Image', string: 'Image' },
 			{ id: 'AN_IMAGE', string: 'Image' },
-			{ id: 'Image', string: 'Image', plural: 'Images' },
-			{ id: 'AN_IMAGE', string: 'Image', plural: 'Images' }
+			{ id: 'Image', string: 'Image', plural: '%0 images' },
+			{ id: 'AN_IMAGE', string: 'Image', plural: '%0 images' }
 		] );
 	} );
 
@@ -64,18 +84,18 @@ describe( 'findMessages', () => {
                 const t = this.t;
                 t( { 'string': 'Image' } );
                 t( { 'string': 'Image', 'id': 'AN_IMAGE' } );
-                t( { 'string': 'Image', 'plural': 'Images' } );
-                t( { 'string': 'Image', 'plural': 'Images', 'id': 'AN_IMAGE' } );
+                t( { 'string': 'Image', 'plural': '%0 images' } );
+                t( { 'string': 'Image', 'plural': '%0 images', 'id': 'AN_IMAGE' } );
 			}`,
 			'foo.js',
-			message => messages.push( message )
+			message => messages.push( omitLocation( message ) )
 		);
 
 		expect( messages ).to.deep.equal( [
 			{ id: 'Image', string: 'Image' },
 			{ id: 'AN_IMAGE', string: 'Image' },
-			{ id: 'Image', string: 'Image', plural: 'Images' },
-			{ id: 'AN_IMAGE', string: 'Image', plural: 'Images' }
+			{ id: 'Image', string: 'Image', plural: '%0 images' },
+			{ id: 'AN_IMAGE', string: 'Image', plural: '%0 images' }
 		] );
 	} );
 
@@ -90,7 +110,7 @@ describe( 'findMessages', () => {
                 t( x ? { string: 'Image', id: 'AN_IMAGE' } : { 'string': 'space', 'plural': '%0 spaces', 'id': 'SPACE' } );
 			}`,
 			'foo.js',
-			message => messages.push( message )
+			message => messages.push( omitLocation( message ) )
 		);
 
 		expect( messages ).to.deep.equal( [
@@ -105,6 +125,186 @@ describe( 'findMessages', () => {
 		] );
 	} );
 
+	it( 'should parse provided code and find messages inside the `t()` function calls on template literals', () => {
+		const messages = [];
+		const errors = [];
+
+		findMessages(
+			`function x() {
+				t( \`Image\` );
+				t( { string: \`Image\`, plural: \`%0 images\`, id: \`AN_IMAGE\` } );
+				t( \`Image \${ foo }\` );
+			}`,
+			'foo.js',
+			message => messages.push( omitLocation( message ) ),
+			error => errors.push( error )
+		);
+
+		expect( messages ).to.deep.equal( [
+			{ id: 'Image', string: 'Image' },
+			{ id: 'AN_IMAGE', string: 'Image', plural: '%0 images' }
+		] );
+		expect( errors ).to.deep.equal( [
+			'First t() call argument should be a string literal or an object literal (foo.js).'
+		] );
+	} );
+
+	it( 'should parse provided code and find messages inside the `t()` function calls on module-level string constants', () => {
+		const messages = [];
+		const errors = [];
+
+		findMessages(
+			`const IMAGE = 'Image';
+			const IMAGES = \`%0 images\`;
+			const IMAGE_ID = 'AN_IMAGE';
+			export const LINK = 'Link';
+			let TABLE = 'Table';
+
+			function x() {
+				t( IMAGE );
+				t( { string: IMAGE, plural: IMAGES, id: IMAGE_ID } );
+				t( LINK );
+				t( TABLE );
+			}`,
+			'foo.js',
+			message => messages.push( omitLocation( message ) ),
+			error => errors.push( error )
+		);
+
+		expect( messages ).to.deep.equal( [
+			{ id: 'Image', string: 'Image' },
+			{ id: 'AN_IMAGE', string: 'Image', plural: '%0 images' },
+			{ id: 'Link', string: 'Link' }
+		] );
+		expect( errors ).to.deep.equal( [
+			'First t() call argument should be a string literal or an object literal (foo.js).'
+		] );
+	} );
+
+	it( 'should not resolve the references to parameters and local variables that shadow module-level string constants', () => {
+		const messages = [];
+		const errors = [];
+
+		findMessages(
+			`const LABEL = 'Image';
+
+			function x( LABEL ) {
+				t( LABEL );
+			}
+
+			function y() {
+				const LABEL = 'Link';
+
+				t( { string: LABEL } );
+			}
+
+			function z() {
+				t( LABEL );
+			}`,
+			'foo.js',
+			message => messages.push( omitLocation( message ) ),
+			error => errors.push( error )
+		);
+
+		expect( messages ).to.deep.equal( [
+			{ id: 'Image', string: 'Image' }
+		] );
+		expect( errors ).to.deep.equal( [
+			'First t() call argument should be a string literal or an object literal (foo.js).',
+			'The \'string\' property of the t() call argument should be a string literal ' +
+			'or a reference to a string constant (foo.js:10:18).'
+		] );
+	} );
+
+	it( 'should parse provided code written with the latest ECMAScript syntax', () => {
+		const messages = [];
+
+		findMessages(
+			`class Foo {
+				static defaultName = 'foo';
+				#bar = 1;
+
+				#getTitle() {
+					return this.editor?.locale?.t( 'Title' ) ?? t( { string: 'Default title' } );
+				}
+
+				async *items() {
+					const { t, ...rest } = this.editor.locale;
+
+					yield t( 'Item' );
+					yield await import( './foo.js' );
+				}
+			}`,
+			'foo.js',
+			message => messages.push( omitLocation( message ) )
+		);
+
+		expect( messages ).to.deep.equal( [
+			{ id: 'Title', string: 'Title' },
+			{ id: 'Default title', string: 'Default title' },
+			{ id: 'Item', string: 'Item' }
+		] );
+	} );
+
+	it( 'should parse provided code written in TypeScript', () => {
+		const messages = [];
+		const errors = [];
+
+		findMessages(
+			`import type { Locale } from './locale';
+
+			const IMAGE: string = 'Image';
+
+			export default class Foo<T> {
+				private readonly locale!: Locale;
+
+				public render( items: Array<T> ): void {
+					const t = this.locale.t;
+
+					t( IMAGE );
+					t( 'Link' as string );
+					t( <string>'Table' );
+					this.locale.t( { string: 'Item', plural: '%0 items' } );
+				}
+			}`,
+			'foo.ts',
+			message => messages.push( omitLocation( message ) ),
+			error => errors.push( error )
+		);
+
+		expect( messages ).to.deep.equal( [
+			{ id: 'Image', string: 'Image' },
+			{ id: 'Link', string: 'Link' },
+			{ id: 'Table', string: 'Table' },
+			{ id: 'Item', string: 'Item', plural: '%0 items' }
+		] );
+		expect( errors ).to.deep.equal( [] );
+	} );
+
+	it( 'should parse provided code containing JSX syntax', () => {
+		const jsxSource = `export default function Button( { locale } ) {
+			const { t } = locale;
+
+			return <button title={ t( 'Save' ) }>{ t( 'Save changes' ) }</button>;
+		}`;
+
+		for ( const fileName of [ 'foo.jsx', 'foo.tsx' ] ) {
+			const messages = [];
+
+			findMessages( jsxSource, fileName, message => messages.push( omitLocation( message ) ) );
+
+			expect( messages ).to.deep.equal( [
+				{ id: 'Save', string: 'Save' },
+				{ id: 'Save changes', string: 'Save changes' }
+			] );
+		}
+	} );
+
+	it( 'should not parse the JSX syntax in `.js` files', () => {
+		expect( () => findMessages( 'const button = <button>{ t( \'Save\' ) }</button>;', 'foo.js', () => {} ) )
+			.to.throw( SyntaxError );
+	} );
+
 	it( 'should omit invalid t() calls', () => {
 		const messages = [];
 		const errors = [];
@@ -115,7 +315,7 @@ describe( 'findMessages', () => {
                 t( { bar: {} } );
 			}`,
 			'foo.js',
-			message => messages.push( message ),
+			message => messages.push( omitLocation( message ) ),
 			error => errors.push( error )
 		);
 
@@ -123,30 +323,297 @@ describe( 'findMessages', () => {
 		expect( errors ).to.have.length( 2 );
 	} );
 
-	it( 'should log warnings for method `t` calls', () => {
+	it( 'should report a diagnostic when the object literal does not contain the `string` property', () => {
+		const messages = [];
+		const diagnostics = [];
+
+		findMessages(
+			'editor.t( { id: \'AN_IMAGE\' } );',
+			'foo.js',
+			message => messages.push( message ),
+			( error, diagnostic ) => diagnostics.push( diagnostic )
+		);
+
+		expect( messages ).to.deep.equal( [] );
+		expect( diagnostics ).to.deep.equal( [ {
+			code: 'missing-string-property',
+			message: 'The t() call argument should contain the \'string\' property (foo.js:1:11).',
+			filePath: 'foo.js',
+			line: 1,
+			column: 11,
+			range: [ 10, 28 ]
+		} ] );
+	} );
+
+	it( 'should report a diagnostic for every property of the object literal that is not a string literal', () => {
+		const messages = [];
+		const errors = [];
+		const diagnostics = [];
+
+		findMessages(
+			`t( { string: foo, plural: 5 } );
+			t( { string: 'Image', id: \`IMAGE_\${ bar }\` } );`,
+			'foo.js',
+			message => messages.push( message ),
+			( error, diagnostic ) => {
+				errors.push( error );
+				diagnostics.push( diagnostic );
+			}
+		);
+
+		expect( messages ).to.deep.equal( [] );
+		expect( diagnostics.map( diagnostic => diagnostic.code ) ).to.deep.equal( [
+			'non-literal-value',
+			'non-literal-value',
+			'non-literal-value'
+		] );
+		expect( diagnostics.map( diagnostic => diagnostic.range ) ).to.deep.equal( [
+			[ 13, 16 ],
+			[ 26, 27 ],
+			[ 62, 78 ]
+		] );
+		expect( errors ).to.deep.equal( [
+			'The \'string\' property of the t() call argument should be a string literal ' +
+			'or a reference to a string constant (foo.js:1:14).',
+			'The \'plural\' property of the t() call argument should be a string literal ' +
+			'or a reference to a string constant (foo.js:1:27).',
+			'The \'id\' property of the t() call argument should be a string literal ' +
+			'or a reference to a string constant (foo.js:2:30).'
+		] );
+	} );
+
+	it( 'should report a diagnostic when the `plural` property does not use a placeholder', () => {
+		const messages = [];
+		const diagnostics = [];
+
+		findMessages(
+			't( { string: \'Image\', plural: \'Images\' } );',
+			'foo.js',
+			message => messages.push( omitLocation( message ) ),
+			( error, diagnostic ) => diagnostics.push( diagnostic )
+		);
+
+		expect( messages ).to.deep.equal( [
+			{ id: 'Image', string: 'Image', plural: 'Images' }
+		] );
+		expect( diagnostics ).to.deep.equal( [ {
+			code: 'plural-without-placeholder',
+			message: 'The \'plural\' property of the t() call argument should use a placeholder for the quantity, e.g. \'%0\' ' +
+				'(foo.js:1:31).',
+			filePath: 'foo.js',
+			line: 1,
+			column: 31,
+			range: [ 30, 38 ]
+		} ] );
+	} );
+
+	it( 'should report a diagnostic when the `t()` function is called without arguments', () => {
+		const diagnostics = [];
+
+		findMessages( 't();', 'foo.js', () => {}, ( error, diagnostic ) => diagnostics.push( diagnostic ) );
+
+		expect( diagnostics.map( diagnostic => diagnostic.code ) ).to.deep.equal( [ 'invalid-argument' ] );
+	} );
+
+	it( 'should parse provided code and find messages inside the method `t()` calls', () => {
 		const messages = [];
 		const errors = [];
 
 		findMessages(
 			`function x() {
 				foo.bar( 'baz' );
-                editor.t( 'First call' );
-                this.t( 'Second call' );
-                locale.t( 'Second call' );
+				editor.t( 'First call' );
+				this.t( 'Second call' );
+				locale.t( 'Third call' );
+				this.editor.t( { string: 'Image', plural: '%0 images' } );
+				editor.locale.t( 'Fifth call' );
+				foo[ 't' ]( 'Computed call' );
 			}`,
 			'foo.js',
-			message => messages.push( message ),
+			message => messages.push( omitLocation( message ) ),
+			error => errors.push( error )
+		);
+
+		expect( messages ).to.deep.equal( [
+			{ id: 'First call', string: 'First call' },
+			{ id: 'Second call', string: 'Second call' },
+			{ id: 'Third call', string: 'Third call' },
+			{ id: 'Image', string: 'Image', plural: '%0 images' },
+			{ id: 'Fifth call', string: 'Fifth call' }
+		] );
+		expect( errors ).to.deep.equal( [] );
+	} );
+
+	it( 'should ignore the `this.t()` calls with dynamic arguments and the `t()` calls of other objects', () => {
+		const messages = [];
+		const errors = [];
+
+		findMessages(
+			`function x() {
+				this.t( x );
+				this.t();
+				i18n.t( key );
+				i18n.t( 'Foo' );
+				this.config.t( 'Bar' );
+				const translate = i18n.t;
+
+				translate( 'Baz' );
+			}`,
+			'foo.js',
+			message => messages.push( omitLocation( message ) ),
 			error => errors.push( error )
 		);
 
 		expect( messages ).to.deep.equal( [] );
-		expect( errors ).to.have.length( 2 );
+		expect( errors ).to.deep.equal( [] );
+	} );
+
+	it( 'should parse provided code and find messages inside calls of the destructured translate function', () => {
+		const messages = [];
+		const errors = [];
+
+		findMessages(
+			`function x() {
+				const { t: translate } = this.editor.locale;
+				const { locale, t: translateAgain = noop } = this;
+
+				translate( 'Image' );
+				translateAgain( 'Images' );
+			}`,
+			'foo.js',
+			message => messages.push( omitLocation( message ) ),
+			error => errors.push( error )
+		);
+
+		expect( messages ).to.deep.equal( [
+			{ id: 'Image', string: 'Image' },
+			{ id: 'Images', string: 'Images' }
+		] );
+		expect( errors ).to.deep.equal( [] );
+	} );
+
+	it( 'should parse provided code and find messages inside calls of the translate function aliases', () => {
+		const messages = [];
+		const errors = [];
+
+		findMessages(
+			`function x() {
+				const translate = editor.t;
+				const translateAgain = translate;
+				let localeTranslate;
+
+				localeTranslate = this.locale.t;
+
+				translate( 'Image' );
+				translateAgain( 'Link' );
+				localeTranslate( 'Table' );
+				notTranslate( 'Foo' );
+			}`,
+			'foo.js',
+			message => messages.push( omitLocation( message ) ),
+			error => errors.push( error )
+		);
+
+		expect( messages ).to.deep.equal( [
+			{ id: 'Image', string: 'Image' },
+			{ id: 'Link', string: 'Link' },
+			{ id: 'Table', string: 'Table' }
+		] );
+		expect( errors ).to.deep.equal( [] );
+	} );
+
+	it( 'should ignore the translate function destructured from objects other than the locale', () => {
+		const messages = [];
+
+		findMessages(
+			`function x() {
+				const { t: translate } = i18next;
+				const { t: translateAgain } = this.editor.config;
+
+				translate( 'Image' );
+				translateAgain( 'Link' );
+			}`,
+			'foo.js',
+			message => messages.push( omitLocation( message ) )
+		);
+
+		expect( messages ).to.deep.equal( [] );
+	} );
+
+	it( 'should resolve the translate function aliases using scopes', () => {
+		const messages = [];
+
+		findMessages(
+			`function x() {
+				translateLater( 'Image' );
+
+				function translateLater( message ) {
+					return translate( message );
+				}
+			}
+
+			function y() {
+				const translate = this.locale.t;
+
+				translate( 'Link' );
+			}
+
+			function z() {
+				translate( 'Table' );
+			}
+
+			const translate = locale.t;
+
+			function shadowed( translate ) {
+				translate( 'Foo' );
+			}`,
+			'foo.js',
+			message => messages.push( omitLocation( message ) ),
+			() => {}
+		);
+
+		expect( messages ).to.deep.equal( [
+			{ id: 'Link', string: 'Link' },
+			{ id: 'Table', string: 'Table' }
+		] );
+	} );
+
+	it( 'should not loop forever when the aliases refer to each other', () => {
+		const messages = [];
+
+		findMessages(
+			`let a, b;
+
+			a = b;
+			b = a;
+			a( 'Foo' );`,
+			'foo.js',
+			message => messages.push( omitLocation( message ) )
+		);
+
+		expect( messages ).to.deep.equal( [] );
+	} );
+
+	it( 'should log warnings when the aliased translate function is called with a dynamic argument', () => {
+		const messages = [];
+		const errors = [];
+
+		findMessages(
+			`function x() {
+				const { t } = editor.locale;
+
+				editor.t( getMessage() );
+				t( foo );
+			}`,
+			'foo.js',
+			message => messages.push( omitLocation( message ) ),
+			error => errors.push( error )
+		);
 
+		expect( messages ).to.deep.equal( [] );
 		expect( errors ).to.deep.equal( [
-			'Found \'editor.t()\' in the foo.js. ' +
-			'Only messages from direct \'t()\' calls will be handled by CKEditor 5 translation mechanisms.',
-			'Found \'locale.t()\' in the foo.js. ' +
-			'Only messages from direct \'t()\' calls will be handled by CKEditor 5 translation mechanisms.'
+			'First t() call argument should be a string literal or an object literal (foo.js).',
+			'First t() call argument should be a string literal or an object literal (foo.js).'
 		] );
 	} );
 
@@ -161,7 +628,7 @@ describe( 'findMessages', () => {
                 t( Image );
 			}`,
 			'foo.js',
-			message => messages.push( message ),
+			message => messages.push( omitLocation( message ) ),
 			error => errors.push( error )
 		);
 
@@ -170,3 +637,7 @@ describe( 'findMessages', () => {
 		] );
 	} );
 } );
+
+function omitLocation( message ) {
+	return omit( message, [ 'filePath', 'line', 'column', 'range' ] );
+}
@@ -0,0 +1,43 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const { expect } = require( 'chai' );
+const path = require( 'path' );
+
+describe( 'translations', () => {
+	describe( 'getPathToPackage()', () => {
+		const cwd = path.join( path.sep, 'workspace', 'project' );
+		const packageNamesPattern = /[/\\]ckeditor5-[^/\\]+[/\\]/;
+		let getPathToPackage;
+
+		beforeEach( () => {
+			getPathToPackage = require( '../../lib/translations/getpathtopackage' );
+		} );
+
+		it( 'should return the path to the package relative to the current working directory', () => {
+			const resource = path.join( cwd, 'node_modules', '@ckeditor', 'ckeditor5-ui', 'src', 'button.js' );
+
+			expect( getPathToPackage( cwd, resource, packageNamesPattern ) ).to.equal(
+				path.join( 'node_modules', '@ckeditor', 'ckeditor5-ui' ) + path.sep
+			);
+		} );
+
+		it( 'should return the path to the first matched package', () => {
+			const resource = path.join( cwd, 'packages', 'ckeditor5-foo', 'node_modules', 'ckeditor5-bar', 'src', 'bar.js' );
+
+			expect( getPathToPackage( cwd, resource, packageNamesPattern ) ).to.equal(
+				path.join( 'packages', 'ckeditor5-foo' ) + path.sep
+			);
+		} );
+
+		it( 'should return null when the resource does not come from a CKEditor 5 package', () => {
+			const resource = path.join( cwd, 'src', 'app.js' );
+
+			expect( getPathToPackage( cwd, resource, packageNamesPattern ) ).to.equal( null );
+		} );
+	} );
+} );
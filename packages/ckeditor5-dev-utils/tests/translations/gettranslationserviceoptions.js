@@ -0,0 +1,67 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const { expect } = require( 'chai' );
+const path = require( 'path' );
+
+describe( 'translations', () => {
+	describe( 'getTranslationServiceOptions()', () => {
+		let getTranslationServiceOptions, normalizeTranslationPluginOptions;
+
+		beforeEach( () => {
+			getTranslationServiceOptions = require( '../../lib/translations/gettranslationserviceoptions' );
+			normalizeTranslationPluginOptions = require( '../../lib/translations/normalizetranslationpluginoptions' );
+		} );
+
+		it( 'should return options of the translation service', () => {
+			const options = normalizeTranslationPluginOptions( {
+				language: 'pl',
+				additionalLanguages: [ 'de' ],
+				translationDirectories: [ 'lang' ],
+				overrideTranslationDirectories: [ 'overrides' ]
+			} );
+
+			expect( getTranslationServiceOptions( options ) ).to.deep.equal( {
+				mainLanguage: 'pl',
+				compileAllLanguages: false,
+				additionalLanguages: [ 'de' ],
+				addMainLanguageTranslationsToAllAssets: false,
+				buildAllTranslationsToSeparateFiles: false,
+				treeShakeTranslations: false,
+				outputFormat: 'script',
+				fallbackLanguages: {},
+				sourceLanguage: null,
+				translationDirectories: [ path.resolve( 'lang' ) ],
+				overrideTranslationDirectories: [ path.resolve( 'overrides' ) ]
+			} );
+		} );
+
+		it( 'should compile all languages when `additionalLanguages` is set to `all`', () => {
+			const options = normalizeTranslationPluginOptions( { language: 'pl', additionalLanguages: 'all' } );
+			const serviceOptions = getTranslationServiceOptions( options );
+
+			expect( serviceOptions.compileAllLanguages ).to.equal( true );
+			expect( serviceOptions.additionalLanguages ).to.deep.equal( [] );
+		} );
+
+		it( 'should throw an error when `additionalLanguages` is a string other than `all`', () => {
+			const options = normalizeTranslationPluginOptions( { language: 'pl', additionalLanguages: 'abc' } );
+
+			expect( () => getTranslationServiceOptions( options ) ).to.throw(
+				'Error: The `additionalLanguages` option should be an array of language codes or `all`.'
+			);
+		} );
+
+		it( 'should throw an error when `outputFormat` is not supported', () => {
+			const options = normalizeTranslationPluginOptions( { language: 'pl', outputFormat: 'amd' } );
+
+			expect( () => getTranslationServiceOptions( options ) ).to.throw(
+				'Error: The `outputFormat` option should be set to `script`, `esm` or `json`.'
+			);
+		} );
+	} );
+} );
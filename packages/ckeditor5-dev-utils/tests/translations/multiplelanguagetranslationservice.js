@@ -108,6 +108,24 @@ describe( 'translations', () => {
 				sinon.assert.calledTwice( loadPoFileSpy );
 			} );
 
+			it( 'should load PO files of the fallback languages', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pt-br',
+					fallbackLanguages: { 'pt-br': [ 'pt' ] },
+					sourceLanguage: 'en'
+				} );
+
+				const loadPoFileSpy = sinon.stub( translationService, '_loadPoFile' );
+				const pathToTranslations = path.join( 'pathToPackage', 'lang', 'translations' );
+
+				filesAndDirs = [ pathToTranslations ];
+
+				translationService.loadPackage( 'pathToPackage' );
+
+				expect( loadPoFileSpy.args.map( args => args[ 0 ] ) ).to.deep.equal( [ 'pt-br', 'pt', 'en' ] );
+				expect( Array.from( translationService._languages ) ).to.deep.equal( [ 'pt-br' ] );
+			} );
+
 			it( 'should load all PO files for the current package and add languages to the language list', () => {
 				const translationService = new MultipleLanguageTranslationService( {
 					mainLanguage: 'pl',
@@ -174,6 +192,279 @@ describe( 'translations', () => {
 					'Save'
 				] );
 			} );
+
+			it( 'should collect source locations of found messages', () => {
+				const translationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl', additionalLanguages: [ 'de' ] } );
+				const source = 't( \'Cancel\' ), t( \'Save\' );\nt( \'Cancel\' );';
+				translationService.translateSource( source, 'file.js' );
+
+				expect( translationService._foundMessageLocations ).to.deep.equal( new Map( [
+					[ 'Cancel', new Set( [ 'file.js:1:1', 'file.js:2:1' ] ) ],
+					[ 'Save', new Set( [ 'file.js:1:16' ] ) ]
+				] ) );
+			} );
+
+			it( 'should replace messages found earlier in the same file', () => {
+				const translationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl' } );
+
+				translationService.translateSource( 't( \'Cancel\' ), t( \'Save\' );', 'file.js' );
+				translationService.translateSource( 't( \'Save\' );', 'other.js' );
+				translationService.translateSource( 't( \'Close\' );', 'file.js' );
+
+				expect( translationService._foundMessageIds ).to.deep.equal( new Set( [ 'Save', 'Close' ] ) );
+				expect( translationService._foundMessageLocations ).to.deep.equal( new Map( [
+					[ 'Save', new Set( [ 'other.js:1:1' ] ) ],
+					[ 'Close', new Set( [ 'file.js:1:1' ] ) ]
+				] ) );
+			} );
+		} );
+
+		describe( 'removeFoundMessages()', () => {
+			it( 'should remove messages found in the file and ids of messages that are not used in other files', () => {
+				const translationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl' } );
+
+				translationService.translateSource( 't( \'Cancel\' ), t( \'Save\' );', 'file.js' );
+				translationService.translateSource( 't( \'Save\' );', 'other.js' );
+
+				translationService.removeFoundMessages( 'file.js' );
+
+				expect( translationService._foundMessageIds ).to.deep.equal( new Set( [ 'Save' ] ) );
+				expect( translationService._foundMessageLocations ).to.deep.equal( new Map( [
+					[ 'Save', new Set( [ 'other.js:1:1' ] ) ]
+				] ) );
+				expect( translationService.getFoundMessages( 'file.js' ) ).to.deep.equal( [] );
+			} );
+
+			it( 'should do nothing for unknown files', () => {
+				const translationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl' } );
+
+				translationService.translateSource( 't( \'Save\' );', 'file.js' );
+				translationService.removeFoundMessages( 'other.js' );
+
+				expect( translationService._foundMessageIds ).to.deep.equal( new Set( [ 'Save' ] ) );
+			} );
+		} );
+
+		describe( 'getFoundMessages()', () => {
+			it( 'should return messages found in the source file', () => {
+				const translationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl' } );
+
+				translationService.translateSource( 't( \'Save\' ); t( \'Save\' );', 'file.js' );
+				translationService.translateSource( 't( \'Cancel\' );', 'other.js' );
+
+				expect( translationService.getFoundMessages( 'file.js' ).map( ( { id, line, column } ) => ( { id, line, column } ) ) )
+					.to.deep.equal( [
+						{ id: 'Save', line: 1, column: 1 },
+						{ id: 'Save', line: 1, column: 14 }
+					] );
+			} );
+
+			it( 'should return an empty array for unknown files', () => {
+				const translationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl' } );
+
+				expect( translationService.getFoundMessages( 'file.js' ) ).to.deep.equal( [] );
+			} );
+		} );
+
+		describe( 'addFoundMessages()', () => {
+			it( 'should register messages as if their source files were translated', () => {
+				const translationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl' } );
+
+				translationService.translateSource( 't( \'Save\' );', 'file.js' );
+
+				const messages = translationService.getFoundMessages( 'file.js' );
+				const restoredTranslationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl' } );
+
+				restoredTranslationService.addFoundMessages( messages );
+				restoredTranslationService.addFoundMessages( messages );
+
+				expect( restoredTranslationService._foundMessageIds ).to.deep.equal( new Set( [ 'Save' ] ) );
+				expect( restoredTranslationService._foundMessageLocations ).to.deep.equal( new Map( [
+					[ 'Save', new Set( [ 'file.js:1:1' ] ) ]
+				] ) );
+				expect( restoredTranslationService.getFoundMessages( 'file.js' ) ).to.deep.equal( messages );
+			} );
+		} );
+
+		describe( 'watching translation files', () => {
+			let pathToTranslationsDirectory, pathToPlTranslations, pathToDeTranslations;
+
+			beforeEach( () => {
+				pathToTranslationsDirectory = path.join( 'pathToPackage', 'lang', 'translations' );
+				pathToPlTranslations = path.join( pathToTranslationsDirectory, 'pl.po' );
+				pathToDeTranslations = path.join( pathToTranslationsDirectory, 'de.po' );
+
+				filesAndDirs = [ pathToTranslationsDirectory, pathToPlTranslations ];
+				fileContents = {
+					[ pathToPlTranslations ]: 'msgid "Save"\nmsgstr "Zapisz"\n\nmsgid "Cancel"\nmsgstr "Anuluj"\n',
+					[ pathToDeTranslations ]: 'msgid "Save"\nmsgstr "Speichern"\n'
+				};
+				dirContents = {
+					[ path.resolve( pathToTranslationsDirectory ) ]: [ 'pl.po', 'de.po' ]
+				};
+			} );
+
+			describe( 'getTranslationFiles()', () => {
+				it( 'should return absolute paths to loaded PO files', () => {
+					const translationService = new MultipleLanguageTranslationService( {
+						mainLanguage: 'pl',
+						additionalLanguages: [ 'de' ]
+					} );
+
+					translationService.loadPackage( 'pathToPackage' );
+
+					expect( translationService.getTranslationFiles() ).to.deep.equal( [ path.resolve( pathToPlTranslations ) ] );
+				} );
+			} );
+
+			describe( 'getTranslationDirectories()', () => {
+				it( 'should return absolute paths to existing translation directories', () => {
+					const translationService = new MultipleLanguageTranslationService( {
+						mainLanguage: 'pl',
+						translationDirectories: [ 'translations' ],
+						overrideTranslationDirectories: [ 'overrides' ]
+					} );
+
+					filesAndDirs.push( 'overrides' );
+
+					translationService.loadPackage( 'pathToPackage' );
+					translationService.loadPackage( 'otherPackage' );
+
+					expect( translationService.getTranslationDirectories() ).to.deep.equal( [
+						path.resolve( pathToTranslationsDirectory ),
+						path.resolve( 'overrides' )
+					] );
+				} );
+			} );
+
+			describe( 'invalidateTranslationFiles()', () => {
+				it( 'should reload translations from the changed PO file', () => {
+					const translationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl' } );
+
+					translationService.loadPackage( 'pathToPackage' );
+
+					fileContents[ pathToPlTranslations ] = 'msgid "Save"\nmsgstr "Zachowaj"\n';
+
+					translationService.invalidateTranslationFiles( [ path.resolve( pathToPlTranslations ) ] );
+
+					expect( translationService._translationDictionaries ).to.deep.equal( {
+						pl: { Save: [ 'Zachowaj' ] }
+					} );
+				} );
+
+				it( 'should keep translations of the language from other packages', () => {
+					const translationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl' } );
+					const pathToOtherPlTranslations = path.join( 'otherPackage', 'lang', 'translations', 'pl.po' );
+
+					filesAndDirs.push( pathToOtherPlTranslations );
+					fileContents[ pathToOtherPlTranslations ] = 'msgid "Bold"\nmsgstr "Pogrubienie"\n';
+
+					translationService.loadPackage( 'pathToPackage' );
+					translationService.loadPackage( 'otherPackage' );
+
+					fileContents[ pathToPlTranslations ] = 'msgid "Save"\nmsgstr "Zachowaj"\n';
+
+					translationService.invalidateTranslationFiles( [ path.resolve( pathToPlTranslations ) ] );
+
+					expect( translationService._translationDictionaries ).to.deep.equal( {
+						pl: { Save: [ 'Zachowaj' ], Bold: [ 'Pogrubienie' ] }
+					} );
+				} );
+
+				it( 'should drop translations from the removed PO file', () => {
+					const translationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl' } );
+
+					translationService.loadPackage( 'pathToPackage' );
+
+					filesAndDirs = [ pathToTranslationsDirectory ];
+
+					translationService.invalidateTranslationFiles( [ path.resolve( pathToPlTranslations ) ] );
+
+					expect( translationService._translationDictionaries ).to.deep.equal( {} );
+					expect( translationService.getTranslationFiles() ).to.deep.equal( [] );
+				} );
+
+				it( 'should load a PO file added to the translation directory', () => {
+					const translationService = new MultipleLanguageTranslationService( {
+						mainLanguage: 'pl',
+						additionalLanguages: [ 'de' ]
+					} );
+
+					translationService.loadPackage( 'pathToPackage' );
+
+					filesAndDirs.push( pathToDeTranslations );
+
+					translationService.invalidateTranslationFiles( [ path.resolve( pathToTranslationsDirectory ) ] );
+
+					expect( translationService._translationDictionaries.de ).to.deep.equal( { Save: [ 'Speichern' ] } );
+					expect( translationService.getTranslationFiles() ).to.deep.equal( [
+						path.resolve( pathToPlTranslations ),
+						path.resolve( pathToDeTranslations )
+					] );
+				} );
+
+				it( 'should add languages of new PO files when the `compileAllLanguages` option is set', () => {
+					const translationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl', compileAllLanguages: true } );
+
+					dirContents[ pathToTranslationsDirectory ] = [ 'pl.po' ];
+
+					translationService.loadPackage( 'pathToPackage' );
+
+					filesAndDirs.push( pathToDeTranslations );
+
+					translationService.invalidateTranslationFiles( [ path.resolve( pathToDeTranslations ) ] );
+
+					expect( translationService._languages ).to.deep.equal( new Set( [ 'pl', 'de' ] ) );
+					expect( translationService._translationDictionaries.de ).to.deep.equal( { Save: [ 'Speichern' ] } );
+				} );
+
+				it( 'should ignore PO files of languages that are not built', () => {
+					const translationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl' } );
+
+					translationService.loadPackage( 'pathToPackage' );
+
+					filesAndDirs.push( pathToDeTranslations );
+
+					translationService.invalidateTranslationFiles( [ path.resolve( pathToDeTranslations ) ] );
+
+					expect( translationService._translationDictionaries ).to.not.have.property( 'de' );
+				} );
+
+				it( 'should ignore other files', () => {
+					const translationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl' } );
+					const reloadLanguageSpy = sinon.spy( translationService, '_reloadLanguage' );
+
+					translationService.loadPackage( 'pathToPackage' );
+					translationService.invalidateTranslationFiles( [ path.resolve( 'src', 'foo.js' ), path.resolve( 'foo', 'pl.po' ) ] );
+
+					sinon.assert.notCalled( reloadLanguageSpy );
+				} );
+
+				it( 'should reload translations from the project-local and override directories', () => {
+					const translationService = new MultipleLanguageTranslationService( {
+						mainLanguage: 'pl',
+						translationDirectories: [ 'translations' ],
+						overrideTranslationDirectories: [ 'overrides' ]
+					} );
+					const pathToLocalPlTranslations = path.join( 'translations', 'pl.po' );
+					const pathToOverridePlTranslations = path.join( 'overrides', 'pl.po' );
+
+					filesAndDirs.push( 'translations', 'overrides', pathToLocalPlTranslations, pathToOverridePlTranslations );
+					fileContents[ pathToLocalPlTranslations ] = 'msgid "Bold"\nmsgstr "Pogrubienie"\n';
+					fileContents[ pathToOverridePlTranslations ] = 'msgid "Save"\nmsgstr "Zachowaj"\n';
+
+					translationService.loadPackage( 'pathToPackage' );
+					translationService._loadTranslationDirectories();
+
+					fileContents[ pathToOverridePlTranslations ] = 'msgid "Cancel"\nmsgstr "Porzuć"\n';
+
+					translationService.invalidateTranslationFiles( [ path.resolve( pathToOverridePlTranslations ) ] );
+
+					expect( translationService._localTranslationDictionaries ).to.deep.equal( { pl: { Bold: [ 'Pogrubienie' ] } } );
+					expect( translationService._overrideTranslationDictionaries ).to.deep.equal( { pl: { Cancel: [ 'Porzuć' ] } } );
+					expect( translationService._overrideSources ).to.deep.equal( { pl: { Cancel: pathToOverridePlTranslations } } );
+				} );
+			} );
 		} );
 
 		describe( 'getAssets()', () => {
@@ -215,6 +506,25 @@ describe( 'translations', () => {
 				expect( assets[ 1 ] ).to.have.property( 'outputBody' );
 			} );
 
+			it( 'should add translations for the main language to `.mjs` and `.cjs` assets', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pl',
+					addMainLanguageTranslationsToAllAssets: true
+				} );
+
+				translationService._foundMessageIds = new Set( [ 'Save' ] );
+				translationService._translationDictionaries = {
+					pl: { Save: [ 'Zapisz' ] }
+				};
+
+				const assets = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: [ 'ckeditor.mjs', 'ckeditor.cjs', 'ckeditor.css' ]
+				} );
+
+				expect( assets.map( asset => asset.outputPath ) ).to.deep.equal( [ 'ckeditor.mjs', 'ckeditor.cjs' ] );
+			} );
+
 			it( 'should return executable translation assets', () => {
 				const translationService = new MultipleLanguageTranslationService( {
 					mainLanguage: 'pl'
@@ -660,6 +970,38 @@ describe( 'translations', () => {
 				sinon.assert.calledWithExactly( warningSpy, 'A translation is missing for \'Save\' in the \'pl\' language.' );
 			} );
 
+			it( 'should emit a warning containing locations of the message if the translation is missing', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pl',
+					additionalLanguages: []
+				} );
+				const warningSpy = sinon.spy();
+
+				translationService.on( 'warning', warningSpy );
+
+				translationService.translateSource( 't( \'Cancel\' );\n\teditor.t( \'Save\' );', 'foo.js' );
+				translationService.translateSource( 't( \'Save\' );', 'bar.js' );
+
+				translationService._translationDictionaries = {
+					pl: {
+						Cancel: [ 'Anuluj' ]
+					}
+				};
+
+				translationService._pluralFormsRules = { pl: 'plural=(() => 0)' };
+
+				translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: [ 'ckeditor.js' ]
+				} );
+
+				sinon.assert.calledOnce( warningSpy );
+				sinon.assert.calledWithExactly(
+					warningSpy,
+					'A translation is missing for \'Save\' in the \'pl\' language. Used in: foo.js:2:2, bar.js:1:1.'
+				);
+			} );
+
 			it( 'should emit an error when there are multiple JS assets', () => {
 				const translationService = new MultipleLanguageTranslationService( { mainLanguage: 'pl', additionalLanguages: [] } );
 				const errorSpy = sinon.spy();
@@ -771,6 +1113,732 @@ describe( 'translations', () => {
 				expect( assets[ 0 ] ).to.have.property( 'outputBody' );
 			} );
 
+			it( 'should return ES module assets for all languages when the `outputFormat` is set to `esm`', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pl',
+					additionalLanguages: [ 'de' ],
+					outputFormat: 'esm'
+				} );
+
+				const errorSpy = sinon.spy();
+
+				translationService.on( 'error', errorSpy );
+
+				translationService._foundMessageIds = new Set( [
+					'Add %0 button',
+					'Cancel'
+				] );
+
+				translationService._translationDictionaries = {
+					pl: {
+						'Add %0 button': [ 'Dodaj przycisk', 'Dodaj %0 przyciski', 'Dodaj %0 przycisków' ],
+						Cancel: [ 'Anuluj' ]
+					},
+					de: {
+						Cancel: [ 'Abbrechen' ]
+					}
+				};
+
+				translationService._pluralFormsRules = {
+					pl: 'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2)'
+				};
+
+				const assets = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: [ 'ckeditor.js' ]
+				} );
+
+				sinon.assert.notCalled( errorSpy );
+
+				expect( assets ).to.deep.equal( [ {
+					outputPath: path.join( 'lang', 'pl.js' ),
+					outputBody:
+						'export const dictionary = ' +
+						'{"Add %0 button":["Dodaj przycisk","Dodaj %0 przyciski","Dodaj %0 przycisków"],Cancel:"Anuluj"};\n' +
+						'export const getPluralForm = ' +
+						'function(n){return (n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2);};\n' +
+						'export const fallbacks = {};\n' +
+						'export default { dictionary, getPluralForm, fallbacks };\n'
+				}, {
+					outputPath: path.join( 'lang', 'de.js' ),
+					outputBody:
+						'export const dictionary = {Cancel:"Abbrechen"};\n' +
+						'export const getPluralForm = null;\n' +
+						'export const fallbacks = {};\n' +
+						'export default { dictionary, getPluralForm, fallbacks };\n'
+				} ] );
+			} );
+
+			it( 'should return ES module assets that export the dictionary and the plural form function', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pl',
+					outputFormat: 'esm'
+				} );
+
+				translationService._foundMessageIds = new Set( [ 'Add %0 button' ] );
+
+				translationService._translationDictionaries = {
+					pl: {
+						'Add %0 button': [ 'Dodaj przycisk', 'Dodaj %0 przyciski', 'Dodaj %0 przycisków' ]
+					}
+				};
+
+				translationService._pluralFormsRules = {
+					pl: 'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2)'
+				};
+
+				const [ asset ] = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: []
+				} );
+
+				// Evaluate the module body after replacing the ES module syntax with assignments.
+				const exports = {};
+				const evaluate = new Function( 'exports', asset.outputBody // eslint-disable-line no-new-func
+					.replace( /export const (\w+) =/g, 'exports.$1 =' )
+					.replace( /export default .+/, '' )
+				);
+
+				evaluate( exports );
+
+				expect( exports.dictionary ).to.deep.equal( {
+					'Add %0 button': [ 'Dodaj przycisk', 'Dodaj %0 przyciski', 'Dodaj %0 przycisków' ]
+				} );
+
+				expect( exports.getPluralForm( 1 ) ).to.equal( 0 );
+				expect( exports.getPluralForm( 3 ) ).to.equal( 1 );
+				expect( exports.getPluralForm( 5 ) ).to.equal( 2 );
+			} );
+
+			it( 'should return JSON assets for all languages when the `outputFormat` is set to `json`', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pl',
+					additionalLanguages: [ 'de' ],
+					outputFormat: 'json'
+				} );
+
+				const errorSpy = sinon.spy();
+
+				translationService.on( 'error', errorSpy );
+
+				translationService._foundMessageIds = new Set( [
+					'Add %0 button',
+					'Cancel'
+				] );
+
+				translationService._translationDictionaries = {
+					pl: {
+						'Add %0 button': [ 'Dodaj przycisk', 'Dodaj %0 przyciski', 'Dodaj %0 przycisków' ],
+						Cancel: [ 'Anuluj' ]
+					},
+					de: {
+						Cancel: [ 'Abbrechen' ]
+					}
+				};
+
+				translationService._pluralFormsRules = {
+					pl: 'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2);'
+				};
+
+				const assets = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: [ 'ckeditor.js' ]
+				} );
+
+				sinon.assert.notCalled( errorSpy );
+
+				expect( assets.map( asset => asset.outputPath ) ).to.deep.equal( [
+					path.join( 'lang', 'pl.json' ),
+					path.join( 'lang', 'de.json' )
+				] );
+
+				expect( JSON.parse( assets[ 0 ].outputBody ) ).to.deep.equal( {
+					language: 'pl',
+					dictionary: {
+						'Add %0 button': [ 'Dodaj przycisk', 'Dodaj %0 przyciski', 'Dodaj %0 przycisków' ],
+						Cancel: 'Anuluj'
+					},
+					pluralForms: {
+						nplurals: 3,
+						plural: '(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2)'
+					},
+					fallbacks: {}
+				} );
+
+				expect( JSON.parse( assets[ 1 ].outputBody ) ).to.deep.equal( {
+					language: 'de',
+					dictionary: {
+						Cancel: 'Abbrechen'
+					},
+					pluralForms: null,
+					fallbacks: {}
+				} );
+			} );
+
+			it( 'should return JSON assets containing a plural forms rule that can be used to determine the plural form', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pl',
+					outputFormat: 'json'
+				} );
+
+				translationService._translationDictionaries = { pl: {} };
+				translationService._pluralFormsRules = {
+					pl: 'nplurals=3; plural=n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<12 || n%100>14) ? 1 : 2'
+				};
+
+				const [ asset ] = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: []
+				} );
+
+				const { pluralForms } = JSON.parse( asset.outputBody );
+				const getPluralForm = new Function( 'n', `return ${ pluralForms.plural };` ); // eslint-disable-line no-new-func
+
+				expect( pluralForms.nplurals ).to.equal( 3 );
+				expect( getPluralForm( 1 ) ).to.equal( 0 );
+				expect( getPluralForm( 22 ) ).to.equal( 1 );
+				expect( getPluralForm( 12 ) ).to.equal( 2 );
+			} );
+
+			it( 'should fill missing translations from the fallback languages', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pt-br',
+					fallbackLanguages: { 'pt-br': [ 'pt' ] },
+					sourceLanguage: 'en',
+					outputFormat: 'json'
+				} );
+
+				const warningSpy = sinon.spy();
+
+				translationService.on( 'warning', warningSpy );
+
+				translationService._foundMessageIds = new Set( [ 'Cancel', 'Close', 'Save', 'Undo' ] );
+
+				translationService._translationDictionaries = {
+					'pt-br': {
+						Save: [ 'Salvar' ],
+						Close: []
+					},
+					pt: {
+						Save: [ 'Guardar' ],
+						Cancel: [ 'Cancelar' ],
+						Close: [ 'Fechar' ]
+					},
+					en: {
+						Cancel: [ 'Cancel' ],
+						Undo: [ 'Undo' ]
+					}
+				};
+
+				const [ asset ] = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: []
+				} );
+
+				sinon.assert.notCalled( warningSpy );
+
+				expect( JSON.parse( asset.outputBody ) ).to.deep.equal( {
+					language: 'pt-br',
+					dictionary: {
+						Cancel: 'Cancelar',
+						Close: 'Fechar',
+						Save: 'Salvar',
+						Undo: 'Undo'
+					},
+					pluralForms: null,
+					fallbacks: {
+						Cancel: 'pt',
+						Close: 'pt',
+						Undo: 'en'
+					}
+				} );
+			} );
+
+			it( 'should not use fallback languages transitively', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pt-br',
+					fallbackLanguages: { 'pt-br': [ 'pt' ], pt: [ 'es' ] },
+					outputFormat: 'json'
+				} );
+
+				const warningSpy = sinon.spy();
+
+				translationService.on( 'warning', warningSpy );
+
+				translationService._foundMessageIds = new Set( [ 'Cancel' ] );
+				translationService._translationDictionaries = {
+					'pt-br': {},
+					pt: {},
+					es: { Cancel: [ 'Cancelar' ] }
+				};
+
+				const [ asset ] = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: []
+				} );
+
+				expect( JSON.parse( asset.outputBody ).dictionary ).to.deep.equal( {} );
+
+				sinon.assert.calledOnce( warningSpy );
+				sinon.assert.calledWithExactly( warningSpy, 'A translation is missing for \'Cancel\' in the \'pt-br\' language.' );
+			} );
+
+			it( 'should mark translations taken from the fallback languages in the script assets', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pt-br',
+					fallbackLanguages: { 'pt-br': [ 'pt' ] }
+				} );
+
+				translationService._foundMessageIds = new Set( [ 'Cancel', 'Save' ] );
+				translationService._translationDictionaries = {
+					'pt-br': { Save: [ 'Salvar' ] },
+					pt: { Cancel: [ 'Cancelar' ] }
+				};
+
+				const [ asset ] = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: [ 'ckeditor.js' ]
+				} );
+
+				eval( asset.outputBody );
+
+				expect( window.CKEDITOR_TRANSLATIONS[ 'pt-br' ].dictionary ).to.deep.equal( { Cancel: 'Cancelar', Save: 'Salvar' } );
+				expect( window.CKEDITOR_TRANSLATIONS[ 'pt-br' ].fallbacks ).to.deep.equal( { Cancel: 'pt' } );
+			} );
+
+			it( 'should export translations taken from the fallback languages in the ES module assets', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pt-br',
+					sourceLanguage: 'en',
+					outputFormat: 'esm'
+				} );
+
+				translationService._foundMessageIds = new Set( [ 'Cancel' ] );
+				translationService._translationDictionaries = {
+					en: { Cancel: [ 'Cancel' ] }
+				};
+
+				const [ asset ] = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: []
+				} );
+
+				expect( asset.outputBody ).to.equal(
+					'export const dictionary = {Cancel:"Cancel"};\n' +
+					'export const getPluralForm = null;\n' +
+					'export const fallbacks = {Cancel:"en"};\n' +
+					'export default { dictionary, getPluralForm, fallbacks };\n'
+				);
+			} );
+
+			it( 'should not take plural forms from the fallback language with a different number of plural forms', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pl',
+					sourceLanguage: 'en',
+					outputFormat: 'json'
+				} );
+
+				const warningSpy = sinon.spy();
+
+				translationService.on( 'warning', warningSpy );
+
+				translationService._foundMessageIds = new Set( [ '%0 image', '%0 link', 'Cancel' ] );
+				translationService._translationDictionaries = {
+					pl: {
+						'%0 link': [ '%0 link', '%0 linki', '%0 linków' ]
+					},
+					en: {
+						'%0 image': [ '%0 image', '%0 images' ],
+						'%0 link': [ '%0 link', '%0 links' ],
+						Cancel: [ 'Cancel' ]
+					}
+				};
+				translationService._pluralFormsRules = {
+					pl: 'nplurals=3; plural=(n==1 ? 0 : n%10>=2 && n%10<=4 && (n%100<10 || n%100>=20) ? 1 : 2);',
+					en: 'nplurals=2; plural=(n != 1);'
+				};
+
+				const [ asset ] = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: []
+				} );
+
+				const { dictionary, pluralForms, fallbacks } = JSON.parse( asset.outputBody );
+
+				expect( dictionary ).to.deep.equal( {
+					'%0 link': [ '%0 link', '%0 linki', '%0 linków' ],
+					Cancel: 'Cancel'
+				} );
+				expect( pluralForms.nplurals ).to.equal( 3 );
+				expect( fallbacks ).to.deep.equal( { Cancel: 'en' } );
+
+				sinon.assert.calledOnce( warningSpy );
+				sinon.assert.calledWithExactly( warningSpy, 'A translation is missing for \'%0 image\' in the \'pl\' language.' );
+			} );
+
+			it( 'should take plural forms from the fallback language with the same number of plural forms', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pt-br',
+					fallbackLanguages: { 'pt-br': [ 'pt' ] },
+					outputFormat: 'json'
+				} );
+
+				translationService._foundMessageIds = new Set( [ '%0 image' ] );
+				translationService._translationDictionaries = {
+					'pt-br': {},
+					pt: { '%0 image': [ '%0 imagem', '%0 imagens' ] }
+				};
+				translationService._pluralFormsRules = {
+					'pt-br': 'nplurals=2; plural=(n > 1);',
+					pt: 'nplurals=2; plural=(n != 1);'
+				};
+
+				const [ asset ] = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: []
+				} );
+
+				expect( JSON.parse( asset.outputBody ).dictionary ).to.deep.equal( {
+					'%0 image': [ '%0 imagem', '%0 imagens' ]
+				} );
+			} );
+
+			it( 'should use the plural forms rule of the fallback language when the language does not define it', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pt-br',
+					fallbackLanguages: { 'pt-br': [ 'pt' ] },
+					outputFormat: 'json'
+				} );
+
+				translationService._translationDictionaries = { 'pt-br': {} };
+				translationService._pluralFormsRules = { pt: 'nplurals=2; plural=(n != 1);' };
+
+				const [ asset ] = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: []
+				} );
+
+				expect( JSON.parse( asset.outputBody ).pluralForms ).to.deep.equal( { nplurals: 2, plural: '(n != 1)' } );
+			} );
+
+			it( 'should not use the source language as a fallback for itself', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'en',
+					sourceLanguage: 'en',
+					fallbackLanguages: { en: [ 'en' ] }
+				} );
+
+				expect( translationService._getFallbackChain( 'en' ) ).to.deep.equal( [] );
+				expect( translationService._getFallbackChain( 'pl' ) ).to.deep.equal( [ 'en' ] );
+			} );
+
+			it( 'should emit the number of messages filled by each fallback language', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pt-br',
+					additionalLanguages: [ 'pl' ],
+					fallbackLanguages: { 'pt-br': [ 'pt' ] },
+					sourceLanguage: 'en',
+					addMainLanguageTranslationsToAllAssets: true
+				} );
+
+				const infoSpy = sinon.spy();
+
+				translationService.on( 'info', infoSpy );
+
+				translationService._foundMessageIds = new Set( [ 'Cancel', 'Close', 'Save' ] );
+				translationService._translationDictionaries = {
+					'pt-br': {},
+					pl: { Cancel: [ 'Anuluj' ], Close: [ 'Zamknij' ], Save: [ 'Zapisz' ] },
+					pt: { Cancel: [ 'Cancelar' ], Close: [ 'Fechar' ] },
+					en: { Save: [ 'Save' ] }
+				};
+
+				// Translations for the main language are added to both assets, but the messages should be counted once.
+				translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: [ 'ckeditor.js', 'ckeditor2.js' ]
+				} );
+
+				sinon.assert.calledOnce( infoSpy );
+				sinon.assert.calledWithExactly(
+					infoSpy,
+					'Missing translations for the \'pt-br\' language were taken from fallback languages: 2 from \'pt\', 1 from \'en\'.'
+				);
+			} );
+
+			it( 'should build the language without its own translations when a fallback language has them', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pt-br',
+					fallbackLanguages: { 'pt-br': [ 'pt' ] }
+				} );
+
+				const errorSpy = sinon.spy();
+
+				translationService.on( 'error', errorSpy );
+
+				translationService._foundMessageIds = new Set( [ 'Cancel' ] );
+				translationService._translationDictionaries = {
+					pt: { Cancel: [ 'Cancelar' ] }
+				};
+
+				const [ asset ] = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: [ 'ckeditor.js' ]
+				} );
+
+				sinon.assert.notCalled( errorSpy );
+
+				eval( asset.outputBody );
+
+				expect( window.CKEDITOR_TRANSLATIONS[ 'pt-br' ].dictionary ).to.deep.equal( { Cancel: 'Cancelar' } );
+			} );
+
+			it( 'should load translations from the project-local directories', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pl',
+					translationDirectories: [ 'translations' ],
+					outputFormat: 'json'
+				} );
+
+				const pathToPackagePoFile = path.join( 'pathToPackage', 'lang', 'translations', 'pl.po' );
+				const pathToLocalPoFile = path.join( 'translations', 'pl.po' );
+
+				filesAndDirs = [ path.dirname( pathToPackagePoFile ), pathToPackagePoFile, 'translations', pathToLocalPoFile ];
+
+				fileContents = {
+					[ pathToPackagePoFile ]: 'msgid "Save"\nmsgstr "Zapisz"\n\nmsgid "Cancel"\nmsgstr "Anuluj"\n',
+					[ pathToLocalPoFile ]: 'msgid "Save"\nmsgstr "Zachowaj"\n\nmsgid "Insert emoji"\nmsgstr "Wstaw emoji"\n'
+				};
+
+				translationService._foundMessageIds = new Set( [ 'Cancel', 'Insert emoji', 'Save' ] );
+				translationService.loadPackage( 'pathToPackage' );
+
+				const [ asset ] = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: []
+				} );
+
+				expect( JSON.parse( asset.outputBody ).dictionary ).to.deep.equal( {
+					Cancel: 'Anuluj',
+					'Insert emoji': 'Wstaw emoji',
+					Save: 'Zachowaj'
+				} );
+			} );
+
+			it( 'should give the override directories precedence over packages and project-local directories', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pl',
+					translationDirectories: [ 'translations' ],
+					overrideTranslationDirectories: [ 'overrides', 'overrides2' ],
+					outputFormat: 'json'
+				} );
+
+				const pathToLocalPoFile = path.join( 'translations', 'pl.po' );
+				const pathToOverridePoFile = path.join( 'overrides', 'pl.po' );
+				const pathToOverride2PoFile = path.join( 'overrides2', 'pl.po' );
+
+				filesAndDirs = [
+					'translations', pathToLocalPoFile,
+					'overrides', pathToOverridePoFile,
+					'overrides2', pathToOverride2PoFile
+				];
+
+				fileContents = {
+					[ pathToLocalPoFile ]: [
+						'msgid "Save"', 'msgstr "Zapisz"', '',
+						'msgid "Cancel"', 'msgstr "Anuluj"', '',
+						'msgid "Close"', 'msgstr "Zamknij"', ''
+					].join( '\n' ),
+					[ pathToOverridePoFile ]: [
+						'msgid "Save"', 'msgstr "Zachowaj"', '',
+						'msgid "Cancel"', 'msgstr "Porzuć"', '',
+						'msgid "Close"', 'msgstr ""', ''
+					].join( '\n' ),
+					[ pathToOverride2PoFile ]: 'msgid "Save"\nmsgstr "Zapisz zmiany"\n'
+				};
+
+				translationService._foundMessageIds = new Set( [ 'Cancel', 'Close', 'Save' ] );
+
+				const [ asset ] = translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: []
+				} );
+
+				expect( JSON.parse( asset.outputBody ).dictionary ).to.deep.equal( {
+					Cancel: 'Porzuć',
+					Close: 'Zamknij',
+					Save: 'Zapisz zmiany'
+				} );
+			} );
+
+			it( 'should report which override replaced which upstream translation', () => {
+				const translationService = new MultipleLanguageTranslationService( {
+					mainLanguage: 'pl',
+					overrideTranslationDirectories: [ 'overrides' ],
+					outputFormat: 'json'
+				} );
+
+				const infoSpy = sinon.spy();
+
+				translationService.on( 'info', infoSpy );
+
+				const pathToPackagePoFile = path.join( 'pathToPackage', 'lang', 'translations', 'pl.po' );
+				const pathToOverridePoFile = path.join( 'overrides', 'pl.po' );
+
+				filesAndDirs = [ path.dirname( pathToPackagePoFile ), pathToPackagePoFile, 'overrides', pathToOverridePoFile ];
+
+				fileContents = {
+					[ pathToPackagePoFile ]: [
+						'msgid "Save"',
+						'msgstr "Zapisz"',
+						'',
+						'msgid "%0 file"',
+						'msgid_plural "%0 files"',
+						'msgstr[0] "%0 plik"',
+						'msgstr[1] "%0 pliki"',
+						'msgstr[2] "%0 plików"',
+						''
+					].join( '\n' ),
+					[ pathToOverridePoFile ]: [
+						'msgid "Save"',
+						'msgstr "Zachowaj"',
+						'',
+						'msgid "%0 file"',
+						'msgid_plural "%0 files"',
+						'msgstr[0] "%0 dokument"',
+						'msgstr[1] "%0 dokumenty"',
+						'msgstr[2] "%0 dokumentów"',
+						'',
+						'msgid "Unused"',
+						'msgstr "Nieużywany"',
+						'',
+						'msgid "Insert emoji"',
+						'msgstr "Wstaw emoji"',
+						''
+					].join( '\n' )
+				};
+
+				translationService._foundMessageIds = new Set( [ '%0 file', 'Insert emoji', 'Save' ] );
+				translationService.loadPackage( 'pathToPackage' );
+				translationService.getAssets( {
+					outputDirectory: 'lang',
+					compilationAssetNames: []
+				} );
+
+				expect( infoSpy.args.map( args => args[ 0 ] ) ).to.deep.equal( [
+					'The \'%0 file\' message in the \'pl\' language ("%0 plik", "%0 pliki", "%0 plików") ' +
+					`has been overridden by "%0 dokument", "%0 dokumenty", "%0 dokumentów" from ${ pathToOverridePoFile }.`,
+					`The 'Save' message in the 'pl' language ("Zapisz") has been overridden by "Zachowaj" from ${ pathToOverridePoFile }.`
+				] );
+			} );
+
+			describe( 'with the `treeShakeTranslations` option', () => {
+				let translationService, infoSpy, errorSpy;
+
+				beforeEach( () => {
+					translationService = new MultipleLanguageTranslationService( {
+						mainLanguage: 'pl',
+						additionalLanguages: [ 'de' ],
+						treeShakeTranslations: true
+					} );
+
+					infoSpy = sinon.spy();
+					errorSpy = sinon.spy();
+
+					translationService.on( 'info', infoSpy );
+					translationService.on( 'error', errorSpy );
+
+					translationService.translateSource( 't( \'Save\' ); t( \'Cancel\' );', 'editor.js' );
+					translationService.translateSource( 't( \'Cancel\' );', 'toolbar.js' );
+					translationService.translateSource( 't( \'Insert image\' );', 'image.js' );
+
+					translationService._translationDictionaries = {
+						pl: { Save: [ 'Zapisz' ], Cancel: [ 'Anuluj' ], 'Insert image': [ 'Wstaw obraz' ] },
+						de: { Save: [ 'Speichern' ], Cancel: [ 'Abbrechen' ], 'Insert image': [ 'Bild einfügen' ] }
+					};
+				} );
+
+				it( 'should add translations only for messages used by modules of each asset', () => {
+					const assets = translationService.getAssets( {
+						outputDirectory: 'lang',
+						compilationAssetNames: [ 'ckeditor.js', 'image.js', 'ckeditor.css' ],
+						assetSourceFiles: {
+							'ckeditor.js': [ 'editor.js', 'toolbar.js' ],
+							'image.js': [ 'image.js' ]
+						}
+					} );
+
+					sinon.assert.notCalled( errorSpy );
+
+					expect( assets.map( asset => asset.outputPath ) ).to.deep.equal( [
+						'ckeditor.js',
+						'image.js',
+						path.join( 'lang', 'de.js' )
+					] );
+
+					eval( assets[ 0 ].outputBody );
+					expect( window.CKEDITOR_TRANSLATIONS.pl.dictionary ).to.deep.equal( { Cancel: 'Anuluj', Save: 'Zapisz' } );
+
+					window = {};
+					eval( assets[ 1 ].outputBody );
+					expect( window.CKEDITOR_TRANSLATIONS.pl.dictionary ).to.deep.equal( { 'Insert image': 'Wstaw obraz' } );
+
+					// Additional languages are not tree-shaken.
+					window = {};
+					eval( assets[ 2 ].outputBody );
+					expect( window.CKEDITOR_TRANSLATIONS.de.dictionary ).to.deep.equal( {
+						Cancel: 'Abbrechen',
+						'Insert image': 'Bild einfügen',
+						Save: 'Speichern'
+					} );
+				} );
+
+				it( 'should not add translations to assets which modules do not use any message', () => {
+					const assets = translationService.getAssets( {
+						outputDirectory: 'lang',
+						compilationAssetNames: [ 'ckeditor.js', 'vendor.js' ],
+						assetSourceFiles: {
+							'ckeditor.js': [ 'editor.js' ],
+							'vendor.js': [ 'lodash.js' ]
+						}
+					} );
+
+					expect( assets.map( asset => asset.outputPath ) ).to.deep.equal( [ 'ckeditor.js', path.join( 'lang', 'de.js' ) ] );
+				} );
+
+				it( 'should add translations for all messages to assets with unknown source files', () => {
+					const assets = translationService.getAssets( {
+						outputDirectory: 'lang',
+						compilationAssetNames: [ 'ckeditor.js' ]
+					} );
+
+					eval( assets[ 0 ].outputBody );
+					expect( Object.keys( window.CKEDITOR_TRANSLATIONS.pl.dictionary ) ).to.deep.equal( [
+						'Cancel',
+						'Insert image',
+						'Save'
+					] );
+				} );
+
+				it( 'should emit the size of translations added to each asset', () => {
+					const assets = translationService.getAssets( {
+						outputDirectory: 'lang',
+						compilationAssetNames: [ 'ckeditor.js', 'image.js' ],
+						assetSourceFiles: {
+							'ckeditor.js': [ 'editor.js', 'toolbar.js' ],
+							'image.js': [ 'image.js' ]
+						}
+					} );
+
+					sinon.assert.calledOnce( infoSpy );
+					sinon.assert.calledWithExactly( infoSpy, [
+						'Translations for the \'pl\' language added to chunks:',
+						`ckeditor.js: ${ Buffer.byteLength( assets[ 0 ].outputBody ) } bytes (2 messages)`,
+						`image.js: ${ Buffer.byteLength( assets[ 1 ].outputBody ) } bytes (1 messages)`
+					].join( '\n' ) );
+				} );
+			} );
+
 			it( 'should use the `outputDirectory` option for translation assets generated as new files', () => {
 				const translationService = new MultipleLanguageTranslationService( {
 					mainLanguage: 'pl',
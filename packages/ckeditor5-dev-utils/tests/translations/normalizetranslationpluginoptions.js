@@ -0,0 +1,73 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const { expect } = require( 'chai' );
+
+describe( 'translations', () => {
+	describe( 'normalizeTranslationPluginOptions()', () => {
+		let normalizeTranslationPluginOptions;
+
+		beforeEach( () => {
+			normalizeTranslationPluginOptions = require( '../../lib/translations/normalizetranslationpluginoptions' );
+		} );
+
+		it( 'should set default values of options', () => {
+			const options = normalizeTranslationPluginOptions();
+
+			expect( options ).to.deep.include( {
+				language: undefined,
+				additionalLanguages: undefined,
+				outputDirectory: 'translations',
+				strict: false,
+				verbose: false,
+				addMainLanguageTranslationsToAllAssets: false,
+				buildAllTranslationsToSeparateFiles: false,
+				treeShakeTranslations: false,
+				outputFormat: 'script',
+				fallbackLanguages: {},
+				sourceLanguage: null,
+				translationDirectories: [],
+				overrideTranslationDirectories: [],
+				corePackageSampleResourcePath: '@ckeditor/ckeditor5-core/src/editor/editor.js'
+			} );
+
+			expect( options.sourceFilesPattern.test( '/ckeditor5-ui/src/button.ts' ) ).to.equal( true );
+			expect( options.sourceFilesPattern.test( '/ckeditor5-ui/tests/button.js' ) ).to.equal( false );
+			expect( options.packageNamesPattern.test( '/ckeditor5-ui/' ) ).to.equal( true );
+			expect( options.corePackagePattern.test( '/ckeditor5-core' ) ).to.equal( true );
+		} );
+
+		it( 'should use passed options', () => {
+			const sourceFilesPattern = /foo/;
+			const options = normalizeTranslationPluginOptions( {
+				language: 'pl',
+				additionalLanguages: 'all',
+				outputDirectory: 'lang',
+				strict: true,
+				verbose: 1,
+				outputFormat: 'esm',
+				sourceFilesPattern
+			} );
+
+			expect( options ).to.deep.include( {
+				language: 'pl',
+				additionalLanguages: 'all',
+				outputDirectory: 'lang',
+				strict: true,
+				verbose: true,
+				outputFormat: 'esm',
+				sourceFilesPattern
+			} );
+		} );
+
+		it( 'should accept the legacy `sourceFileRegexp` option', () => {
+			const sourceFileRegexp = /foo/;
+
+			expect( normalizeTranslationPluginOptions( { sourceFileRegexp } ).sourceFilesPattern ).to.equal( sourceFileRegexp );
+		} );
+	} );
+} );
@@ -0,0 +1,68 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const { expect } = require( 'chai' );
+const validateMessages = require( '../../lib/translations/validatemessages' );
+
+describe( 'translations', () => {
+	describe( 'validateMessages()', () => {
+		it( 'should return an empty array for valid messages', () => {
+			const diagnostics = validateMessages( [
+				{ id: 'Image', string: 'Image', filePath: 'foo.js', line: 1, column: 1 },
+				{ id: 'AN_IMAGE', string: 'Image', filePath: 'foo.js', line: 2, column: 1 },
+				{ id: '%0 images', string: '%0 image', plural: '%0 images', filePath: 'foo.js', line: 3, column: 1 },
+				{ id: '%0 images', string: '%0 image', plural: '%0 images', filePath: 'bar.js', line: 3, column: 1 }
+			] );
+
+			expect( diagnostics ).to.deep.equal( [] );
+		} );
+
+		it( 'should report a message id equal to a string of a different message', () => {
+			const diagnostics = validateMessages( [
+				{ id: 'Save', string: 'Image', filePath: 'foo.js', line: 1, column: 5, range: [ 4, 37 ] },
+				{ id: 'Save', string: 'Image', filePath: 'foo.js', line: 7, column: 5, range: [ 120, 153 ] },
+				{ id: 'Save', string: 'Save', filePath: 'bar.js', line: 2, column: 3, range: [ 20, 31 ] }
+			] );
+
+			expect( diagnostics ).to.deep.equal( [ {
+				code: 'id-equal-to-other-message-string',
+				message: 'The message id \'Save\' (foo.js:1:5) is equal to the string of a different message (bar.js:2:3).',
+				filePath: 'foo.js',
+				line: 1,
+				column: 5,
+				range: [ 4, 37 ]
+			} ] );
+		} );
+
+		it( 'should not report a message id equal to a string of a message with its own explicit id', () => {
+			const diagnostics = validateMessages( [
+				{ id: 'Save', string: 'Image', filePath: 'foo.js', line: 1, column: 5 },
+				{ id: 'SAVE_BUTTON', string: 'Save', filePath: 'bar.js', line: 2, column: 3 }
+			] );
+
+			expect( diagnostics ).to.deep.equal( [] );
+		} );
+
+		it( 'should report messages with the same id and conflicting plural forms', () => {
+			const diagnostics = validateMessages( [
+				{ id: '%0 image', string: '%0 image', plural: '%0 images', filePath: 'foo.js', line: 1, column: 5, range: [ 4, 52 ] },
+				{ id: '%0 image', string: '%0 image', plural: '%0 pictures', filePath: 'bar.js', line: 2, column: 3, range: [ 18, 68 ] },
+				{ id: '%0 image', string: '%0 image', filePath: 'baz.js', line: 3, column: 1, range: [ 40, 54 ] }
+			] );
+
+			expect( diagnostics ).to.deep.equal( [ {
+				code: 'conflicting-plural-forms',
+				message: 'The message \'%0 image\' has conflicting plural forms: \'%0 images\', \'%0 pictures\', <none> ' +
+					'(foo.js:1:5, bar.js:2:3, baz.js:3:1).',
+				filePath: 'foo.js',
+				line: 1,
+				column: 5,
+				range: [ 4, 52 ]
+			} ] );
+		} );
+	} );
+} );
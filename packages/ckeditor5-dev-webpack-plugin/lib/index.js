@@ -8,6 +8,8 @@
 const chalk = require( 'chalk' );
 const serveTranslations = require( './servetranslations' );
 const MultipleLanguageTranslationService = require( '@ckeditor/ckeditor5-dev-utils/lib/translations/multiplelanguagetranslationservice' );
+const normalizeTranslationPluginOptions = require( '@ckeditor/ckeditor5-dev-utils/lib/translations/normalizetranslationpluginoptions' );
+const getTranslationServiceOptions = require( '@ckeditor/ckeditor5-dev-utils/lib/translations/gettranslationserviceoptions' );
 
 /**
  * CKEditorWebpackPlugin, for now, consists only of the translation mechanism (@ckeditor/ckeditor5#624, @ckeditor/ckeditor5#387,
@@ -40,28 +42,29 @@ module.exports = class CKEditorWebpackPlugin {
 	 * @param {String} [options.outputDirectory='translations'] The output directory for the emitted translation files,
 	 * should be relative to the webpack context.
 	 * @param {Boolean} [options.strict] An option that make the plugin throw when the error is found during the compilation.
-	 * @param {Boolean} [options.verbose] An option that make this plugin log all warnings into the console.
+	 * @param {Boolean} [options.verbose] An option that make this plugin log all warnings and information (e.g. about translations
+	 * taken from fallback languages) into the console.
 	 * @param {Boolean} [options.addMainLanguageTranslationsToAllAssets] An option that allows outputting translations to more than one
 	 * JS asset.
 	 * @param {Boolean} [options.buildAllTranslationsToSeparateFiles] An option that makes all translations output to separate files.
 	 * @param {String} [options.sourceFilesPattern] An option that allows override the default pattern for CKEditor 5 source files.
 	 * @param {String} [options.packageNamesPattern] An option that allows override the default pattern for CKEditor 5 package names.
 	 * @param {String} [options.corePackagePattern] An option that allows override the default CKEditor 5 core package pattern.
+	 * @param {'script'|'esm'|'json'} [options.outputFormat='script'] The format of the emitted translation files. ES modules export
+	 * the dictionary and the plural form function instead of assigning them to the `window.CKEDITOR_TRANSLATIONS` global.
+	 * JSON files contain the dictionary and the plural forms rule and can be loaded at runtime.
+	 * @param {Object.<String,Array.<String>>} [options.fallbackLanguages] Fallback chains for languages, e.g. `{ 'pt-br': [ 'pt' ] }`.
+	 * Missing translations are taken from the first language in the chain that has them.
+	 * @param {String} [options.sourceLanguage] A language that ends the fallback chain of every other language, e.g. `en`.
+	 * @param {Array.<String>} [options.translationDirectories] Project-local directories containing PO files (e.g. `pl.po`),
+	 * relative to the current working directory. Their translations take precedence over translations from packages.
+	 * @param {Array.<String>} [options.overrideTranslationDirectories] Directories containing PO files with translations
+	 * that replace translations from packages and project-local directories, relative to the current working directory.
+	 * @param {Boolean} [options.treeShakeTranslations] An option that makes each JS asset get translations for the main language
+	 * only for messages used by modules of its chunk.
 	 */
 	constructor( options = {} ) {
-		this.options = {
-			language: options.language,
-			additionalLanguages: options.additionalLanguages,
-			outputDirectory: options.outputDirectory || 'translations',
-			strict: !!options.strict,
-			verbose: !!options.verbose,
-			addMainLanguageTranslationsToAllAssets: !!options.addMainLanguageTranslationsToAllAssets,
-			buildAllTranslationsToSeparateFiles: !!options.buildAllTranslationsToSeparateFiles,
-			sourceFilesPattern: options.sourceFileRegexp || /[/\\]ckeditor5-[^/\\]+[/\\]src[/\\].+\.js$/,
-			packageNamesPattern: options.packageNamesPattern || /[/\\]ckeditor5-[^/\\]+[/\\]/,
-			corePackagePattern: options.corePackagePattern || /[/\\]ckeditor5-core/,
-			corePackageSampleResourcePath: options.corePackageSampleResourcePath || '@ckeditor/ckeditor5-core/src/editor/editor.js'
-		};
+		this.options = normalizeTranslationPluginOptions( options );
 	}
 
 	apply( compiler ) {
@@ -73,35 +76,11 @@ module.exports = class CKEditorWebpackPlugin {
 			return;
 		}
 
-		const {
-			addMainLanguageTranslationsToAllAssets,
-			buildAllTranslationsToSeparateFiles,
-			language: mainLanguage
-		} = this.options;
-
-		let compileAllLanguages = false;
-		let additionalLanguages = this.options.additionalLanguages || [];
-
-		if ( typeof additionalLanguages == 'string' ) {
-			if ( additionalLanguages !== 'all' ) {
-				throw new Error( 'Error: The `additionalLanguages` option should be an array of language codes or `all`.' );
-			}
-
-			compileAllLanguages = true;
-			additionalLanguages = []; // They will be searched in runtime.
-		}
-
 		// Currently, there is only one strategy to build translation files.
 		// Though, bear in mind that there might be a need for a different build strategy in the future,
 		// hence the translation service is separated from the webpack-specific environment.
 		// See the TranslationService interface in the `servetranslation.js` file.
-		const translationService = new MultipleLanguageTranslationService( {
-			mainLanguage,
-			compileAllLanguages,
-			additionalLanguages,
-			addMainLanguageTranslationsToAllAssets,
-			buildAllTranslationsToSeparateFiles
-		} );
+		const translationService = new MultipleLanguageTranslationService( getTranslationServiceOptions( this.options ) );
 
 		serveTranslations( compiler, this.options, translationService );
 	}
@@ -5,15 +5,16 @@
 
 'use strict';
 
-const chalk = require( 'chalk' );
 const rimraf = require( 'rimraf' );
 const fs = require( 'fs' );
 const path = require( 'path' );
 const { RawSource, ConcatSource } = require( 'webpack-sources' );
+const createTranslationLogger = require( '@ckeditor/ckeditor5-dev-utils/lib/translations/createtranslationlogger' );
+const getPathToPackage = require( '@ckeditor/ckeditor5-dev-utils/lib/translations/getpathtopackage' );
 
 /**
  * Serve translations depending on the used translation service and passed options.
- * It takes care about whole Webpack compilation process and doesn't contain much logic that should be tested.
+ * It takes care about whole Webpack compilation process and supports both webpack 4 and webpack 5 APIs.
  *
  * See https://webpack.js.org/api/compiler/#event-hooks and https://webpack.js.org/api/compilation/ for details about specific hooks.
  *
@@ -21,7 +22,7 @@ const { RawSource, ConcatSource } = require( 'webpack-sources' );
  * @param {Object} options Translation options.
  * @param {String} options.outputDirectory The output directory for the emitted translation files, relative to the webpack context.
  * @param {Boolean} [options.strict] An option that make this function throw when the error is found during the compilation.
- * @param {Boolean} [options.verbose] An option that make this function log everything into the console.
+ * @param {Boolean} [options.verbose] An option that make this function log everything (warnings and information) into the console.
  * @param {String} [options.sourceFilesPattern] The source files pattern
  * @param {String} [options.packageNamesPattern] The package names pattern.
  * @param {String} [options.corePackagePattern] The core package pattern.
@@ -30,13 +31,12 @@ const { RawSource, ConcatSource } = require( 'webpack-sources' );
  */
 module.exports = function serveTranslations( compiler, options, translationService ) {
 	const cwd = process.cwd();
+	const { emitError, emitWarning, emitInfo, startCompilation } = createTranslationLogger( 'CKEditorWebpackPlugin', options );
 
-	// Provides translateSource function for the `translatesourceloader` loader.
-	const translateSource = ( source, sourceFile ) => translationService.translateSource( source, sourceFile );
-
-	// Watch for warnings and errors during translation process.
+	// Watch for warnings, errors and information (e.g. about used fallback translations) during translation process.
 	translationService.on( 'error', emitError );
 	translationService.on( 'warning', emitWarning );
+	translationService.on( 'info', emitInfo );
 
 	// Remove old translation files.
 	// Assert whether the translation output directory exists inside the cwd.
@@ -54,9 +54,10 @@ module.exports = function serveTranslations( compiler, options, translationServi
 
 	// Add core translations before `translateSourceLoader` starts translating.
 	compiler.hooks.normalModuleFactory.tap( 'CKEditor5Plugin', normalModuleFactory => {
-		const resolver = normalModuleFactory.getResolver( 'normal' );
+		// The `dependencyType` option is required by webpack 5 to apply the resolve options of ES modules.
+		const resolver = normalModuleFactory.getResolver( 'normal', { dependencyType: 'esm' } );
 
-		resolver.resolve( cwd, cwd, options.corePackageSampleResourcePath, {}, ( err, pathToResource ) => {
+		resolver.resolve( {}, cwd, options.corePackageSampleResourcePath, {}, ( err, pathToResource ) => {
 			if ( err ) {
 				console.warn( 'Cannot find the CKEditor 5 core translation package (which defaults to `@ckeditor/ckeditor5-core`).' );
 
@@ -69,108 +70,251 @@ module.exports = function serveTranslations( compiler, options, translationServi
 		} );
 	} );
 
-	// Load translation files and add a loader if the package match requirements.
-	compiler.hooks.compilation.tap( 'CKEditor5Plugin', compilation => {
-		compilation.hooks.normalModuleLoader.tap( 'CKEditor5Plugin', ( context, module ) => {
+	// Reload translations from PO files changed since the previous compilation in the watch mode.
+	let previousWatchRunTime = Date.now();
+
+	compiler.hooks.watchRun.tap( 'CKEditor5Plugin', () => {
+		const changedFiles = getChangedFiles( compiler, previousWatchRunTime );
+
+		previousWatchRunTime = Date.now();
+
+		translationService.invalidateTranslationFiles( changedFiles );
+	} );
+
+	// Watch loaded PO files and translation directories (to detect new PO files), so changes trigger a rebuild.
+	compiler.hooks.afterCompile.tap( 'CKEditor5Plugin', compilation => {
+		for ( const pathToPoFile of translationService.getTranslationFiles() ) {
+			compilation.fileDependencies.add( pathToPoFile );
+		}
+
+		for ( const pathToTranslationDirectory of translationService.getTranslationDirectories() ) {
+			compilation.contextDependencies.add( pathToTranslationDirectory );
+		}
+	} );
+
+	// Source files of modules from the previous compilation. Messages of files that are no longer a part of the compilation
+	// (e.g. removed imports in the watch mode) are removed from the translation service.
+	let previousSourceFiles = new Set();
+
+	// The `thisCompilation` hook is not called for child compilations (e.g. the ones created by the `mini-css-extract-plugin`),
+	// which should not get translation assets.
+	compiler.hooks.thisCompilation.tap( 'CKEditor5Plugin', compilation => {
+		// Reports (e.g. about translations taken from fallback languages) are emitted in every compilation,
+		// so in the watch mode only the changed ones are printed.
+		startCompilation();
+
+		// Add a loader if the source file match requirements.
+		getLoaderHook( compiler, compilation ).tap( 'CKEditor5Plugin', ( context, module ) => {
 			const relativePathToResource = path.relative( cwd, module.resource );
 
 			if ( relativePathToResource.match( options.sourceFilesPattern ) ) {
 				module.loaders.push( {
 					loader: path.join( __dirname, 'translatesourceloader.js' ),
-					options: { translateSource }
-				} );
+					options: {
+						// Provides translateSource function for the `translatesourceloader` loader. Found messages are stored
+						// in the module's build info, so they are available when the module is restored from the cache.
+						translateSource( source, sourceFile ) {
+							const translatedSource = translationService.translateSource( source, sourceFile );
 
-				const pathToPackage = getPathToPackage( cwd, module.resource, options.packageNamesPattern );
+							module.buildInfo.ckeditor5Messages = translationService.getFoundMessages( sourceFile );
 
-				translationService.loadPackage( pathToPackage );
+							return translatedSource;
+						}
+					}
+				} );
 			}
 		} );
 
-		// At the end of the compilation add assets generated from the PO files.
-		// Use `optimize-chunk-assets` instead of `emit` to emit assets before the `webpack.BannerPlugin`.
-		compilation.hooks.optimizeChunkAssets.tap( 'CKEditor5Plugin', chunks => {
-			if(chunks.length === 1 && chunks[0].name === 'mini-css-extract-plugin') {
-				return 
-			}
-			
-			const generatedAssets = translationService.getAssets( {
-				outputDirectory: options.outputDirectory,
-				compilationAssetNames: Object.keys( compilation.assets )
-			} );
+		// Load translation files and collect messages of all modules, including modules that were not built during
+		// this compilation because they were restored from the cache (e.g. `cache: { type: 'filesystem' }` in webpack 5).
+		compilation.hooks.finishModules.tap( 'CKEditor5Plugin', modules => {
+			const sourceFiles = new Set();
 
-			const allFiles = chunks.reduce( ( acc, chunk ) => [ ...acc, ...chunk.files ], [] );
+			for ( const module of modules ) {
+				if ( !module.resource || !path.relative( cwd, module.resource ).match( options.sourceFilesPattern ) ) {
+					continue;
+				}
 
-			for ( const asset of generatedAssets ) {
-				if ( asset.shouldConcat ) {
-					// Concatenate sources to not break the file's sourcemap.
-					const originalAsset = compilation.assets[ asset.outputPath ];
+				sourceFiles.add( module.resource.split( '?' )[ 0 ] );
 
-					compilation.assets[ asset.outputPath ] = new ConcatSource( asset.outputBody, '\n', originalAsset );
-				} else {
-					const chunkExists = allFiles.includes( asset.outputPath );
+				const pathToPackage = getPathToPackage( cwd, module.resource, options.packageNamesPattern );
 
-					if ( !chunkExists ) {
-						// Assign `RawSource` when the corresponding chunk does not exist.
-						compilation.assets[ asset.outputPath ] = new RawSource( asset.outputBody );
-					} else {
-						// Assign a string when the corresponding chunk exists and maintains the proper sourcemap.
-						// Changing it to RawSource would break sourcemaps.
-						compilation.assets[ asset.outputPath ] = asset.outputBody;
-					}
+				if ( pathToPackage ) {
+					translationService.loadPackage( pathToPackage );
+				}
+
+				if ( module.buildInfo && module.buildInfo.ckeditor5Messages ) {
+					translationService.addFoundMessages( module.buildInfo.ckeditor5Messages );
 				}
 			}
+
+			for ( const sourceFile of previousSourceFiles ) {
+				if ( !sourceFiles.has( sourceFile ) ) {
+					translationService.removeFoundMessages( sourceFile );
+				}
+			}
+
+			previousSourceFiles = sourceFiles;
 		} );
+
+		// At the end of the compilation add assets generated from the PO files.
+		if ( compilation.hooks.processAssets ) {
+			// Webpack 5. Use the stage before the `webpack.BannerPlugin` and assets optimizations.
+			compilation.hooks.processAssets.tap( {
+				name: 'CKEditor5Plugin',
+				stage: compiler.webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL
+			}, () => {
+				const chunks = Array.from( compilation.chunks );
+
+				for ( const asset of getTranslationAssets( compilation, chunks ) ) {
+					emitTranslationAsset( compilation, asset );
+				}
+			} );
+		} else {
+			// Webpack 4. Use `optimize-chunk-assets` instead of `emit` to emit assets before the `webpack.BannerPlugin`.
+			compilation.hooks.optimizeChunkAssets.tap( 'CKEditor5Plugin', chunks => {
+				for ( const asset of getTranslationAssets( compilation, chunks ) ) {
+					assignTranslationAsset( compilation, chunks, asset );
+				}
+			} );
+		}
 	} );
 
-	// A set of unique messages that prevents message duplications.
-	const uniqueMessages = new Set();
+	function getTranslationAssets( compilation, chunks ) {
+		return translationService.getAssets( {
+			outputDirectory: options.outputDirectory,
+			compilationAssetNames: Object.keys( compilation.assets ),
+			assetSourceFiles: getAssetSourceFiles( compilation, chunks )
+		} );
+	}
+
+	// Adds the asset using the webpack 5 API, which keeps the asset info.
+	function emitTranslationAsset( compilation, asset ) {
+		// Sources must come from the `webpack-sources` version used by webpack.
+		const { RawSource, ConcatSource } = compiler.webpack.sources;
+
+		if ( asset.shouldConcat ) {
+			// Concatenate sources to not break the file's sourcemap.
+			compilation.updateAsset( asset.outputPath, originalAsset => new ConcatSource( asset.outputBody, '\n', originalAsset ) );
 
-	function emitError( error ) {
-		if ( uniqueMessages.has( error ) ) {
 			return;
 		}
 
-		uniqueMessages.add( error );
+		const source = new RawSource( asset.outputBody );
 
-		if ( options.strict ) {
-			throw new Error( chalk.red( error ) );
+		if ( compilation.getAsset( asset.outputPath ) ) {
+			compilation.updateAsset( asset.outputPath, source );
+		} else {
+			compilation.emitAsset( asset.outputPath, source, {
+				// Let minimizers know that ES module translation files should be parsed as modules.
+				javascriptModule: options.outputFormat === 'esm'
+			} );
 		}
-
-		console.error( chalk.red( `[CKEditorWebpackPlugin] Error: ${ error }` ) );
 	}
 
-	function emitWarning( warning ) {
-		if ( uniqueMessages.has( warning ) ) {
-			return;
+	function assignTranslationAsset( compilation, chunks, asset ) {
+		if ( asset.shouldConcat ) {
+			// Concatenate sources to not break the file's sourcemap.
+			const originalAsset = compilation.assets[ asset.outputPath ];
+
+			compilation.assets[ asset.outputPath ] = new ConcatSource( asset.outputBody, '\n', originalAsset );
+		} else {
+			const chunkExists = chunks.some( chunk => Array.from( chunk.files ).includes( asset.outputPath ) );
+
+			if ( !chunkExists ) {
+				// Assign `RawSource` when the corresponding chunk does not exist.
+				compilation.assets[ asset.outputPath ] = new RawSource( asset.outputBody );
+			} else {
+				// Assign a string when the corresponding chunk exists and maintains the proper sourcemap.
+				// Changing it to RawSource would break sourcemaps.
+				compilation.assets[ asset.outputPath ] = asset.outputBody;
+			}
 		}
+	}
+};
+
+/**
+ * Returns the hook called before loaders are run for the module.
+ *
+ * @param {Object} compiler The webpack compiler.
+ * @param {Object} compilation The webpack compilation.
+ * @returns {Object}
+ */
+function getLoaderHook( compiler, compilation ) {
+	// The `normalModuleLoader` hook is deprecated in webpack 5.
+	if ( compiler.webpack && compiler.webpack.NormalModule.getCompilationHooks ) {
+		return compiler.webpack.NormalModule.getCompilationHooks( compilation ).loader;
+	}
+
+	return compilation.hooks.normalModuleLoader;
+}
+
+/**
+ * Returns absolute paths to files and directories changed since the previous compilation in the watch mode.
+ *
+ * @param {Object} compiler The webpack compiler.
+ * @param {Number} sinceTime The time of the previous compilation. Used by webpack 4, which provides only timestamps of files.
+ * @returns {Array.<String>}
+ */
+function getChangedFiles( compiler, sinceTime ) {
+	// Webpack 5 (changed files are not available in the first compilation).
+	if ( compiler.webpack ) {
+		return [ ...( compiler.modifiedFiles || [] ), ...( compiler.removedFiles || [] ) ];
+	}
 
-		uniqueMessages.add( warning );
+	const changedFiles = [];
 
-		if ( options.verbose ) {
-			console.warn( chalk.yellow( `[CKEditorWebpackPlugin] Warning: ${ warning }` ) );
+	for ( const timestamps of [ compiler.fileTimestamps, compiler.contextTimestamps ] ) {
+		for ( const [ file, timestamp ] of timestamps || [] ) {
+			if ( timestamp >= sinceTime ) {
+				changedFiles.push( file );
+			}
 		}
 	}
-};
+
+	return changedFiles;
+}
 
 /**
- * Return path to the package if the resource comes from `ckeditor5-*` package.
+ * Returns paths to source files of modules bundled in each chunk file, in the `fileName -> source files` format.
  *
- * @param {String} cwd Current working directory.
- * @param {String} resource Absolute path to the resource.
- * @returns {String|null}
+ * @param {Object} compilation The webpack compilation.
+ * @param {Array.<Object>} chunks Webpack chunks.
+ * @returns {Object.<String,Array.<String>>}
  */
-function getPathToPackage( cwd, resource, packageNamePattern ) {
-	const relativePathToResource = path.relative( cwd, resource );
+function getAssetSourceFiles( compilation, chunks ) {
+	const assetSourceFiles = {};
+
+	for ( const chunk of chunks ) {
+		const sourceFiles = [];
+		const modules = compilation.chunkGraph ? compilation.chunkGraph.getChunkModulesIterable( chunk ) : chunk.modulesIterable;
 
-	const match = relativePathToResource.match( packageNamePattern );
+		for ( const module of modules ) {
+			sourceFiles.push( ...getModuleSourceFiles( module ) );
+		}
 
-	if ( !match ) {
-		return null;
+		for ( const fileName of chunk.files ) {
+			assetSourceFiles[ fileName ] = [ ...( assetSourceFiles[ fileName ] || [] ), ...sourceFiles ];
+		}
 	}
 
-	const index = relativePathToResource.search( packageNamePattern ) + match[ 0 ].length;
+	return assetSourceFiles;
+}
 
-	return relativePathToResource.slice( 0, index );
+/**
+ * Returns paths to source files of the module. Modules concatenated by the `ModuleConcatenationPlugin`
+ * consist of multiple modules.
+ *
+ * @param {Object} module Webpack module.
+ * @returns {Array.<String>}
+ */
+function getModuleSourceFiles( module ) {
+	if ( module.modules ) {
+		return module.modules.reduce( ( sourceFiles, innerModule ) => [ ...sourceFiles, ...getModuleSourceFiles( innerModule ) ], [] );
+	}
+
+	// Loaders get the resource path without the query.
+	return module.resource ? [ module.resource.split( '?' )[ 0 ] ] : [];
 }
 
 /**
@@ -196,6 +340,49 @@ function getPathToPackage( cwd, resource, packageNamePattern ) {
  * @returns {String}
  */
 
+/**
+ * Get messages found in the source file, so they can be stored in the module's build info.
+ *
+ * @method #getFoundMessages
+ * @param {String} fileName Source file name.
+ * @returns {Array.<Object>}
+ */
+
+/**
+ * Register messages found in the source file that was not translated during the compilation (e.g. restored from the cache).
+ *
+ * @method #addFoundMessages
+ * @param {Array.<Object>} messages Messages returned by `getFoundMessages()`.
+ */
+
+/**
+ * Remove messages found in the source file that is no longer a part of the compilation.
+ *
+ * @method #removeFoundMessages
+ * @param {String} fileName Source file name.
+ */
+
+/**
+ * Get paths to loaded translation files, which are watched in the watch mode.
+ *
+ * @method #getTranslationFiles
+ * @returns {Array.<String>}
+ */
+
+/**
+ * Get paths to directories containing translation files, which are watched in the watch mode.
+ *
+ * @method #getTranslationDirectories
+ * @returns {Array.<String>}
+ */
+
+/**
+ * Reload translations from the changed translation files.
+ *
+ * @method #invalidateTranslationFiles
+ * @param {Array.<String>} changedFiles Paths to changed files and directories.
+ */
+
 /**
  * Get assets at the end of compilation.
  *
@@ -209,3 +396,9 @@ function getPathToPackage( cwd, resource, packageNamePattern ) {
  * @fires error
  */
 
+/**
+ * Information about the translation process, e.g. the number of messages filled by fallback languages.
+ *
+ * @fires info
+ */
+
@@ -8,6 +8,7 @@
 const { expect } = require( 'chai' );
 const sinon = require( 'sinon' );
 const proxyquire = require( 'proxyquire' );
+const path = require( 'path' );
 
 describe( 'webpack-plugin/CKEditorWebpackPlugin', () => {
 	const sandbox = sinon.createSandbox();
@@ -60,6 +61,12 @@ describe( 'webpack-plugin/CKEditorWebpackPlugin', () => {
 
 			expect( ckeditorWebpackPlugin.options.outputDirectory ).to.equal( 'custom' );
 		} );
+
+		it( 'should initialize default value for `outputFormat` option', () => {
+			const ckeditorWebpackPlugin = new CKEditorWebpackPlugin( {} );
+
+			expect( ckeditorWebpackPlugin.options.outputFormat ).to.equal( 'script' );
+		} );
 	} );
 
 	describe( 'apply()', () => {
@@ -107,7 +114,13 @@ describe( 'webpack-plugin/CKEditorWebpackPlugin', () => {
 						compileAllLanguages: false,
 						additionalLanguages: [],
 						buildAllTranslationsToSeparateFiles: false,
-						addMainLanguageTranslationsToAllAssets: false
+						addMainLanguageTranslationsToAllAssets: false,
+						treeShakeTranslations: false,
+						outputFormat: 'script',
+						fallbackLanguages: {},
+						sourceLanguage: null,
+						translationDirectories: [],
+						overrideTranslationDirectories: []
 					}
 				);
 			} );
@@ -131,7 +144,13 @@ describe( 'webpack-plugin/CKEditorWebpackPlugin', () => {
 						compileAllLanguages: false,
 						additionalLanguages: [ 'en' ],
 						buildAllTranslationsToSeparateFiles: false,
-						addMainLanguageTranslationsToAllAssets: false
+						addMainLanguageTranslationsToAllAssets: false,
+						treeShakeTranslations: false,
+						outputFormat: 'script',
+						fallbackLanguages: {},
+						sourceLanguage: null,
+						translationDirectories: [],
+						overrideTranslationDirectories: []
 					}
 				);
 			} );
@@ -155,7 +174,13 @@ describe( 'webpack-plugin/CKEditorWebpackPlugin', () => {
 						compileAllLanguages: true,
 						additionalLanguages: [],
 						buildAllTranslationsToSeparateFiles: false,
-						addMainLanguageTranslationsToAllAssets: false
+						addMainLanguageTranslationsToAllAssets: false,
+						treeShakeTranslations: false,
+						outputFormat: 'script',
+						fallbackLanguages: {},
+						sourceLanguage: null,
+						translationDirectories: [],
+						overrideTranslationDirectories: []
 					}
 				);
 
@@ -163,6 +188,58 @@ describe( 'webpack-plugin/CKEditorWebpackPlugin', () => {
 			} );
 		} );
 
+		it( 'should pass the `outputFormat` option to the `MultipleLanguageTranslationService`', () => {
+			const ckeditorWebpackPlugin = new CKEditorWebpackPlugin( { language: 'pl', outputFormat: 'esm' } );
+			ckeditorWebpackPlugin.apply( {} );
+
+			sinon.assert.calledOnce( stubs.MultipleLanguageTranslationService );
+			expect( stubs.MultipleLanguageTranslationService.firstCall.args[ 0 ].outputFormat ).to.equal( 'esm' );
+		} );
+
+		it( 'should pass the fallback options to the `MultipleLanguageTranslationService`', () => {
+			const ckeditorWebpackPlugin = new CKEditorWebpackPlugin( {
+				language: 'pt-br',
+				fallbackLanguages: { 'pt-br': [ 'pt' ] },
+				sourceLanguage: 'en'
+			} );
+			ckeditorWebpackPlugin.apply( {} );
+
+			sinon.assert.calledOnce( stubs.MultipleLanguageTranslationService );
+			expect( stubs.MultipleLanguageTranslationService.firstCall.args[ 0 ].fallbackLanguages ).to.deep.equal( { 'pt-br': [ 'pt' ] } );
+			expect( stubs.MultipleLanguageTranslationService.firstCall.args[ 0 ].sourceLanguage ).to.equal( 'en' );
+		} );
+
+		it( 'should pass the `treeShakeTranslations` option to the `MultipleLanguageTranslationService`', () => {
+			const ckeditorWebpackPlugin = new CKEditorWebpackPlugin( { language: 'pl', treeShakeTranslations: true } );
+			ckeditorWebpackPlugin.apply( {} );
+
+			expect( stubs.MultipleLanguageTranslationService.firstCall.args[ 0 ].treeShakeTranslations ).to.equal( true );
+		} );
+
+		it( 'should pass absolute paths to the translation directories to the `MultipleLanguageTranslationService`', () => {
+			const ckeditorWebpackPlugin = new CKEditorWebpackPlugin( {
+				language: 'pl',
+				translationDirectories: [ 'translations' ],
+				overrideTranslationDirectories: [ path.join( 'translations', 'overrides' ) ]
+			} );
+			ckeditorWebpackPlugin.apply( {} );
+
+			const serviceOptions = stubs.MultipleLanguageTranslationService.firstCall.args[ 0 ];
+
+			expect( serviceOptions.translationDirectories ).to.deep.equal( [ path.resolve( 'translations' ) ] );
+			expect( serviceOptions.overrideTranslationDirectories ).to.deep.equal( [ path.resolve( 'translations', 'overrides' ) ] );
+		} );
+
+		it( 'should throw an error when provided `outputFormat` is not supported', () => {
+			const ckeditorWebpackPlugin = new CKEditorWebpackPlugin( { language: 'pl', outputFormat: 'amd' } );
+
+			expect( () => ckeditorWebpackPlugin.apply( {} ) ).to.throw(
+				/Error: The `outputFormat` option should be set to `script`, `esm` or `json`\./
+			);
+
+			sinon.assert.notCalled( stubs.serveTranslations );
+		} );
+
 		it( 'should throw an error when provided `additionalLanguages` is type of string, but not `all`', () => {
 			const options = {
 				language: 'en',
@@ -0,0 +1,455 @@
+/**
+ * @license Copyright (c) 2003-2020, CKSource - Frederico Knabben. All rights reserved.
+ * For licensing, see LICENSE.md.
+ */
+
+'use strict';
+
+const { expect } = require( 'chai' );
+const sinon = require( 'sinon' );
+const proxyquire = require( 'proxyquire' );
+const path = require( 'path' );
+const { EventEmitter } = require( 'events' );
+const { RawSource, ConcatSource } = require( 'webpack-sources' );
+
+describe( 'webpack-plugin/serveTranslations()', () => {
+	const sandbox = sinon.createSandbox();
+	const cwd = process.cwd();
+	const pathToFooSource = path.join( cwd, 'node_modules', '@ckeditor', 'ckeditor5-foo', 'src', 'foo.js' );
+	const pathToBarSource = path.join( cwd, 'node_modules', '@ckeditor', 'ckeditor5-bar', 'src', 'bar.js' );
+
+	let serveTranslations, translationService, options;
+
+	beforeEach( () => {
+		serveTranslations = proxyquire( '../lib/servetranslations', {
+			fs: { existsSync: () => false },
+			rimraf: { sync: sandbox.spy() }
+		} );
+
+		translationService = createTranslationService();
+
+		options = {
+			outputDirectory: 'translations',
+			sourceFilesPattern: /[/\\]ckeditor5-[^/\\]+[/\\]src[/\\].+\.js$/,
+			packageNamesPattern: /[/\\]ckeditor5-[^/\\]+[/\\]/,
+			corePackagePattern: /[/\\]ckeditor5-core/,
+			corePackageSampleResourcePath: '@ckeditor/ckeditor5-core/src/editor/editor.js'
+		};
+
+		sandbox.stub( console, 'log' );
+	} );
+
+	afterEach( () => {
+		sandbox.restore();
+	} );
+
+	describe( 'webpack 4', () => {
+		let compiler, compilation;
+
+		beforeEach( () => {
+			compiler = createWebpack4Compiler();
+			compilation = createWebpack4Compilation();
+
+			serveTranslations( compiler, options, translationService );
+			compiler.hooks.thisCompilation.call( compilation );
+		} );
+
+		it( 'should add the loader to modules matching the source files pattern using the `normalModuleLoader` hook', () => {
+			const fooModule = createModule( pathToFooSource );
+			const otherModule = createModule( path.join( cwd, 'src', 'app.js' ) );
+
+			compilation.hooks.normalModuleLoader.call( {}, fooModule );
+			compilation.hooks.normalModuleLoader.call( {}, otherModule );
+
+			expect( fooModule.loaders ).to.have.length( 1 );
+			expect( fooModule.loaders[ 0 ].loader ).to.equal( path.join( __dirname, '..', 'lib', 'translatesourceloader.js' ) );
+			expect( otherModule.loaders ).to.have.length( 0 );
+		} );
+
+		it( 'should store messages found by the loader in the build info of the module', () => {
+			const fooModule = createModule( pathToFooSource );
+			const messages = [ { id: 'Foo', string: 'Foo' } ];
+
+			translationService.translateSource.returns( 'translated source' );
+			translationService.getFoundMessages.withArgs( pathToFooSource ).returns( messages );
+
+			compilation.hooks.normalModuleLoader.call( {}, fooModule );
+
+			const translatedSource = fooModule.loaders[ 0 ].options.translateSource( 'source', pathToFooSource );
+
+			expect( translatedSource ).to.equal( 'translated source' );
+			expect( fooModule.buildInfo.ckeditor5Messages ).to.equal( messages );
+			sinon.assert.calledWithExactly( translationService.translateSource, 'source', pathToFooSource );
+		} );
+
+		it( 'should assign translation assets in the `optimizeChunkAssets` hook', () => {
+			const originalAsset = new RawSource( 'bundle' );
+			const chunks = [ { files: [ 'ckeditor.js', 'image.js' ], modulesIterable: [] } ];
+
+			compilation.assets[ 'ckeditor.js' ] = originalAsset;
+
+			translationService.getAssets.returns( [
+				{ outputPath: 'ckeditor.js', outputBody: 'main translations', shouldConcat: true },
+				{ outputPath: 'image.js', outputBody: 'image chunk' },
+				{ outputPath: 'translations/de.js', outputBody: 'de translations' }
+			] );
+
+			compilation.hooks.optimizeChunkAssets.call( chunks );
+
+			expect( compilation.assets[ 'ckeditor.js' ] ).to.be.instanceOf( ConcatSource );
+			expect( compilation.assets[ 'ckeditor.js' ].source() ).to.equal( 'main translations\nbundle' );
+
+			// Strings keep sourcemaps of existing chunk files.
+			expect( compilation.assets[ 'image.js' ] ).to.equal( 'image chunk' );
+
+			expect( compilation.assets[ 'translations/de.js' ] ).to.be.instanceOf( RawSource );
+			expect( compilation.assets[ 'translations/de.js' ].source() ).to.equal( 'de translations' );
+		} );
+
+		it( 'should pass source files of modules bundled in each chunk file when getting assets', () => {
+			const concatenatedModule = { modules: [ createModule( pathToFooSource ), createModule( pathToBarSource + '?query' ) ] };
+			const chunks = [ { files: [ 'ckeditor.js' ], modulesIterable: [ concatenatedModule, {} ] } ];
+
+			compilation.assets[ 'ckeditor.js' ] = new RawSource( 'bundle' );
+
+			compilation.hooks.optimizeChunkAssets.call( chunks );
+
+			sinon.assert.calledOnce( translationService.getAssets );
+			sinon.assert.calledWithExactly( translationService.getAssets, {
+				outputDirectory: 'translations',
+				compilationAssetNames: [ 'ckeditor.js' ],
+				assetSourceFiles: {
+					'ckeditor.js': [ pathToFooSource, pathToBarSource ]
+				}
+			} );
+		} );
+	} );
+
+	describe( 'webpack 5', () => {
+		let compiler, compilation;
+
+		beforeEach( () => {
+			compiler = createWebpack5Compiler();
+			compilation = createWebpack5Compilation();
+
+			serveTranslations( compiler, options, translationService );
+			compiler.hooks.thisCompilation.call( compilation );
+		} );
+
+		it( 'should add the loader to modules matching the source files pattern using the `NormalModule` loader hook', () => {
+			const fooModule = createModule( pathToFooSource );
+
+			sinon.assert.calledOnce( compiler.webpack.NormalModule.getCompilationHooks );
+			sinon.assert.calledWithExactly( compiler.webpack.NormalModule.getCompilationHooks, compilation );
+
+			compiler.loaderHook.call( {}, fooModule );
+
+			expect( fooModule.loaders ).to.have.length( 1 );
+			expect( fooModule.loaders[ 0 ].loader ).to.equal( path.join( __dirname, '..', 'lib', 'translatesourceloader.js' ) );
+		} );
+
+		it( 'should tap the `processAssets` hook at the stage of adding assets', () => {
+			sinon.assert.calledOnce( compilation.hooks.processAssets.tap );
+			expect( compilation.hooks.processAssets.tap.firstCall.args[ 0 ] ).to.deep.equal( {
+				name: 'CKEditor5Plugin',
+				stage: compiler.webpack.Compilation.PROCESS_ASSETS_STAGE_ADDITIONAL
+			} );
+		} );
+
+		it( 'should emit and update translation assets in the `processAssets` hook', () => {
+			const chunk = { files: new Set( [ 'ckeditor.js' ] ), modules: [ createModule( pathToFooSource ) ] };
+
+			compilation.chunks = new Set( [ chunk ] );
+			compilation.assets[ 'ckeditor.js' ] = new RawSource( 'bundle' );
+			compilation.assets[ 'translations/pl.js' ] = new RawSource( 'outdated pl translations' );
+
+			translationService.getAssets.returns( [
+				{ outputPath: 'ckeditor.js', outputBody: 'main translations', shouldConcat: true },
+				{ outputPath: 'translations/pl.js', outputBody: 'pl translations' },
+				{ outputPath: 'translations/de.js', outputBody: 'de translations' }
+			] );
+
+			compilation.hooks.processAssets.call();
+
+			sinon.assert.calledWithExactly( translationService.getAssets, {
+				outputDirectory: 'translations',
+				compilationAssetNames: [ 'ckeditor.js', 'translations/pl.js' ],
+				assetSourceFiles: {
+					'ckeditor.js': [ pathToFooSource ]
+				}
+			} );
+
+			expect( compilation.assets[ 'ckeditor.js' ] ).to.be.instanceOf( ConcatSource );
+			expect( compilation.assets[ 'ckeditor.js' ].source() ).to.equal( 'main translations\nbundle' );
+
+			expect( compilation.assets[ 'translations/pl.js' ].source() ).to.equal( 'pl translations' );
+
+			sinon.assert.calledOnce( compilation.emitAsset );
+			sinon.assert.calledWith( compilation.emitAsset, 'translations/de.js', sinon.match.instanceOf( RawSource ), {
+				javascriptModule: false
+			} );
+			expect( compilation.assets[ 'translations/de.js' ].source() ).to.equal( 'de translations' );
+		} );
+
+		it( 'should mark ES module translation assets as JavaScript modules', () => {
+			options.outputFormat = 'esm';
+
+			translationService.getAssets.returns( [
+				{ outputPath: 'translations/de.js', outputBody: 'de translations' }
+			] );
+
+			compilation.hooks.processAssets.call();
+
+			sinon.assert.calledWith( compilation.emitAsset, 'translations/de.js', sinon.match.instanceOf( RawSource ), {
+				javascriptModule: true
+			} );
+		} );
+
+		it( 'should restore messages of modules restored from the cache using their build info', () => {
+			const messages = [ { id: 'Foo', string: 'Foo' } ];
+			const cachedModule = createModule( pathToFooSource, { ckeditor5Messages: messages } );
+			const otherModule = createModule( path.join( cwd, 'src', 'app.js' ), { ckeditor5Messages: [] } );
+
+			compilation.hooks.finishModules.call( [ cachedModule, otherModule, {} ] );
+
+			sinon.assert.calledOnce( translationService.addFoundMessages );
+			sinon.assert.calledWithExactly( translationService.addFoundMessages, messages );
+
+			sinon.assert.calledOnce( translationService.loadPackage );
+			sinon.assert.calledWithExactly(
+				translationService.loadPackage,
+				path.join( 'node_modules', '@ckeditor', 'ckeditor5-foo' ) + path.sep
+			);
+		} );
+	} );
+
+	describe( 'watch mode', () => {
+		let compiler;
+
+		beforeEach( () => {
+			compiler = createWebpack5Compiler();
+		} );
+
+		it( 'should invalidate translation files modified or removed since the previous compilation (webpack 5)', () => {
+			serveTranslations( compiler, options, translationService );
+
+			// Changed files are not available in the first compilation.
+			compiler.hooks.watchRun.call( compiler );
+
+			compiler.modifiedFiles = new Set( [ '/app/translations/pl.po' ] );
+			compiler.removedFiles = new Set( [ '/app/translations/de.po' ] );
+
+			compiler.hooks.watchRun.call( compiler );
+
+			sinon.assert.calledTwice( translationService.invalidateTranslationFiles );
+			sinon.assert.calledWithExactly( translationService.invalidateTranslationFiles.firstCall, [] );
+			sinon.assert.calledWithExactly( translationService.invalidateTranslationFiles.secondCall, [
+				'/app/translations/pl.po',
+				'/app/translations/de.po'
+			] );
+		} );
+
+		it( 'should invalidate translation files changed since the previous compilation based on timestamps (webpack 4)', () => {
+			const clock = sandbox.useFakeTimers( { now: 1000, toFake: [ 'Date' ] } );
+
+			compiler = createWebpack4Compiler();
+			compiler.fileTimestamps = new Map( [ [ '/app/translations/pl.po', 500 ], [ '/app/translations/de.po', 1500 ] ] );
+			compiler.contextTimestamps = new Map( [ [ '/app/translations', 1800 ] ] );
+
+			serveTranslations( compiler, options, translationService );
+
+			clock.tick( 1000 );
+			compiler.hooks.watchRun.call( compiler );
+
+			clock.tick( 1000 );
+			compiler.hooks.watchRun.call( compiler );
+
+			sinon.assert.calledTwice( translationService.invalidateTranslationFiles );
+			sinon.assert.calledWithExactly( translationService.invalidateTranslationFiles.firstCall, [
+				'/app/translations/de.po',
+				'/app/translations'
+			] );
+			sinon.assert.calledWithExactly( translationService.invalidateTranslationFiles.secondCall, [] );
+		} );
+
+		it( 'should watch loaded translation files and translation directories', () => {
+			const compilation = createWebpack5Compilation();
+
+			translationService.getTranslationFiles.returns( [ '/app/translations/pl.po' ] );
+			translationService.getTranslationDirectories.returns( [ '/app/translations' ] );
+
+			serveTranslations( compiler, options, translationService );
+			compiler.hooks.afterCompile.call( compilation );
+
+			expect( Array.from( compilation.fileDependencies ) ).to.deep.equal( [ '/app/translations/pl.po' ] );
+			expect( Array.from( compilation.contextDependencies ) ).to.deep.equal( [ '/app/translations' ] );
+		} );
+
+		it( 'should remove messages of source files that are no longer a part of the compilation', () => {
+			const firstCompilation = createWebpack5Compilation();
+			const secondCompilation = createWebpack5Compilation();
+
+			serveTranslations( compiler, options, translationService );
+
+			compiler.hooks.thisCompilation.call( firstCompilation );
+			firstCompilation.hooks.finishModules.call( [ createModule( pathToFooSource ), createModule( pathToBarSource ) ] );
+
+			sinon.assert.notCalled( translationService.removeFoundMessages );
+
+			compiler.hooks.thisCompilation.call( secondCompilation );
+			secondCompilation.hooks.finishModules.call( [ createModule( pathToFooSource ) ] );
+
+			sinon.assert.calledOnce( translationService.removeFoundMessages );
+			sinon.assert.calledWithExactly( translationService.removeFoundMessages, pathToBarSource );
+		} );
+
+		it( 'should emit translation assets again when rebuilding', () => {
+			const firstCompilation = createWebpack5Compilation();
+			const secondCompilation = createWebpack5Compilation();
+
+			translationService.getAssets.onFirstCall().returns( [ { outputPath: 'translations/de.js', outputBody: 'de' } ] );
+			translationService.getAssets.onSecondCall().returns( [ { outputPath: 'translations/de.js', outputBody: 'updated de' } ] );
+
+			serveTranslations( compiler, options, translationService );
+
+			compiler.hooks.thisCompilation.call( firstCompilation );
+			firstCompilation.hooks.processAssets.call();
+
+			compiler.hooks.thisCompilation.call( secondCompilation );
+			secondCompilation.hooks.processAssets.call();
+
+			expect( firstCompilation.assets[ 'translations/de.js' ].source() ).to.equal( 'de' );
+			expect( secondCompilation.assets[ 'translations/de.js' ].source() ).to.equal( 'updated de' );
+		} );
+
+		it( 'should print information only when it has changed since the previous compilation', () => {
+			options.verbose = true;
+
+			serveTranslations( compiler, options, translationService );
+
+			compiler.hooks.thisCompilation.call( createWebpack5Compilation() );
+			translationService.emit( 'info', 'Fallback report.' );
+			translationService.emit( 'info', 'Chunk size report.' );
+
+			compiler.hooks.thisCompilation.call( createWebpack5Compilation() );
+			translationService.emit( 'info', 'Fallback report.' );
+			translationService.emit( 'info', 'Updated chunk size report.' );
+
+			compiler.hooks.thisCompilation.call( createWebpack5Compilation() );
+			translationService.emit( 'info', 'Chunk size report.' );
+
+			expect( console.log.args.map( args => args[ 0 ] ) ).to.deep.equal( [
+				'[CKEditorWebpackPlugin] Fallback report.',
+				'[CKEditorWebpackPlugin] Chunk size report.',
+				'[CKEditorWebpackPlugin] Updated chunk size report.',
+				'[CKEditorWebpackPlugin] Chunk size report.'
+			] );
+		} );
+
+		it( 'should not print information when the `verbose` option is not set', () => {
+			serveTranslations( compiler, options, translationService );
+
+			compiler.hooks.thisCompilation.call( createWebpack5Compilation() );
+			translationService.emit( 'info', 'Fallback report.' );
+
+			sinon.assert.notCalled( console.log );
+		} );
+	} );
+
+	function createTranslationService() {
+		const service = new EventEmitter();
+
+		service.loadPackage = sandbox.stub();
+		service.translateSource = sandbox.stub();
+		service.getFoundMessages = sandbox.stub().returns( [] );
+		service.addFoundMessages = sandbox.stub();
+		service.removeFoundMessages = sandbox.stub();
+		service.getTranslationFiles = sandbox.stub().returns( [] );
+		service.getTranslationDirectories = sandbox.stub().returns( [] );
+		service.invalidateTranslationFiles = sandbox.stub();
+		service.getAssets = sandbox.stub().returns( [] );
+
+		return service;
+	}
+
+	function createWebpack4Compiler() {
+		return {
+			options: { output: { path: path.join( cwd, 'build' ) } },
+			hooks: createHooks( [ 'normalModuleFactory', 'watchRun', 'afterCompile', 'thisCompilation' ] )
+		};
+	}
+
+	function createWebpack4Compilation() {
+		return {
+			assets: {},
+			fileDependencies: new Set(),
+			contextDependencies: new Set(),
+			hooks: createHooks( [ 'normalModuleLoader', 'finishModules', 'optimizeChunkAssets' ] )
+		};
+	}
+
+	function createWebpack5Compiler() {
+		const compiler = createWebpack4Compiler();
+
+		compiler.loaderHook = createHook();
+		compiler.webpack = {
+			NormalModule: {
+				getCompilationHooks: sandbox.stub().returns( { loader: compiler.loaderHook } )
+			},
+			Compilation: {
+				PROCESS_ASSETS_STAGE_ADDITIONAL: -2000
+			},
+			sources: { RawSource, ConcatSource }
+		};
+
+		return compiler;
+	}
+
+	function createWebpack5Compilation() {
+		const compilation = {
+			assets: {},
+			chunks: new Set(),
+			chunkGraph: {
+				getChunkModulesIterable: chunk => chunk.modules
+			},
+			fileDependencies: new Set(),
+			contextDependencies: new Set(),
+			hooks: createHooks( [ 'finishModules', 'processAssets' ] ),
+			getAsset: sandbox.spy( name => compilation.assets[ name ] ? { name, source: compilation.assets[ name ] } : undefined ),
+			emitAsset: sandbox.spy( ( name, source ) => {
+				compilation.assets[ name ] = source;
+			} ),
+			updateAsset: sandbox.spy( ( name, newSourceOrFunction ) => {
+				compilation.assets[ name ] = typeof newSourceOrFunction === 'function' ?
+					newSourceOrFunction( compilation.assets[ name ] ) :
+					newSourceOrFunction;
+			} )
+		};
+
+		return compilation;
+	}
+
+	function createModule( resource, buildInfo = {} ) {
+		return { resource, loaders: [], buildInfo };
+	}
+
+	function createHooks( names ) {
+		const hooks = {};
+
+		for ( const name of names ) {
+			hooks[ name ] = createHook();
+		}
+
+		return hooks;
+	}
+
+	// A minimal implementation of the synchronous tapable hook.
+	function createHook() {
+		const callbacks = [];
+
+		return {
+			tap: sandbox.spy( ( options, callback ) => callbacks.push( callback ) ),
+			call: ( ...args ) => callbacks.forEach( callback => callback( ...args ) )
+		};
+	}
+} );